@@ -0,0 +1,18 @@
+import database from "../src/config/database.js";
+import { WordRepository } from "../src/repositories/WordRepository.js";
+
+// Give translations saved before translation reviews existed their machine
+// review state, so they show up in the review queue. Safe to run more than
+// once: items that have a review state are skipped.
+const wordRepository = new WordRepository();
+
+try {
+  await database.connect();
+  const updated = await wordRepository.backfillReviewStatus();
+  console.log(`✅ Backfilled review status in ${updated} word updates`);
+} catch (err) {
+  console.error("❌ Backfill failed:", err.message || err);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
@@ -0,0 +1,17 @@
+import database from "../src/config/database.js";
+import { FlashcardService } from "../src/services/FlashcardService.js";
+
+// Upgrade legacy flashcard progress (remember/forget) to the graded scheduler
+// state. Safe to run more than once: migrated cards are skipped.
+const flashcardService = new FlashcardService();
+
+try {
+  await database.connect();
+  const { scanned, migrated } = await flashcardService.migrateLegacyProgress();
+  console.log(`✅ Migrated ${migrated}/${scanned} flashcards`);
+} catch (err) {
+  console.error("❌ Migration failed:", err.message || err);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
@@ -0,0 +1,29 @@
+import database from "../src/config/database.js";
+import WordService from "../src/services/WordService.js";
+
+// Rebuild the inflection index from the inflections stored on word pages.
+// Safe to run more than once: the entries of each word are replaced.
+// Words whose pages were parsed before inflections were read have nothing
+// to index: a recrawl refresh job (POST /api/word-refresh/jobs, e.g. with
+// parser_version_below) indexes their forms as it saves the new pages.
+const wordService = new WordService();
+
+try {
+  await database.connect();
+  const { scanned, entries, unparsed } =
+    await wordService.rebuildInflectionIndex();
+  const indexed = scanned - unparsed;
+  console.log(
+    `✅ Indexed ${entries} inflections of ${indexed}/${scanned} words`
+  );
+  if (unparsed > 0) {
+    console.log(
+      `⚠️ ${unparsed} words have pages without inflections; recrawl them to index their forms`
+    );
+  }
+} catch (err) {
+  console.error("❌ Rebuild failed:", err.message || err);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
@@ -0,0 +1,98 @@
+/**
+ * Oxford parser fixture check
+ * Parses every scripts/fixtures/oxford/<name>.html with parseOxfordPage and
+ * compares the result with <name>.json.
+ *
+ *   npm run test:parser            # check, exit 1 on any difference
+ *   npm run test:parser -- --update  # rewrite the .json files
+ *
+ * To add a fixture, save the page HTML (view-source of the Oxford page),
+ * run with --update and review the generated JSON before committing it.
+ */
+
+import fs from "fs";
+import path from "path";
+import { isDeepStrictEqual } from "util";
+import { fileURLToPath } from "url";
+import { parseOxfordPage } from "../src/utils/oxfordParser.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, "fixtures", "oxford");
+const update = process.argv.includes("--update");
+
+// Paths where two values differ, e.g. entry.senses[1].opposites[0]
+const diffPaths = (expected, actual, at = "") => {
+  if (isDeepStrictEqual(expected, actual)) return [];
+  const bothObjects =
+    expected &&
+    actual &&
+    typeof expected === "object" &&
+    typeof actual === "object" &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) return [at || "(root)"];
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap((key) =>
+    diffPaths(
+      expected[key],
+      actual[key],
+      Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key
+    )
+  );
+};
+
+const fixtures = fs
+  .readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".html"))
+  .sort();
+
+let failed = 0;
+
+for (const file of fixtures) {
+  const name = path.basename(file, ".html");
+  const html = fs.readFileSync(path.join(fixturesDir, file), "utf-8");
+  const expectedPath = path.join(fixturesDir, `${name}.json`);
+  const actual = parseOxfordPage(html);
+
+  if (update) {
+    fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + "\n");
+    console.log(`📝 ${name}: written`);
+    continue;
+  }
+
+  if (!fs.existsSync(expectedPath)) {
+    failed += 1;
+    console.log(`❌ ${name}: missing ${name}.json (run with --update)`);
+    continue;
+  }
+
+  const expected = JSON.parse(fs.readFileSync(expectedPath, "utf-8"));
+  const paths = diffPaths(expected, actual);
+  if (paths.length === 0) {
+    console.log(`✅ ${name}`);
+    continue;
+  }
+
+  failed += 1;
+  console.log(`❌ ${name}: ${paths.length} difference(s)`);
+  for (const p of paths.slice(0, 20)) {
+    const read = (obj) =>
+      p === "(root)"
+        ? obj
+        : p
+            .replace(/\[(\d+)\]/g, ".$1")
+            .split(".")
+            .reduce((v, key) => (v == null ? undefined : v[key]), obj);
+    console.log(`   ${p}`);
+    console.log(`     expected: ${JSON.stringify(read(expected))}`);
+    console.log(`     actual:   ${JSON.stringify(read(actual))}`);
+  }
+}
+
+if (!update) {
+  console.log(
+    `\n${fixtures.length - failed}/${fixtures.length} fixture(s) passed`
+  );
+}
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,99 @@
+/**
+ * Word merge check
+ * Builds each scripts/fixtures/oxford/<name>.html page, translates every
+ * sense and example, then merges a fresh parse of the same page into it
+ * (what a refresh does) and checks nothing changed: ids, translations and
+ * review states are kept.
+ *
+ *   npm run test:merge   # exit 1 on any difference
+ */
+
+import fs from "fs";
+import path from "path";
+import { isDeepStrictEqual } from "util";
+import { fileURLToPath } from "url";
+import { parseOxfordPage } from "../src/utils/oxfordParser.js";
+import { buildWordPage } from "../src/utils/crawl.js";
+import { mergeWordPages } from "../src/utils/wordMerge.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, "fixtures", "oxford");
+
+const review = { status: "reviewed", reviewed_at: "2024-01-01T00:00:00.000Z" };
+
+// Every sense of a page: main senses, then idiom and phrasal verb senses
+const sensesOf = (page) => [
+  ...page.senses,
+  ...page.idioms.flatMap((idiom) => idiom.senses),
+  ...page.phrasal_verb_senses.flatMap((pv) => pv.senses),
+];
+
+// A stored page whose senses and examples are all translated
+const translatedPage = (entry) => {
+  const page = buildWordPage(entry);
+  sensesOf(page).forEach((sense, i) => {
+    sense.definition_vi = `nghĩa ${i}`;
+    sense.definition_vi_short = `ngắn ${i}`;
+    sense.review = review;
+    sense.translations = { fr: { definition: `sens ${i}`, review } };
+    sense.examples.forEach((example, j) => {
+      example.vi = `ví dụ ${i}.${j}`;
+      example.review = review;
+      example.translations = { fr: { text: `exemple ${i}.${j}`, review } };
+    });
+  });
+  return page;
+};
+
+const comparable = (value) => JSON.parse(JSON.stringify(value));
+
+const fixtures = fs
+  .readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".html"))
+  .sort();
+
+let checked = 0;
+let failed = 0;
+
+for (const file of fixtures) {
+  const name = path.basename(file, ".html");
+  const html = fs.readFileSync(path.join(fixturesDir, file), "utf-8");
+  const { entry } = parseOxfordPage(html);
+  if (!entry) continue;
+  checked += 1;
+
+  const stored = [translatedPage(entry)];
+  const translated = sensesOf(stored[0]).reduce(
+    (count, sense) => count + 1 + sense.examples.length,
+    0
+  );
+  const { pages, diff, changed } = mergeWordPages(stored, [
+    parseOxfordPage(html).entry,
+  ]);
+
+  const problems = [];
+  if (changed) problems.push("merge reports a change");
+  if (!isDeepStrictEqual(comparable(pages), comparable(stored))) {
+    problems.push("merged pages differ from the stored ones");
+  }
+  if (diff.translations_kept !== translated) {
+    problems.push(
+      `translations_kept is ${diff.translations_kept}, expected ${translated}`
+    );
+  }
+  if (diff.translations_dropped !== 0) {
+    problems.push(`translations_dropped is ${diff.translations_dropped}`);
+  }
+
+  if (problems.length === 0) {
+    console.log(`✅ ${name}`);
+    continue;
+  }
+  failed += 1;
+  console.log(`❌ ${name}`);
+  for (const problem of problems) console.log(`   ${problem}`);
+}
+
+console.log(`\n${checked - failed}/${checked} fixture(s) passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -8,6 +8,15 @@ import authRoutes from "./routes/authRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import flashcardRoutes from "./routes/flashcardRoutes.js";
 import flashcardGroupRoutes from "./routes/flashcardGroupRoutes.js";
+import statisticsRoutes from "./routes/statisticsRoutes.js";
+import quizRoutes from "./routes/quizRoutes.js";
+import wordRefreshRoutes from "./routes/wordRefreshRoutes.js";
+import wordGraphRoutes from "./routes/wordGraphRoutes.js";
+import wordFamilyRoutes from "./routes/wordFamilyRoutes.js";
+import wordEditorRoutes from "./routes/wordEditorRoutes.js";
+import translationJobRoutes from "./routes/translationJobRoutes.js";
+import glossaryRoutes from "./routes/glossaryRoutes.js";
+import translationReviewRoutes from "./routes/translationReviewRoutes.js";
 import groupWordRoutes from "./routes/groupWordRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import notesRoutes from "./routes/notesRoutes.js";
@@ -55,6 +64,15 @@ const createApp = () => {
   app.use("/api/users", userRoutes);
   app.use("/api/flashcard-groups", flashcardGroupRoutes);
   app.use("/api/flashcard-groups", flashcardRoutes);
+  app.use("/api/statistics", statisticsRoutes);
+  app.use("/api/quizzes", quizRoutes);
+  app.use("/api/word-refresh", wordRefreshRoutes);
+  app.use("/api/word-graph", wordGraphRoutes);
+  app.use("/api/word-families", wordFamilyRoutes);
+  app.use("/api/word-editor", wordEditorRoutes);
+  app.use("/api/translation-jobs", translationJobRoutes);
+  app.use("/api/glossary", glossaryRoutes);
+  app.use("/api/translation-reviews", translationReviewRoutes);
   app.use("/api/group-words", groupWordRoutes);
   app.use("/api/categories", categoryRoutes);
   app.use("/api/notes", notesRoutes);
@@ -21,6 +21,34 @@ const config = {
   // Frontend URL
   CLIENT_URL: process.env.CLIENT_URL || "http://localhost:3000",
 
+  // Translation provider (gemini | openai | stub) and its parameters;
+  // TRANSLATE_MODEL overrides the provider's own model setting
+  TRANSLATE_PROVIDER: process.env.TRANSLATE_PROVIDER || "gemini",
+  TRANSLATE_MODEL: process.env.TRANSLATE_MODEL || "",
+  TRANSLATE_TEMPERATURE: process.env.TRANSLATE_TEMPERATURE
+    ? Number(process.env.TRANSLATE_TEMPERATURE)
+    : 0.2,
+  TRANSLATE_MAX_OUTPUT_TOKENS: process.env.TRANSLATE_MAX_OUTPUT_TOKENS
+    ? Number(process.env.TRANSLATE_MAX_OUTPUT_TOKENS)
+    : 20000,
+
+  // Prices per million tokens, for the cost summary of translation jobs
+  TRANSLATE_INPUT_PRICE_PER_MTOK: Number(
+    process.env.TRANSLATE_INPUT_PRICE_PER_MTOK || 0
+  ),
+  TRANSLATE_OUTPUT_PRICE_PER_MTOK: Number(
+    process.env.TRANSLATE_OUTPUT_PRICE_PER_MTOK || 0
+  ),
+
+  // Google AI Studio
+  GOOGLE_API_KEY: process.env.GOOGLE_API_KEY || "",
+  GOOGLE_MODEL: process.env.GOOGLE_MODEL || "",
+
+  // OpenAI-compatible chat completions API
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  OPENAI_MODEL: process.env.OPENAI_MODEL || "",
+
   // Token Expiration
   ACCESS_TOKEN_EXPIRE: process.env.ACCESS_TOKEN_EXPIRE || "15m",
   REFRESH_TOKEN_EXPIRE: process.env.REFRESH_TOKEN_EXPIRE || "7d",
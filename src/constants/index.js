@@ -35,6 +35,129 @@ export const FLASHCARD_GROUP_SOURCE_TYPES = {
   MANUAL: "manual",
 };
 
+// How a flashcard group follows its source group_word
+export const SYNC_MODES = {
+  // Only add cards for new words
+  ADD_ONLY: "add_only",
+  // Add new words, remove cards of removed words, copy name/description
+  MIRROR: "mirror",
+  // Report what a mirror sync would change without writing anything
+  PREVIEW: "preview",
+};
+
+// What mirror sync does with cards whose word left the source
+export const SYNC_REMOVAL_ACTIONS = {
+  // Keep the card and its progress, hidden from reviews; restored if the word comes back
+  ARCHIVE: "archive",
+  DELETE: "delete",
+};
+
+export const SYNC_DEFAULTS = {
+  MODE: SYNC_MODES.ADD_ONLY,
+  REMOVAL_ACTION: SYNC_REMOVAL_ACTIONS.ARCHIVE,
+  AUTO_SYNC: false,
+};
+
+// Graded answers accepted by the spaced-repetition schedulers
+export const REVIEW_RATINGS = {
+  AGAIN: "again",
+  HARD: "hard",
+  GOOD: "good",
+  EASY: "easy",
+};
+
+// Legacy binary review actions mapped onto graded answers
+export const LEGACY_REVIEW_ACTIONS = {
+  remember: REVIEW_RATINGS.GOOD,
+  forget: REVIEW_RATINGS.AGAIN,
+};
+
+export const SCHEDULER_TYPES = {
+  SM2: "sm2",
+  FSRS: "fsrs",
+};
+
+export const SCHEDULER_DEFAULTS = {
+  TYPE: SCHEDULER_TYPES.SM2,
+  // Cards whose interval reaches this many days are reported as mastered
+  MASTERED_INTERVAL_DAYS: 21,
+  MAXIMUM_INTERVAL_DAYS: 36500,
+  REQUEST_RETENTION: 0.9,
+  STARTING_EASE: 2.5,
+  MINIMUM_EASE: 1.3,
+};
+
+export const LEECH_ACTIONS = {
+  // Flag the card only
+  TAG: "tag",
+  // Flag the card and take it out of review queues
+  SUSPEND: "suspend",
+};
+
+export const LEECH_DEFAULTS = {
+  THRESHOLD: 8,
+  ACTION: LEECH_ACTIONS.TAG,
+};
+
+export const REVIEW_QUEUE_ORDERS = {
+  OVERDUE: "overdue",
+  RANDOM: "random",
+  SYMBOL: "symbol",
+};
+
+export const REVIEW_QUEUE_DEFAULTS = {
+  NEW_CARDS_PER_DAY: 20,
+  REVIEWS_PER_DAY: 200,
+  MAX_CARDS_PER_DAY: 9999,
+};
+
+export const STATISTICS_DEFAULTS = {
+  HEATMAP_DAYS: 365,
+  MAX_HEATMAP_DAYS: 730,
+  FORECAST_DAYS: 30,
+  MAX_FORECAST_DAYS: 365,
+  // Window used for retention rates
+  RETENTION_DAYS: 30,
+};
+
+export const QUIZ_MODES = {
+  MULTIPLE_CHOICE: "multiple_choice",
+  TYPING: "typing",
+  CLOZE: "cloze",
+  // Each question uses a random mode the word has data for
+  MIXED: "mixed",
+};
+
+export const QUIZ_SOURCE_TYPES = {
+  FLASHCARD_GROUP: "flashcard_group",
+  CATEGORY: "category",
+};
+
+export const QUIZ_DEFAULTS = {
+  QUESTION_COUNT: 10,
+  MAX_QUESTION_COUNT: 50,
+  CHOICE_COUNT: 4,
+  MIN_CHOICE_COUNT: 2,
+  MAX_CHOICE_COUNT: 6,
+};
+
+export const DECK_FORMATS = {
+  APKG: "apkg",
+  CSV: "csv",
+  TSV: "tsv",
+};
+
+// Placeholders: {{word}} {{phonetic}} {{phonetic_am}} {{pos}} {{symbol}}
+// {{definition}} {{definition_vi}} {{definition_vi_short}} {{examples}}
+export const DECK_DEFAULTS = {
+  FRONT_TEMPLATE: "{{word}}<br>{{phonetic}}",
+  BACK_TEMPLATE: "{{pos}}<br>{{definition_vi_short}}<br>{{examples}}",
+  MAX_SENSES: 3,
+  MAX_EXAMPLES: 2,
+  MAX_IMPORT_ROWS: 5000,
+  MAX_TEMPLATE_LENGTH: 2000,
+};
+
 // ============================================================================
 // WORD CONSTANTS
 // ============================================================================
@@ -86,6 +209,7 @@ export const JWT = {
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
@@ -126,6 +250,314 @@ export const ERROR_CODES = {
 // Note: ERROR_MESSAGES and SUCCESS_MESSAGES are deprecated
 // Use ERROR_RESPONSES and SUCCESS_RESPONSES instead (flat structure)
 
+// Version of the Oxford page parser (src/utils/oxfordParser.js), stored on
+// each word document. Bump when the parsed output for the same HTML changes
+export const OXFORD_PARSER_VERSION = 2;
+
+// Kinds of inflected forms in the inflection index
+export const INFLECTION_TYPES = {
+  PLURAL: "plural",
+  THIRD_PERSON: "third_person",
+  PAST: "past",
+  PAST_PARTICIPLE: "past_participle",
+  PRESENT_PARTICIPLE: "present_participle",
+  COMPARATIVE: "comparative",
+  SUPERLATIVE: "superlative",
+};
+
+// How a looked-up form was resolved to its lemma
+export const INFLECTION_MATCH_SOURCES = {
+  // The form's own Oxford page points to the lemma ("past tense of go")
+  POINTER: "pointer",
+  // The lemma's page lists the form (verb forms table, "plural mice")
+  INDEX: "index",
+  // Suffix rules ("studies" → "study") matched an entry already stored
+  // whose pages list the form, or any stored entry when Oxford has no page
+  // for the form
+  RULE: "rule",
+};
+
+// How a word refresh job gets the new page content
+export const WORD_REFRESH_MODES = {
+  // Fetch the pages again from Oxford
+  RECRAWL: "recrawl",
+  // Run the current parser over the HTML stored at the last crawl
+  REPARSE: "reparse",
+};
+
+export const WORD_REFRESH_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// Outcome for one word of a refresh job
+export const WORD_REFRESH_RESULT_STATUS = {
+  UPDATED: "updated",
+  UNCHANGED: "unchanged",
+  // Re-parse without stored HTML
+  SKIPPED: "skipped",
+  // Oxford no longer has the word; existing data is kept
+  NOT_FOUND: "not_found",
+  FAILED: "failed",
+};
+
+export const WORD_REFRESH_DEFAULTS = {
+  MAX_WORDS: 5000,
+  // Minimum text similarity (0-1) for a new sense/example to inherit an old one's id and translations
+  MATCH_THRESHOLD: 0.6,
+};
+
+// Crawl queue for Oxford pages (src/utils/crawlQueue.js)
+export const CRAWL_QUEUE_DEFAULTS = {
+  // Minimum gap between two requests to Oxford, across all crawls
+  MIN_REQUEST_INTERVAL_MS: 1000,
+  // Words crawled at the same time (their requests still share the gap above)
+  CONCURRENCY: 2,
+  // Retries of one request on 429, 5xx or network errors
+  MAX_RETRIES: 4,
+  BACKOFF_BASE_MS: 2000,
+  BACKOFF_MAX_MS: 60000,
+  // How long a finished crawl is remembered, so pollers get its outcome and
+  // a missing word is not crawled again right away
+  RESULT_TTL_MS: 60 * 1000,
+  // How long GET /api/lookup waits for a crawl before answering 202
+  LOOKUP_WAIT_MS: 15000,
+};
+
+export const CRAWL_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+// "Did you mean" suggestions (src/utils/spelling.js)
+export const SPELLING_DEFAULTS = {
+  LIMIT: 5,
+  MAX_LIMIT: 20,
+  // Subtracted from the edit distance of words that sound the same
+  PHONETIC_BONUS: 0.75,
+  // Extra edit distance allowed for words that sound the same
+  PHONETIC_EXTRA_DISTANCE: 2,
+  // Rebuild the in-memory index from the words collection this often
+  INDEX_TTL_SECONDS: 600,
+};
+
+// Full-text search over definitions, examples and their translations
+export const FULL_TEXT_SEARCH_DEFAULTS = {
+  // Weights of the words text index; also used to rank the matched senses
+  WEIGHTS: {
+    definition: 5,
+    definition_vi: 5,
+    "examples.en": 2,
+    "examples.vi": 2,
+  },
+  // Characters kept on each side of the first match in a snippet
+  SNIPPET_RADIUS: 60,
+  MAX_MATCHES_PER_WORD: 3,
+};
+
+// Relations between words, read from the xrefs of senses
+export const WORD_RELATION_TYPES = {
+  SYNONYM: "synonym",
+  OPPOSITE: "opposite",
+  SEE_ALSO: "see_also",
+};
+
+// Word relationship graph (src/utils/wordGraph.js)
+export const WORD_GRAPH_DEFAULTS = {
+  // Rebuild the in-memory graph from the words collection this often
+  INDEX_TTL_SECONDS: 600,
+  NEIGHBOUR_LIMIT: 100,
+  // Longest path searched between two words
+  MAX_PATH_DEPTH: 6,
+  SUBGRAPH_DEPTH: 1,
+  SUBGRAPH_MAX_DEPTH: 3,
+  SUBGRAPH_MAX_NODES: 200,
+};
+
+// Root/child suggestions from the morphology analyser (src/utils/morphology.js)
+export const WORD_FAMILY_SUGGESTION_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+};
+
+export const WORD_FAMILY_DEFAULTS = {
+  // Suggestions below this confidence (0-1) are not stored
+  MIN_CONFIDENCE: 0.5,
+  // Derivation steps followed to reach the root ("unhappiness" → "happy")
+  MAX_CHAIN: 3,
+  MAX_BULK: 500,
+};
+
+// Admin word editor (src/utils/wordEdit.js)
+export const WORD_REVISION_ACTIONS = {
+  // Snapshot taken before the first edit of a word
+  ORIGINAL: "original",
+  EDIT: "edit",
+  ROLLBACK: "rollback",
+  // Snapshot of changes made outside the editor (crawl, refresh,
+  // translations, reviews), taken before the next edit
+  EXTERNAL: "external",
+};
+
+// Top-level word fields the editor may change (root: see assign-root)
+export const WORD_EDITABLE_FIELDS = [
+  "data",
+  "variants",
+  "symbol",
+  "parts_of_speech",
+];
+
+export const WORD_EDIT_DEFAULTS = {
+  MAX_CHANGES: 200,
+};
+
+// Path segments an edit may never use: they reach object prototypes
+export const WORD_EDIT_RESERVED_KEYS = [
+  "__proto__",
+  "constructor",
+  "prototype",
+];
+
+// Target languages of translations (src/utils/translationLanguages.js).
+// Vietnamese lives in the original *_vi fields; the others in per-language
+// maps (`translations.<code>`) of senses and examples.
+export const TRANSLATION_LANGUAGES = {
+  VI: "vi",
+  ZH: "zh",
+  JA: "ja",
+  KO: "ko",
+  TH: "th",
+  ID: "id",
+  ES: "es",
+  FR: "fr",
+};
+
+// Names used in prompts
+export const TRANSLATION_LANGUAGE_NAMES = {
+  vi: "Vietnamese",
+  zh: "Simplified Chinese",
+  ja: "Japanese",
+  ko: "Korean",
+  th: "Thai",
+  id: "Indonesian",
+  es: "Spanish",
+  fr: "French",
+};
+
+export const TRANSLATION_LANGUAGE_DEFAULTS = {
+  LANGUAGE: TRANSLATION_LANGUAGES.VI,
+};
+
+// Translation memory of model translations (src/utils/translationMemory.js)
+export const TRANSLATION_MEMORY_KINDS = {
+  DEFINITION: "definition",
+  EXAMPLE: "example",
+};
+
+export const TRANSLATION_MEMORY_DEFAULTS = {
+  // Context fields that are part of the memory key
+  CONTEXT_FIELDS: ["word", "pos", "idiom"],
+  // Rough size of a token, for entries stored without a measured cost
+  CHARS_PER_TOKEN: 4,
+};
+
+export const TRANSLATION_PROVIDERS = {
+  GEMINI: "gemini",
+  OPENAI: "openai",
+  STUB: "stub",
+};
+
+export const TRANSLATION_PROVIDER_DEFAULTS = {
+  // HTTP timeout of one model call
+  TIMEOUT_MS: 120000,
+};
+
+export const EVENT_STREAM_DEFAULTS = {
+  // Comment line sent while nothing else is, so proxies keep the
+  // connection open
+  HEARTBEAT_MS: 15000,
+};
+
+// Events of POST /api/translate/parallel/stream; items are sent under
+// their kind
+export const TRANSLATION_STREAM_EVENTS = {
+  DEFINITION: TRANSLATION_MEMORY_KINDS.DEFINITION,
+  EXAMPLE: TRANSLATION_MEMORY_KINDS.EXAMPLE,
+  DONE: "done",
+  ERROR: "error",
+};
+
+export const TRANSLATION_RESPONSE_DEFAULTS = {
+  // Extra prompts for items a model answer left out or got wrong
+  MAX_RETRIES: 2,
+  // Days of response statistics returned by default / at most
+  STATS_DAYS: 30,
+  MAX_STATS_DAYS: 365,
+};
+
+export const TRANSLATION_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// What a translation job fills in
+export const TRANSLATION_JOB_TARGETS = {
+  // definition_vi / definition_vi_short of senses
+  DEFINITIONS: "definitions",
+  // vi of examples
+  EXAMPLES: "examples",
+};
+
+export const TRANSLATION_JOB_DEFAULTS = {
+  MAX_WORDS: 5000,
+  // Estimated tokens of the texts sent in one model call
+  BATCH_TOKENS: 2000,
+  // Failures kept on the job document
+  MAX_ERRORS: 50,
+};
+
+// Review state of a sense's definition_vi or an example's vi
+export const TRANSLATION_REVIEW_STATUS = {
+  // Written by a model, not checked yet
+  MACHINE: "machine",
+  // Approved or edited by an admin
+  REVIEWED: "reviewed",
+  // Cleared by an admin; translated again by the next job
+  REJECTED: "rejected",
+};
+
+export const TRANSLATION_REVIEW_DEFAULTS = {
+  MAX_BULK: 200,
+};
+
+// How a translation broke the glossary
+export const GLOSSARY_VIOLATION_TYPES = {
+  // Uses a rendering the glossary forbids
+  FORBIDDEN: "forbidden",
+  // Does not contain the preferred rendering
+  MISSING_PREFERRED: "missing_preferred",
+};
+
+export const GLOSSARY_VIOLATION_STATUS = {
+  OPEN: "open",
+  RESOLVED: "resolved",
+};
+
+export const GLOSSARY_DEFAULTS = {
+  MAX_FORBIDDEN: 20,
+  MAX_BULK: 500,
+};
+
 // Collection Names
 export const COLLECTIONS = {
   USERS: "users",
@@ -134,6 +566,19 @@ export const COLLECTIONS = {
   CATEGORIES: "categories",
   FLASHCARD_GROUPS: "flashcard_groups",
   FLASHCARDS: "flashcards",
+  REVIEW_LOGS: "review_logs",
+  QUIZZES: "quizzes",
+  WORD_PAGES: "word_pages",
+  WORD_INFLECTIONS: "word_inflections",
+  WORD_REFRESH_JOBS: "word_refresh_jobs",
+  WORD_REFRESH_RESULTS: "word_refresh_results",
+  WORD_FAMILY_SUGGESTIONS: "word_family_suggestions",
+  WORD_REVISIONS: "word_revisions",
+  TRANSLATION_MEMORY: "translation_memory",
+  TRANSLATION_JOBS: "translation_jobs",
+  GLOSSARY_TERMS: "glossary_terms",
+  GLOSSARY_VIOLATIONS: "glossary_violations",
+  TRANSLATION_RESPONSE_STATS: "translation_response_stats",
   REFRESH_TOKENS: "refresh_tokens",
 };
 
@@ -40,21 +40,109 @@ class FlashcardController extends BaseController {
     return this.sendSuccess(res, result);
   });
 
+  /**
+   * GET /:group_id/leeches - List leeches of a group
+   */
+  getLeeches = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { flashcard_group_id } = this.getParams(req);
+
+    const result = await this.flashcardService.getLeeches(
+      flashcard_group_id,
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result.data, {
+      total: result.total,
+      page: result.page,
+      per_page: result.per_page,
+    });
+  });
+
+  /**
+   * POST /:group_id/leeches/unsuspend - Unsuspend leeches
+   */
+  unsuspendLeeches = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { flashcard_group_id } = this.getParams(req);
+    const { flashcard_ids } = this.getBody(req);
+
+    const result = await this.flashcardService.unsuspendLeeches(
+      flashcard_group_id,
+      userId,
+      flashcard_ids
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /:group_id/leeches/reset - Reset leeches to new cards
+   */
+  resetLeeches = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { flashcard_group_id } = this.getParams(req);
+    const { flashcard_ids } = this.getBody(req);
+
+    const result = await this.flashcardService.resetLeeches(
+      flashcard_group_id,
+      userId,
+      flashcard_ids
+    );
+    return this.sendSuccess(res, result);
+  });
+
   /**
    * POST /flashcards/:flashcard_id/review - Review flashcard
    */
   reviewFlashcard = this.asyncHandler(async (req, res) => {
     const userId = this.getUserId(req);
     const { flashcard_id } = this.getParams(req);
-    const { action } = this.getBody(req);
+    // `action` is the legacy remember/forget field
+    const { rating, action, response_time_ms, client_reviewed_at } =
+      this.getBody(req);
 
     const result = await this.flashcardService.reviewFlashcard(
       flashcard_id,
       userId,
-      action
+      rating || action,
+      { response_time_ms, client_reviewed_at }
     );
     return this.sendSuccess(res, result);
   });
+
+  /**
+   * POST /flashcards/reviews/undo - Undo last review
+   */
+  undoLastReview = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { flashcard_id } = this.getBody(req);
+
+    const result = await this.flashcardService.undoLastReview(
+      userId,
+      flashcard_id
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /flashcards/:flashcard_id/reviews - Review history of a flashcard
+   */
+  getReviewHistory = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { flashcard_id } = this.getParams(req);
+    const { page, per_page } = this.getQuery(req);
+
+    const result = await this.flashcardService.getReviewHistory(
+      flashcard_id,
+      userId,
+      { page, per_page }
+    );
+    return this.sendSuccess(res, result.data, {
+      total: result.total,
+      page: result.page,
+      per_page: result.per_page,
+    });
+  });
 }
 
 export default FlashcardController;
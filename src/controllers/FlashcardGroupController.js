@@ -1,15 +1,18 @@
 import { BaseController } from "./BaseController.js";
 import FlashcardGroupService from "../services/FlashcardGroupService.js";
+import FlashcardTransferService from "../services/FlashcardTransferService.js";
 
 /**
  * FlashcardGroupController
  * Handles flashcard group HTTP requests
  */
 class FlashcardGroupController extends BaseController {
-  constructor(flashcardGroupService = null) {
+  constructor(flashcardGroupService = null, flashcardTransferService = null) {
     super();
     this.flashcardGroupService =
       flashcardGroupService || new FlashcardGroupService();
+    this.flashcardTransferService =
+      flashcardTransferService || new FlashcardTransferService();
   }
 
   /**
@@ -21,6 +24,24 @@ class FlashcardGroupController extends BaseController {
     return this.sendSuccess(res, groups);
   });
 
+  /**
+   * GET /review-queue - Get due and new cards across groups
+   */
+  getReviewQueue = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const query = this.getQuery(req);
+
+    const result = await this.flashcardGroupService.getReviewQueue(
+      userId,
+      query
+    );
+    return this.sendSuccess(
+      res,
+      { reviews: result.reviews, new_cards: result.new_cards },
+      result.meta
+    );
+  });
+
   /**
    * GET /:id - Get flashcard group details
    */
@@ -84,14 +105,49 @@ class FlashcardGroupController extends BaseController {
    */
   syncFromGroupWord = this.asyncHandler(async (req, res) => {
     const userId = this.getUserId(req);
-    const { group_word_id } = this.getBody(req);
+    const { group_word_id, ...options } = this.getBody(req);
 
     const result = await this.flashcardGroupService.syncFromGroupWord(
       userId,
-      group_word_id
+      group_word_id,
+      options
     );
     return this.sendSuccess(res, result);
   });
+
+  /**
+   * GET /:id/export - Download group as Anki package or CSV/TSV deck
+   */
+  exportFlashcardGroup = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { id } = this.getParams(req);
+
+    const file = await this.flashcardTransferService.exportGroup(
+      id,
+      userId,
+      this.getQuery(req)
+    );
+
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.filename}"`
+    );
+    return res.status(200).send(file.content);
+  });
+
+  /**
+   * POST /import - Import a CSV/TSV deck
+   */
+  importDeck = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+
+    const result = await this.flashcardTransferService.importDeck(
+      userId,
+      this.getBody(req)
+    );
+    return this.sendCreated(res, result);
+  });
 }
 
 export default FlashcardGroupController;
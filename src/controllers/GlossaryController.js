@@ -0,0 +1,73 @@
+import { BaseController } from "./BaseController.js";
+import GlossaryService from "../services/GlossaryService.js";
+
+/**
+ * GlossaryController
+ * Handles glossary term and flagged translation HTTP requests (admin only)
+ */
+class GlossaryController extends BaseController {
+  constructor(glossaryService = null) {
+    super();
+    this.glossaryService = glossaryService || new GlossaryService();
+  }
+
+  /**
+   * GET /terms - List glossary terms
+   */
+  listTerms = this.asyncHandler(async (req, res) => {
+    const result = await this.glossaryService.listTerms(this.getQuery(req));
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /terms - Add a term
+   */
+  createTerm = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const term = await this.glossaryService.createTerm(
+      userId,
+      this.getBody(req)
+    );
+    return this.sendCreated(res, term);
+  });
+
+  /**
+   * PATCH /terms/:id - Change a term
+   */
+  updateTerm = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const term = await this.glossaryService.updateTerm(id, this.getBody(req));
+    return this.sendSuccess(res, term);
+  });
+
+  /**
+   * DELETE /terms/:id - Remove a term
+   */
+  deleteTerm = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const result = await this.glossaryService.deleteTerm(id);
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /violations - List translations flagged for breaking the glossary
+   */
+  listViolations = this.asyncHandler(async (req, res) => {
+    const result = await this.glossaryService.listViolations(
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /violations/resolve - Mark flagged translations as reviewed
+   */
+  resolveViolations = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { ids } = this.getBody(req);
+    const result = await this.glossaryService.resolveViolations(userId, ids);
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default GlossaryController;
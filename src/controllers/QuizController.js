@@ -0,0 +1,51 @@
+import { BaseController } from "./BaseController.js";
+import QuizService from "../services/QuizService.js";
+
+/**
+ * QuizController
+ * Handles quiz HTTP requests
+ */
+class QuizController extends BaseController {
+  constructor(quizService = null) {
+    super();
+    this.quizService = quizService || new QuizService();
+  }
+
+  /**
+   * POST / - Generate a quiz
+   */
+  createQuiz = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const quiz = await this.quizService.createQuiz(userId, this.getBody(req));
+    return this.sendCreated(res, quiz);
+  });
+
+  /**
+   * GET /:id - Get quiz with answered results
+   */
+  getQuiz = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { id } = this.getParams(req);
+
+    const quiz = await this.quizService.getQuiz(id, userId);
+    return this.sendSuccess(res, quiz);
+  });
+
+  /**
+   * POST /:id/questions/:question_id/answer - Answer a question
+   */
+  answerQuestion = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { id, question_id } = this.getParams(req);
+
+    const result = await this.quizService.answerQuestion(
+      userId,
+      id,
+      question_id,
+      this.getBody(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default QuizController;
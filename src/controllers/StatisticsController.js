@@ -0,0 +1,87 @@
+import { BaseController } from "./BaseController.js";
+import StatisticsService from "../services/StatisticsService.js";
+
+/**
+ * StatisticsController
+ * Handles learning statistics HTTP requests
+ */
+class StatisticsController extends BaseController {
+  constructor(statisticsService = null) {
+    super();
+    this.statisticsService = statisticsService || new StatisticsService();
+  }
+
+  /**
+   * GET / - Dashboard overview (streaks, card counts, retention, forecast)
+   */
+  getOverview = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getOverview(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /heatmap - Daily review counts
+   */
+  getHeatmap = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getHeatmap(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /streaks - Current and longest study streak
+   */
+  getStreaks = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getStreaks(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /retention - True retention per flashcard group
+   */
+  getRetention = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getRetention(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /cards - Number of cards by status
+   */
+  getCardCounts = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getCardCounts(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /forecast - Cards due per day over the coming days
+   */
+  getForecast = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.statisticsService.getForecast(
+      userId,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default StatisticsController;
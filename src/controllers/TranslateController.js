@@ -1,6 +1,8 @@
 import { BaseController } from "./BaseController.js";
 import TranslateService from "../services/TranslateService.js";
 import WordService from "../services/WordService.js";
+import { openEventStream } from "../utils/eventStream.js";
+import { TRANSLATION_STREAM_EVENTS } from "../constants/index.js";
 
 class TranslateController extends BaseController {
   constructor(translateService = null, wordService = null) {
@@ -22,7 +24,8 @@ class TranslateController extends BaseController {
       let definitionsResult = { updated: 0, skipped: 0 };
       if (definitions && definitions.length > 0) {
         definitionsResult = await this.wordService.updateSenseDefinitions(
-          definitions
+          definitions,
+          wordData.language
         );
       }
 
@@ -54,7 +57,8 @@ class TranslateController extends BaseController {
       let examplesResult = { updated: 0, skipped: 0 };
       if (examples && examples.length > 0) {
         examplesResult = await this.wordService.updateExampleViIfMissing(
-          examples
+          examples,
+          wordData.language
         );
       }
 
@@ -81,30 +85,11 @@ class TranslateController extends BaseController {
       const { definitions, examples, usage } =
         await this.translateService.translateParallel(wordData);
 
-      // Update definitions
-      let definitionsResult = { updated: 0, skipped: 0 };
-      if (definitions && definitions.length > 0) {
-        definitionsResult = await this.wordService.updateSenseDefinitions(
-          definitions
-        );
-      }
-
-      // Update examples
-      let examplesResult = { updated: 0, skipped: 0 };
-      if (examples && examples.length > 0) {
-        examplesResult = await this.wordService.updateExampleViIfMissing(
-          examples
-        );
-      }
-
       return this.sendSuccess(res, {
         word: wordData.word,
         definitions,
         examples,
-        result: {
-          definition: definitionsResult,
-          example: examplesResult,
-        },
+        result: await this.saveTranslations(wordData, definitions, examples),
         usage,
       });
     } catch (error) {
@@ -114,6 +99,69 @@ class TranslateController extends BaseController {
       throw error;
     }
   });
+
+  // POST /api/translate/parallel/stream - Same as /parallel, as Server-Sent
+  // Events: one "definition" / "example" event per item as soon as the
+  // model emits it, then "done" with the update result and usage
+  translateParallelStream = this.asyncHandler(async (req, res) => {
+    const wordData = this.getBody(req);
+    const stream = openEventStream(res);
+
+    try {
+      const { definitions, examples, usage } =
+        await this.translateService.translateParallel(wordData, {
+          onItem: (kind, item) => stream.send(kind, item),
+        });
+
+      stream.send(TRANSLATION_STREAM_EVENTS.DONE, {
+        word: wordData.word,
+        result: await this.saveTranslations(wordData, definitions, examples),
+        usage,
+      });
+    } catch (error) {
+      // Headers are sent: the error can only be reported as an event
+      this.logger.error(`Translation stream failed: ${error.message}`);
+      stream.send(TRANSLATION_STREAM_EVENTS.ERROR, {
+        message: error.message,
+        status: error.status || error.statusCode || 500,
+      });
+    } finally {
+      stream.close();
+    }
+  });
+
+  /**
+   * Store translated definitions and examples
+   * @returns {Promise<Object>} { definition, example } update counts
+   */
+  async saveTranslations(wordData, definitions, examples) {
+    // Update definitions
+    let definitionsResult = { updated: 0, skipped: 0 };
+    if (definitions && definitions.length > 0) {
+      definitionsResult = await this.wordService.updateSenseDefinitions(
+        definitions,
+        wordData.language
+      );
+    }
+
+    // Update examples
+    let examplesResult = { updated: 0, skipped: 0 };
+    if (examples && examples.length > 0) {
+      examplesResult = await this.wordService.updateExampleViIfMissing(
+        examples,
+        wordData.language
+      );
+    }
+
+    return { definition: definitionsResult, example: examplesResult };
+  }
+
+  // GET /api/translate/stats - How often model answers needed repairs and retries
+  getResponseStats = this.asyncHandler(async (req, res) => {
+    const { days } = this.getQuery(req);
+    const stats = await this.translateService.getResponseStats(days);
+    return this.sendSuccess(res, stats);
+  });
 }
 
 export default TranslateController;
@@ -0,0 +1,77 @@
+import { BaseController } from "./BaseController.js";
+import TranslationJobService from "../services/TranslationJobService.js";
+
+/**
+ * TranslationJobController
+ * Handles bulk translation job HTTP requests (admin only)
+ */
+class TranslationJobController extends BaseController {
+  constructor(translationJobService = null) {
+    super();
+    this.translationJobService =
+      translationJobService || new TranslationJobService();
+  }
+
+  /**
+   * POST / - Start translating untranslated senses and examples
+   */
+  createJob = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const job = await this.translationJobService.createJob(
+      userId,
+      this.getBody(req)
+    );
+    return this.sendCreated(res, job);
+  });
+
+  /**
+   * GET / - List translation jobs
+   */
+  listJobs = this.asyncHandler(async (req, res) => {
+    const result = await this.translationJobService.listJobs(
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /:id - Get job progress and cost summary
+   */
+  getJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.translationJobService.getJob(id);
+    return this.sendSuccess(res, job);
+  });
+
+  /**
+   * POST /:id/pause - Pause a queued or running job
+   */
+  pauseJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.translationJobService.pauseJob(id);
+    return this.sendSuccess(res, job);
+  });
+
+  /**
+   * POST /:id/resume - Resume a paused job
+   */
+  resumeJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.translationJobService.resumeJob(
+      id,
+      this.getBody(req)
+    );
+    return this.sendSuccess(res, job);
+  });
+
+  /**
+   * POST /:id/cancel - Cancel a job
+   */
+  cancelJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.translationJobService.cancelJob(id);
+    return this.sendSuccess(res, job);
+  });
+}
+
+export default TranslationJobController;
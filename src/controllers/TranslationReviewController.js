@@ -0,0 +1,74 @@
+import { BaseController } from "./BaseController.js";
+import TranslationReviewService from "../services/TranslationReviewService.js";
+
+/**
+ * TranslationReviewController
+ * Handles review of machine translations HTTP requests (admin only)
+ */
+class TranslationReviewController extends BaseController {
+  constructor(translationReviewService = null) {
+    super();
+    this.translationReviewService =
+      translationReviewService || new TranslationReviewService();
+  }
+
+  /**
+   * GET / - List translated senses and examples to review
+   */
+  listQueue = this.asyncHandler(async (req, res) => {
+    const result = await this.translationReviewService.listQueue(
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /approve - Mark translations as checked
+   */
+  approve = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { kind, ids, language } = this.getBody(req);
+    const result = await this.translationReviewService.approve(
+      userId,
+      kind,
+      ids,
+      language
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /reject - Clear translations so they are translated again
+   */
+  reject = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { kind, ids, note, language } = this.getBody(req);
+    const result = await this.translationReviewService.reject(
+      userId,
+      kind,
+      ids,
+      note,
+      language
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * PATCH /:kind/:id - Correct a translation
+   */
+  edit = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { kind, id } = this.getParams(req);
+    const { language, ...translation } = this.getBody(req);
+    const item = await this.translationReviewService.edit(
+      userId,
+      kind,
+      id,
+      translation,
+      language
+    );
+    return this.sendSuccess(res, item);
+  });
+}
+
+export default TranslationReviewController;
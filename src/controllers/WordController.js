@@ -1,21 +1,55 @@
 import { BaseController } from "./BaseController.js";
 import WordService from "../services/WordService.js";
+import SpellingService from "../services/SpellingService.js";
 import CategoryRepository from "../repositories/CategoryRepository.js";
+import { pickLanguage } from "../utils/translationLanguages.js";
+import { HTTP_STATUS } from "../constants/index.js";
 
 class WordController extends BaseController {
-  constructor(wordService = null, categoryRepository = null) {
+  constructor(
+    wordService = null,
+    categoryRepository = null,
+    spellingService = null
+  ) {
     super();
     this.wordService = wordService || new WordService();
     this.categoryRepository = categoryRepository || new CategoryRepository();
+    this.spellingService = spellingService || new SpellingService();
   }
 
-  // GET /api/lookup?word=hang
+  // GET /api/lookup?word=hang&wait=true&lang=fr
+  // 202 with a poll URL while the word is still being crawled
   lookup = this.asyncHandler(async (req, res) => {
-    const { word } = this.getQuery(req);
-    const result = await this.wordService.getWord(word);
+    const { word, wait, lang } = this.getQuery(req);
+    const language = pickLanguage(lang, req.get("accept-language"));
+    const result = await this.wordService.getWord(word, { wait, language });
+
+    if (result.pending) {
+      const { pending, ...crawl } = result;
+      const pollUrl = `/api/lookup?word=${encodeURIComponent(
+        crawl.word
+      )}&wait=false`;
+      res.set("Location", pollUrl);
+      res.set("Retry-After", "2");
+      return this.sendSuccess(
+        res,
+        { ...crawl, poll_url: pollUrl },
+        null,
+        "Word is being crawled",
+        HTTP_STATUS.ACCEPTED
+      );
+    }
+
     return this.sendSuccess(res, result);
   });
 
+  // GET /api/suggest?q=recieve&limit=5
+  suggest = this.asyncHandler(async (req, res) => {
+    const { q, limit } = this.getQuery(req);
+    const result = await this.spellingService.suggest(q, { limit });
+    return this.sendSuccess(res, result.suggestions, { query: result.query });
+  });
+
   // GET /api/search?q=hang&type=prefix
   search = this.asyncHandler(async (req, res) => {
     const { q, page = 1, per_page = 100, type = "word" } = this.getQuery(req);
@@ -48,6 +82,26 @@ class WordController extends BaseController {
     });
   });
 
+  // GET /api/search/full-text?q=&symbol=&parts_of_speech=&page=&per_page=
+  fullTextSearch = this.asyncHandler(async (req, res) => {
+    const { q, symbol, parts_of_speech, page, per_page } = this.getQuery(req);
+
+    const result = await this.wordService.fullTextSearch({
+      q,
+      symbol,
+      parts_of_speech,
+      page,
+      per_page,
+    });
+
+    return this.sendSuccess(res, result.data, {
+      q,
+      total: result.total,
+      page: result.page,
+      per_page: result.per_page,
+    });
+  });
+
   // GET /api/all?page=&per_page=
   listAll = this.asyncHandler(async (req, res) => {
     const {
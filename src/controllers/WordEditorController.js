@@ -0,0 +1,80 @@
+import { BaseController } from "./BaseController.js";
+import WordEditorService from "../services/WordEditorService.js";
+
+/**
+ * WordEditorController
+ * Handles admin word editing and revision HTTP requests
+ */
+class WordEditorController extends BaseController {
+  constructor(wordEditorService = null) {
+    super();
+    this.wordEditorService = wordEditorService || new WordEditorService();
+  }
+
+  /**
+   * GET /:word - Editable fields and current revision
+   */
+  getWord = this.asyncHandler(async (req, res) => {
+    const { word } = this.getParams(req);
+    const result = await this.wordEditorService.getWord(word);
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * PATCH /:word - Apply changes as a new revision
+   */
+  editWord = this.asyncHandler(async (req, res) => {
+    const { word } = this.getParams(req);
+    const result = await this.wordEditorService.editWord(
+      this.getUserId(req),
+      word,
+      this.getBody(req)
+    );
+    return this.sendSuccess(res, result, null, "Word updated");
+  });
+
+  /**
+   * GET /:word/revisions - List revisions
+   */
+  listRevisions = this.asyncHandler(async (req, res) => {
+    const { word } = this.getParams(req);
+    const result = await this.wordEditorService.listRevisions(
+      word,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result.data, {
+      total: result.total,
+      page: result.page,
+      per_page: result.per_page,
+    });
+  });
+
+  /**
+   * GET /:word/revisions/:revision - Revision with its diff
+   */
+  getRevision = this.asyncHandler(async (req, res) => {
+    const { word, revision } = this.getParams(req);
+    const result = await this.wordEditorService.getRevision(
+      word,
+      revision,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /:word/revisions/:revision/rollback - Restore a revision
+   */
+  rollback = this.asyncHandler(async (req, res) => {
+    const { word, revision } = this.getParams(req);
+    const result = await this.wordEditorService.rollback(
+      this.getUserId(req),
+      word,
+      revision,
+      this.getBody(req)
+    );
+    return this.sendSuccess(res, result, null, "Word rolled back");
+  });
+}
+
+export default WordEditorController;
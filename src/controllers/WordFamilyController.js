@@ -0,0 +1,63 @@
+import { BaseController } from "./BaseController.js";
+import WordFamilyService from "../services/WordFamilyService.js";
+
+/**
+ * WordFamilyController
+ * Handles word family suggestion HTTP requests (admin only)
+ */
+class WordFamilyController extends BaseController {
+  constructor(wordFamilyService = null) {
+    super();
+    this.wordFamilyService = wordFamilyService || new WordFamilyService();
+  }
+
+  /**
+   * POST /suggestions/generate - Run the morphology analyser
+   */
+  generateSuggestions = this.asyncHandler(async (req, res) => {
+    const result = await this.wordFamilyService.generateSuggestions(
+      this.getBody(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /suggestions - List suggestions
+   */
+  listSuggestions = this.asyncHandler(async (req, res) => {
+    const result = await this.wordFamilyService.listSuggestions(
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result.data, {
+      total: result.total,
+      page: result.page,
+      per_page: result.per_page,
+    });
+  });
+
+  /**
+   * POST /suggestions/accept - Assign the proposed roots
+   */
+  acceptSuggestions = this.asyncHandler(async (req, res) => {
+    const { ids } = this.getBody(req);
+    const result = await this.wordFamilyService.acceptSuggestions(
+      this.getUserId(req),
+      ids
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /suggestions/reject - Dismiss suggestions
+   */
+  rejectSuggestions = this.asyncHandler(async (req, res) => {
+    const { ids } = this.getBody(req);
+    const result = await this.wordFamilyService.rejectSuggestions(
+      this.getUserId(req),
+      ids
+    );
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default WordFamilyController;
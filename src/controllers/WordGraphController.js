@@ -0,0 +1,51 @@
+import { BaseController } from "./BaseController.js";
+import WordGraphService from "../services/WordGraphService.js";
+
+/**
+ * WordGraphController
+ * Handles synonym / opposite / see-also graph HTTP requests
+ */
+class WordGraphController extends BaseController {
+  constructor(wordGraphService = null) {
+    super();
+    this.wordGraphService = wordGraphService || new WordGraphService();
+  }
+
+  /**
+   * GET /path - Shortest chain of relations between two words
+   */
+  getPath = this.asyncHandler(async (req, res) => {
+    const { from, to, ...options } = this.getQuery(req);
+    const result = await this.wordGraphService.findPath(from, to, options);
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /:word/neighbours - Words related to a word
+   */
+  getNeighbours = this.asyncHandler(async (req, res) => {
+    const { word } = this.getParams(req);
+    const result = await this.wordGraphService.getNeighbours(
+      word,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result.neighbours, {
+      word: result.word,
+      resolved: result.resolved,
+    });
+  });
+
+  /**
+   * GET /:word/subgraph - Nodes and edges around a word
+   */
+  getSubgraph = this.asyncHandler(async (req, res) => {
+    const { word } = this.getParams(req);
+    const result = await this.wordGraphService.getSubgraph(
+      word,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default WordGraphController;
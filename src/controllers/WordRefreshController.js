@@ -0,0 +1,65 @@
+import { BaseController } from "./BaseController.js";
+import WordRefreshService from "../services/WordRefreshService.js";
+
+/**
+ * WordRefreshController
+ * Handles word refresh job HTTP requests (admin only)
+ */
+class WordRefreshController extends BaseController {
+  constructor(wordRefreshService = null) {
+    super();
+    this.wordRefreshService = wordRefreshService || new WordRefreshService();
+  }
+
+  /**
+   * POST /jobs - Start a re-crawl or re-parse job
+   */
+  createJob = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const job = await this.wordRefreshService.createJob(
+      userId,
+      this.getBody(req)
+    );
+    return this.sendCreated(res, job);
+  });
+
+  /**
+   * GET /jobs - List refresh jobs
+   */
+  listJobs = this.asyncHandler(async (req, res) => {
+    const result = await this.wordRefreshService.listJobs(this.getQuery(req));
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * GET /jobs/:id - Get job progress
+   */
+  getJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.wordRefreshService.getJob(id);
+    return this.sendSuccess(res, job);
+  });
+
+  /**
+   * GET /jobs/:id/results - Get per-word results with diff reports
+   */
+  getJobResults = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const result = await this.wordRefreshService.getJobResults(
+      id,
+      this.getQuery(req)
+    );
+    return this.sendSuccess(res, result);
+  });
+
+  /**
+   * POST /jobs/:id/cancel - Cancel a queued or running job
+   */
+  cancelJob = this.asyncHandler(async (req, res) => {
+    const { id } = this.getParams(req);
+    const job = await this.wordRefreshService.cancelJob(id);
+    return this.sendSuccess(res, job);
+  });
+}
+
+export default WordRefreshController;
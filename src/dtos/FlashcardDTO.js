@@ -4,14 +4,34 @@
  */
 
 import { BaseDTO } from "./BaseDTO.js";
+import { WordLookupDTO } from "./WordDTO.js";
+import {
+  SCHEDULER_DEFAULTS,
+  LEECH_DEFAULTS,
+  SYNC_DEFAULTS,
+} from "../constants/index.js";
 
 function getStat(flashcards) {
   const total = flashcards.length || 0;
   let newly = 0;
   let learning = 0;
   let mastered = 0;
+  let suspended = 0;
+  let leeches = 0;
+  let archived = 0;
 
   for (const fc of flashcards) {
+    // Archived cards left the source group_word; they count only as archived
+    if (fc.archived) {
+      archived += 1;
+      continue;
+    }
+    if (fc.is_leech) leeches += 1;
+    // Suspended cards are counted on their own, not under their status
+    if (fc.suspended) {
+      suspended += 1;
+      continue;
+    }
     const status = fc.status || (fc.progress ? "learning" : "new");
     // Normalize possible status values
     if (status === "new") newly += 1;
@@ -19,7 +39,15 @@ function getStat(flashcards) {
     else learning += 1;
   }
 
-  return { total, new: newly, learning, mastered };
+  return {
+    total,
+    new: newly,
+    learning,
+    mastered,
+    suspended,
+    leeches,
+    archived,
+  };
 }
 
 /**
@@ -30,9 +58,10 @@ export class FlashcardDTO extends BaseDTO {
     const { data } = this;
 
     // Calculate is_due_for_review
-    const isDueForReview = data.progress?.next_review_at
-      ? new Date(data.progress.next_review_at) <= new Date()
-      : false;
+    const isDueForReview =
+      !data.suspended && !data.archived && data.progress?.next_review_at
+        ? new Date(data.progress.next_review_at) <= new Date()
+        : false;
 
     return this.removeEmpty({
       _id: this.toStringId(data._id),
@@ -44,10 +73,23 @@ export class FlashcardDTO extends BaseDTO {
             times_shown: data.progress.times_shown || 0,
             times_correct: data.progress.times_correct || 0,
             accuracy: data.progress.accuracy || 0,
+            first_reviewed_at: this.formatDate(data.progress.first_reviewed_at),
             last_reviewed_at: this.formatDate(data.progress.last_reviewed_at),
             next_review_at: this.formatDate(data.progress.next_review_at),
+            reps: data.progress.reps || 0,
+            lapses: data.progress.lapses || 0,
+            interval: data.progress.interval || 0,
+            ease_factor: data.progress.ease_factor ?? null,
+            stability: data.progress.stability ?? null,
+            difficulty: data.progress.difficulty ?? null,
+            last_rating: data.progress.last_rating || null,
           }
         : null,
+      is_leech: data.is_leech || false,
+      leeched_at: this.formatDate(data.leeched_at),
+      suspended: data.suspended || false,
+      archived: data.archived || false,
+      archived_at: this.formatDate(data.archived_at),
       is_due_for_review: isDueForReview,
       created_at: this.formatDate(data.createdAt),
       updated_at: this.formatDate(data.updatedAt),
@@ -55,6 +97,66 @@ export class FlashcardDTO extends BaseDTO {
   }
 }
 
+/**
+ * Review Log DTO - One stored review with the state before and after it
+ */
+export class ReviewLogDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+    const state = (s) =>
+      s
+        ? {
+            status: s.status,
+            progress: s.progress
+              ? new FlashcardDTO({ progress: s.progress }).transform().progress
+              : null,
+            is_leech: s.is_leech || false,
+            suspended: s.suspended || false,
+          }
+        : null;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      flashcard_id: this.toStringId(data.flashcard_id),
+      flashcard_group_id: this.toStringId(data.flashcard_group_id),
+      word_id: data.word_id,
+      rating: data.rating,
+      scheduler: data.scheduler,
+      previous_state: state(data.previous_state),
+      new_state: state(data.new_state),
+      response_time_ms: data.response_time_ms,
+      client_reviewed_at: this.formatDate(data.client_reviewed_at),
+      reviewed_at: this.formatDate(data.reviewed_at),
+      undone_at: this.formatDate(data.undone_at),
+    });
+  }
+}
+
+/**
+ * Review Queue Card DTO - Flashcard with its group name and word details
+ */
+export class ReviewQueueCardDTO extends FlashcardDTO {
+  transform() {
+    const { data } = this;
+    const word = data.word;
+
+    return this.removeEmpty({
+      ...super.transform(),
+      flashcard_group_name: data.flashcard_group_name,
+      word: word
+        ? new WordLookupDTO({
+            word: word._id,
+            quantity: Array.isArray(word.data) ? word.data.length : 0,
+            data: word.data,
+            variants: word.variants,
+            symbol: word.symbol,
+            parts_of_speech: word.parts_of_speech,
+          }).transform()
+        : null,
+    });
+  }
+}
+
 /**
  * Flashcard Group DTO
  */
@@ -66,6 +168,8 @@ export class FlashcardGroupDTO extends BaseDTO {
     const isDueForReview = data.flashcards_data
       ? data.flashcards_data.some((flashcard) => {
           return (
+            !flashcard.suspended &&
+            !flashcard.archived &&
             flashcard.progress?.next_review_at &&
             new Date(flashcard.progress.next_review_at) <= new Date()
           );
@@ -79,6 +183,15 @@ export class FlashcardGroupDTO extends BaseDTO {
       description: data.description,
       source_type: data.source_type,
       source_id: this.toStringId(data.source_id),
+      scheduler: data.scheduler || SCHEDULER_DEFAULTS.TYPE,
+      scheduler_params: data.scheduler_params || {},
+      leech_threshold: data.leech_threshold || LEECH_DEFAULTS.THRESHOLD,
+      leech_action: data.leech_action || LEECH_DEFAULTS.ACTION,
+      auto_sync: data.auto_sync ?? SYNC_DEFAULTS.AUTO_SYNC,
+      sync_mode: data.sync_mode || SYNC_DEFAULTS.MODE,
+      sync_removal_action:
+        data.sync_removal_action || SYNC_DEFAULTS.REMOVAL_ACTION,
+      last_synced_at: this.formatDate(data.last_synced_at),
       is_due_for_review: isDueForReview,
       stat: getStat(data.flashcards_data || data.flashcards || []),
       created_at: this.formatDate(data.createdAt),
@@ -101,6 +214,15 @@ export class FlashcardGroupDetailDTO extends BaseDTO {
       description: data.description,
       source_type: data.source_type,
       source_id: this.toStringId(data.source_id),
+      scheduler: data.scheduler || SCHEDULER_DEFAULTS.TYPE,
+      scheduler_params: data.scheduler_params || {},
+      leech_threshold: data.leech_threshold || LEECH_DEFAULTS.THRESHOLD,
+      leech_action: data.leech_action || LEECH_DEFAULTS.ACTION,
+      auto_sync: data.auto_sync ?? SYNC_DEFAULTS.AUTO_SYNC,
+      sync_mode: data.sync_mode || SYNC_DEFAULTS.MODE,
+      sync_removal_action:
+        data.sync_removal_action || SYNC_DEFAULTS.REMOVAL_ACTION,
+      last_synced_at: this.formatDate(data.last_synced_at),
       stat: getStat(data.flashcards_data || data.flashcards || []),
       flashcards: data.flashcards
         ? BaseDTO.transformMany(data.flashcards, FlashcardDTO)
@@ -114,6 +236,8 @@ export class FlashcardGroupDetailDTO extends BaseDTO {
 
 export default {
   FlashcardDTO,
+  ReviewLogDTO,
+  ReviewQueueCardDTO,
   FlashcardGroupDTO,
   FlashcardGroupDetailDTO,
 };
@@ -0,0 +1,56 @@
+/**
+ * Glossary Data Transfer Objects
+ * Transform glossary terms and flagged translations for API responses
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+
+/**
+ * Glossary Term DTO
+ */
+export class GlossaryTermDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      term: data.term,
+      preferred: data.preferred,
+      forbidden: data.forbidden || [],
+      note: data.note,
+      created_by: this.toStringId(data.created_by),
+      created_at: this.formatDate(data.createdAt),
+      updated_at: this.formatDate(data.updatedAt),
+    });
+  }
+}
+
+/**
+ * Glossary Violation DTO - A translated sense or example that broke the
+ * glossary
+ */
+export class GlossaryViolationDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      kind: data.kind,
+      item_id: this.toStringId(data.item_id),
+      word: data.word,
+      source: data.source,
+      translation: data.translation,
+      violations: data.violations || [],
+      status: data.status,
+      resolved_by: this.toStringId(data.resolved_by),
+      resolved_at: this.formatDate(data.resolved_at),
+      created_at: this.formatDate(data.createdAt),
+      updated_at: this.formatDate(data.updatedAt),
+    });
+  }
+}
+
+export default {
+  GlossaryTermDTO,
+  GlossaryViolationDTO,
+};
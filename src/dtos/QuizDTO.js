@@ -0,0 +1,62 @@
+import { BaseDTO } from "./BaseDTO.js";
+
+/**
+ * QuizQuestionDTO
+ * Answers are hidden until the question has been answered
+ */
+export class QuizQuestionDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+    const result = data.result
+      ? {
+          answer: data.result.answer,
+          correct: data.result.correct,
+          rating: data.result.rating,
+          distance: data.result.distance,
+          response_time_ms: data.result.response_time_ms,
+          answered_at: this.formatDate(data.result.answered_at),
+        }
+      : null;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      mode: data.mode,
+      word_id: result ? data.word_id : null,
+      prompt: data.prompt,
+      choices: data.choices,
+      expected: result ? data.answer : null,
+      result,
+    });
+  }
+}
+
+/**
+ * QuizDTO
+ * Transform quiz data for API responses
+ */
+export class QuizDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+    const questions = data.questions || [];
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      source_type: data.source_type,
+      source_id: this.toStringId(data.source_id),
+      mode: data.mode,
+      questions: BaseDTO.transformMany(questions, QuizQuestionDTO),
+      score: {
+        answered: data.answered_count || 0,
+        correct: data.correct_count || 0,
+        total: questions.length,
+      },
+      completed_at: this.formatDate(data.completed_at),
+      createdAt: this.formatDate(data.createdAt),
+    });
+  }
+}
+
+export default {
+  QuizQuestionDTO,
+  QuizDTO,
+};
@@ -0,0 +1,46 @@
+/**
+ * Translation Job Data Transfer Objects
+ * Transform translation jobs for API responses
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+import { TRANSLATION_LANGUAGE_DEFAULTS } from "../constants/index.js";
+
+/**
+ * Translation Job DTO - Word list omitted; progress, token usage and the
+ * estimated cost of the run
+ */
+export class TranslationJobDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      created_by: this.toStringId(data.created_by),
+      targets: data.targets || [],
+      language: data.language || TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+      filter: data.filter || {},
+      status: data.status,
+      paused_reason: data.paused_reason,
+      total: data.total || 0,
+      processed: data.processed || 0,
+      provider: data.provider,
+      model: data.model,
+      max_tokens: data.max_tokens,
+      batch_tokens: data.batch_tokens,
+      counts: data.counts || {},
+      usage: data.usage || {},
+      cost: data.cost,
+      errors: data.errors || [],
+      error: data.error,
+      started_at: this.formatDate(data.started_at),
+      finished_at: this.formatDate(data.finished_at),
+      created_at: this.formatDate(data.createdAt),
+      updated_at: this.formatDate(data.updatedAt),
+    });
+  }
+}
+
+export default {
+  TranslationJobDTO,
+};
@@ -0,0 +1,40 @@
+/**
+ * Translation Review Data Transfer Objects
+ * Transform translated senses and examples for the review queue
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+
+/**
+ * Translation Review Item DTO - A sense definition or an example with its
+ * translation and review state
+ */
+export class TranslationReviewItemDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+    const review = data.review || {};
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      kind: data.kind,
+      word: data.word,
+      symbol: data.symbol,
+      pos: data.pos,
+      idiom: data.idiom,
+      phrasal_verb: data.phrasal_verb,
+      definition: data.definition,
+      source: data.source,
+      language: data.language,
+      translation: data.translation || {},
+      status: data.status,
+      reviewed_by: this.toStringId(review.reviewed_by),
+      reviewed_at: this.formatDate(review.reviewed_at),
+      rejected_translation: review.rejected_translation,
+      note: review.note,
+    });
+  }
+}
+
+export default {
+  TranslationReviewItemDTO,
+};
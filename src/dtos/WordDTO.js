@@ -1,4 +1,6 @@
 import { BaseDTO } from "./BaseDTO.js";
+import { publicPages } from "../utils/translationReview.js";
+import { TRANSLATION_LANGUAGE_DEFAULTS } from "../constants/index.js";
 
 /**
  * WordListDTO
@@ -49,11 +51,16 @@ export class WordLookupDTO extends BaseDTO {
     return this.removeEmpty({
       word: this.data.word,
       quantity: this.data.quantity || 0,
-      data: this.data.data || [],
+      // Language of the `translation` of each sense and example
+      language: this.data.language || TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+      // Translations carry review: { status, reviewed_at }
+      data: publicPages(this.data.data, this.data.language),
       variants: this.data.variants || [],
       symbol: this.data.symbol || "",
       parts_of_speech: this.data.parts_of_speech || [],
       source: this.data.source || "database",
+      // { form, lemma, types, source, rule } when an inflected form was resolved
+      inflection: this.data.inflection,
     });
   }
 }
@@ -0,0 +1,33 @@
+/**
+ * Word Family Data Transfer Objects
+ * Transform root/child suggestions for API responses
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+
+/**
+ * Word Family Suggestion DTO - Proposed root of a word and how it was found
+ */
+export class WordFamilySuggestionDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      word_id: data.word_id,
+      root_id: data.root_id,
+      confidence: data.confidence,
+      steps: data.steps || [],
+      status: data.status,
+      error: data.error,
+      reviewed_by: this.toStringId(data.reviewed_by),
+      reviewed_at: this.formatDate(data.reviewed_at),
+      created_at: this.formatDate(data.createdAt),
+      updated_at: this.formatDate(data.updatedAt),
+    });
+  }
+}
+
+export default {
+  WordFamilySuggestionDTO,
+};
@@ -0,0 +1,55 @@
+/**
+ * Word Refresh Data Transfer Objects
+ * Transform word refresh jobs and their per-word results for API responses
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+
+/**
+ * Word Refresh Job DTO - Word list omitted, see results for per-word output
+ */
+export class WordRefreshJobDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      created_by: this.toStringId(data.created_by),
+      mode: data.mode,
+      filter: data.filter || {},
+      status: data.status,
+      total: data.total || 0,
+      processed: data.processed || 0,
+      counts: data.counts || {},
+      error: data.error,
+      started_at: this.formatDate(data.started_at),
+      finished_at: this.formatDate(data.finished_at),
+      created_at: this.formatDate(data.createdAt),
+      updated_at: this.formatDate(data.updatedAt),
+    });
+  }
+}
+
+/**
+ * Word Refresh Result DTO - Outcome and diff report for one word
+ */
+export class WordRefreshResultDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      job_id: this.toStringId(data.job_id),
+      word_id: data.word_id,
+      status: data.status,
+      diff: data.diff,
+      error: data.error,
+      created_at: this.formatDate(data.createdAt),
+    });
+  }
+}
+
+export default {
+  WordRefreshJobDTO,
+  WordRefreshResultDTO,
+};
@@ -0,0 +1,54 @@
+/**
+ * Word Revision Data Transfer Objects
+ * Transform admin-edited words and their revisions for API responses
+ */
+
+import { BaseDTO } from "./BaseDTO.js";
+import { toPlain } from "../utils/wordEdit.js";
+
+/**
+ * Word Revision DTO - Who changed what; diff and snapshot when loaded
+ */
+export class WordRevisionDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return this.removeEmpty({
+      _id: this.toStringId(data._id),
+      word_id: data.word_id,
+      revision: data.revision,
+      action: data.action,
+      author_id: this.toStringId(data.author_id),
+      comment: data.comment || null,
+      rolled_back_to: data.rolled_back_to,
+      changes_count: data.changes_count ?? 0,
+      diff: data.diff,
+      snapshot: data.snapshot ? toPlain(data.snapshot) : null,
+      created_at: this.formatDate(data.createdAt),
+    });
+  }
+}
+
+/**
+ * Edited Word DTO - Editable fields of a word and its current revision
+ */
+export class EditableWordDTO extends BaseDTO {
+  transform() {
+    const { data } = this;
+
+    return {
+      _id: data._id,
+      revision: data.revision || 0,
+      data: toPlain(data.data || []),
+      variants: data.variants || [],
+      symbol: data.symbol || "",
+      parts_of_speech: data.parts_of_speech || [],
+      updated_at: data.updatedAt ? this.formatDate(data.updatedAt) : null,
+    };
+  }
+}
+
+export default {
+  WordRevisionDTO,
+  EditableWordDTO,
+};
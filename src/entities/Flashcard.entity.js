@@ -3,6 +3,8 @@
  * Defines the structure for Flashcard documents
  */
 
+import { createInitialProgress } from "../utils/scheduler.js";
+
 export const FlashcardStatus = {
   NEW: "new",
   LEARNING: "learning",
@@ -15,13 +17,14 @@ export class FlashcardEntity {
     this.flashcard_group_id = data.flashcard_group_id || null;
     this.word_id = data.word_id || null;
     this.status = data.status || FlashcardStatus.NEW;
-    this.progress = data.progress || {
-      times_shown: 0,
-      times_correct: 0,
-      accuracy: 0,
-      last_reviewed_at: null,
-      next_review_at: null,
-    };
+    this.progress = data.progress || createInitialProgress();
+    this.is_leech = data.is_leech || false;
+    this.leeched_at = data.leeched_at || null;
+    // Suspended cards are kept but never shown in review queues
+    this.suspended = data.suspended || false;
+    // Archived by group sync when the word left the source group_word
+    this.archived = data.archived || false;
+    this.archived_at = data.archived_at || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -32,6 +35,11 @@ export class FlashcardEntity {
       word_id: this.word_id,
       status: this.status,
       progress: this.progress,
+      is_leech: this.is_leech,
+      leeched_at: this.leeched_at,
+      suspended: this.suspended,
+      archived: this.archived,
+      archived_at: this.archived_at,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -3,6 +3,16 @@
  * Defines the structure for FlashcardGroup documents
  */
 
+import {
+  SCHEDULER_TYPES,
+  SCHEDULER_DEFAULTS,
+  LEECH_ACTIONS,
+  LEECH_DEFAULTS,
+  SYNC_MODES,
+  SYNC_REMOVAL_ACTIONS,
+  SYNC_DEFAULTS,
+} from "../constants/index.js";
+
 export const FlashcardGroupSourceTypes = {
   GROUP_WORD: "group_word",
   MANUAL: "manual",
@@ -17,6 +27,16 @@ export class FlashcardGroupEntity {
     this.source_id = data.source_id || null;
     this.description = data.description || null;
     this.flashcards = data.flashcards || [];
+    this.scheduler = data.scheduler || SCHEDULER_DEFAULTS.TYPE;
+    this.scheduler_params = data.scheduler_params || {};
+    this.leech_threshold = data.leech_threshold || LEECH_DEFAULTS.THRESHOLD;
+    this.leech_action = data.leech_action || LEECH_DEFAULTS.ACTION;
+    // Sync settings only matter for groups created from a group_word
+    this.auto_sync = data.auto_sync ?? SYNC_DEFAULTS.AUTO_SYNC;
+    this.sync_mode = data.sync_mode || SYNC_DEFAULTS.MODE;
+    this.sync_removal_action =
+      data.sync_removal_action || SYNC_DEFAULTS.REMOVAL_ACTION;
+    this.last_synced_at = data.last_synced_at || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -29,6 +49,14 @@ export class FlashcardGroupEntity {
       source_id: this.source_id,
       description: this.description,
       flashcards: this.flashcards,
+      scheduler: this.scheduler,
+      scheduler_params: this.scheduler_params,
+      leech_threshold: this.leech_threshold,
+      leech_action: this.leech_action,
+      auto_sync: this.auto_sync,
+      sync_mode: this.sync_mode,
+      sync_removal_action: this.sync_removal_action,
+      last_synced_at: this.last_synced_at,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -56,7 +84,9 @@ export class FlashcardGroupEntity {
       !Object.values(FlashcardGroupSourceTypes).includes(this.source_type)
     ) {
       errors.push(
-        `Source type must be one of: ${Object.values(FlashcardGroupSourceTypes).join(", ")}`
+        `Source type must be one of: ${Object.values(
+          FlashcardGroupSourceTypes
+        ).join(", ")}`
       );
     }
 
@@ -64,10 +94,52 @@ export class FlashcardGroupEntity {
       errors.push("Flashcards must be an array");
     }
 
+    if (!Object.values(SCHEDULER_TYPES).includes(this.scheduler)) {
+      errors.push(
+        `Scheduler must be one of: ${Object.values(SCHEDULER_TYPES).join(", ")}`
+      );
+    }
+
+    if (!this.scheduler_params || typeof this.scheduler_params !== "object") {
+      errors.push("Scheduler params must be an object");
+    }
+
+    if (!Number.isInteger(this.leech_threshold) || this.leech_threshold < 1) {
+      errors.push("Leech threshold must be a positive integer");
+    }
+
+    if (!Object.values(LEECH_ACTIONS).includes(this.leech_action)) {
+      errors.push(
+        `Leech action must be one of: ${Object.values(LEECH_ACTIONS).join(
+          ", "
+        )}`
+      );
+    }
+
+    if (typeof this.auto_sync !== "boolean") {
+      errors.push("Auto sync must be a boolean");
+    }
+
+    // Preview is a one-off run, not a mode a group can follow
+    if (![SYNC_MODES.ADD_ONLY, SYNC_MODES.MIRROR].includes(this.sync_mode)) {
+      errors.push(
+        `Sync mode must be one of: ${SYNC_MODES.ADD_ONLY}, ${SYNC_MODES.MIRROR}`
+      );
+    }
+
+    if (
+      !Object.values(SYNC_REMOVAL_ACTIONS).includes(this.sync_removal_action)
+    ) {
+      errors.push(
+        `Sync removal action must be one of: ${Object.values(
+          SYNC_REMOVAL_ACTIONS
+        ).join(", ")}`
+      );
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
     };
   }
 }
-
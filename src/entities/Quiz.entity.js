@@ -0,0 +1,80 @@
+/**
+ * Quiz Entity Schema
+ * Defines the structure for Quiz documents
+ * Answers are stored server-side so they can be graded without trusting the client
+ */
+
+import { QUIZ_MODES, QUIZ_SOURCE_TYPES } from "../constants/index.js";
+
+export class QuizEntity {
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.user_id = data.user_id || null;
+    this.source_type = data.source_type || null;
+    this.source_id = data.source_id || null;
+    this.mode = data.mode || QUIZ_MODES.MIXED;
+    // [{ _id, mode, word_id, sense_id, flashcard_ids, prompt, choices, answer, accepted_answers, result }]
+    this.questions = data.questions || [];
+    this.answered_count = data.answered_count || 0;
+    this.correct_count = data.correct_count || 0;
+    this.completed_at = data.completed_at || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  toDocument() {
+    const doc = {
+      user_id: this.user_id,
+      source_type: this.source_type,
+      source_id: this.source_id,
+      mode: this.mode,
+      questions: this.questions,
+      answered_count: this.answered_count,
+      correct_count: this.correct_count,
+      completed_at: this.completed_at,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+
+    if (this._id) {
+      doc._id = this._id;
+    }
+
+    return doc;
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!this.user_id) {
+      errors.push("User ID is required");
+    }
+
+    if (!Object.values(QUIZ_SOURCE_TYPES).includes(this.source_type)) {
+      errors.push(
+        `Source type must be one of: ${Object.values(QUIZ_SOURCE_TYPES).join(
+          ", "
+        )}`
+      );
+    }
+
+    if (!this.source_id) {
+      errors.push("Source ID is required");
+    }
+
+    if (!Object.values(QUIZ_MODES).includes(this.mode)) {
+      errors.push(
+        `Mode must be one of: ${Object.values(QUIZ_MODES).join(", ")}`
+      );
+    }
+
+    if (!Array.isArray(this.questions) || this.questions.length === 0) {
+      errors.push("Quiz must have at least one question");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * ReviewLog Entity Schema
+ * Defines the structure for ReviewLog documents (one per flashcard review)
+ */
+
+import { REVIEW_RATINGS } from "../constants/index.js";
+
+export class ReviewLogEntity {
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.user_id = data.user_id || null;
+    this.flashcard_id = data.flashcard_id || null;
+    this.flashcard_group_id = data.flashcard_group_id || null;
+    this.word_id = data.word_id || null;
+    this.rating = data.rating || null;
+    this.scheduler = data.scheduler || null;
+    // { progress, status } before and after the review
+    this.previous_state = data.previous_state || null;
+    this.new_state = data.new_state || null;
+    this.response_time_ms = data.response_time_ms ?? null;
+    this.client_reviewed_at = data.client_reviewed_at || null;
+    this.reviewed_at = data.reviewed_at || new Date();
+    this.undone_at = data.undone_at || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  toDocument() {
+    const doc = {
+      user_id: this.user_id,
+      flashcard_id: this.flashcard_id,
+      flashcard_group_id: this.flashcard_group_id,
+      word_id: this.word_id,
+      rating: this.rating,
+      scheduler: this.scheduler,
+      previous_state: this.previous_state,
+      new_state: this.new_state,
+      response_time_ms: this.response_time_ms,
+      client_reviewed_at: this.client_reviewed_at,
+      reviewed_at: this.reviewed_at,
+      undone_at: this.undone_at,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+
+    if (this._id) {
+      doc._id = this._id;
+    }
+
+    return doc;
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!this.user_id) {
+      errors.push("User ID is required");
+    }
+
+    if (!this.flashcard_id) {
+      errors.push("Flashcard ID is required");
+    }
+
+    if (!this.flashcard_group_id) {
+      errors.push("Flashcard group ID is required");
+    }
+
+    if (!Object.values(REVIEW_RATINGS).includes(this.rating)) {
+      errors.push(
+        `Rating must be one of: ${Object.values(REVIEW_RATINGS).join(", ")}`
+      );
+    }
+
+    if (!this.previous_state || typeof this.previous_state !== "object") {
+      errors.push("Previous state must be an object");
+    }
+
+    if (!this.new_state || typeof this.new_state !== "object") {
+      errors.push("New state must be an object");
+    }
+
+    if (
+      this.response_time_ms !== null &&
+      (typeof this.response_time_ms !== "number" || this.response_time_ms < 0)
+    ) {
+      errors.push("Response time must be a non-negative number");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * TranslationJob Entity Schema
+ * Defines the structure for TranslationJob documents (one admin-triggered
+ * run that translates the untranslated senses and examples of a set of
+ * words)
+ */
+
+import {
+  TRANSLATION_JOB_STATUS,
+  TRANSLATION_JOB_TARGETS,
+  TRANSLATION_LANGUAGES,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+
+export class TranslationJobEntity {
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.created_by = data.created_by || null;
+    this.targets = data.targets || Object.values(TRANSLATION_JOB_TARGETS);
+    // Language the job translates into
+    this.language = data.language || TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE;
+    // { words } as requested
+    this.filter = data.filter || {};
+    // Words selected when the job was created, processed in order
+    this.word_ids = data.word_ids || [];
+    this.total = data.total ?? this.word_ids.length;
+    this.status = data.status || TRANSLATION_JOB_STATUS.QUEUED;
+    // Words done; a resumed job continues from here
+    this.processed = data.processed || 0;
+    // Token budget of the whole run (null: none) and of one model call
+    this.max_tokens = data.max_tokens ?? null;
+    this.batch_tokens = data.batch_tokens || null;
+    this.provider = data.provider || null;
+    this.model = data.model || null;
+    this.counts = data.counts || {
+      definitions: 0,
+      examples: 0,
+      failed_words: 0,
+    };
+    this.usage = data.usage || {
+      calls: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      memory_hits: 0,
+      memory_misses: 0,
+      saved_tokens: 0,
+    };
+    // Latest failures: [{ word_id, error, at }]
+    this.errors = data.errors || [];
+    this.paused_reason = data.paused_reason || null;
+    this.error = data.error || null;
+    this.started_at = data.started_at || null;
+    this.finished_at = data.finished_at || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  toDocument() {
+    const doc = {
+      created_by: this.created_by,
+      targets: this.targets,
+      language: this.language,
+      filter: this.filter,
+      word_ids: this.word_ids,
+      total: this.total,
+      status: this.status,
+      processed: this.processed,
+      max_tokens: this.max_tokens,
+      batch_tokens: this.batch_tokens,
+      provider: this.provider,
+      model: this.model,
+      counts: this.counts,
+      usage: this.usage,
+      errors: this.errors,
+      paused_reason: this.paused_reason,
+      error: this.error,
+      started_at: this.started_at,
+      finished_at: this.finished_at,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+
+    if (this._id) {
+      doc._id = this._id;
+    }
+
+    return doc;
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!this.created_by) {
+      errors.push("Creator ID is required");
+    }
+
+    const targets = Object.values(TRANSLATION_JOB_TARGETS);
+    if (
+      !Array.isArray(this.targets) ||
+      this.targets.length === 0 ||
+      !this.targets.every((t) => targets.includes(t))
+    ) {
+      errors.push(`Targets must be some of: ${targets.join(", ")}`);
+    }
+
+    const languages = Object.values(TRANSLATION_LANGUAGES);
+    if (!languages.includes(this.language)) {
+      errors.push(`Language must be one of: ${languages.join(", ")}`);
+    }
+
+    if (!Object.values(TRANSLATION_JOB_STATUS).includes(this.status)) {
+      errors.push(
+        `Status must be one of: ${Object.values(TRANSLATION_JOB_STATUS).join(
+          ", "
+        )}`
+      );
+    }
+
+    if (!Array.isArray(this.word_ids) || this.word_ids.length === 0) {
+      errors.push("Word IDs must be a non-empty array");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
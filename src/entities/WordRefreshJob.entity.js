@@ -0,0 +1,91 @@
+/**
+ * WordRefreshJob Entity Schema
+ * Defines the structure for WordRefreshJob documents (one admin-triggered
+ * re-crawl / re-parse run over a set of words)
+ */
+
+import {
+  WORD_REFRESH_MODES,
+  WORD_REFRESH_JOB_STATUS,
+  WORD_REFRESH_RESULT_STATUS,
+} from "../constants/index.js";
+
+export class WordRefreshJobEntity {
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.created_by = data.created_by || null;
+    this.mode = data.mode || null;
+    // { older_than_days, parser_version_below, words } as requested
+    this.filter = data.filter || {};
+    // Words selected when the job was created, processed in order
+    this.word_ids = data.word_ids || [];
+    this.total = data.total ?? this.word_ids.length;
+    this.status = data.status || WORD_REFRESH_JOB_STATUS.QUEUED;
+    this.processed = data.processed || 0;
+    this.counts =
+      data.counts ||
+      Object.fromEntries(
+        Object.values(WORD_REFRESH_RESULT_STATUS).map((s) => [s, 0])
+      );
+    this.error = data.error || null;
+    this.started_at = data.started_at || null;
+    this.finished_at = data.finished_at || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  toDocument() {
+    const doc = {
+      created_by: this.created_by,
+      mode: this.mode,
+      filter: this.filter,
+      word_ids: this.word_ids,
+      total: this.total,
+      status: this.status,
+      processed: this.processed,
+      counts: this.counts,
+      error: this.error,
+      started_at: this.started_at,
+      finished_at: this.finished_at,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+
+    if (this._id) {
+      doc._id = this._id;
+    }
+
+    return doc;
+  }
+
+  validate() {
+    const errors = [];
+
+    if (!this.created_by) {
+      errors.push("Creator ID is required");
+    }
+
+    if (!Object.values(WORD_REFRESH_MODES).includes(this.mode)) {
+      errors.push(
+        `Mode must be one of: ${Object.values(WORD_REFRESH_MODES).join(", ")}`
+      );
+    }
+
+    if (!Object.values(WORD_REFRESH_JOB_STATUS).includes(this.status)) {
+      errors.push(
+        `Status must be one of: ${Object.values(WORD_REFRESH_JOB_STATUS).join(
+          ", "
+        )}`
+      );
+    }
+
+    if (!Array.isArray(this.word_ids) || this.word_ids.length === 0) {
+      errors.push("Word IDs must be a non-empty array");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
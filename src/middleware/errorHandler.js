@@ -32,7 +32,8 @@ export default function errorHandler(err, req, res, next) {
   const errorResponse = {
     success: false,
     status_code: statusCode,
-    data: null,
+    // Operational errors may carry details for the client (e.g. suggestions)
+    data: (err.isOperational && err.data) || null,
     message: isDevelopment
       ? message
       : statusCode >= 500
@@ -53,7 +54,12 @@ export default function errorHandler(err, req, res, next) {
 
   // Use custom error response if available
   if (res && typeof res.apiError === "function") {
-    return res.apiError(errorResponse.message, statusCode, errorCode);
+    return res.apiError(
+      errorResponse.message,
+      statusCode,
+      errorCode,
+      errorResponse.data
+    );
   }
 
   res.status(statusCode).json(errorResponse);
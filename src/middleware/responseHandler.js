@@ -50,12 +50,13 @@ export default function responseHandler(req, res, next) {
   res.apiError = function (
     message = "Internal server error",
     status = 500,
-    errorCode = ""
+    errorCode = "",
+    data = null
   ) {
     const envelope = {
       success: false,
       status_code: status,
-      data: null,
+      data,
       message: message || "Internal server error",
       error_code: errorCode || "",
     };
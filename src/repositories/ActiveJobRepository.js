@@ -0,0 +1,116 @@
+/**
+ * ActiveJob Repository
+ * Base for background job collections where only one job may be active
+ * (queued or running) at a time. Active jobs carry active: true, kept in
+ * step with their status on every write; a partial unique index on it
+ * makes a second active job fail to be written instead of racing a check.
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { ConflictError } from "../errors/AppError.js";
+
+export class ActiveJobRepository extends BaseRepository {
+  /**
+   * @param {string} collectionName - Collection of the jobs
+   * @param {Array<string>} activeStatuses - Statuses of an active job
+   * @param {string} label - Job name in conflict messages ("Translation job")
+   */
+  constructor(collectionName, activeStatuses, label) {
+    super(collectionName);
+    this.activeStatuses = activeStatuses;
+    this.label = label;
+  }
+
+  /**
+   * Create the index allowing one active job
+   */
+  async createActiveIndex() {
+    await this.collection.createIndex(
+      { active: 1 },
+      {
+        name: "one_active_job",
+        unique: true,
+        partialFilterExpression: { active: true },
+      }
+    );
+  }
+
+  /**
+   * Find the job that is queued or running, if any
+   */
+  async findActive() {
+    return await this.findOne({ status: { $in: this.activeStatuses } });
+  }
+
+  /**
+   * Insert a job
+   * @throws {ConflictError} When it is active and another job already is
+   */
+  async insertOne(document) {
+    await this.init();
+
+    const doc = this.activeStatuses.includes(document.status)
+      ? { ...document, active: true }
+      : document;
+    try {
+      const result = await this.collection.insertOne(doc);
+      return { ...doc, _id: result.insertedId };
+    } catch (error) {
+      throw await this.mapActiveConflict(error);
+    }
+  }
+
+  /**
+   * Make an inactive job active again, if it still has the given status
+   * @param {ObjectId} jobId - Job ID
+   * @param {string} fromStatus - Status the job must still have
+   * @param {Object} fields - Fields to set, with the new active status
+   * @returns {Promise<boolean>} false when the job no longer had fromStatus
+   * @throws {ConflictError} When another job is active
+   */
+  async activate(jobId, fromStatus, fields) {
+    await this.init();
+
+    try {
+      const result = await this.collection.updateOne(
+        { _id: jobId, status: fromStatus },
+        { $set: { ...fields, active: true, updatedAt: new Date() } }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      throw await this.mapActiveConflict(error);
+    }
+  }
+
+  async updateOne(query, update, options = {}) {
+    return await super.updateOne(query, this.withActiveFlag(update), options);
+  }
+
+  async updateMany(query, update, options = {}) {
+    return await super.updateMany(query, this.withActiveFlag(update), options);
+  }
+
+  /**
+   * Set or clear the active flag of an update that sets the status
+   */
+  withActiveFlag(update) {
+    const status = update.$set?.status;
+    if (status === undefined) return update;
+    if (this.activeStatuses.includes(status)) {
+      return { ...update, $set: { ...update.$set, active: true } };
+    }
+    return { ...update, $unset: { ...update.$unset, active: "" } };
+  }
+
+  async mapActiveConflict(error) {
+    if (error.code !== 11000) return error;
+    const active = await this.findActive();
+    return new ConflictError(
+      active
+        ? `${this.label} ${active._id} is still ${active.status}`
+        : `Another ${this.label.toLowerCase()} is active`
+    );
+  }
+}
+
+export default ActiveJobRepository;
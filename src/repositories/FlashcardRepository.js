@@ -5,7 +5,7 @@
 
 import { BaseRepository } from "./BaseRepository.js";
 import { FlashcardEntity } from "../entities/Flashcard.entity.js";
-import { COLLECTIONS } from "../constants/index.js";
+import { COLLECTIONS, FLASHCARD_STATUS } from "../constants/index.js";
 import { ValidationError } from "../errors/AppError.js";
 
 export class FlashcardRepository extends BaseRepository {
@@ -21,6 +21,11 @@ export class FlashcardRepository extends BaseRepository {
       await this.collection.createIndex({ flashcard_group_id: 1 });
       await this.collection.createIndex({ flashcard_group_id: 1, word_id: 1 });
       await this.collection.createIndex({ word_id: 1 });
+      await this.collection.createIndex({
+        flashcard_group_id: 1,
+        status: 1,
+        "progress.next_review_at": 1,
+      });
       console.log("✅ Flashcard indexes created successfully");
     } catch (error) {
       console.error("⚠️ Flashcard index creation failed:", error.message);
@@ -47,5 +52,69 @@ export class FlashcardRepository extends BaseRepository {
 
     return await this.insertOne(entity.toDocument());
   }
+
+  /**
+   * Count flashcards per group and status; archived and suspended cards are
+   * counted under "archived" / "suspended" instead of their status
+   * @param {Array<ObjectId>} groupIds - Flashcard group IDs
+   * @returns {Promise<Array>} [{ _id: { flashcard_group_id, status }, count }]
+   */
+  async countByGroupAndStatus(groupIds) {
+    return await this.aggregate([
+      { $match: { flashcard_group_id: { $in: groupIds } } },
+      {
+        $group: {
+          _id: {
+            flashcard_group_id: "$flashcard_group_id",
+            status: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$archived", true] }, then: "archived" },
+                  { case: { $eq: ["$suspended", true] }, then: "suspended" },
+                ],
+                default: "$status",
+              },
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Count studied cards by due day; overdue cards are counted on `from`
+   * @param {Array<ObjectId>} groupIds - Flashcard group IDs
+   * @param {Date} from - Start of the first day
+   * @param {Date} until - Exclusive upper bound of next_review_at
+   * @param {string} timezone - IANA timezone used to bucket days
+   * @returns {Promise<Array>} [{ _id: "YYYY-MM-DD", count }] sorted by day
+   */
+  async countDueByDay(groupIds, from, until, timezone) {
+    return await this.aggregate([
+      {
+        $match: {
+          flashcard_group_id: { $in: groupIds },
+          status: { $ne: FLASHCARD_STATUS.NEW },
+          suspended: { $ne: true },
+          archived: { $ne: true },
+          "progress.next_review_at": { $lt: until },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: { $max: ["$progress.next_review_at", from] },
+              timezone,
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+  }
 }
 export default FlashcardRepository;
@@ -0,0 +1,93 @@
+/**
+ * GlossaryTerm Repository
+ * English terms with their preferred and forbidden Vietnamese renderings
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+import { ConflictError } from "../errors/AppError.js";
+
+export class GlossaryTermRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.GLOSSARY_TERMS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ term_key: 1 }, { unique: true });
+      console.log("✅ GlossaryTerm indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ GlossaryTerm index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Store a term
+   * @throws {ConflictError} When the term is already in the glossary
+   */
+  async create(data) {
+    await this.init();
+
+    const now = new Date();
+    const doc = { ...data, createdAt: now, updatedAt: now };
+    try {
+      const result = await this.collection.insertOne(doc);
+      return { ...doc, _id: result.insertedId };
+    } catch (error) {
+      throw this.mapDuplicate(error, data.term);
+    }
+  }
+
+  /**
+   * Update a term
+   * @throws {ConflictError} When renamed to a term already in the glossary
+   * @returns {Promise<Object|null>} Updated term
+   */
+  async update(id, fields) {
+    await this.init();
+
+    try {
+      return await this.collection.findOneAndUpdate(
+        { _id: this.toObjectId(id) },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      throw this.mapDuplicate(error, fields.term);
+    }
+  }
+
+  mapDuplicate(error, term) {
+    return error.code === 11000
+      ? new ConflictError(`"${term}" is already in the glossary`)
+      : error;
+  }
+
+  /**
+   * Every term (the glossary is small and matched in memory)
+   */
+  async findAll() {
+    await this.init();
+    return await this.collection.find({}).sort({ term_key: 1 }).toArray();
+  }
+
+  /**
+   * Paginate terms, optionally by a prefix of the term
+   * @param {Object} options - { q, page, per_page }
+   */
+  async findFiltered({ q, page = 1, per_page = 50 } = {}) {
+    const query = {};
+    if (q) {
+      const safeQ = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.term_key = { $regex: `^${safeQ}` };
+    }
+    return await this.paginate(query, page, per_page, {
+      sort: { term_key: 1 },
+    });
+  }
+}
+
+export default GlossaryTermRepository;
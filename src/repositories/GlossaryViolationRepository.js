@@ -0,0 +1,82 @@
+/**
+ * GlossaryViolation Repository
+ * Translations flagged for breaking the glossary, one document per
+ * translated sense or example, waiting for review
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS, GLOSSARY_VIOLATION_STATUS } from "../constants/index.js";
+
+export class GlossaryViolationRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.GLOSSARY_VIOLATIONS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex(
+        { kind: 1, item_id: 1 },
+        { unique: true }
+      );
+      await this.collection.createIndex({ status: 1, updatedAt: -1 });
+      await this.collection.createIndex({ word: 1 });
+      console.log("✅ GlossaryViolation indexes created successfully");
+    } catch (error) {
+      console.error(
+        "⚠️ GlossaryViolation index creation failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Flag translations; an item flagged again is reopened with its latest
+   * translation
+   * @param {Array<{ kind, item_id, word, source, translation, violations }>} flags
+   */
+  async upsertOpen(flags) {
+    await this.init();
+    if (flags.length === 0) return;
+
+    const now = new Date();
+    await this.collection.bulkWrite(
+      flags.map(({ kind, item_id, ...fields }) => ({
+        updateOne: {
+          filter: { kind, item_id },
+          update: {
+            $set: {
+              ...fields,
+              status: GLOSSARY_VIOLATION_STATUS.OPEN,
+              resolved_by: null,
+              resolved_at: null,
+              updatedAt: now,
+            },
+            $setOnInsert: { createdAt: now },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Paginate flags (newest first)
+   * @param {Object} options - { status, word, term, page, per_page }
+   */
+  async findFiltered({ status, word, term, page = 1, per_page = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (word) query.word = word;
+    if (term) query["violations.term"] = term;
+
+    return await this.paginate(query, page, per_page, {
+      sort: { updatedAt: -1 },
+    });
+  }
+}
+
+export default GlossaryViolationRepository;
@@ -0,0 +1,82 @@
+/**
+ * Quiz Repository
+ * Handles all database operations for Quiz entity
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { QuizEntity } from "../entities/Quiz.entity.js";
+import { COLLECTIONS } from "../constants/index.js";
+import { ValidationError } from "../errors/AppError.js";
+
+export class QuizRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.QUIZZES);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ user_id: 1, createdAt: -1 });
+      console.log("✅ Quiz indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ Quiz index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Create a new quiz
+   */
+  async create(data) {
+    await this.init();
+
+    // Create entity
+    const entity = new QuizEntity(data);
+
+    // Validate
+    const validation = entity.validate();
+    if (!validation.isValid) {
+      throw new ValidationError("Quiz validation failed", validation.errors);
+    }
+
+    return await this.insertOne(entity.toDocument());
+  }
+
+  /**
+   * Find a quiz owned by a user
+   */
+  async findByIdAndUser(quizId, userId) {
+    await this.init();
+
+    return await this.findOne({
+      _id: this.toObjectId(quizId),
+      user_id: this.toObjectId(userId),
+    });
+  }
+
+  /**
+   * Store the result of a question that has not been answered yet
+   * @returns {Promise<boolean>} false if the question was already answered
+   */
+  async saveAnswer(quizId, questionId, result) {
+    await this.init();
+
+    const res = await this.updateOne(
+      {
+        _id: this.toObjectId(quizId),
+        questions: {
+          $elemMatch: { _id: this.toObjectId(questionId), result: null },
+        },
+      },
+      {
+        $set: { "questions.$.result": result },
+        $inc: { answered_count: 1, correct_count: result.correct ? 1 : 0 },
+      }
+    );
+
+    return res.modifiedCount > 0;
+  }
+}
+
+export default QuizRepository;
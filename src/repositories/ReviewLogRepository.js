@@ -0,0 +1,140 @@
+/**
+ * ReviewLog Repository
+ * Handles all database operations for ReviewLog entity
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { ReviewLogEntity } from "../entities/ReviewLog.entity.js";
+import { COLLECTIONS, REVIEW_RATINGS } from "../constants/index.js";
+import { ValidationError } from "../errors/AppError.js";
+
+export class ReviewLogRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.REVIEW_LOGS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ user_id: 1, reviewed_at: -1 });
+      await this.collection.createIndex({ flashcard_id: 1, reviewed_at: -1 });
+      await this.collection.createIndex({
+        flashcard_group_id: 1,
+        reviewed_at: -1,
+      });
+      console.log("✅ ReviewLog indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ ReviewLog index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Create a new review log
+   */
+  async create(data) {
+    await this.init();
+
+    // Create entity
+    const entity = new ReviewLogEntity(data);
+
+    // Validate
+    const validation = entity.validate();
+    if (!validation.isValid) {
+      throw new ValidationError(
+        "ReviewLog validation failed",
+        validation.errors
+      );
+    }
+
+    return await this.insertOne(entity.toDocument());
+  }
+
+  /**
+   * Find the latest review that has not been undone
+   * @param {string|ObjectId} userId - User ID
+   * @param {string|ObjectId|null} flashcardId - Restrict to one flashcard
+   */
+  async findLastActive(userId, flashcardId = null) {
+    await this.init();
+
+    const query = {
+      user_id: this.toObjectId(userId),
+      undone_at: null,
+    };
+    if (flashcardId) {
+      query.flashcard_id = this.toObjectId(flashcardId);
+    }
+
+    const [log] = await this.find(query, {
+      sort: { reviewed_at: -1, _id: -1 },
+      limit: 1,
+    });
+    return log || null;
+  }
+
+  /**
+   * Find review history of a flashcard (newest first)
+   */
+  async findByFlashcardId(flashcardId, page = 1, perPage = 100) {
+    await this.init();
+
+    return await this.paginate(
+      { flashcard_id: this.toObjectId(flashcardId) },
+      page,
+      perPage,
+      { sort: { reviewed_at: -1, _id: -1 } }
+    );
+  }
+
+  /**
+   * Count reviews per calendar day
+   * @param {Object} match - Review log filter
+   * @param {string} timezone - IANA timezone used to bucket days
+   * @returns {Promise<Array>} [{ _id: "YYYY-MM-DD", count }] sorted by day
+   */
+  async countByDay(match, timezone) {
+    return await this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$reviewed_at",
+              timezone,
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+  }
+
+  /**
+   * Count reviews and passed reviews per flashcard group
+   * A review passes when its rating is anything but "again"
+   * @param {Object} match - Review log filter
+   * @returns {Promise<Array>} [{ _id: flashcard_group_id, total, passed }]
+   */
+  async countPassedByGroup(match) {
+    return await this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$flashcard_group_id",
+          total: { $sum: 1 },
+          passed: {
+            $sum: {
+              $cond: [{ $eq: ["$rating", REVIEW_RATINGS.AGAIN] }, 0, 1],
+            },
+          },
+        },
+      },
+    ]);
+  }
+}
+
+export default ReviewLogRepository;
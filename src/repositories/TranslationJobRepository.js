@@ -0,0 +1,116 @@
+/**
+ * TranslationJob Repository
+ * Handles all database operations for TranslationJob entity
+ */
+
+import { ActiveJobRepository } from "./ActiveJobRepository.js";
+import { TranslationJobEntity } from "../entities/TranslationJob.entity.js";
+import {
+  COLLECTIONS,
+  TRANSLATION_JOB_STATUS,
+  TRANSLATION_JOB_DEFAULTS,
+} from "../constants/index.js";
+import { ValidationError } from "../errors/AppError.js";
+
+export class TranslationJobRepository extends ActiveJobRepository {
+  constructor() {
+    super(
+      COLLECTIONS.TRANSLATION_JOBS,
+      [TRANSLATION_JOB_STATUS.QUEUED, TRANSLATION_JOB_STATUS.RUNNING],
+      "Translation job"
+    );
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ status: 1 });
+      await this.collection.createIndex({ createdAt: -1 });
+      await this.createActiveIndex();
+      console.log("✅ TranslationJob indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ TranslationJob index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Create a new translation job
+   * @throws {ConflictError} When another job is queued or running
+   */
+  async create(data) {
+    await this.init();
+
+    // Create entity
+    const entity = new TranslationJobEntity(data);
+
+    // Validate
+    const validation = entity.validate();
+    if (!validation.isValid) {
+      throw new ValidationError(
+        "TranslationJob validation failed",
+        validation.errors
+      );
+    }
+
+    return await this.insertOne(entity.toDocument());
+  }
+
+  /**
+   * Count what a word translated and cost
+   * @param {ObjectId} jobId - Job ID
+   * @param {Object} progress - { definitions, examples, usage, word_id, error,
+   *   done } (done false: the word was stopped half-way and is redone on
+   *   resume)
+   */
+  async recordWord(
+    jobId,
+    { definitions = 0, examples = 0, usage, word_id, error, done = true }
+  ) {
+    const inc = {
+      processed: done ? 1 : 0,
+      "counts.definitions": definitions,
+      "counts.examples": examples,
+    };
+    for (const [key, value] of Object.entries(usage || {})) {
+      inc[`usage.${key}`] = value;
+    }
+
+    const update = { $inc: inc };
+    if (error) {
+      inc["counts.failed_words"] = 1;
+      update.$push = {
+        errors: {
+          $each: [{ word_id, error, at: new Date() }],
+          $slice: -TRANSLATION_JOB_DEFAULTS.MAX_ERRORS,
+        },
+      };
+    }
+    return await this.updateOne({ _id: jobId }, update);
+  }
+
+  /**
+   * Pause queued/running jobs (after a restart nothing runs them; they can
+   * be resumed where they stopped)
+   * @returns {Promise<number>} Number of jobs paused
+   */
+  async pauseInterrupted(reason) {
+    const result = await this.updateMany(
+      {
+        status: {
+          $in: [TRANSLATION_JOB_STATUS.QUEUED, TRANSLATION_JOB_STATUS.RUNNING],
+        },
+      },
+      {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.PAUSED,
+          paused_reason: reason,
+        },
+      }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default TranslationJobRepository;
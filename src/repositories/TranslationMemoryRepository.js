@@ -0,0 +1,114 @@
+/**
+ * TranslationMemory Repository
+ * Model translations keyed by normalized source text and context, reused
+ * instead of sending the same text to the model again
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+
+export class TranslationMemoryRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.TRANSLATION_MEMORY);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ key: 1 }, { unique: true });
+      await this.collection.createIndex({ kind: 1, updatedAt: -1 });
+      console.log("✅ TranslationMemory indexes created successfully");
+    } catch (error) {
+      console.error(
+        "⚠️ TranslationMemory index creation failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Entries of a set of keys
+   * @param {Array<string>} keys - Memory keys
+   * @returns {Promise<Map<string, Object>>} key → entry
+   */
+  async findByKeys(keys) {
+    await this.init();
+    if (keys.length === 0) return new Map();
+
+    const entries = await this.collection
+      .find({ key: { $in: [...new Set(keys)] } })
+      .toArray();
+    return new Map(entries.map((entry) => [entry.key, entry]));
+  }
+
+  /**
+   * Count reuses of entries
+   * @param {Array<string>} keys - Memory keys that were hit
+   */
+  async recordHits(keys) {
+    await this.init();
+    if (keys.length === 0) return;
+
+    await this.collection.updateMany(
+      { key: { $in: [...new Set(keys)] } },
+      { $inc: { hits: 1 }, $set: { last_hit_at: new Date() } }
+    );
+  }
+
+  /**
+   * Store or replace translations
+   * @param {Array<{ key, kind, language, source, context, translation, tokens }>} entries
+   */
+  async upsertMany(entries) {
+    await this.init();
+    if (entries.length === 0) return;
+
+    const now = new Date();
+    await this.collection.bulkWrite(
+      entries.map(
+        ({ key, kind, language, source, context, translation, tokens }) => ({
+          updateOne: {
+            filter: { key },
+            update: {
+              $set: {
+                kind,
+                language,
+                source,
+                context,
+                translation,
+                tokens,
+                updatedAt: now,
+              },
+              $setOnInsert: { hits: 0, createdAt: now },
+            },
+            upsert: true,
+          },
+        })
+      ),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Drop entries holding translations that were rejected or corrected, so
+   * they are not served again
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {string} field - Translation field compared (definition_vi, vi)
+   * @param {Array<string>} texts - Translated texts
+   * @returns {Promise<number>} Number of entries dropped
+   */
+  async forgetTranslations(kind, field, texts) {
+    await this.init();
+    if (texts.length === 0) return 0;
+
+    const result = await this.collection.deleteMany({
+      kind,
+      [`translation.${field}`]: { $in: [...new Set(texts)] },
+    });
+    return result.deletedCount;
+  }
+}
+
+export default TranslationMemoryRepository;
@@ -0,0 +1,66 @@
+/**
+ * TranslationResponseStats Repository
+ * Daily counters of how model answers were handled (repaired, retried,
+ * invalid or missing items), one document per day, provider and model
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+
+export class TranslationResponseStatsRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.TRANSLATION_RESPONSE_STATS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex(
+        { day: 1, provider: 1, model: 1 },
+        { unique: true }
+      );
+      console.log("✅ TranslationResponseStats indexes created successfully");
+    } catch (error) {
+      console.error(
+        "⚠️ TranslationResponseStats index creation failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Add counters to a day
+   * @param {Object} key - { day, provider, model }
+   * @param {Object} counters - Counter name → amount
+   */
+  async increment({ day, provider, model }, counters) {
+    await this.init();
+
+    const now = new Date();
+    await this.collection.updateOne(
+      { day, provider, model },
+      {
+        $inc: counters,
+        $set: { updatedAt: now },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Counters from a day on, oldest first
+   * @param {string} fromDay - "YYYY-MM-DD"
+   */
+  async findSince(fromDay) {
+    await this.init();
+    return await this.collection
+      .find({ day: { $gte: fromDay } })
+      .sort({ day: 1, provider: 1, model: 1 })
+      .toArray();
+  }
+}
+
+export default TranslationResponseStatsRepository;
@@ -0,0 +1,117 @@
+/**
+ * WordFamilySuggestion Repository
+ * Root/child suggestions of the morphology analyser, reviewed by admins
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import {
+  COLLECTIONS,
+  WORD_FAMILY_SUGGESTION_STATUS,
+} from "../constants/index.js";
+
+export class WordFamilySuggestionRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.WORD_FAMILY_SUGGESTIONS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex(
+        { word_id: 1, root_id: 1 },
+        { unique: true }
+      );
+      await this.collection.createIndex({ status: 1, confidence: -1 });
+      console.log("✅ WordFamilySuggestion indexes created successfully");
+    } catch (error) {
+      console.error(
+        "⚠️ WordFamilySuggestion index creation failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Store the suggestions of an analyser run
+   * New pairs start pending; reviewed pairs keep their status, so a
+   * rejected suggestion is not proposed again
+   * @param {Array<{ word_id, root_id, confidence, steps }>} suggestions
+   * @returns {Promise<number>} Number of new suggestions
+   */
+  async upsertMany(suggestions) {
+    await this.init();
+    if (suggestions.length === 0) return 0;
+
+    const now = new Date();
+    const result = await this.collection.bulkWrite(
+      suggestions.map(({ word_id, root_id, confidence, steps }) => ({
+        updateOne: {
+          filter: { word_id, root_id },
+          update: {
+            $set: { confidence, steps, updatedAt: now },
+            $setOnInsert: {
+              status: WORD_FAMILY_SUGGESTION_STATUS.PENDING,
+              createdAt: now,
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    return result.upsertedCount || 0;
+  }
+
+  /**
+   * Drop pending suggestions the last run no longer proposed
+   * @param {Date} before - Start of the last run
+   * @returns {Promise<number>} Number of suggestions removed
+   */
+  async deleteStalePending(before) {
+    const result = await this.deleteMany({
+      status: WORD_FAMILY_SUGGESTION_STATUS.PENDING,
+      updatedAt: { $lt: before },
+    });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Paginate suggestions, most confident first
+   * @param {Object} options - { status, min_confidence, q, page, per_page }
+   */
+  async findFiltered({
+    status,
+    min_confidence,
+    q,
+    page = 1,
+    per_page = 100,
+  } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (min_confidence !== undefined) {
+      query.confidence = { $gte: min_confidence };
+    }
+    if (q) query.$or = [{ word_id: q }, { root_id: q }];
+
+    return await this.paginate(query, page, per_page, {
+      sort: { confidence: -1, word_id: 1 },
+    });
+  }
+
+  /**
+   * Mark a suggestion as reviewed
+   * @param {ObjectId} id - Suggestion ID
+   * @param {string} status - One of WORD_FAMILY_SUGGESTION_STATUS
+   * @param {Object} fields - reviewed_by, error, ...
+   */
+  async markReviewed(id, status, fields = {}) {
+    return await this.updateOne(
+      { _id: id },
+      { $set: { status, reviewed_at: new Date(), ...fields } }
+    );
+  }
+}
+
+export default WordFamilySuggestionRepository;
@@ -0,0 +1,64 @@
+/**
+ * WordInflection Repository
+ * Inflection index: inflected form → lemma, rebuilt from the pages of each
+ * word whenever the word is crawled or refreshed
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+
+export class WordInflectionRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.WORD_INFLECTIONS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ form: 1 });
+      await this.collection.createIndex({ source_word: 1 });
+      console.log("✅ WordInflection indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ WordInflection index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Replace the index entries produced by a word
+   * @param {string} sourceWord - Word key whose pages produced the entries
+   * @param {Array<{ form, lemma, type, pointer }>} entries - From buildInflectionEntries
+   */
+  async replaceForWord(sourceWord, entries) {
+    await this.init();
+
+    await this.collection.deleteMany({ source_word: sourceWord });
+    if (entries.length === 0) return;
+
+    const now = new Date();
+    await this.collection.insertMany(
+      entries.map((entry) => ({
+        ...entry,
+        source_word: sourceWord,
+        createdAt: now,
+      }))
+    );
+  }
+
+  /**
+   * Index entries of an inflected form
+   * Entries from the form's own page ("went": past tense of go) come first
+   * @param {string} form - Normalized form
+   * @returns {Promise<Array<Object>>}
+   */
+  async findByForm(form) {
+    await this.init();
+    return await this.collection
+      .find({ form })
+      .sort({ pointer: -1, lemma: 1 })
+      .toArray();
+  }
+}
+
+export default WordInflectionRepository;
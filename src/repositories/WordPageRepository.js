@@ -0,0 +1,71 @@
+/**
+ * WordPage Repository
+ * Raw HTML of crawled Oxford pages (gzip-compressed), kept so entries can be
+ * re-parsed when the parser changes without crawling again
+ */
+
+import zlib from "zlib";
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+
+export class WordPageRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.WORD_PAGES);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ word_id: 1, position: 1 });
+      console.log("✅ WordPage indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ WordPage index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Replace the stored pages of a word
+   * @param {string} wordId - Word key
+   * @param {Array<{ url: string, html: string }>} pages - Pages in crawl order
+   */
+  async replaceForWord(wordId, pages) {
+    await this.init();
+    const fetchedAt = new Date();
+
+    await this.collection.deleteMany({ word_id: wordId });
+    if (pages.length === 0) return;
+
+    await this.collection.insertMany(
+      pages.map((page, position) => ({
+        _id: page.url,
+        word_id: wordId,
+        position,
+        html: zlib.gzipSync(Buffer.from(page.html || "", "utf-8")),
+        fetched_at: fetchedAt,
+      }))
+    );
+  }
+
+  /**
+   * Stored pages of a word in crawl order
+   * @param {string} wordId - Word key
+   * @returns {Promise<Array<{ url: string, html: string, fetched_at: Date }>>}
+   */
+  async findByWordId(wordId) {
+    await this.init();
+    const docs = await this.collection
+      .find({ word_id: wordId })
+      .sort({ position: 1 })
+      .toArray();
+
+    return docs.map((doc) => ({
+      url: doc._id,
+      html: zlib.gunzipSync(doc.html.buffer).toString("utf-8"),
+      fetched_at: doc.fetched_at,
+    }));
+  }
+}
+
+export default WordPageRepository;
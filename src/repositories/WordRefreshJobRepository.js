@@ -0,0 +1,94 @@
+/**
+ * WordRefreshJob Repository
+ * Handles all database operations for WordRefreshJob entity
+ */
+
+import { ActiveJobRepository } from "./ActiveJobRepository.js";
+import { WordRefreshJobEntity } from "../entities/WordRefreshJob.entity.js";
+import { COLLECTIONS, WORD_REFRESH_JOB_STATUS } from "../constants/index.js";
+import { ValidationError } from "../errors/AppError.js";
+
+export class WordRefreshJobRepository extends ActiveJobRepository {
+  constructor() {
+    super(
+      COLLECTIONS.WORD_REFRESH_JOBS,
+      [WORD_REFRESH_JOB_STATUS.QUEUED, WORD_REFRESH_JOB_STATUS.RUNNING],
+      "Word refresh job"
+    );
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ status: 1 });
+      await this.collection.createIndex({ createdAt: -1 });
+      await this.createActiveIndex();
+      console.log("✅ WordRefreshJob indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ WordRefreshJob index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Create a new refresh job
+   * @throws {ConflictError} When another job is queued or running
+   */
+  async create(data) {
+    await this.init();
+
+    // Create entity
+    const entity = new WordRefreshJobEntity(data);
+
+    // Validate
+    const validation = entity.validate();
+    if (!validation.isValid) {
+      throw new ValidationError(
+        "WordRefreshJob validation failed",
+        validation.errors
+      );
+    }
+
+    return await this.insertOne(entity.toDocument());
+  }
+
+  /**
+   * Count one processed word
+   * @param {ObjectId} jobId - Job ID
+   * @param {string} status - One of WORD_REFRESH_RESULT_STATUS
+   */
+  async incrementProgress(jobId, status) {
+    return await this.updateOne(
+      { _id: jobId },
+      { $inc: { processed: 1, [`counts.${status}`]: 1 } }
+    );
+  }
+
+  /**
+   * Mark queued/running jobs as failed (after a restart nothing runs them)
+   * @returns {Promise<number>} Number of jobs marked
+   */
+  async failInterrupted(message) {
+    const result = await this.updateMany(
+      {
+        status: {
+          $in: [
+            WORD_REFRESH_JOB_STATUS.QUEUED,
+            WORD_REFRESH_JOB_STATUS.RUNNING,
+          ],
+        },
+      },
+      {
+        $set: {
+          status: WORD_REFRESH_JOB_STATUS.FAILED,
+          error: message,
+          finished_at: new Date(),
+        },
+      }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default WordRefreshJobRepository;
@@ -0,0 +1,43 @@
+/**
+ * WordRefreshResult Repository
+ * Per-word outcome and diff report of word refresh jobs
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+
+export class WordRefreshResultRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.WORD_REFRESH_RESULTS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex({ job_id: 1, status: 1 });
+      await this.collection.createIndex({ word_id: 1, createdAt: -1 });
+      console.log("✅ WordRefreshResult indexes created successfully");
+    } catch (error) {
+      console.error(
+        "⚠️ WordRefreshResult index creation failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Paginate the results of a job in processing order
+   * @param {ObjectId} jobId - Job ID
+   * @param {Object} options - { status, page, per_page }
+   */
+  async findByJobId(jobId, { status, page = 1, per_page = 100 } = {}) {
+    const query = { job_id: jobId };
+    if (status) query.status = status;
+
+    return await this.paginate(query, page, per_page, { sort: { _id: 1 } });
+  }
+}
+
+export default WordRefreshResultRepository;
@@ -1,6 +1,188 @@
 import { ObjectId } from "mongodb";
 import { BaseRepository } from "./BaseRepository.js";
-import { COLLECTIONS } from "../constants/index.js";
+import {
+  COLLECTIONS,
+  FULL_TEXT_SEARCH_DEFAULTS,
+  TRANSLATION_JOB_TARGETS,
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_REVIEW_STATUS,
+  TRANSLATION_LANGUAGES,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+import { machineReview } from "../utils/translationReview.js";
+import {
+  translationFields,
+  storagePaths,
+} from "../utils/translationLanguages.js";
+
+// Where translated senses live in a word document; `block` is the array
+// (idioms or phrasal verbs) that holds them
+const SENSE_SECTIONS = [
+  { field: "senses", path: "data.$[d].senses.$[s]", block: null },
+  {
+    field: "idioms.senses",
+    path: "data.$[d].idioms.$[b].senses.$[s]",
+    block: "idioms",
+  },
+  {
+    field: "phrasal_verb_senses.senses",
+    path: "data.$[d].phrasal_verb_senses.$[b].senses.$[s]",
+    block: "phrasal_verb_senses",
+  },
+];
+
+/**
+ * Stored review status paths of senses and/or examples in every section
+ * @param {Object} options - { kind, language }; without a kind both
+ */
+const reviewStatusPaths = ({
+  kind,
+  language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+} = {}) => {
+  const { review } = storagePaths(language);
+  return SENSE_SECTIONS.flatMap(({ field }) => [
+    ...(kind !== TRANSLATION_MEMORY_KINDS.EXAMPLE
+      ? [`data.${field}.${review}.status`]
+      : []),
+    ...(kind !== TRANSLATION_MEMORY_KINDS.DEFINITION
+      ? [`data.${field}.examples.${review}.status`]
+      : []),
+  ]);
+};
+
+// Whether a field holds non-blank text
+const hasTextExpr = (expr) => ({
+  $gt: [{ $strLenCP: { $trim: { input: { $ifNull: [expr, ""] } } } }, 0],
+});
+
+// Senses of a block array tagged with the block's word
+const blockSenses = (field, tag) => ({
+  $reduce: {
+    input: { $ifNull: [`$data.${field}`, []] },
+    initialValue: [],
+    in: {
+      $concatArrays: [
+        "$$value",
+        {
+          $map: {
+            input: { $ifNull: ["$$this.senses", []] },
+            as: "sense",
+            in: { sense: "$$sense", [tag]: "$$this.word" },
+          },
+        },
+      ],
+    },
+  },
+});
+
+/**
+ * Stages turning word documents into one document per translatable sense
+ * definition and example: { kind, _id, word, symbol, pos, idiom,
+ * phrasal_verb, definition, source, translation, review, status }.
+ * translation and review are those of the language; translation is keyed
+ * by its answer fields (translationFields). status is null for items
+ * never translated nor reviewed.
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+const reviewItemStages = (language) => {
+  const fields = translationFields(language);
+  const paths = storagePaths(language);
+  return [
+    { $unwind: "$data" },
+    {
+      $project: {
+        symbol: 1,
+        pos: "$data.pos",
+        entries: {
+          $concatArrays: [
+            {
+              $map: {
+                input: { $ifNull: ["$data.senses", []] },
+                as: "sense",
+                in: { sense: "$$sense" },
+              },
+            },
+            blockSenses("idioms", "idiom"),
+            blockSenses("phrasal_verb_senses", "phrasal_verb"),
+          ],
+        },
+      },
+    },
+    { $unwind: "$entries" },
+    {
+      $project: {
+        items: {
+          $concatArrays: [
+            [
+              {
+                kind: TRANSLATION_MEMORY_KINDS.DEFINITION,
+                _id: "$entries.sense._id",
+                source: "$entries.sense.definition",
+                translation: {
+                  [fields.definition]: `$entries.sense.${paths.definition}`,
+                  [fields.definition_short]: `$entries.sense.${paths.definition_short}`,
+                },
+                review: `$entries.sense.${paths.review}`,
+                translated: hasTextExpr(`$entries.sense.${paths.definition}`),
+              },
+            ],
+            {
+              $map: {
+                input: { $ifNull: ["$entries.sense.examples", []] },
+                as: "ex",
+                in: {
+                  kind: TRANSLATION_MEMORY_KINDS.EXAMPLE,
+                  _id: "$$ex._id",
+                  definition: "$entries.sense.definition",
+                  source: "$$ex.en",
+                  translation: { [fields.example]: `$$ex.${paths.example}` },
+                  review: `$$ex.${paths.review}`,
+                  translated: hasTextExpr(`$$ex.${paths.example}`),
+                },
+              },
+            },
+          ],
+        },
+        word: "$_id",
+        symbol: 1,
+        pos: 1,
+        idiom: "$entries.idiom",
+        phrasal_verb: "$entries.phrasal_verb",
+      },
+    },
+    { $unwind: "$items" },
+    {
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: [
+            {
+              word: "$word",
+              symbol: "$symbol",
+              pos: "$pos",
+              idiom: "$idiom",
+              phrasal_verb: "$phrasal_verb",
+            },
+            "$items",
+          ],
+        },
+      },
+    },
+    { $match: { _id: { $ne: null } } },
+    {
+      $addFields: {
+        status: {
+          $ifNull: [
+            "$review.status",
+            {
+              $cond: ["$translated", TRANSLATION_REVIEW_STATUS.MACHINE, null],
+            },
+          ],
+        },
+      },
+    },
+    { $project: { translated: 0 } },
+  ];
+};
 
 /**
  * WordRepository
@@ -20,12 +202,85 @@ export class WordRepository extends BaseRepository {
       await this.collection.createIndex({ symbol: 1 });
       await this.collection.createIndex({ parts_of_speech: 1 });
       await this.collection.createIndex({ root: 1 });
+      await this.collection.createIndex({ parser_version: 1 });
+      await this.collection.createIndex({ crawled_at: 1 });
+      // Words with items in the review queue, in any language
+      await this.collection.createIndex(
+        { "$**": 1 },
+        {
+          name: "words_review_status",
+          wildcardProjection: Object.fromEntries(
+            Object.values(TRANSLATION_LANGUAGES)
+              .flatMap((language) => reviewStatusPaths({ language }))
+              .map((path) => [path, 1])
+          ),
+        }
+      );
+      await this.createTextIndex();
       console.log("✅ Word indexes created successfully");
     } catch (error) {
       console.error("⚠️ Word index creation failed:", error.message);
     }
   }
 
+  /**
+   * Text index over the definitions, examples and their translations of
+   * senses, idiom senses and phrasal verb senses
+   * Language "none": no stemming or stop words, so Vietnamese is tokenized
+   * like English; matching is case and diacritic insensitive
+   */
+  async createTextIndex() {
+    const sections = ["senses", "idioms.senses", "phrasal_verb_senses.senses"];
+    const keys = {};
+    const weights = {};
+
+    for (const section of sections) {
+      for (const [field, weight] of Object.entries(
+        FULL_TEXT_SEARCH_DEFAULTS.WEIGHTS
+      )) {
+        keys[`data.${section}.${field}`] = "text";
+        weights[`data.${section}.${field}`] = weight;
+      }
+    }
+
+    await this.collection.createIndex(keys, {
+      name: "words_full_text",
+      weights,
+      default_language: "none",
+    });
+  }
+
+  /**
+   * Full-text search ranked by text score
+   * @param {string} query - $text search string (words, "phrases", -excluded)
+   * @param {Object} options - { filter, page, per_page }
+   * @returns {Promise<{ docs: Array<Object>, total: number }>}
+   */
+  async fullTextSearch(query, { filter = {}, page = 1, per_page = 20 } = {}) {
+    await this.init();
+    const match = { ...filter, $text: { $search: query } };
+
+    const [docs, total] = await Promise.all([
+      this.collection
+        .find(match, {
+          projection: {
+            score: { $meta: "textScore" },
+            data: 1,
+            variants: 1,
+            symbol: 1,
+            parts_of_speech: 1,
+          },
+        })
+        .sort({ score: { $meta: "textScore" }, _id: 1 })
+        .skip((page - 1) * per_page)
+        .limit(per_page)
+        .toArray(),
+      this.collection.countDocuments(match),
+    ]);
+
+    return { docs, total };
+  }
+
   /**
    * Find word by word string (not ObjectId)
    * @param {string} word - Word string
@@ -49,7 +304,7 @@ export class WordRepository extends BaseRepository {
     await this.init();
     const nowIso = new Date().toISOString();
 
-    // Accept two shapes: legacy `data` is array, or new shape { data: [...], variants: [...] }
+    // Accept two shapes: legacy `data` is array, or new shape { data: [...], variants: [...], parser_version }
     let dbData = data;
     const topLevel = {};
     if (data && Array.isArray(data.data)) {
@@ -58,6 +313,10 @@ export class WordRepository extends BaseRepository {
       if (typeof data.symbol === "string") topLevel.symbol = data.symbol;
       if (Array.isArray(data.parts_of_speech))
         topLevel.parts_of_speech = data.parts_of_speech;
+      if (Number.isInteger(data.parser_version))
+        topLevel.parser_version = data.parser_version;
+      if (data.crawled_at instanceof Date)
+        topLevel.crawled_at = data.crawled_at;
     }
 
     const result = await this.collection.updateOne(
@@ -68,6 +327,8 @@ export class WordRepository extends BaseRepository {
           updatedAt: nowIso,
           ...topLevel,
         },
+        // Any change to the pages is a new revision (see WordEditorService)
+        $inc: { revision: 1 },
         $setOnInsert: {
           createdAt: nowIso,
         },
@@ -78,6 +339,205 @@ export class WordRepository extends BaseRepository {
     return result;
   }
 
+  /**
+   * Word ids to refresh; all given conditions must match
+   * Words crawled before crawled_at / parser_version were stored count as
+   * old on both conditions
+   * @param {Object} filter - { older_than_days, parser_version_below, words }
+   * @param {number} limit - Maximum number of ids
+   * @returns {Promise<Array<string>>}
+   */
+  async findRefreshCandidates(filter, limit) {
+    await this.init();
+    const conditions = [];
+
+    if (filter.older_than_days !== undefined) {
+      const cutoff = new Date(
+        Date.now() - filter.older_than_days * 24 * 60 * 60 * 1000
+      );
+      conditions.push({
+        $or: [
+          { crawled_at: { $lt: cutoff } },
+          { crawled_at: { $exists: false } },
+        ],
+      });
+    }
+    if (filter.parser_version_below !== undefined) {
+      conditions.push({
+        $or: [
+          { parser_version: { $lt: filter.parser_version_below } },
+          { parser_version: { $exists: false } },
+        ],
+      });
+    }
+    if (Array.isArray(filter.words)) {
+      conditions.push({ _id: { $in: filter.words } });
+    }
+
+    const docs = await this.collection
+      .find(conditions.length ? { $and: conditions } : {})
+      .project({ _id: 1 })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .toArray();
+    return docs.map((doc) => doc._id);
+  }
+
+  /**
+   * Ids of words with senses or examples missing a translation into a
+   * language (definition_vi / vi for Vietnamese)
+   * @param {Object} filter - { targets: Array<string>, words, language }
+   * @param {number} limit - Maximum number of ids
+   * @returns {Promise<Array<string>>}
+   */
+  async findTranslationCandidates(
+    { targets, words, language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE },
+    limit
+  ) {
+    await this.init();
+    const untranslated = { $in: [null, ""] };
+    const present = { $nin: [null, ""] };
+    const paths = storagePaths(language);
+
+    const conditions = [];
+    for (const section of [
+      "senses",
+      "idioms.senses",
+      "phrasal_verb_senses.senses",
+    ]) {
+      if (targets.includes(TRANSLATION_JOB_TARGETS.DEFINITIONS)) {
+        conditions.push({
+          [`data.${section}`]: {
+            $elemMatch: {
+              definition: present,
+              [paths.definition]: untranslated,
+            },
+          },
+        });
+      }
+      if (targets.includes(TRANSLATION_JOB_TARGETS.EXAMPLES)) {
+        conditions.push({
+          [`data.${section}.examples`]: {
+            $elemMatch: { en: present, [paths.example]: untranslated },
+          },
+        });
+      }
+    }
+
+    const query = { $or: conditions };
+    if (Array.isArray(words)) query._id = { $in: words };
+
+    const docs = await this.collection
+      .find(query)
+      .project({ _id: 1 })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .toArray();
+    return docs.map((doc) => doc._id);
+  }
+
+  /**
+   * Keys among the given ones that have a word document
+   * @param {Array<string>} keys - Word keys
+   * @returns {Promise<Array<string>>}
+   */
+  async findExistingKeys(keys) {
+    await this.init();
+    if (!Array.isArray(keys) || keys.length === 0) return [];
+    const docs = await this.collection
+      .find({ _id: { $in: keys } }, { projection: { _id: 1 } })
+      .toArray();
+    return docs.map((doc) => doc._id);
+  }
+
+  /**
+   * Keys, variants and levels of every word (spelling suggestions)
+   * @returns {Promise<Array<{ _id: string, variants: Array<string>, symbol: string }>>}
+   */
+  async findVocabulary() {
+    await this.init();
+    return await this.collection
+      .find({}, { projection: { _id: 1, variants: 1, symbol: 1 } })
+      .toArray();
+  }
+
+  /**
+   * Words with the fields the morphology analyser needs
+   */
+  async findFamilyInfo() {
+    await this.init();
+    return await this.collection
+      .find(
+        {},
+        { projection: { _id: 1, variants: 1, parts_of_speech: 1, root: 1 } }
+      )
+      .toArray();
+  }
+
+  /**
+   * Words with only the fields needed for the relationship graph: the xrefs
+   * of their senses, idiom senses and phrasal verb senses
+   */
+  async findRelations() {
+    await this.init();
+    const projection = { _id: 1, variants: 1, symbol: 1, "data.pos": 1 };
+    for (const section of [
+      "senses",
+      "idioms.senses",
+      "phrasal_verb_senses.senses",
+    ]) {
+      for (const field of [
+        "_id",
+        "definition",
+        "synonyms",
+        "opposites",
+        "see_alsos",
+      ]) {
+        projection[`data.${section}.${field}`] = 1;
+      }
+    }
+    projection["data.idioms.word"] = 1;
+    projection["data.phrasal_verb_senses.word"] = 1;
+
+    return await this.collection.find({}, { projection }).toArray();
+  }
+
+  /**
+   * Set top-level fields of a word without touching its pages
+   * @param {string} word - Word key
+   * @param {Object} fields - Fields to set
+   */
+  async setFields(word, fields) {
+    await this.init();
+    return await this.collection.updateOne(
+      { _id: word },
+      { $set: { ...fields, updatedAt: new Date().toISOString() } }
+    );
+  }
+
+  /**
+   * Set top-level fields of a word still at a revision, moving it to the
+   * next one
+   * @param {string} word - Word key
+   * @param {Object} fields - Fields to set
+   * @param {number} revision - Revision the fields were computed from
+   * @returns {Promise<boolean>} false when the word was written meanwhile
+   */
+  async setFieldsAtRevision(word, fields, revision) {
+    await this.init();
+    const result = await this.collection.updateOne(
+      { _id: word, revision: revision === 0 ? { $in: [0, null] } : revision },
+      {
+        $set: {
+          ...fields,
+          revision: revision + 1,
+          updatedAt: new Date().toISOString(),
+        },
+      }
+    );
+    return result.matchedCount > 0;
+  }
+
   /**
    * Search words by prefix (in _id and variants)
    * @param {string} searchPrefix - Search prefix
@@ -265,10 +725,15 @@ export class WordRepository extends BaseRepository {
 
   /**
    * Update example vi if missing
-   * @param {Array} updates - Array of {_id, vi}
+   * @param {Array} updates - Array of {_id, vi} ({_id, <lang>_text} for
+   *   another language)
+   * @param {string} language - One of TRANSLATION_LANGUAGES
    * @returns {Promise<Object>}
    */
-  async updateExampleViIfMissing(updates) {
+  async updateExampleViIfMissing(
+    updates,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
     await this.init();
 
     if (!Array.isArray(updates) || updates.length === 0) {
@@ -277,9 +742,15 @@ export class WordRepository extends BaseRepository {
 
     const operations = [];
     let skipped = 0;
+    const review = machineReview();
+    const field = translationFields(language).example;
+    const paths = storagePaths(language);
+    const missing = { $in: [null, ""] };
 
-    for (const { _id, vi } of updates) {
-      if (!_id || !ObjectId.isValid(_id) || !vi) {
+    for (const update of updates) {
+      const { _id } = update;
+      const text = update[field];
+      if (!_id || !ObjectId.isValid(_id) || !text) {
         skipped++;
         continue;
       }
@@ -292,16 +763,20 @@ export class WordRepository extends BaseRepository {
         updateMany: {
           filter: {
             "data.senses.examples": {
-              $elemMatch: { _id: objectId, vi: { $in: [null, ""] } },
+              $elemMatch: { _id: objectId, [paths.example]: missing },
             },
           },
           update: {
-            $set: { "data.$[d].senses.$[s].examples.$[ex].vi": vi },
+            $set: {
+              [`data.$[d].senses.$[s].examples.$[ex].${paths.example}`]: text,
+              [`data.$[d].senses.$[s].examples.$[ex].${paths.review}`]: review,
+            },
+            $inc: { revision: 1 },
           },
           arrayFilters: [
             { "d.senses.examples._id": objectId },
             { "s.examples._id": objectId },
-            { "ex._id": objectId, "ex.vi": { $in: [null, ""] } },
+            { "ex._id": objectId, [`ex.${paths.example}`]: missing },
           ],
         },
       });
@@ -311,17 +786,23 @@ export class WordRepository extends BaseRepository {
         updateMany: {
           filter: {
             "data.idioms.senses.examples": {
-              $elemMatch: { _id: objectId, vi: { $in: [null, ""] } },
+              $elemMatch: { _id: objectId, [paths.example]: missing },
             },
           },
           update: {
-            $set: { "data.$[d].idioms.$[i].senses.$[s].examples.$[ex].vi": vi },
+            $set: {
+              [`data.$[d].idioms.$[i].senses.$[s].examples.$[ex].${paths.example}`]:
+                text,
+              [`data.$[d].idioms.$[i].senses.$[s].examples.$[ex].${paths.review}`]:
+                review,
+            },
+            $inc: { revision: 1 },
           },
           arrayFilters: [
             { "d.idioms.senses.examples._id": objectId },
             { "i.senses.examples._id": objectId },
             { "s.examples._id": objectId },
-            { "ex._id": objectId, "ex.vi": { $in: [null, ""] } },
+            { "ex._id": objectId, [`ex.${paths.example}`]: missing },
           ],
         },
       });
@@ -331,20 +812,23 @@ export class WordRepository extends BaseRepository {
         updateMany: {
           filter: {
             "data.phrasal_verb_senses.senses.examples": {
-              $elemMatch: { _id: objectId, vi: { $in: [null, ""] } },
+              $elemMatch: { _id: objectId, [paths.example]: missing },
             },
           },
           update: {
             $set: {
-              "data.$[d].phrasal_verb_senses.$[pv].senses.$[s].examples.$[ex].vi":
-                vi,
+              [`data.$[d].phrasal_verb_senses.$[pv].senses.$[s].examples.$[ex].${paths.example}`]:
+                text,
+              [`data.$[d].phrasal_verb_senses.$[pv].senses.$[s].examples.$[ex].${paths.review}`]:
+                review,
             },
+            $inc: { revision: 1 },
           },
           arrayFilters: [
             { "d.phrasal_verb_senses.senses.examples._id": objectId },
             { "pv.senses.examples._id": objectId },
             { "s.examples._id": objectId },
-            { "ex._id": objectId, "ex.vi": { $in: [null, ""] } },
+            { "ex._id": objectId, [`ex.${paths.example}`]: missing },
           ],
         },
       });
@@ -368,6 +852,254 @@ export class WordRepository extends BaseRepository {
 
     return { updated, skipped };
   }
+
+  /**
+   * Translated senses and examples with their review status
+   * @param {Object} filter - Word document filter (_id, symbol)
+   * @param {Object} options - { status, kind, language, page, per_page };
+   *   without a status every translated or reviewed item is listed
+   * @returns {Promise<{ docs: Array<Object>, total: number }>}
+   *   Only items with a stored review state are found (see
+   *   backfillReviewStatus)
+   */
+  async findReviewQueue(
+    filter,
+    {
+      status,
+      kind,
+      language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+      page = 1,
+      per_page = 50,
+    } = {}
+  ) {
+    await this.init();
+
+    // Words holding a matching item, found through the review status
+    // index before their senses are unwound
+    const statuses = status
+      ? [status]
+      : Object.values(TRANSLATION_REVIEW_STATUS);
+    const inQueue = {
+      $or: reviewStatusPaths({ kind, language }).map((path) => ({
+        [path]: { $in: statuses },
+      })),
+    };
+
+    const [result] = await this.collection
+      .aggregate(
+        [
+          { $match: { ...filter, ...inQueue } },
+          ...reviewItemStages(language),
+          {
+            $match: {
+              status: status || { $ne: null },
+              ...(kind && { kind }),
+            },
+          },
+          { $sort: { word: 1, _id: 1 } },
+          {
+            $facet: {
+              docs: [{ $skip: (page - 1) * per_page }, { $limit: per_page }],
+              total: [{ $count: "count" }],
+            },
+          },
+        ],
+        { allowDiskUse: true }
+      )
+      .toArray();
+
+    return { docs: result.docs, total: result.total[0]?.count || 0 };
+  }
+
+  /**
+   * Give translations stored before reviews existed their machine review
+   * state, so the review queue finds them. Not a new revision: only the
+   * review state changes.
+   * @returns {Promise<number>} Number of words updated
+   */
+  async backfillReviewStatus() {
+    await this.init();
+
+    const review = machineReview();
+    const translated = { $nin: [null, ""] };
+    const unset = { $exists: false };
+    const operations = [];
+
+    for (const { field, block } of SENSE_SECTIONS) {
+      // Every page and block; the filters pick the senses and examples
+      const sensePath = block
+        ? `data.$[].${block}.$[].senses`
+        : `data.$[].senses`;
+
+      operations.push(
+        {
+          updateMany: {
+            filter: {
+              [`data.${field}`]: {
+                $elemMatch: { definition_vi: translated, review: unset },
+              },
+            },
+            update: { $set: { [`${sensePath}.$[s].review`]: review } },
+            arrayFilters: [
+              { "s.definition_vi": translated, "s.review": unset },
+            ],
+          },
+        },
+        {
+          updateMany: {
+            filter: {
+              [`data.${field}.examples`]: {
+                $elemMatch: { vi: translated, review: unset },
+              },
+            },
+            update: {
+              $set: { [`${sensePath}.$[].examples.$[ex].review`]: review },
+            },
+            arrayFilters: [{ "ex.vi": translated, "ex.review": unset }],
+          },
+        }
+      );
+    }
+
+    const result = await this.collection.bulkWrite(operations, {
+      ordered: false,
+    });
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Senses or examples by id, in the shape of findReviewQueue
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<ObjectId>} ids - Sense or example ids
+   * @param {string} language - Translations to include
+   * @returns {Promise<Array<Object>>}
+   */
+  async findTranslationItems(
+    kind,
+    ids,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
+    await this.init();
+    if (ids.length === 0) return [];
+
+    const suffix =
+      kind === TRANSLATION_MEMORY_KINDS.EXAMPLE ? ".examples._id" : "._id";
+    return await this.collection
+      .aggregate([
+        {
+          $match: {
+            $or: SENSE_SECTIONS.map(({ field }) => ({
+              [`data.${field}${suffix}`]: { $in: ids },
+            })),
+          },
+        },
+        ...reviewItemStages(language),
+        { $match: { kind, _id: { $in: ids } } },
+      ])
+      .toArray();
+  }
+
+  /**
+   * Set fields of senses or examples wherever they appear
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<{ _id: ObjectId, fields: Object }>} updates - Fields are
+   *   stored paths relative to the item (e.g. { vi, review } or
+   *   { "translations.fr.text", "translations.fr.review" })
+   * @returns {Promise<{ updated: number }>}
+   */
+  async updateTranslationItems(kind, updates) {
+    await this.init();
+    if (updates.length === 0) return { updated: 0 };
+
+    const isExample = kind === TRANSLATION_MEMORY_KINDS.EXAMPLE;
+    const operations = [];
+
+    for (const { _id, fields } of updates) {
+      for (const { field, path, block } of SENSE_SECTIONS) {
+        const itemField = isExample ? `${field}.examples` : field;
+        const itemPath = isExample ? `${path}.examples.$[ex]` : path;
+
+        const $set = {};
+        for (const [key, value] of Object.entries(fields)) {
+          $set[`${itemPath}.${key}`] = value;
+        }
+
+        const arrayFilters = [{ [`d.${itemField}._id`]: _id }];
+        if (block) {
+          arrayFilters.push({
+            [isExample ? "b.senses.examples._id" : "b.senses._id"]: _id,
+          });
+        }
+        if (isExample) {
+          arrayFilters.push({ "s.examples._id": _id }, { "ex._id": _id });
+        } else {
+          arrayFilters.push({ "s._id": _id });
+        }
+
+        operations.push({
+          updateMany: {
+            filter: { [`data.${itemField}._id`]: _id },
+            update: { $set, $inc: { revision: 1 } },
+            arrayFilters,
+          },
+        });
+      }
+    }
+
+    const result = await this.collection.bulkWrite(operations, {
+      ordered: false,
+    });
+    return { updated: result.modifiedCount || 0 };
+  }
+
+  /**
+   * Pick random words to use as wrong answers
+   * Prefers the same symbol and part of speech, then relaxes the filter
+   * @param {Object} options
+   * @param {Array<string>} options.excludeIds - Word ids that must not be returned
+   * @param {string} options.symbol - CEFR symbol of the correct word
+   * @param {Array<string>} options.partsOfSpeech - Parts of speech of the correct word
+   * @param {number} options.size - Number of distractors wanted
+   * @returns {Promise<Array<string>>} Word ids
+   */
+  async sampleDistractors({
+    excludeIds = [],
+    symbol = "",
+    partsOfSpeech = [],
+    size = 3,
+  } = {}) {
+    await this.init();
+
+    const picked = [];
+    const tiers = [];
+    if (symbol && partsOfSpeech.length) {
+      tiers.push({ symbol, parts_of_speech: { $in: partsOfSpeech } });
+    }
+    if (partsOfSpeech.length) {
+      tiers.push({ parts_of_speech: { $in: partsOfSpeech } });
+    }
+    tiers.push({});
+
+    for (const filter of tiers) {
+      const missing = size - picked.length;
+      if (missing <= 0) break;
+
+      const rows = await this.aggregate([
+        {
+          $match: {
+            ...filter,
+            _id: { $nin: [...excludeIds, ...picked] },
+            "data.0": { $exists: true },
+          },
+        },
+        { $sample: { size: missing } },
+        { $project: { _id: 1 } },
+      ]);
+      picked.push(...rows.map((row) => row._id));
+    }
+
+    return picked;
+  }
 }
 
 export default WordRepository;
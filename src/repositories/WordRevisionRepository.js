@@ -0,0 +1,106 @@
+/**
+ * WordRevision Repository
+ * Revisions of words edited by admins: author, JSON diff and a snapshot of
+ * the editable fields after the change
+ */
+
+import { BaseRepository } from "./BaseRepository.js";
+import { COLLECTIONS } from "../constants/index.js";
+import { ConflictError } from "../errors/AppError.js";
+
+export class WordRevisionRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.WORD_REVISIONS);
+  }
+
+  /**
+   * Create indexes
+   */
+  async createIndexes() {
+    try {
+      await this.collection.createIndex(
+        { word_id: 1, revision: -1 },
+        { unique: true }
+      );
+      await this.collection.createIndex({ author_id: 1, createdAt: -1 });
+      console.log("✅ WordRevision indexes created successfully");
+    } catch (error) {
+      console.error("⚠️ WordRevision index creation failed:", error.message);
+    }
+  }
+
+  /**
+   * Store a revision; the unique (word_id, revision) index makes two
+   * concurrent edits of the same revision fail instead of both applying
+   * @throws {ConflictError} When the revision number is taken
+   */
+  async create(data) {
+    await this.init();
+
+    const doc = { ...data, createdAt: new Date() };
+    try {
+      const result = await this.collection.insertOne(doc);
+      return { ...doc, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(
+          `Revision ${data.revision} of "${data.word_id}" already exists; reload the word and retry`
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get one revision of a word
+   * @param {string} wordId - Word key
+   * @param {number} revision - Revision number
+   */
+  async findRevision(wordId, revision) {
+    return await this.findOne({ word_id: wordId, revision });
+  }
+
+  /**
+   * Newest revision of a word
+   * @param {string} wordId - Word key
+   */
+  async findLatest(wordId) {
+    await this.init();
+    return await this.collection.findOne(
+      { word_id: wordId },
+      { sort: { revision: -1 } }
+    );
+  }
+
+  /**
+   * Numbers and actions of the revisions after one revision, up to another
+   * @param {string} wordId - Word key
+   * @param {number} after - Excluded
+   * @param {number} upTo - Included
+   * @returns {Promise<Array<{ revision, action }>>}
+   */
+  async findRange(wordId, after, upTo) {
+    await this.init();
+    return await this.collection
+      .find(
+        { word_id: wordId, revision: { $gt: after, $lte: upTo } },
+        { projection: { _id: 0, revision: 1, action: 1 } }
+      )
+      .toArray();
+  }
+
+  /**
+   * Paginate the revisions of a word (newest first, without diffs and
+   * snapshots)
+   * @param {string} wordId - Word key
+   * @param {Object} options - { page, per_page }
+   */
+  async findByWord(wordId, { page = 1, per_page = 20 } = {}) {
+    return await this.paginate({ word_id: wordId }, page, per_page, {
+      sort: { revision: -1 },
+      projection: { snapshot: 0, diff: 0 },
+    });
+  }
+}
+
+export default WordRevisionRepository;
@@ -1,8 +1,11 @@
 import express from "express";
 import FlashcardGroupController from "../controllers/FlashcardGroupController.js";
 import authMiddleware from "../middleware/authMiddleware.js";
-import { validateBody, flashcardSchemas } from "../validators/index.js";
-import Joi from "joi";
+import {
+  validateBody,
+  validateQuery,
+  flashcardSchemas,
+} from "../validators/index.js";
 
 const router = express.Router();
 const flashcardGroupController = new FlashcardGroupController();
@@ -13,17 +16,34 @@ router.use(authMiddleware);
 // GET /api/flashcard-groups - Get all flashcard groups
 router.get("/", flashcardGroupController.getFlashcardGroups);
 
-// POST /api/flashcard-groups/sync - Sync from group_word
+// POST /api/flashcard-groups/sync - Sync from group_word (add_only, mirror or preview)
 router.post(
   "/sync",
-  validateBody(
-    Joi.object({
-      group_word_id: Joi.string().required(),
-    })
-  ),
+  validateBody(flashcardSchemas.syncGroupWord),
   flashcardGroupController.syncFromGroupWord
 );
 
+// POST /api/flashcard-groups/import - Import a CSV/TSV deck
+router.post(
+  "/import",
+  validateBody(flashcardSchemas.importDeck),
+  flashcardGroupController.importDeck
+);
+
+// GET /api/flashcard-groups/review-queue - Due and new cards (must be before /:id)
+router.get(
+  "/review-queue",
+  validateQuery(flashcardSchemas.reviewQueue),
+  flashcardGroupController.getReviewQueue
+);
+
+// GET /api/flashcard-groups/:id/export - Export as .apkg, CSV or TSV
+router.get(
+  "/:id/export",
+  validateQuery(flashcardSchemas.exportGroup),
+  flashcardGroupController.exportFlashcardGroup
+);
+
 // GET /api/flashcard-groups/:id - Get flashcard group details
 router.get("/:id", flashcardGroupController.getFlashcardGroupById);
 
@@ -1,7 +1,11 @@
 import express from "express";
 import FlashcardController from "../controllers/FlashcardController.js";
 import authMiddleware from "../middleware/authMiddleware.js";
-import { validateBody, flashcardSchemas } from "../validators/index.js";
+import {
+  validateBody,
+  validateQuery,
+  flashcardSchemas,
+} from "../validators/index.js";
 import Joi from "joi";
 
 const router = express.Router();
@@ -21,6 +25,27 @@ router.post(
   flashcardController.addFlashcard
 );
 
+// GET /api/flashcard-groups/:flashcard_group_id/leeches - List leeches
+router.get(
+  "/:flashcard_group_id/leeches",
+  validateQuery(flashcardSchemas.leechList),
+  flashcardController.getLeeches
+);
+
+// POST /api/flashcard-groups/:flashcard_group_id/leeches/unsuspend - Unsuspend leeches
+router.post(
+  "/:flashcard_group_id/leeches/unsuspend",
+  validateBody(flashcardSchemas.leechAction),
+  flashcardController.unsuspendLeeches
+);
+
+// POST /api/flashcard-groups/:flashcard_group_id/leeches/reset - Reset leeches to new
+router.post(
+  "/:flashcard_group_id/leeches/reset",
+  validateBody(flashcardSchemas.leechAction),
+  flashcardController.resetLeeches
+);
+
 // DELETE /api/flashcard-groups/flashcards/:flashcard_id - Remove flashcard
 router.delete("/flashcards/:flashcard_id", flashcardController.removeFlashcard);
 
@@ -31,4 +56,18 @@ router.post(
   flashcardController.reviewFlashcard
 );
 
+// POST /api/flashcard-groups/flashcards/reviews/undo - Undo last review
+router.post(
+  "/flashcards/reviews/undo",
+  validateBody(flashcardSchemas.undoReview),
+  flashcardController.undoLastReview
+);
+
+// GET /api/flashcard-groups/flashcards/:flashcard_id/reviews - Review history
+router.get(
+  "/flashcards/:flashcard_id/reviews",
+  validateQuery(flashcardSchemas.reviewHistory),
+  flashcardController.getReviewHistory
+);
+
 export default router;
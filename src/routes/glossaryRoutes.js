@@ -0,0 +1,63 @@
+import express from "express";
+import GlossaryController from "../controllers/GlossaryController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  validateParams,
+  glossarySchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const glossaryController = new GlossaryController();
+
+// All glossary routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// GET /api/glossary/terms - List terms
+router.get(
+  "/terms",
+  validateQuery(glossarySchemas.listTerms),
+  glossaryController.listTerms
+);
+
+// POST /api/glossary/terms - Add a term
+router.post(
+  "/terms",
+  validateBody(glossarySchemas.createTerm),
+  glossaryController.createTerm
+);
+
+// PATCH /api/glossary/terms/:id - Change a term
+router.patch(
+  "/terms/:id",
+  validateParams(glossarySchemas.termIdParam),
+  validateBody(glossarySchemas.updateTerm),
+  glossaryController.updateTerm
+);
+
+// DELETE /api/glossary/terms/:id - Remove a term
+router.delete(
+  "/terms/:id",
+  validateParams(glossarySchemas.termIdParam),
+  glossaryController.deleteTerm
+);
+
+// GET /api/glossary/violations - Translations flagged for review
+router.get(
+  "/violations",
+  validateQuery(glossarySchemas.listViolations),
+  glossaryController.listViolations
+);
+
+// POST /api/glossary/violations/resolve - Mark flagged translations reviewed
+router.post(
+  "/violations/resolve",
+  validateBody(glossarySchemas.resolveViolations),
+  glossaryController.resolveViolations
+);
+
+export default router;
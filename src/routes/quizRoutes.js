@@ -0,0 +1,34 @@
+import express from "express";
+import QuizController from "../controllers/QuizController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateParams,
+  quizSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const quizController = new QuizController();
+
+// All quiz routes require authentication
+router.use(authMiddleware);
+
+// POST /api/quizzes - Generate a quiz from a flashcard group or category
+router.post("/", validateBody(quizSchemas.create), quizController.createQuiz);
+
+// GET /api/quizzes/:id - Get quiz
+router.get(
+  "/:id",
+  validateParams(quizSchemas.quizIdParam),
+  quizController.getQuiz
+);
+
+// POST /api/quizzes/:id/questions/:question_id/answer - Answer a question
+router.post(
+  "/:id/questions/:question_id/answer",
+  validateParams(quizSchemas.questionParams),
+  validateBody(quizSchemas.answer),
+  quizController.answerQuestion
+);
+
+export default router;
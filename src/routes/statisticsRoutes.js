@@ -0,0 +1,54 @@
+import express from "express";
+import StatisticsController from "../controllers/StatisticsController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import { validateQuery, statisticsSchemas } from "../validators/index.js";
+
+const router = express.Router();
+const statisticsController = new StatisticsController();
+
+// All statistics routes require authentication
+router.use(authMiddleware);
+
+// GET /api/statistics - Dashboard overview
+router.get(
+  "/",
+  validateQuery(statisticsSchemas.overview),
+  statisticsController.getOverview
+);
+
+// GET /api/statistics/heatmap - Daily review counts for a calendar heatmap
+router.get(
+  "/heatmap",
+  validateQuery(statisticsSchemas.heatmap),
+  statisticsController.getHeatmap
+);
+
+// GET /api/statistics/streaks - Current and longest streak
+router.get(
+  "/streaks",
+  validateQuery(statisticsSchemas.overview),
+  statisticsController.getStreaks
+);
+
+// GET /api/statistics/retention - True retention per flashcard group
+router.get(
+  "/retention",
+  validateQuery(statisticsSchemas.retention),
+  statisticsController.getRetention
+);
+
+// GET /api/statistics/cards - Number of cards by status
+router.get(
+  "/cards",
+  validateQuery(statisticsSchemas.overview),
+  statisticsController.getCardCounts
+);
+
+// GET /api/statistics/forecast - Cards due per day
+router.get(
+  "/forecast",
+  validateQuery(statisticsSchemas.forecast),
+  statisticsController.getForecast
+);
+
+export default router;
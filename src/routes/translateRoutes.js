@@ -1,6 +1,15 @@
 import express from "express";
 import TranslateController from "../controllers/TranslateController.js";
-import { validateBody } from "../validators/index.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  commonSchemas,
+  translationResponseSchemas,
+} from "../validators/index.js";
+import { TRANSLATION_LANGUAGE_DEFAULTS } from "../constants/index.js";
 import Joi from "joi";
 
 const router = express.Router();
@@ -13,6 +22,9 @@ const translateValidation = Joi.object({
   senses: Joi.array().default([]),
   idioms: Joi.array().default([]),
   phrasal_verb_senses: Joi.array().default([]),
+  language: commonSchemas.language.default(
+    TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ),
 }).unknown(true); // Allow other fields from word object
 
 // POST /api/translate/definition - Translate only definitions
@@ -36,4 +48,20 @@ router.post(
   translateController.translateParallel
 );
 
+// POST /api/translate/parallel/stream - Same as /parallel, streamed as Server-Sent Events
+router.post(
+  "/parallel/stream",
+  validateBody(translateValidation),
+  translateController.translateParallelStream
+);
+
+// GET /api/translate/stats - Repair and retry statistics of model answers (admin)
+router.get(
+  "/stats",
+  authMiddleware,
+  adminMiddleware,
+  validateQuery(translationResponseSchemas.stats),
+  translateController.getResponseStats
+);
+
 export default router;
@@ -0,0 +1,63 @@
+import express from "express";
+import TranslationJobController from "../controllers/TranslationJobController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  validateParams,
+  translationJobSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const translationJobController = new TranslationJobController();
+
+// All translation job routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// POST /api/translation-jobs - Start translating missing translations
+router.post(
+  "/",
+  validateBody(translationJobSchemas.createJob),
+  translationJobController.createJob
+);
+
+// GET /api/translation-jobs - List jobs
+router.get(
+  "/",
+  validateQuery(translationJobSchemas.listJobs),
+  translationJobController.listJobs
+);
+
+// GET /api/translation-jobs/:id - Get job progress and cost summary
+router.get(
+  "/:id",
+  validateParams(translationJobSchemas.jobIdParam),
+  translationJobController.getJob
+);
+
+// POST /api/translation-jobs/:id/pause - Pause a job
+router.post(
+  "/:id/pause",
+  validateParams(translationJobSchemas.jobIdParam),
+  translationJobController.pauseJob
+);
+
+// POST /api/translation-jobs/:id/resume - Resume a paused job
+router.post(
+  "/:id/resume",
+  validateParams(translationJobSchemas.jobIdParam),
+  validateBody(translationJobSchemas.resumeJob),
+  translationJobController.resumeJob
+);
+
+// POST /api/translation-jobs/:id/cancel - Cancel a job
+router.post(
+  "/:id/cancel",
+  validateParams(translationJobSchemas.jobIdParam),
+  translationJobController.cancelJob
+);
+
+export default router;
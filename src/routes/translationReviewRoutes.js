@@ -0,0 +1,49 @@
+import express from "express";
+import TranslationReviewController from "../controllers/TranslationReviewController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  validateParams,
+  translationReviewSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const translationReviewController = new TranslationReviewController();
+
+// All translation review routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// GET /api/translation-reviews - Review queue (word, symbol, status, kind)
+router.get(
+  "/",
+  validateQuery(translationReviewSchemas.listQueue),
+  translationReviewController.listQueue
+);
+
+// POST /api/translation-reviews/approve - Mark translations as checked
+router.post(
+  "/approve",
+  validateBody(translationReviewSchemas.approve),
+  translationReviewController.approve
+);
+
+// POST /api/translation-reviews/reject - Send translations back to be redone
+router.post(
+  "/reject",
+  validateBody(translationReviewSchemas.reject),
+  translationReviewController.reject
+);
+
+// PATCH /api/translation-reviews/:kind/:id - Correct a translation
+router.patch(
+  "/:kind/:id",
+  validateParams(translationReviewSchemas.itemParams),
+  validateBody(translationReviewSchemas.edit),
+  translationReviewController.edit
+);
+
+export default router;
@@ -0,0 +1,59 @@
+import express from "express";
+import WordEditorController from "../controllers/WordEditorController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  validateParams,
+  wordEditorSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const wordEditorController = new WordEditorController();
+
+// All word editor routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// GET /api/word-editor/:word - Editable fields and current revision
+router.get(
+  "/:word",
+  validateParams(wordEditorSchemas.wordParam),
+  wordEditorController.getWord
+);
+
+// PATCH /api/word-editor/:word - Edit senses, examples, idioms, phrasal verbs...
+router.patch(
+  "/:word",
+  validateParams(wordEditorSchemas.wordParam),
+  validateBody(wordEditorSchemas.edit),
+  wordEditorController.editWord
+);
+
+// GET /api/word-editor/:word/revisions - Revision history
+router.get(
+  "/:word/revisions",
+  validateParams(wordEditorSchemas.wordParam),
+  validateQuery(wordEditorSchemas.listRevisions),
+  wordEditorController.listRevisions
+);
+
+// GET /api/word-editor/:word/revisions/:revision?compare_to=0 - Revision diff
+router.get(
+  "/:word/revisions/:revision",
+  validateParams(wordEditorSchemas.revisionParams),
+  validateQuery(wordEditorSchemas.getRevision),
+  wordEditorController.getRevision
+);
+
+// POST /api/word-editor/:word/revisions/:revision/rollback - Restore a revision
+router.post(
+  "/:word/revisions/:revision/rollback",
+  validateParams(wordEditorSchemas.revisionParams),
+  validateBody(wordEditorSchemas.rollback),
+  wordEditorController.rollback
+);
+
+export default router;
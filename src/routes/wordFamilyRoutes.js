@@ -0,0 +1,47 @@
+import express from "express";
+import WordFamilyController from "../controllers/WordFamilyController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  wordFamilySchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const wordFamilyController = new WordFamilyController();
+
+// All word family routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// POST /api/word-families/suggestions/generate - Propose roots from suffix/prefix rules
+router.post(
+  "/suggestions/generate",
+  validateBody(wordFamilySchemas.generate),
+  wordFamilyController.generateSuggestions
+);
+
+// GET /api/word-families/suggestions?status=pending&min_confidence=0.8 - Review suggestions
+router.get(
+  "/suggestions",
+  validateQuery(wordFamilySchemas.list),
+  wordFamilyController.listSuggestions
+);
+
+// POST /api/word-families/suggestions/accept - Accept suggestions in bulk
+router.post(
+  "/suggestions/accept",
+  validateBody(wordFamilySchemas.review),
+  wordFamilyController.acceptSuggestions
+);
+
+// POST /api/word-families/suggestions/reject - Reject suggestions in bulk
+router.post(
+  "/suggestions/reject",
+  validateBody(wordFamilySchemas.review),
+  wordFamilyController.rejectSuggestions
+);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import WordGraphController from "../controllers/WordGraphController.js";
+import {
+  validateQuery,
+  validateParams,
+  wordGraphSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const wordGraphController = new WordGraphController();
+
+// GET /api/word-graph/path?from=big&to=small&types=synonym,opposite - Shortest path between two words
+router.get(
+  "/path",
+  validateQuery(wordGraphSchemas.path),
+  wordGraphController.getPath
+);
+
+// GET /api/word-graph/:word/neighbours?types=synonym - Related words
+router.get(
+  "/:word/neighbours",
+  validateParams(wordGraphSchemas.wordParam),
+  validateQuery(wordGraphSchemas.neighbours),
+  wordGraphController.getNeighbours
+);
+
+// GET /api/word-graph/:word/subgraph?depth=2 - Node/edge JSON for visualisation
+router.get(
+  "/:word/subgraph",
+  validateParams(wordGraphSchemas.wordParam),
+  validateQuery(wordGraphSchemas.subgraph),
+  wordGraphController.getSubgraph
+);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import WordRefreshController from "../controllers/WordRefreshController.js";
+import authMiddleware, {
+  adminMiddleware,
+} from "../middleware/authMiddleware.js";
+import {
+  validateBody,
+  validateQuery,
+  validateParams,
+  wordRefreshSchemas,
+} from "../validators/index.js";
+
+const router = express.Router();
+const wordRefreshController = new WordRefreshController();
+
+// All word refresh routes require an admin
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// POST /api/word-refresh/jobs - Start a re-crawl or re-parse job
+router.post(
+  "/jobs",
+  validateBody(wordRefreshSchemas.createJob),
+  wordRefreshController.createJob
+);
+
+// GET /api/word-refresh/jobs - List jobs
+router.get(
+  "/jobs",
+  validateQuery(wordRefreshSchemas.listJobs),
+  wordRefreshController.listJobs
+);
+
+// GET /api/word-refresh/jobs/:id - Get job progress
+router.get(
+  "/jobs/:id",
+  validateParams(wordRefreshSchemas.jobIdParam),
+  wordRefreshController.getJob
+);
+
+// GET /api/word-refresh/jobs/:id/results - Per-word results and diffs
+router.get(
+  "/jobs/:id/results",
+  validateParams(wordRefreshSchemas.jobIdParam),
+  validateQuery(wordRefreshSchemas.results),
+  wordRefreshController.getJobResults
+);
+
+// POST /api/word-refresh/jobs/:id/cancel - Cancel a job
+router.post(
+  "/jobs/:id/cancel",
+  validateParams(wordRefreshSchemas.jobIdParam),
+  wordRefreshController.cancelJob
+);
+
+export default router;
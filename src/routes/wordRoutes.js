@@ -13,6 +13,13 @@ const wordController = new WordController();
 // GET /api/lookup?word=hang
 router.get("/lookup", validateQuery(wordSchemas.lookup), wordController.lookup);
 
+// GET /api/suggest?q=recieve&limit=5 - "Did you mean" suggestions
+router.get(
+  "/suggest",
+  validateQuery(wordSchemas.suggest),
+  wordController.suggest
+);
+
 // GET /api/list-words?page=1&per_page=100&q=&symbol=&parts_of_speech=
 router.get(
   "/list-words",
@@ -34,6 +41,14 @@ router.get("/parts-of-speech", wordController.getPartsOfSpeech);
 // GET /api/search?q=hang&current=1&limit=20&type=word
 router.get("/search", validateQuery(wordSchemas.search), wordController.search);
 
+// GET /api/search/full-text?q=nơi ở&symbol=a1&parts_of_speech=["noun"]&page=1&per_page=20
+// Search definitions, examples and their Vietnamese translations
+router.get(
+  "/search/full-text",
+  validateQuery(wordSchemas.fullTextSearch),
+  wordController.fullTextSearch
+);
+
 // POST /api/senses/definition
 router.post("/senses/definition", wordController.updateSenseDefinitions);
 
@@ -6,7 +6,22 @@ import { GroupWordRepository } from "../repositories/GroupWordRepository.js";
 import {
   FlashcardGroupDTO,
   FlashcardGroupDetailDTO,
+  ReviewQueueCardDTO,
 } from "../dtos/FlashcardDTO.js";
+import { createInitialProgress } from "../utils/scheduler.js";
+import {
+  COLLECTIONS,
+  FLASHCARD_STATUS,
+  FLASHCARD_GROUP_SOURCE_TYPES,
+  REVIEW_QUEUE_ORDERS,
+  REVIEW_QUEUE_DEFAULTS,
+  SYNC_MODES,
+  SYNC_REMOVAL_ACTIONS,
+  SYNC_DEFAULTS,
+} from "../constants/index.js";
+
+// CEFR levels in study order; words without a level sort last
+const SYMBOL_ORDER = ["a1", "a2", "b1", "b2", "c1"];
 
 /**
  * FlashcardGroupService
@@ -101,7 +116,18 @@ export class FlashcardGroupService extends BaseService {
     return this.execute(async () => {
       await this.repository.init();
 
-      const { name, description, source_type } = data;
+      const {
+        name,
+        description,
+        source_type,
+        scheduler,
+        scheduler_params,
+        leech_threshold,
+        leech_action,
+        auto_sync,
+        sync_mode,
+        sync_removal_action,
+      } = data;
 
       // Use repository.create() which includes entity validation
       const group = await this.repository.create({
@@ -111,6 +137,13 @@ export class FlashcardGroupService extends BaseService {
         source_type: source_type || "manual",
         source_id: null,
         flashcards: [],
+        scheduler,
+        scheduler_params,
+        leech_threshold,
+        leech_action,
+        auto_sync,
+        sync_mode,
+        sync_removal_action,
       });
 
       this.log("info", `Flashcard group created: ${name}`);
@@ -130,7 +163,17 @@ export class FlashcardGroupService extends BaseService {
     return this.execute(async () => {
       await this.repository.init();
 
-      const { name, description } = updates;
+      const {
+        name,
+        description,
+        scheduler,
+        scheduler_params,
+        leech_threshold,
+        leech_action,
+        auto_sync,
+        sync_mode,
+        sync_removal_action,
+      } = updates;
 
       // Check if group exists and belongs to user
       const group = await this.repository.findOne({
@@ -156,6 +199,31 @@ export class FlashcardGroupService extends BaseService {
       if (description !== undefined) {
         updateData.description = description;
       }
+      // Switching scheduler keeps card progress; both schedulers read the
+      // shared interval/stability fields
+      if (scheduler !== undefined) {
+        updateData.scheduler = scheduler;
+      }
+      if (scheduler_params !== undefined) {
+        updateData.scheduler_params = scheduler_params;
+      }
+      // Leech settings apply to future lapses; flagged cards stay flagged
+      if (leech_threshold !== undefined) {
+        updateData.leech_threshold = leech_threshold;
+      }
+      if (leech_action !== undefined) {
+        updateData.leech_action = leech_action;
+      }
+      // Sync settings take effect on the next sync of a group_word group
+      if (auto_sync !== undefined) {
+        updateData.auto_sync = auto_sync;
+      }
+      if (sync_mode !== undefined) {
+        updateData.sync_mode = sync_mode;
+      }
+      if (sync_removal_action !== undefined) {
+        updateData.sync_removal_action = sync_removal_action;
+      }
 
       await this.repository.updateById(groupId, {
         $set: {
@@ -209,13 +277,247 @@ export class FlashcardGroupService extends BaseService {
     }, "deleteFlashcardGroup");
   }
 
+  /**
+   * Get today's review queue (due and new cards) across one or all groups
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { flashcard_group_id, new_limit, review_limit, order }
+   * @returns {Promise<Object>} { reviews, new_cards, meta }
+   */
+  async getReviewQueue(userId, options = {}) {
+    return this.execute(async () => {
+      await this.repository.init();
+      await this.flashcardRepository.init();
+
+      const {
+        flashcard_group_id,
+        new_limit = REVIEW_QUEUE_DEFAULTS.NEW_CARDS_PER_DAY,
+        review_limit = REVIEW_QUEUE_DEFAULTS.REVIEWS_PER_DAY,
+        order = REVIEW_QUEUE_ORDERS.OVERDUE,
+      } = options;
+
+      const groupFilter = { user_id: this.repository.toObjectId(userId) };
+      if (flashcard_group_id) {
+        groupFilter._id = this.repository.toObjectId(flashcard_group_id);
+      }
+
+      const groups = await this.repository.find(groupFilter, {
+        projection: { _id: 1, name: 1 },
+      });
+
+      if (flashcard_group_id && groups.length === 0) {
+        const error = new Error("Flashcard group not found");
+        error.status = 404;
+        throw error;
+      }
+
+      const groupIds = groups.map((g) => g._id);
+      const groupNames = new Map(groups.map((g) => [g._id.toString(), g.name]));
+
+      const now = new Date();
+      const startOfToday = new Date(now);
+      startOfToday.setHours(0, 0, 0, 0);
+
+      const inGroups = {
+        flashcard_group_id: { $in: groupIds },
+        suspended: { $ne: true },
+        archived: { $ne: true },
+      };
+      const dueMatch = {
+        ...inGroups,
+        status: { $ne: FLASHCARD_STATUS.NEW },
+        "progress.next_review_at": { $lte: now },
+      };
+      const newMatch = { ...inGroups, status: FLASHCARD_STATUS.NEW };
+
+      // Daily limits are shared with reviews already done today
+      const [dueTotal, newTotal, reviewedToday, newStudiedToday] =
+        await Promise.all([
+          this.flashcardRepository.count(dueMatch),
+          this.flashcardRepository.count(newMatch),
+          this.flashcardRepository.count({
+            ...inGroups,
+            "progress.last_reviewed_at": { $gte: startOfToday },
+            $or: [
+              { "progress.first_reviewed_at": { $lt: startOfToday } },
+              { "progress.first_reviewed_at": null },
+            ],
+          }),
+          this.flashcardRepository.count({
+            ...inGroups,
+            "progress.first_reviewed_at": { $gte: startOfToday },
+          }),
+        ]);
+
+      const reviewRemaining = Math.max(0, review_limit - reviewedToday);
+      const newRemaining = Math.max(0, new_limit - newStudiedToday);
+
+      const [reviews, newCards] = await Promise.all([
+        reviewRemaining > 0
+          ? this.flashcardRepository.aggregate(
+              this.buildReviewQueuePipeline(dueMatch, order, reviewRemaining)
+            )
+          : [],
+        newRemaining > 0
+          ? this.flashcardRepository.aggregate(
+              this.buildReviewQueuePipeline(newMatch, order, newRemaining)
+            )
+          : [],
+      ]);
+
+      const toDTO = (card) =>
+        new ReviewQueueCardDTO({
+          ...card,
+          flashcard_group_name: groupNames.get(
+            card.flashcard_group_id.toString()
+          ),
+        }).transform();
+
+      return {
+        reviews: reviews.map(toDTO),
+        new_cards: newCards.map(toDTO),
+        meta: {
+          order,
+          due_total: dueTotal,
+          new_total: newTotal,
+          reviewed_today: reviewedToday,
+          new_studied_today: newStudiedToday,
+          review_limit,
+          new_limit,
+          review_remaining: reviewRemaining,
+          new_remaining: newRemaining,
+        },
+      };
+    }, "getReviewQueue");
+  }
+
+  /**
+   * Build the aggregation for one part of the review queue, joined with words
+   * @param {Object} match - Flashcard filter
+   * @param {string} order - One of REVIEW_QUEUE_ORDERS
+   * @param {number} limit - Maximum number of cards
+   * @returns {Array} Aggregation pipeline
+   */
+  buildReviewQueuePipeline(match, order, limit) {
+    const lookupWord = [
+      {
+        $lookup: {
+          from: COLLECTIONS.WORDS,
+          localField: "word_id",
+          foreignField: "_id",
+          as: "word",
+        },
+      },
+      { $unwind: { path: "$word", preserveNullAndEmptyArrays: true } },
+    ];
+
+    if (order === REVIEW_QUEUE_ORDERS.RANDOM) {
+      return [
+        { $match: match },
+        { $addFields: { _queue_key: { $rand: {} } } },
+        { $sort: { _queue_key: 1 } },
+        { $limit: limit },
+        ...lookupWord,
+        { $project: { _queue_key: 0 } },
+      ];
+    }
+
+    if (order === REVIEW_QUEUE_ORDERS.SYMBOL) {
+      // Symbol lives on the word, so join before sorting
+      return [
+        { $match: match },
+        ...lookupWord,
+        {
+          $addFields: {
+            _queue_key: {
+              $let: {
+                vars: {
+                  idx: { $indexOfArray: [SYMBOL_ORDER, "$word.symbol"] },
+                },
+                in: {
+                  $cond: [{ $lt: ["$$idx", 0] }, SYMBOL_ORDER.length, "$$idx"],
+                },
+              },
+            },
+          },
+        },
+        {
+          $sort: {
+            _queue_key: 1,
+            "progress.next_review_at": 1,
+            createdAt: 1,
+          },
+        },
+        { $limit: limit },
+        { $project: { _queue_key: 0 } },
+      ];
+    }
+
+    // Overdue first: oldest due date, then oldest card
+    return [
+      { $match: match },
+      { $sort: { "progress.next_review_at": 1, createdAt: 1 } },
+      { $limit: limit },
+      ...lookupWord,
+    ];
+  }
+
+  /**
+   * Work out what a sync would change
+   * @param {Object} groupWord - Source group_word
+   * @param {Object|null} flashcardGroup - Synced flashcard group, null if not created yet
+   * @param {Array} flashcards - Cards of the flashcard group
+   * @param {string} mode - One of SYNC_MODES
+   * @returns {Object} { add, restore, remove, rename, description }
+   */
+  buildSyncPlan(groupWord, flashcardGroup, flashcards, mode) {
+    const sourceWordIds = [...new Set(groupWord.words || [])];
+    const sourceSet = new Set(sourceWordIds);
+    const cardsByWord = new Map(flashcards.map((fc) => [fc.word_id, fc]));
+    // Preview reports everything a mirror sync would do
+    const mirror = mode !== SYNC_MODES.ADD_ONLY;
+
+    const add = sourceWordIds.filter((wordId) => !cardsByWord.has(wordId));
+    const restore = flashcards.filter(
+      (fc) => fc.archived && sourceSet.has(fc.word_id)
+    );
+    const remove = mirror
+      ? flashcards.filter((fc) => !fc.archived && !sourceSet.has(fc.word_id))
+      : [];
+
+    let rename = null;
+    let description = null;
+    if (mirror && flashcardGroup) {
+      if (groupWord.name && groupWord.name !== flashcardGroup.name) {
+        rename = { from: flashcardGroup.name, to: groupWord.name };
+      }
+      // group_words without a description leave the group's own one alone
+      if (
+        groupWord.description !== undefined &&
+        groupWord.description !== flashcardGroup.description
+      ) {
+        description = {
+          from: flashcardGroup.description,
+          to: groupWord.description,
+        };
+      }
+    }
+
+    return { add, restore, remove, rename, description };
+  }
+
   /**
    * Sync flashcard group from group_word
+   * - add_only: add cards for new words (archived cards of re-added words are restored)
+   * - mirror: also archive or delete cards of removed words and copy name/description
+   * - preview: report what mirror would change without writing
+   * Mode and removal action default to the group's saved settings; the ones
+   * used by a non-preview sync are saved for auto-sync
    * @param {string|ObjectId} userId - User ID
    * @param {string|ObjectId} groupWordId - Group word ID to sync from
-   * @returns {Promise<Object>}
+   * @param {Object} options - { mode, removal_action, auto_sync }
+   * @returns {Promise<Object>} Flashcard group with a `sync` report
    */
-  async syncFromGroupWord(userId, groupWordId) {
+  async syncFromGroupWord(userId, groupWordId, options = {}) {
     return this.execute(async () => {
       await this.repository.init();
       await this.groupWordRepository.init();
@@ -236,22 +538,67 @@ export class FlashcardGroupService extends BaseService {
       // Find existing flashcard group with this source_id
       let flashcardGroup = await this.repository.findOne({
         user_id: this.repository.toObjectId(userId),
-        source_type: "group_word",
+        source_type: FLASHCARD_GROUP_SOURCE_TYPES.GROUP_WORD,
         source_id: this.repository.toObjectId(groupWordId),
       });
 
-      let isFirstSync = false;
+      const mode =
+        options.mode || flashcardGroup?.sync_mode || SYNC_DEFAULTS.MODE;
+      const removalAction =
+        options.removal_action ||
+        flashcardGroup?.sync_removal_action ||
+        SYNC_DEFAULTS.REMOVAL_ACTION;
+
+      const flashcards = flashcardGroup
+        ? await this.flashcardRepository.find({
+            flashcard_group_id: flashcardGroup._id,
+          })
+        : [];
+      const plan = this.buildSyncPlan(
+        groupWord,
+        flashcardGroup,
+        flashcards,
+        mode
+      );
+
+      const report = {
+        mode,
+        removal_action: removalAction,
+        applied: mode !== SYNC_MODES.PREVIEW,
+        created: !flashcardGroup,
+        added: plan.add,
+        restored: plan.restore.map((fc) => fc.word_id),
+        removed: plan.remove.map((fc) => fc.word_id),
+        renamed: plan.rename,
+        description_changed: plan.description !== null,
+      };
+
+      if (mode === SYNC_MODES.PREVIEW) {
+        return {
+          ...(flashcardGroup
+            ? new FlashcardGroupDTO({
+                ...flashcardGroup,
+                flashcards_data: flashcards,
+              }).transform()
+            : {}),
+          sync: report,
+        };
+      }
+
+      const now = new Date();
 
       // If not exists, create new flashcard group
       if (!flashcardGroup) {
-        isFirstSync = true;
         flashcardGroup = await this.repository.create({
           user_id: this.repository.toObjectId(userId),
           name: groupWord.name,
           description: groupWord.description || "",
-          source_type: "group_word",
+          source_type: FLASHCARD_GROUP_SOURCE_TYPES.GROUP_WORD,
           source_id: this.repository.toObjectId(groupWordId),
           flashcards: [],
+          auto_sync: options.auto_sync,
+          sync_mode: mode,
+          sync_removal_action: removalAction,
         });
 
         this.log(
@@ -260,62 +607,122 @@ export class FlashcardGroupService extends BaseService {
         );
       }
 
-      // Get existing flashcards in this group
-      const existingFlashcards = await this.flashcardRepository.find({
-        flashcard_group_id: flashcardGroup._id,
-      });
-
-      const existingWordIds = new Set(
-        existingFlashcards.map((fc) => fc.word_id)
-      );
-
-      // Add new flashcards for words not already in the group
-      const wordIds = groupWord.words || [];
-      const newWordIds = wordIds.filter(
-        (wordId) => !existingWordIds.has(wordId)
-      );
-
-      let newFlashcardIds = [];
-
-      if (newWordIds.length > 0) {
-        const flashcardsToInsert = newWordIds.map((wordId) => ({
+      if (plan.add.length > 0) {
+        const flashcardsToInsert = plan.add.map((wordId) => ({
           flashcard_group_id: flashcardGroup._id,
           word_id: wordId,
-          status: "new",
-          progress: {
-            times_shown: 0,
-            times_correct: 0,
-            accuracy: 0,
-            last_reviewed_at: null,
-            next_review_at: null,
-          },
-          createdAt: new Date(),
-          updatedAt: new Date(),
+          status: FLASHCARD_STATUS.NEW,
+          progress: createInitialProgress(),
+          createdAt: now,
+          updatedAt: now,
         }));
 
         const result = await this.flashcardRepository.collection.insertMany(
           flashcardsToInsert
         );
-        newFlashcardIds = Object.values(result.insertedIds);
 
         // Update flashcard_group.flashcards array
         await this.repository.collection.updateOne(
           { _id: flashcardGroup._id },
           {
-            $addToSet: { flashcards: { $each: newFlashcardIds } },
-            $set: { updatedAt: new Date() },
+            $addToSet: {
+              flashcards: { $each: Object.values(result.insertedIds) },
+            },
           }
         );
       }
 
+      // Re-added words get their old card back with its progress
+      if (plan.restore.length > 0) {
+        await this.flashcardRepository.updateMany(
+          { _id: { $in: plan.restore.map((fc) => fc._id) } },
+          { $set: { archived: false, archived_at: null } }
+        );
+      }
+
+      if (plan.remove.length > 0) {
+        const removedIds = plan.remove.map((fc) => fc._id);
+
+        if (removalAction === SYNC_REMOVAL_ACTIONS.DELETE) {
+          await this.flashcardRepository.deleteMany({
+            _id: { $in: removedIds },
+          });
+          await this.repository.collection.updateOne(
+            { _id: flashcardGroup._id },
+            { $pull: { flashcards: { $in: removedIds } } }
+          );
+        } else {
+          await this.flashcardRepository.updateMany(
+            { _id: { $in: removedIds } },
+            { $set: { archived: true, archived_at: now } }
+          );
+        }
+      }
+
+      const groupUpdates = {
+        sync_mode: mode,
+        sync_removal_action: removalAction,
+        last_synced_at: now,
+        updatedAt: now,
+      };
+      if (options.auto_sync !== undefined) {
+        groupUpdates.auto_sync = options.auto_sync;
+      }
+      if (plan.rename) groupUpdates.name = plan.rename.to;
+      if (plan.description) groupUpdates.description = plan.description.to;
+
+      await this.repository.updateById(flashcardGroup._id, {
+        $set: groupUpdates,
+      });
+
       this.log(
         "info",
-        `Synced ${newWordIds.length} new flashcards from group_word: ${groupWord.name}`
+        `Synced group_word ${groupWord.name} (${mode}): ${plan.add.length} added, ${plan.restore.length} restored, ${plan.remove.length} removed`
       );
 
-      return flashcardGroup;
+      const [updatedGroup, updatedFlashcards] = await Promise.all([
+        this.repository.findById(flashcardGroup._id),
+        this.flashcardRepository.find({
+          flashcard_group_id: flashcardGroup._id,
+        }),
+      ]);
+
+      return {
+        ...new FlashcardGroupDTO({
+          ...updatedGroup,
+          flashcards_data: updatedFlashcards,
+        }).transform(),
+        sync: report,
+      };
     }, "syncFromGroupWord");
   }
+
+  /**
+   * Run the sync of the flashcard group following a group_word, if that
+   * group has auto-sync turned on; uses the group's saved mode
+   * @param {string|ObjectId} userId - User ID
+   * @param {string|ObjectId} groupWordId - Group word ID
+   * @returns {Promise<Object|null>} Sync result, null when nothing follows the group_word
+   */
+  async autoSyncGroupWord(userId, groupWordId) {
+    return this.execute(async () => {
+      await this.repository.init();
+
+      const flashcardGroup = await this.repository.findOne(
+        {
+          user_id: this.repository.toObjectId(userId),
+          source_type: FLASHCARD_GROUP_SOURCE_TYPES.GROUP_WORD,
+          source_id: this.repository.toObjectId(groupWordId),
+          auto_sync: true,
+        },
+        { _id: 1 }
+      );
+
+      if (!flashcardGroup) return null;
+
+      return await this.syncFromGroupWord(userId, groupWordId);
+    }, "autoSyncGroupWord");
+  }
 }
 
 export default FlashcardGroupService;
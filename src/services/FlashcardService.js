@@ -1,9 +1,38 @@
 import { ObjectId } from "mongodb";
+import { isDeepStrictEqual } from "util";
 import { BaseService } from "./BaseService.js";
 import { FlashcardRepository } from "../repositories/FlashcardRepository.js";
 import { FlashcardGroupRepository } from "../repositories/FlashcardGroupRepository.js";
 import { WordRepository } from "../repositories/WordRepository.js";
-import { FlashcardDTO } from "../dtos/FlashcardDTO.js";
+import { ReviewLogRepository } from "../repositories/ReviewLogRepository.js";
+import { FlashcardDTO, ReviewLogDTO } from "../dtos/FlashcardDTO.js";
+import {
+  getScheduler,
+  migrateProgress,
+  createInitialProgress,
+  isLeechLapse,
+} from "../utils/scheduler.js";
+import {
+  FLASHCARD_STATUS,
+  REVIEW_RATINGS,
+  LEGACY_REVIEW_ACTIONS,
+  SCHEDULER_DEFAULTS,
+  LEECH_ACTIONS,
+  LEECH_DEFAULTS,
+} from "../constants/index.js";
+import { ConflictError } from "../errors/AppError.js";
+
+const CHANGED_SINCE_REVIEW =
+  "Flashcard changed since this review; it can no longer be undone";
+
+// Card fields a review can change; stored in review logs for undo
+const pickReviewState = (flashcard) => ({
+  progress: flashcard.progress || null,
+  status: flashcard.status,
+  is_leech: flashcard.is_leech || false,
+  leeched_at: flashcard.leeched_at || null,
+  suspended: flashcard.suspended || false,
+});
 
 /**
  * FlashcardService
@@ -14,12 +43,14 @@ export class FlashcardService extends BaseService {
     flashcardRepository = null,
     flashcardGroupRepository = null,
     wordRepository = null,
+    reviewLogRepository = null,
     dependencies = {}
   ) {
     super(flashcardRepository || new FlashcardRepository(), dependencies);
     this.flashcardGroupRepository =
       flashcardGroupRepository || new FlashcardGroupRepository();
     this.wordRepository = wordRepository || new WordRepository();
+    this.reviewLogRepository = reviewLogRepository || new ReviewLogRepository();
   }
 
   /**
@@ -73,6 +104,17 @@ export class FlashcardService extends BaseService {
       const existingWordIds = existingFlashcards.map((f) => f.word_id);
       const newWordIds = word_ids.filter((id) => !existingWordIds.includes(id));
 
+      // Adding a word again brings back its archived card with its progress
+      await this.repository.updateMany(
+        {
+          flashcard_group_id:
+            this.flashcardGroupRepository.toObjectId(flashcard_group_id),
+          word_id: { $in: existingWordIds },
+          archived: true,
+        },
+        { $set: { archived: false, archived_at: null } }
+      );
+
       if (newWordIds.length === 0) {
         return { message: "All words already in flashcard group" };
       }
@@ -83,11 +125,7 @@ export class FlashcardService extends BaseService {
           this.flashcardGroupRepository.toObjectId(flashcard_group_id),
         word_id: word_id,
         status: "new",
-        progress: {
-          times_shown: 0,
-          times_correct: 0,
-          last_reviewed_at: null,
-        },
+        progress: createInitialProgress(),
         createdAt: new Date(),
         updatedAt: new Date(),
       }));
@@ -177,16 +215,27 @@ export class FlashcardService extends BaseService {
   }
 
   /**
-   * Review flashcard - Update progress with spaced repetition
+   * Review flashcard - Update progress with the group's spaced repetition scheduler
    * @param {string|ObjectId} flashcardId - Flashcard ID
    * @param {string|ObjectId} userId - User ID
-   * @param {string} action - "remember" or "forget"
+   * @param {string} rating - "again", "hard", "good", "easy" (or legacy "remember"/"forget")
+   * @param {Object} meta - { response_time_ms, client_reviewed_at } stored in the review log
    * @returns {Promise<Object>}
    */
-  async reviewFlashcard(flashcardId, userId, action) {
+  async reviewFlashcard(flashcardId, userId, rating, meta = {}) {
     return this.execute(async () => {
       await this.repository.init();
       await this.flashcardGroupRepository.init();
+      await this.reviewLogRepository.init();
+
+      const grade = LEGACY_REVIEW_ACTIONS[rating] || rating;
+      if (!Object.values(REVIEW_RATINGS).includes(grade)) {
+        const error = new Error(
+          `Rating must be one of: ${Object.values(REVIEW_RATINGS).join(", ")}`
+        );
+        error.status = 400;
+        throw error;
+      }
 
       // Get flashcard
       const flashcard = await this.repository.findById(flashcardId);
@@ -208,92 +257,398 @@ export class FlashcardService extends BaseService {
         throw error;
       }
 
-      // Initialize progress if not exists
-      const progress = flashcard.progress || {
-        times_shown: 0,
-        times_correct: 0,
-        accuracy: 0,
-        last_reviewed_at: null,
-        next_review_at: null,
-      };
+      if (flashcard.suspended) {
+        const error = new Error("Flashcard is suspended");
+        error.status = 400;
+        throw error;
+      }
 
-      // Increment times_shown
-      progress.times_shown += 1;
-
-      // Spaced repetition intervals (in days)
-      const intervals = [1, 2, 4, 7, 15, 30];
-
-      if (action === "remember") {
-        // Increment times_correct
-        progress.times_correct += 1;
-
-        // Calculate accuracy
-        progress.accuracy =
-          Math.round(
-            (progress.times_correct / progress.times_shown) * 100 * 100
-          ) / 100; // Round to 2 decimal places
-
-        // Determine next interval
-        const intervalDays =
-          intervals[Math.min(progress.times_correct - 1, intervals.length - 1)];
-
-        // Calculate next_review_at at 00:00:00 of the due date
-        const next = new Date();
-        next.setDate(next.getDate() + intervalDays);
-        next.setHours(0, 0, 0, 0);
-        progress.next_review_at = next;
-
-        // Update status based on progress
-        if (progress.times_correct >= 5) {
-          flashcard.status = "mastered";
-        } else if (progress.times_correct >= 1) {
-          flashcard.status = "learning";
-        }
-      } else if (action === "forget") {
-        // Reset times_correct
-        progress.times_correct = 0;
+      if (flashcard.archived) {
+        const error = new Error("Flashcard is archived");
+        error.status = 400;
+        throw error;
+      }
 
-        // Calculate accuracy
-        progress.accuracy = 0;
+      // Legacy progress objects are migrated on the fly by the scheduler
+      const reviewedAt = new Date();
+      const schedulerType = group.scheduler || SCHEDULER_DEFAULTS.TYPE;
+      const scheduler = getScheduler(schedulerType, group.scheduler_params);
+      const { progress, status } = scheduler.review(
+        flashcard.progress,
+        grade,
+        reviewedAt
+      );
 
-        // Set next_review_at to 00:00:00 of the next day
-        const next = new Date();
-        next.setDate(next.getDate() + 1);
-        next.setHours(0, 0, 0, 0);
-        progress.next_review_at = next;
+      const leechThreshold = group.leech_threshold || LEECH_DEFAULTS.THRESHOLD;
+      const becameLeech =
+        grade === REVIEW_RATINGS.AGAIN &&
+        isLeechLapse(progress.lapses, leechThreshold);
 
-        // Reset status to learning
-        flashcard.status = "learning";
+      const newState = {
+        ...pickReviewState(flashcard),
+        progress,
+        status,
+      };
+      if (becameLeech) {
+        newState.is_leech = true;
+        newState.leeched_at = reviewedAt;
+        if (
+          (group.leech_action || LEECH_DEFAULTS.ACTION) ===
+          LEECH_ACTIONS.SUSPEND
+        ) {
+          newState.suspended = true;
+        }
       }
 
-      // Set last_reviewed_at to current time
-      progress.last_reviewed_at = new Date();
-
       // Update flashcard
       await this.repository.updateById(flashcardId, {
         $set: {
-          progress,
-          status: flashcard.status,
+          ...newState,
           updatedAt: new Date(),
         },
       });
 
-      this.log("info", `Flashcard reviewed: ${flashcardId} - ${action}`);
+      if (becameLeech) {
+        this.log(
+          "info",
+          `Flashcard flagged as leech: ${flashcardId} (${progress.lapses} lapses)`
+        );
+      }
+
+      // Keep the stored (possibly legacy) state so undo restores it exactly
+      const log = await this.reviewLogRepository.create({
+        user_id: group.user_id,
+        flashcard_id: flashcard._id,
+        flashcard_group_id: flashcard.flashcard_group_id,
+        word_id: flashcard.word_id,
+        rating: grade,
+        scheduler: schedulerType,
+        previous_state: pickReviewState(flashcard),
+        new_state: newState,
+        response_time_ms: meta.response_time_ms ?? null,
+        client_reviewed_at: meta.client_reviewed_at
+          ? new Date(meta.client_reviewed_at)
+          : null,
+        reviewed_at: reviewedAt,
+      });
+
+      this.log("info", `Flashcard reviewed: ${flashcardId} - ${grade}`);
 
       // Return updated flashcard with progress
       return {
         flashcard_id: flashcardId,
-        progress: {
-          times_shown: progress.times_shown,
-          times_correct: progress.times_correct,
-          accuracy: progress.accuracy,
-          last_reviewed_at: progress.last_reviewed_at,
-          next_review_at: progress.next_review_at,
-        },
-        status: flashcard.status,
+        review_log_id: log._id.toString(),
+        rating: grade,
+        scheduler: schedulerType,
+        progress: new FlashcardDTO({ progress }).transform().progress,
+        status,
+        is_leech: newState.is_leech,
+        suspended: newState.suspended,
+        became_leech: becameLeech,
       };
     }, "reviewFlashcard");
   }
+
+  /**
+   * Undo the user's last review (optionally of one flashcard)
+   * Restores the card's previous progress and status
+   * @param {string|ObjectId} userId - User ID
+   * @param {string|ObjectId|null} flashcardId - Flashcard ID (optional)
+   * @returns {Promise<Object>}
+   */
+  async undoLastReview(userId, flashcardId = null) {
+    return this.execute(async () => {
+      await this.repository.init();
+      await this.reviewLogRepository.init();
+
+      const log = await this.reviewLogRepository.findLastActive(
+        userId,
+        flashcardId
+      );
+      if (!log) {
+        const error = new Error("No review to undo");
+        error.status = 404;
+        throw error;
+      }
+
+      const flashcard = await this.repository.findById(log.flashcard_id);
+      if (!flashcard) {
+        const error = new Error("Flashcard not found");
+        error.status = 404;
+        throw error;
+      }
+
+      // Only the state the review left can be undone: a later change
+      // (edit, reset, suspension...) would be silently overwritten
+      if (
+        !isDeepStrictEqual(
+          pickReviewState(flashcard),
+          pickReviewState(log.new_state)
+        )
+      ) {
+        throw new ConflictError(CHANGED_SINCE_REVIEW);
+      }
+
+      // Logs written before leech tracking have no leech fields
+      const previous = pickReviewState(log.previous_state);
+      const { progress, status } = previous;
+
+      // Matched on updatedAt so a change made meanwhile is not overwritten
+      const result = await this.repository.updateOne(
+        { _id: flashcard._id, updatedAt: flashcard.updatedAt },
+        { $set: { ...previous } }
+      );
+      if (result.matchedCount === 0) {
+        throw new ConflictError(CHANGED_SINCE_REVIEW);
+      }
+
+      await this.reviewLogRepository.updateById(log._id, {
+        $set: { undone_at: new Date() },
+      });
+
+      this.log(
+        "info",
+        `Review undone: ${log._id} (flashcard ${log.flashcard_id})`
+      );
+
+      return {
+        flashcard_id: log.flashcard_id.toString(),
+        review_log_id: log._id.toString(),
+        undone_rating: log.rating,
+        progress: progress
+          ? new FlashcardDTO({ progress }).transform().progress
+          : null,
+        status,
+        is_leech: previous.is_leech,
+        suspended: previous.suspended,
+      };
+    }, "undoLastReview");
+  }
+
+  /**
+   * Get review history of a flashcard (newest first)
+   * @param {string|ObjectId} flashcardId - Flashcard ID
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { page, per_page }
+   * @returns {Promise<Object>} { total, page, per_page, data }
+   */
+  async getReviewHistory(
+    flashcardId,
+    userId,
+    { page = 1, per_page = 100 } = {}
+  ) {
+    return this.execute(async () => {
+      await this.repository.init();
+      await this.flashcardGroupRepository.init();
+      await this.reviewLogRepository.init();
+
+      const flashcard = await this.repository.findById(flashcardId);
+      if (!flashcard) {
+        const error = new Error("Flashcard not found");
+        error.status = 404;
+        throw error;
+      }
+
+      const group = await this.flashcardGroupRepository.findOne({
+        _id: flashcard.flashcard_group_id,
+        user_id: this.flashcardGroupRepository.toObjectId(userId),
+      });
+
+      if (!group) {
+        const error = new Error("Flashcard group not found");
+        error.status = 404;
+        throw error;
+      }
+
+      const result = await this.reviewLogRepository.findByFlashcardId(
+        flashcardId,
+        page,
+        per_page
+      );
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((log) => new ReviewLogDTO(log).transform()),
+      };
+    }, "getReviewHistory");
+  }
+
+  /**
+   * Get a flashcard group owned by the user or throw 404
+   */
+  async getOwnedGroup(groupId, userId) {
+    await this.flashcardGroupRepository.init();
+
+    const group = await this.flashcardGroupRepository.findOne({
+      _id: this.flashcardGroupRepository.toObjectId(groupId),
+      user_id: this.flashcardGroupRepository.toObjectId(userId),
+    });
+
+    if (!group) {
+      const error = new Error("Flashcard group not found");
+      error.status = 404;
+      throw error;
+    }
+
+    return group;
+  }
+
+  /**
+   * Filter for the leeches of a group, optionally narrowed to some cards
+   */
+  buildLeechFilter(groupId, flashcardIds = null) {
+    const filter = {
+      flashcard_group_id: groupId,
+      is_leech: true,
+      archived: { $ne: true },
+    };
+    if (Array.isArray(flashcardIds) && flashcardIds.length > 0) {
+      filter._id = { $in: this.repository.toObjectIds(flashcardIds) };
+    }
+    return filter;
+  }
+
+  /**
+   * List leeches of a flashcard group (most lapses first)
+   * @param {string|ObjectId} groupId - Group ID
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { suspended, page, per_page }
+   * @returns {Promise<Object>} { total, page, per_page, data }
+   */
+  async getLeeches(groupId, userId, options = {}) {
+    return this.execute(async () => {
+      await this.repository.init();
+      const { suspended, page = 1, per_page = 100 } = options;
+
+      const group = await this.getOwnedGroup(groupId, userId);
+      const filter = this.buildLeechFilter(group._id);
+      if (suspended !== undefined) {
+        filter.suspended = suspended ? true : { $ne: true };
+      }
+
+      const result = await this.repository.paginate(filter, page, per_page, {
+        sort: { "progress.lapses": -1, _id: 1 },
+      });
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((card) => new FlashcardDTO(card).transform()),
+      };
+    }, "getLeeches");
+  }
+
+  /**
+   * Put suspended leeches back into review queues
+   * Cards stay flagged as leeches
+   * @param {string|ObjectId} groupId - Group ID
+   * @param {string|ObjectId} userId - User ID
+   * @param {Array<string>|null} flashcardIds - Cards to unsuspend (all when empty)
+   * @returns {Promise<Object>} { modified }
+   */
+  async unsuspendLeeches(groupId, userId, flashcardIds = null) {
+    return this.execute(async () => {
+      await this.repository.init();
+
+      const group = await this.getOwnedGroup(groupId, userId);
+      const result = await this.repository.updateMany(
+        { ...this.buildLeechFilter(group._id, flashcardIds), suspended: true },
+        { $set: { suspended: false } }
+      );
+
+      this.log(
+        "info",
+        `Leeches unsuspended in ${groupId}: ${result.modifiedCount}`
+      );
+
+      return { modified: result.modifiedCount };
+    }, "unsuspendLeeches");
+  }
+
+  /**
+   * Reset leeches: clear the flag, unsuspend and start learning them again
+   * from scratch. Review history is kept.
+   * @param {string|ObjectId} groupId - Group ID
+   * @param {string|ObjectId} userId - User ID
+   * @param {Array<string>|null} flashcardIds - Cards to reset (all when empty)
+   * @returns {Promise<Object>} { modified }
+   */
+  async resetLeeches(groupId, userId, flashcardIds = null) {
+    return this.execute(async () => {
+      await this.repository.init();
+
+      const group = await this.getOwnedGroup(groupId, userId);
+      const result = await this.repository.updateMany(
+        this.buildLeechFilter(group._id, flashcardIds),
+        {
+          $set: {
+            is_leech: false,
+            leeched_at: null,
+            suspended: false,
+            status: FLASHCARD_STATUS.NEW,
+            progress: createInitialProgress(),
+          },
+        }
+      );
+
+      this.log("info", `Leeches reset in ${groupId}: ${result.modifiedCount}`);
+
+      return { modified: result.modifiedCount };
+    }, "resetLeeches");
+  }
+
+  /**
+   * Migrate legacy progress objects of all flashcards to the scheduler state
+   * @param {number} batchSize - Number of cards written per bulk operation
+   * @returns {Promise<Object>} { scanned, migrated }
+   */
+  async migrateLegacyProgress(batchSize = 500) {
+    return this.execute(async () => {
+      await this.repository.init();
+
+      const cursor = this.repository.collection.find(
+        { "progress.lapses": { $exists: false } },
+        { projection: { progress: 1 } }
+      );
+
+      let scanned = 0;
+      let migrated = 0;
+      let operations = [];
+
+      const flush = async () => {
+        if (operations.length === 0) return;
+        const result = await this.repository.collection.bulkWrite(operations, {
+          ordered: false,
+        });
+        migrated += result.modifiedCount || 0;
+        operations = [];
+      };
+
+      for await (const flashcard of cursor) {
+        scanned++;
+        operations.push({
+          updateOne: {
+            filter: { _id: flashcard._id },
+            update: {
+              $set: {
+                progress: migrateProgress(flashcard.progress),
+                updatedAt: new Date(),
+              },
+            },
+          },
+        });
+        if (operations.length >= batchSize) await flush();
+      }
+      await flush();
+
+      this.log("info", `Migrated ${migrated}/${scanned} flashcard progress`);
+
+      return { scanned, migrated };
+    }, "migrateLegacyProgress");
+  }
 }
 
 export default FlashcardService;
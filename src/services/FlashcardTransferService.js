@@ -0,0 +1,351 @@
+import BaseService from "./BaseService.js";
+import FlashcardService from "./FlashcardService.js";
+import FlashcardGroupService from "./FlashcardGroupService.js";
+import { FlashcardGroupRepository } from "../repositories/FlashcardGroupRepository.js";
+import { FlashcardRepository } from "../repositories/FlashcardRepository.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { DECK_FORMATS, DECK_DEFAULTS } from "../constants/index.js";
+import { NotFoundError, ValidationError } from "../errors/AppError.js";
+import { buildApkg } from "../utils/anki.js";
+import { detectDelimiter, parseDelimited, toDelimited } from "../utils/csv.js";
+import { collectSenses } from "../utils/quiz.js";
+import { normalizeKey } from "../utils/variants.js";
+
+const CONTENT_TYPES = {
+  [DECK_FORMATS.APKG]: "application/octet-stream",
+  [DECK_FORMATS.CSV]: "text/csv; charset=utf-8",
+  [DECK_FORMATS.TSV]: "text/tab-separated-values; charset=utf-8",
+};
+
+const DELIMITERS = {
+  [DECK_FORMATS.CSV]: ",",
+  [DECK_FORMATS.TSV]: "\t",
+};
+
+const HEADER_NAMES = ["word", "front", "headword"];
+
+const escapeHtml = (s) =>
+  String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const stripHtml = (s) =>
+  String(s || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * FlashcardTransferService
+ * Exports flashcard groups as Anki packages or CSV/TSV decks and imports
+ * CSV/TSV decks by matching rows against the words collection
+ */
+class FlashcardTransferService extends BaseService {
+  constructor(
+    flashcardGroupRepository = null,
+    flashcardRepository = null,
+    wordRepository = null,
+    flashcardService = null,
+    flashcardGroupService = null,
+    dependencies = {}
+  ) {
+    super(
+      flashcardGroupRepository || new FlashcardGroupRepository(),
+      dependencies
+    );
+    this.flashcardRepository = flashcardRepository || new FlashcardRepository();
+    this.wordRepository = wordRepository || new WordRepository();
+    this.flashcardService = flashcardService || new FlashcardService();
+    this.flashcardGroupService =
+      flashcardGroupService || new FlashcardGroupService();
+  }
+
+  /**
+   * Template values for a word (HTML-escaped)
+   * @param {Object} wordDoc - Document from the words collection
+   * @returns {Object}
+   */
+  buildTemplateFields(wordDoc) {
+    const page = (wordDoc.data || [])[0] || {};
+    const senses = collectSenses(wordDoc).slice(0, DECK_DEFAULTS.MAX_SENSES);
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+
+    const examples = senses
+      .flatMap((sense) => sense.examples)
+      .slice(0, DECK_DEFAULTS.MAX_EXAMPLES)
+      .map((ex) =>
+        ex.vi
+          ? `${escapeHtml(ex.en)} <i>(${escapeHtml(ex.vi)})</i>`
+          : escapeHtml(ex.en)
+      );
+
+    return {
+      word: escapeHtml(page.word || wordDoc._id),
+      phonetic: escapeHtml(page.phonetic_text),
+      phonetic_am: escapeHtml(page.phonetic_am_text),
+      pos: escapeHtml(
+        unique((wordDoc.data || []).map((p) => p.pos)).join(", ")
+      ),
+      symbol: escapeHtml(wordDoc.symbol),
+      definition: unique(senses.map((s) => escapeHtml(s.definition))).join(
+        "<br>"
+      ),
+      definition_vi: unique(
+        senses.map((s) => escapeHtml(s.definition_vi))
+      ).join("<br>"),
+      definition_vi_short: unique(
+        senses.map((s) => escapeHtml(s.definition_vi_short))
+      ).join("; "),
+      examples: examples.join("<br>"),
+    };
+  }
+
+  /**
+   * Fill a template; line breaks left around empty placeholders are collapsed
+   */
+  renderTemplate(template, fields) {
+    return template
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => fields[key] ?? "")
+      .replace(/(<br\s*\/?>\s*){2,}/gi, "<br>")
+      .replace(/^(\s*<br\s*\/?>)+|(<br\s*\/?>\s*)+$/gi, "")
+      .trim();
+  }
+
+  /**
+   * Export a flashcard group
+   * @param {string|ObjectId} groupId - Group ID
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { format, front_template, back_template }
+   * @returns {Promise<{ filename: string, contentType: string, content: Buffer|string }>}
+   */
+  async exportGroup(groupId, userId, options = {}) {
+    return this.execute(async () => {
+      const {
+        format = DECK_FORMATS.APKG,
+        front_template = DECK_DEFAULTS.FRONT_TEMPLATE,
+        back_template = DECK_DEFAULTS.BACK_TEMPLATE,
+      } = options;
+
+      const group = await this.repository.findOne({
+        _id: this.repository.toObjectId(groupId),
+        user_id: this.repository.toObjectId(userId),
+      });
+      if (!group) throw new NotFoundError("Flashcard group");
+
+      const flashcards = await this.flashcardRepository.find(
+        { flashcard_group_id: group._id, archived: { $ne: true } },
+        { projection: { word_id: 1 }, sort: { createdAt: 1 } }
+      );
+      const wordIds = flashcards.map((f) => f.word_id);
+      const wordDocs = wordIds.length
+        ? await this.wordRepository.find({ _id: { $in: wordIds } })
+        : [];
+      const docsById = new Map(wordDocs.map((doc) => [doc._id, doc]));
+
+      const notes = wordIds
+        .filter((id) => docsById.has(id))
+        .map((id) => {
+          const doc = docsById.get(id);
+          const fields = this.buildTemplateFields(doc);
+          return {
+            key: id,
+            front: this.renderTemplate(front_template, fields),
+            back: this.renderTemplate(back_template, fields),
+            tags: doc.symbol ? [doc.symbol] : [],
+          };
+        });
+
+      const baseName =
+        String(group.name || "flashcards")
+          .normalize("NFD")
+          .replace(/[\u0300-\u036f]/g, "")
+          .replace(/[^a-zA-Z0-9-_]+/g, "_")
+          .replace(/^_+|_+$/g, "") || "flashcards";
+
+      let content;
+      if (format === DECK_FORMATS.APKG) {
+        content = await buildApkg({
+          id: group._id.toString(),
+          name: group.name,
+          description: group.description,
+          notes,
+        });
+      } else {
+        content = toDelimited(
+          [
+            ["word", "front", "back", "tags"],
+            ...notes.map((n) => [n.key, n.front, n.back, n.tags.join(" ")]),
+          ],
+          DELIMITERS[format]
+        );
+      }
+
+      this.log(
+        "info",
+        `Flashcard group exported: ${groupId} (${format}, ${notes.length} notes)`
+      );
+
+      return {
+        filename: `${baseName}.${format}`,
+        contentType: CONTENT_TYPES[format],
+        content,
+      };
+    }, "exportGroup");
+  }
+
+  /**
+   * Match deck values against word ids, then variants
+   * @param {Array<string>} keys - Normalized keys
+   * @returns {Promise<Map<string, string>>} key -> word id
+   */
+  async matchWords(keys) {
+    const unique = [...new Set(keys.filter(Boolean))];
+    const matches = new Map();
+    if (unique.length === 0) return matches;
+
+    const byId = await this.wordRepository.find(
+      { _id: { $in: unique } },
+      { projection: { _id: 1 } }
+    );
+    for (const doc of byId) matches.set(doc._id, doc._id);
+
+    const missing = unique.filter((key) => !matches.has(key));
+    if (missing.length) {
+      const byVariant = await this.wordRepository.find(
+        { variants: { $in: missing } },
+        { projection: { _id: 1, variants: 1 } }
+      );
+      for (const doc of byVariant) {
+        for (const variant of doc.variants || []) {
+          if (missing.includes(variant) && !matches.has(variant)) {
+            matches.set(variant, doc._id);
+          }
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Import a CSV/TSV deck into a new or existing flashcard group
+   * Lines starting with "#" (Anki export headers) are ignored
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} data - { content, format, word_column, has_header, flashcard_group_id | name, description }
+   * @returns {Promise<Object>} Import report
+   */
+  async importDeck(userId, data) {
+    return this.execute(async () => {
+      const { content, format, word_column = 0, flashcard_group_id } = data;
+
+      const text = String(content || "")
+        .split(/\r?\n/)
+        .filter((line) => !line.startsWith("#"))
+        .join("\n");
+      const delimiter = DELIMITERS[format] || detectDelimiter(text);
+      const rows = parseDelimited(text, delimiter).filter((row) =>
+        row.some((field) => field.trim())
+      );
+
+      const firstCell = stripHtml(rows[0]?.[word_column]).toLowerCase();
+      const hasHeader = data.has_header ?? HEADER_NAMES.includes(firstCell);
+      const dataRows = hasHeader ? rows.slice(1) : rows;
+      // Row numbers in the report are 1-based lines of the parsed deck
+      const firstRowNumber = hasHeader ? 2 : 1;
+
+      if (dataRows.length === 0) {
+        throw new ValidationError("Deck has no rows to import");
+      }
+      if (dataRows.length > DECK_DEFAULTS.MAX_IMPORT_ROWS) {
+        throw new ValidationError(
+          `Deck cannot have more than ${DECK_DEFAULTS.MAX_IMPORT_ROWS} rows`
+        );
+      }
+
+      let group;
+      if (flashcard_group_id) {
+        group = await this.repository.findOne({
+          _id: this.repository.toObjectId(flashcard_group_id),
+          user_id: this.repository.toObjectId(userId),
+        });
+        if (!group) throw new NotFoundError("Flashcard group");
+      }
+
+      const entries = dataRows.map((row, index) => {
+        const value = stripHtml(row[word_column]);
+        return {
+          row: index + firstRowNumber,
+          value,
+          key: normalizeKey(value),
+        };
+      });
+
+      const matches = await this.matchWords(entries.map((e) => e.key));
+      const unmatched = entries
+        .filter((e) => !matches.has(e.key))
+        .map(({ row, value }) => ({ row, value }));
+      const wordIds = [
+        ...new Set(
+          entries
+            .filter((e) => matches.has(e.key))
+            .map((e) => matches.get(e.key))
+        ),
+      ];
+
+      // The deck is parsed and matched before a new group is created
+      const createGroup = !group;
+      if (createGroup) {
+        const created = await this.flashcardGroupService.createFlashcardGroup(
+          userId,
+          { name: data.name, description: data.description }
+        );
+        group = { _id: this.repository.toObjectId(created._id) };
+      }
+
+      const before = await this.flashcardRepository.count({
+        flashcard_group_id: group._id,
+      });
+      if (wordIds.length) {
+        try {
+          await this.flashcardService.addFlashcard(userId, {
+            flashcard_group_id: group._id.toString(),
+            word_ids: wordIds,
+          });
+        } catch (error) {
+          // Do not leave the new group behind, nor the cards already added
+          if (createGroup) {
+            await this.flashcardGroupService.deleteFlashcardGroup(
+              group._id,
+              userId
+            );
+          }
+          throw error;
+        }
+      }
+      const after = await this.flashcardRepository.count({
+        flashcard_group_id: group._id,
+      });
+
+      this.log(
+        "info",
+        `Deck imported into ${group._id}: ${after - before} added, ${
+          unmatched.length
+        } unmatched`
+      );
+
+      return {
+        flashcard_group_id: group._id.toString(),
+        total_rows: entries.length,
+        matched_rows: entries.length - unmatched.length,
+        added: after - before,
+        already_in_group: wordIds.length - (after - before),
+        unmatched,
+      };
+    }, "importDeck");
+  }
+}
+
+export default FlashcardTransferService;
@@ -0,0 +1,238 @@
+import { BaseService } from "./BaseService.js";
+import { GlossaryTermRepository } from "../repositories/GlossaryTermRepository.js";
+import { GlossaryViolationRepository } from "../repositories/GlossaryViolationRepository.js";
+import { GlossaryTermDTO, GlossaryViolationDTO } from "../dtos/GlossaryDTO.js";
+import { normalizeTerm } from "../utils/glossary.js";
+import { normalizeKey } from "../utils/variants.js";
+import { GLOSSARY_VIOLATION_STATUS } from "../constants/index.js";
+import { NotFoundError, ValidationError } from "../errors/AppError.js";
+
+// Every term, loaded once per process and dropped when the glossary changes
+let termsCache = null;
+
+/**
+ * GlossaryService
+ * Deployment glossary of English terms with their preferred and forbidden
+ * Vietnamese renderings. TranslateService puts the matching terms in its
+ * prompts and flags translations that break them here for review.
+ */
+export class GlossaryService extends BaseService {
+  constructor(
+    glossaryTermRepository = null,
+    glossaryViolationRepository = null,
+    dependencies = {}
+  ) {
+    super(glossaryTermRepository || new GlossaryTermRepository(), dependencies);
+    this.violationRepository =
+      glossaryViolationRepository || new GlossaryViolationRepository();
+  }
+
+  /**
+   * Every glossary term (cached)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTerms() {
+    if (!termsCache) {
+      termsCache = this.repository.findAll().catch((error) => {
+        termsCache = null;
+        throw error;
+      });
+    }
+    return termsCache;
+  }
+
+  /**
+   * List terms by prefix
+   * @param {Object} options - { q, page, per_page }
+   */
+  async listTerms(options = {}) {
+    return this.execute(async () => {
+      const result = await this.repository.findFiltered({
+        ...options,
+        q: options.q ? normalizeTerm(options.q) : undefined,
+      });
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((doc) => new GlossaryTermDTO(doc).transform()),
+      };
+    }, "listTerms");
+  }
+
+  /**
+   * Add a term
+   * @param {string|ObjectId} userId - Admin adding it
+   * @param {Object} data - { term, preferred, forbidden, note }
+   */
+  async createTerm(userId, data) {
+    return this.execute(async () => {
+      const fields = this.termFields(data);
+      const term = await this.repository.create({
+        ...fields,
+        note: data.note || null,
+        created_by: this.repository.toObjectId(userId),
+      });
+      termsCache = null;
+
+      this.log("info", `Glossary term added: "${term.term}"`);
+      return new GlossaryTermDTO(term).transform();
+    }, "createTerm");
+  }
+
+  /**
+   * Change a term
+   * @param {string} id - Term ID
+   * @param {Object} data - Any of { term, preferred, forbidden, note }
+   */
+  async updateTerm(id, data) {
+    return this.execute(async () => {
+      const existing = await this.repository.findById(id);
+      if (!existing) throw new NotFoundError("Glossary term");
+
+      const fields = this.termFields({ ...existing, ...data });
+      if (data.note !== undefined) fields.note = data.note || null;
+
+      const term = await this.repository.update(existing._id, fields);
+      termsCache = null;
+      return new GlossaryTermDTO(term).transform();
+    }, "updateTerm");
+  }
+
+  /**
+   * Remove a term
+   * @param {string} id - Term ID
+   */
+  async deleteTerm(id) {
+    return this.execute(async () => {
+      const result = await this.repository.deleteById(id);
+      if (!result.deletedCount) throw new NotFoundError("Glossary term");
+      termsCache = null;
+      return { deleted: true };
+    }, "deleteTerm");
+  }
+
+  /**
+   * Flag translations that broke the glossary
+   * @param {Array<{ kind, item_id, word, source, translation, violations }>} flags
+   */
+  async recordViolations(flags) {
+    return this.execute(async () => {
+      await this.violationRepository.upsertOpen(flags);
+      if (flags.length > 0) {
+        this.log("warn", `Flagged ${flags.length} glossary violation(s)`);
+      }
+      return flags.length;
+    }, "recordViolations");
+  }
+
+  /**
+   * Flagged translations waiting for (or done with) review
+   * @param {Object} options - { status, word, term, page, per_page }
+   */
+  async listViolations(options = {}) {
+    return this.execute(async () => {
+      const result = await this.violationRepository.findFiltered({
+        ...options,
+        word: options.word ? normalizeKey(options.word) : undefined,
+        term: options.term ? normalizeTerm(options.term) : undefined,
+      });
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((doc) =>
+          new GlossaryViolationDTO(doc).transform()
+        ),
+      };
+    }, "listViolations");
+  }
+
+  /**
+   * Mark flagged translations as reviewed
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {Array<string>} ids - Violation IDs
+   * @returns {Promise<{ resolved: number }>}
+   */
+  async resolveViolations(userId, ids) {
+    return this.execute(async () => {
+      const result = await this.violationRepository.updateMany(
+        {
+          _id: { $in: ids.map((id) => this.repository.toObjectId(id)) },
+          status: GLOSSARY_VIOLATION_STATUS.OPEN,
+        },
+        {
+          $set: {
+            status: GLOSSARY_VIOLATION_STATUS.RESOLVED,
+            resolved_by: this.repository.toObjectId(userId),
+            resolved_at: new Date(),
+          },
+        }
+      );
+      return { resolved: result.modifiedCount || 0 };
+    }, "resolveViolations");
+  }
+
+  /**
+   * Resolve the flags of translated items an admin has reviewed
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<string>} itemIds - Sense or example IDs
+   * @returns {Promise<{ resolved: number }>}
+   */
+  async resolveItemViolations(userId, kind, itemIds) {
+    return this.execute(async () => {
+      if (itemIds.length === 0) return { resolved: 0 };
+
+      const result = await this.violationRepository.updateMany(
+        {
+          kind,
+          item_id: { $in: itemIds.map(String) },
+          status: GLOSSARY_VIOLATION_STATUS.OPEN,
+        },
+        {
+          $set: {
+            status: GLOSSARY_VIOLATION_STATUS.RESOLVED,
+            resolved_by: this.repository.toObjectId(userId),
+            resolved_at: new Date(),
+          },
+        }
+      );
+      return { resolved: result.modifiedCount || 0 };
+    }, "resolveItemViolations");
+  }
+
+  /**
+   * Normalized stored fields of a term
+   * @throws {ValidationError} When the preferred rendering is also forbidden
+   */
+  termFields({ term, preferred, forbidden = [] }) {
+    const fields = {
+      term: String(term).replace(/\s+/g, " ").trim(),
+      term_key: normalizeTerm(term),
+      preferred: String(preferred).normalize("NFC").trim(),
+      forbidden: [
+        ...new Set(
+          forbidden
+            .map((f) => String(f).normalize("NFC").trim())
+            .filter(Boolean)
+        ),
+      ],
+    };
+
+    if (
+      fields.forbidden.some(
+        (f) => normalizeTerm(f) === normalizeTerm(fields.preferred)
+      )
+    ) {
+      throw new ValidationError(
+        `"${fields.preferred}" can't be both preferred and forbidden`
+      );
+    }
+    return fields;
+  }
+}
+
+export default GlossaryService;
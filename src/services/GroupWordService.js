@@ -2,6 +2,7 @@ import { ObjectId } from "mongodb";
 import { BaseService } from "./BaseService.js";
 import { GroupWordRepository } from "../repositories/GroupWordRepository.js";
 import { WordRepository } from "../repositories/WordRepository.js";
+import { FlashcardGroupService } from "./FlashcardGroupService.js";
 import { GroupWordDTO, GroupWordListDTO } from "../dtos/GroupWordDTO.js";
 
 /**
@@ -12,12 +13,32 @@ export class GroupWordService extends BaseService {
   constructor(
     groupWordRepository = null,
     wordRepository = null,
+    flashcardGroupService = null,
     dependencies = {}
   ) {
     super(groupWordRepository || new GroupWordRepository(), dependencies);
     // Ensure we keep an explicit reference to the groupWordRepository
     this.groupWordRepository = groupWordRepository || new GroupWordRepository();
     this.wordRepository = wordRepository || new WordRepository();
+    this.flashcardGroupService =
+      flashcardGroupService || new FlashcardGroupService();
+  }
+
+  /**
+   * Auto-sync the flashcard group following a group word, if it has
+   * auto-sync on. A failed sync is logged and does not fail the edit;
+   * the group can be synced again by hand
+   * @param {string|ObjectId} groupWordId - Group word ID
+   * @param {string|ObjectId} userId - User ID
+   */
+  async autoSyncFlashcards(groupWordId, userId) {
+    try {
+      await this.flashcardGroupService.autoSyncGroupWord(userId, groupWordId);
+    } catch (error) {
+      this.log("warn", `Auto-sync failed for group word: ${groupWordId}`, {
+        error: error.message,
+      });
+    }
   }
 
   /**
@@ -123,6 +144,8 @@ export class GroupWordService extends BaseService {
 
       this.log("info", `Group word updated: ${name}`);
 
+      await this.autoSyncFlashcards(groupWordId, userId);
+
       // Return updated group word
       const updatedGroupWord = await this.repository.findById(groupWordId);
       return new GroupWordDTO(updatedGroupWord).transform();
@@ -201,6 +224,8 @@ export class GroupWordService extends BaseService {
 
       this.log("info", `Word added to group: ${wordId} -> ${groupWord.name}`);
 
+      await this.autoSyncFlashcards(groupWordId, userId);
+
       // Return updated group word
       const updatedGroupWord = await this.repository.findById(groupWordId);
       return new GroupWordDTO(updatedGroupWord).transform();
@@ -239,6 +264,8 @@ export class GroupWordService extends BaseService {
         `Word removed from group: ${wordId} <- ${groupWord.name}`
       );
 
+      await this.autoSyncFlashcards(groupWordId, userId);
+
       return { message: "Word removed from group successfully" };
     }, "removeWord");
   }
@@ -198,6 +198,7 @@ class ImportService extends BaseService {
                 { _id: normalizedWord },
                 {
                   $push: { data: { $each: newWordData } },
+                  $inc: { revision: 1 },
                   $set: {
                     updatedAt: nowIso,
                     variants,
@@ -234,6 +235,7 @@ class ImportService extends BaseService {
                   symbol: topSymbol,
                   parts_of_speech: partsOfSpeech,
                 },
+                $inc: { revision: 1 },
                 $setOnInsert: {
                   createdAt: nowIso,
                 },
@@ -1,10 +1,20 @@
 import { BaseService } from "./BaseService.js";
 import { UserRepository } from "../repositories/UserRepository.js";
+import { WordRefreshService } from "./WordRefreshService.js";
+import { TranslationJobService } from "./TranslationJobService.js";
 import bcrypt from "bcryptjs";
 
 class InitService extends BaseService {
-  constructor(userRepository = null, dependencies = {}) {
+  constructor(
+    userRepository = null,
+    wordRefreshService = null,
+    translationJobService = null,
+    dependencies = {}
+  ) {
     super(userRepository || new UserRepository(), dependencies);
+    this.wordRefreshService = wordRefreshService || new WordRefreshService();
+    this.translationJobService =
+      translationJobService || new TranslationJobService();
   }
 
   async initializeDefaultAdmin() {
@@ -63,6 +73,8 @@ class InitService extends BaseService {
   async initialize() {
     this.log("info", "Running initialization tasks...");
     await this.initializeDefaultAdmin();
+    await this.wordRefreshService.failInterruptedJobs();
+    await this.translationJobService.pauseInterruptedJobs();
     this.log("info", "Initialization completed");
   }
 }
@@ -0,0 +1,424 @@
+import { ObjectId } from "mongodb";
+import BaseService from "./BaseService.js";
+import FlashcardService from "./FlashcardService.js";
+import { QuizRepository } from "../repositories/QuizRepository.js";
+import { FlashcardRepository } from "../repositories/FlashcardRepository.js";
+import { FlashcardGroupRepository } from "../repositories/FlashcardGroupRepository.js";
+import { CategoryRepository } from "../repositories/CategoryRepository.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { QuizDTO } from "../dtos/QuizDTO.js";
+import {
+  QUIZ_MODES,
+  QUIZ_SOURCE_TYPES,
+  QUIZ_DEFAULTS,
+  REVIEW_RATINGS,
+} from "../constants/index.js";
+import {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+} from "../errors/AppError.js";
+import { normalizeAnswer, gradeTypedAnswer } from "../utils/fuzzy.js";
+import {
+  shuffle,
+  pickRandom,
+  collectSenses,
+  getWordForms,
+  blankHeadword,
+} from "../utils/quiz.js";
+
+const SINGLE_MODES = [
+  QUIZ_MODES.MULTIPLE_CHOICE,
+  QUIZ_MODES.TYPING,
+  QUIZ_MODES.CLOZE,
+];
+
+/**
+ * QuizService
+ * Generates exercises from dictionary data and grades them.
+ * Every graded answer is applied to the word's flashcards as a review.
+ */
+class QuizService extends BaseService {
+  constructor(
+    quizRepository = null,
+    flashcardRepository = null,
+    flashcardGroupRepository = null,
+    categoryRepository = null,
+    wordRepository = null,
+    flashcardService = null,
+    dependencies = {}
+  ) {
+    super(quizRepository || new QuizRepository(), dependencies);
+    this.flashcardRepository = flashcardRepository || new FlashcardRepository();
+    this.flashcardGroupRepository =
+      flashcardGroupRepository || new FlashcardGroupRepository();
+    this.categoryRepository = categoryRepository || new CategoryRepository();
+    this.wordRepository = wordRepository || new WordRepository();
+    this.flashcardService = flashcardService || new FlashcardService();
+  }
+
+  /**
+   * Resolve the quiz source to word ids and the user's flashcards per word
+   * @returns {Promise<{ sourceType, sourceId, wordIds, flashcardsByWord }>}
+   */
+  async resolveSource(userId, { flashcard_group_id, category_id }) {
+    const userObjectId = this.repository.toObjectId(userId);
+
+    if (flashcard_group_id) {
+      const group = await this.flashcardGroupRepository.findOne({
+        _id: this.flashcardGroupRepository.toObjectId(flashcard_group_id),
+        user_id: userObjectId,
+      });
+      if (!group) throw new NotFoundError("Flashcard group");
+
+      const flashcards = await this.flashcardRepository.find(
+        { flashcard_group_id: group._id, archived: { $ne: true } },
+        { projection: { _id: 1, word_id: 1 } }
+      );
+
+      return {
+        sourceType: QUIZ_SOURCE_TYPES.FLASHCARD_GROUP,
+        sourceId: group._id,
+        ...this.indexFlashcards(flashcards),
+      };
+    }
+
+    const category = await this.categoryRepository.findOne({
+      _id: this.categoryRepository.toObjectId(category_id),
+      user_id: userObjectId,
+    });
+    if (!category) throw new NotFoundError("Category");
+
+    const wordIds = [...new Set(category.words || [])];
+
+    // Category words only reach the scheduler through the user's flashcards
+    const groups = await this.flashcardGroupRepository.find(
+      { user_id: userObjectId },
+      { projection: { _id: 1 } }
+    );
+    const flashcards = groups.length
+      ? await this.flashcardRepository.find(
+          {
+            flashcard_group_id: { $in: groups.map((g) => g._id) },
+            word_id: { $in: wordIds },
+            archived: { $ne: true },
+          },
+          { projection: { _id: 1, word_id: 1 } }
+        )
+      : [];
+
+    return {
+      sourceType: QUIZ_SOURCE_TYPES.CATEGORY,
+      sourceId: category._id,
+      wordIds,
+      flashcardsByWord: this.indexFlashcards(flashcards).flashcardsByWord,
+    };
+  }
+
+  indexFlashcards(flashcards) {
+    const flashcardsByWord = new Map();
+    for (const card of flashcards) {
+      if (!flashcardsByWord.has(card.word_id)) {
+        flashcardsByWord.set(card.word_id, []);
+      }
+      flashcardsByWord.get(card.word_id).push(card._id);
+    }
+    return { wordIds: [...flashcardsByWord.keys()], flashcardsByWord };
+  }
+
+  /**
+   * Definition → word, with distractors of the same level and part of speech
+   */
+  async buildMultipleChoice(wordDoc, choiceCount) {
+    const sense = pickRandom(collectSenses(wordDoc));
+    if (!sense) return null;
+
+    const distractors = await this.wordRepository.sampleDistractors({
+      excludeIds: [wordDoc._id],
+      symbol: wordDoc.symbol || sense.symbol,
+      partsOfSpeech: sense.pos ? [sense.pos] : wordDoc.parts_of_speech || [],
+      size: choiceCount - 1,
+    });
+    if (distractors.length === 0) return null;
+
+    return {
+      mode: QUIZ_MODES.MULTIPLE_CHOICE,
+      sense_id: sense._id || null,
+      prompt: {
+        definition: sense.definition,
+        definition_vi: sense.definition_vi_short || sense.definition_vi,
+        pos: sense.pos,
+      },
+      choices: shuffle([wordDoc._id, ...distractors]),
+      answer: wordDoc._id,
+      accepted_answers: [wordDoc._id],
+    };
+  }
+
+  /**
+   * Definition → typed word, graded with typo tolerance
+   */
+  buildTyping(wordDoc) {
+    const sense = pickRandom(collectSenses(wordDoc));
+    if (!sense) return null;
+
+    const answer = sense.headword;
+    return {
+      mode: QUIZ_MODES.TYPING,
+      sense_id: sense._id || null,
+      prompt: {
+        definition: sense.definition,
+        definition_vi: sense.definition_vi_short || sense.definition_vi,
+        pos: sense.pos,
+        hint: `${answer.charAt(0)}${"_".repeat(
+          Math.max(0, answer.length - 1)
+        )}`,
+      },
+      choices: null,
+      answer,
+      accepted_answers: [answer, ...getWordForms(wordDoc)],
+    };
+  }
+
+  /**
+   * Example sentence with the headword blanked out
+   */
+  buildCloze(wordDoc) {
+    const forms = getWordForms(wordDoc);
+    const candidates = [];
+
+    for (const sense of collectSenses(wordDoc)) {
+      for (const example of sense.examples) {
+        const blank = blankHeadword(example.en, forms);
+        if (blank) candidates.push({ sense, example, blank });
+      }
+    }
+
+    const picked = pickRandom(candidates);
+    if (!picked) return null;
+
+    const { sense, example, blank } = picked;
+    return {
+      mode: QUIZ_MODES.CLOZE,
+      sense_id: sense._id || null,
+      prompt: {
+        sentence: blank.text,
+        sentence_vi: example.vi || "",
+        definition: sense.definition,
+        pos: sense.pos,
+      },
+      choices: null,
+      answer: blank.answer,
+      accepted_answers: [blank.answer],
+    };
+  }
+
+  async buildQuestion(wordDoc, mode, choiceCount) {
+    const modes = mode === QUIZ_MODES.MIXED ? shuffle(SINGLE_MODES) : [mode];
+
+    for (const m of modes) {
+      let question = null;
+      if (m === QUIZ_MODES.MULTIPLE_CHOICE) {
+        question = await this.buildMultipleChoice(wordDoc, choiceCount);
+      } else if (m === QUIZ_MODES.TYPING) {
+        question = this.buildTyping(wordDoc);
+      } else if (m === QUIZ_MODES.CLOZE) {
+        question = this.buildCloze(wordDoc);
+      }
+      if (question) return question;
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a quiz from a flashcard group or a category
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { flashcard_group_id | category_id, mode, count, choices }
+   * @returns {Promise<Object>} Quiz without answers
+   */
+  async createQuiz(userId, options = {}) {
+    return this.execute(async () => {
+      const {
+        mode = QUIZ_MODES.MIXED,
+        count = QUIZ_DEFAULTS.QUESTION_COUNT,
+        choices = QUIZ_DEFAULTS.CHOICE_COUNT,
+      } = options;
+
+      const { sourceType, sourceId, wordIds, flashcardsByWord } =
+        await this.resolveSource(userId, options);
+
+      // Fetch a few spare words in case some lack data for the mode
+      const candidateIds = shuffle(wordIds).slice(0, count * 3);
+      const wordDocs = candidateIds.length
+        ? await this.wordRepository.find({ _id: { $in: candidateIds } })
+        : [];
+      const docsById = new Map(wordDocs.map((doc) => [doc._id, doc]));
+
+      const questions = [];
+      for (const wordId of candidateIds) {
+        if (questions.length >= count) break;
+        const wordDoc = docsById.get(wordId);
+        if (!wordDoc) continue;
+
+        const question = await this.buildQuestion(wordDoc, mode, choices);
+        if (!question) continue;
+
+        questions.push({
+          _id: new ObjectId(),
+          word_id: wordId,
+          flashcard_ids: flashcardsByWord.get(wordId) || [],
+          ...question,
+          result: null,
+        });
+      }
+
+      if (questions.length === 0) {
+        throw new ValidationError(
+          "Not enough dictionary data to build a quiz from this source"
+        );
+      }
+
+      const quiz = await this.repository.create({
+        user_id: this.repository.toObjectId(userId),
+        source_type: sourceType,
+        source_id: sourceId,
+        mode,
+        questions,
+      });
+
+      this.log(
+        "info",
+        `Quiz created: ${quiz._id} (${questions.length} questions)`
+      );
+
+      return new QuizDTO(quiz).transform();
+    }, "createQuiz");
+  }
+
+  /**
+   * Get a quiz; answers are only revealed for answered questions
+   */
+  async getQuiz(quizId, userId) {
+    return this.execute(async () => {
+      const quiz = await this.repository.findByIdAndUser(quizId, userId);
+      if (!quiz) throw new NotFoundError("Quiz");
+
+      return new QuizDTO(quiz).transform();
+    }, "getQuiz");
+  }
+
+  /**
+   * Grade an answer
+   * Multiple choice must match exactly; typed answers within the typo
+   * allowance are accepted but rated "hard"
+   * @returns {{ correct: boolean, rating: string, distance: number|null }}
+   */
+  gradeAnswer(question, answer) {
+    if (question.mode === QUIZ_MODES.MULTIPLE_CHOICE) {
+      const correct =
+        normalizeAnswer(answer) === normalizeAnswer(question.answer);
+      return {
+        correct,
+        rating: correct ? REVIEW_RATINGS.GOOD : REVIEW_RATINGS.AGAIN,
+        distance: null,
+      };
+    }
+
+    const grade = gradeTypedAnswer(answer, question.accepted_answers);
+    let rating = REVIEW_RATINGS.AGAIN;
+    if (grade.exact) rating = REVIEW_RATINGS.GOOD;
+    else if (grade.correct) rating = REVIEW_RATINGS.HARD;
+
+    return {
+      correct: grade.correct,
+      rating,
+      distance: Number.isFinite(grade.distance) ? grade.distance : null,
+    };
+  }
+
+  /**
+   * Answer one question and feed the result to the scheduler
+   * @param {string|ObjectId} userId - User ID
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {Object} data - { answer, response_time_ms }
+   * @returns {Promise<Object>}
+   */
+  async answerQuestion(userId, quizId, questionId, data = {}) {
+    return this.execute(async () => {
+      const quiz = await this.repository.findByIdAndUser(quizId, userId);
+      if (!quiz) throw new NotFoundError("Quiz");
+
+      const question = quiz.questions.find(
+        (q) => q._id.toString() === String(questionId)
+      );
+      if (!question) throw new NotFoundError("Question");
+      if (question.result) {
+        throw new ConflictError("Question already answered");
+      }
+
+      const { correct, rating, distance } = this.gradeAnswer(
+        question,
+        data.answer
+      );
+      const result = {
+        answer: data.answer,
+        correct,
+        rating,
+        distance,
+        response_time_ms: data.response_time_ms ?? null,
+        answered_at: new Date(),
+      };
+
+      // Conditional update guards against double submits
+      const saved = await this.repository.saveAnswer(
+        quiz._id,
+        question._id,
+        result
+      );
+      if (!saved) throw new ConflictError("Question already answered");
+
+      if (quiz.answered_count + 1 >= quiz.questions.length) {
+        await this.repository.updateById(quiz._id, {
+          $set: { completed_at: new Date() },
+        });
+      }
+
+      const reviews = [];
+      for (const flashcardId of question.flashcard_ids || []) {
+        try {
+          reviews.push(
+            await this.flashcardService.reviewFlashcard(
+              flashcardId.toString(),
+              userId,
+              rating,
+              { response_time_ms: data.response_time_ms }
+            )
+          );
+        } catch (error) {
+          // The card may have been deleted since the quiz was generated
+          this.log("warn", `Quiz review skipped for ${flashcardId}`, {
+            error: error.message,
+          });
+        }
+      }
+
+      return {
+        question_id: question._id.toString(),
+        correct,
+        rating,
+        distance,
+        expected: question.answer,
+        reviews,
+        score: {
+          answered: quiz.answered_count + 1,
+          correct: quiz.correct_count + (correct ? 1 : 0),
+          total: quiz.questions.length,
+        },
+      };
+    }, "answerQuestion");
+  }
+}
+
+export default QuizService;
@@ -0,0 +1,95 @@
+import { BaseService } from "./BaseService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { SpellingIndex } from "../utils/spelling.js";
+import { normalizeKey } from "../utils/variants.js";
+import cacheManager from "../utils/cache.js";
+import { SPELLING_DEFAULTS } from "../constants/index.js";
+
+const INDEX_CACHE_KEY = "spelling:index";
+
+// Shared by every instance so concurrent requests build the index once
+let building = null;
+
+/**
+ * SpellingService
+ * "Did you mean" suggestions from the stored words and their variants,
+ * without crawling anything
+ */
+export class SpellingService extends BaseService {
+  constructor(wordRepository = null, dependencies = {}) {
+    super(wordRepository || new WordRepository(), dependencies);
+  }
+
+  /**
+   * Ranked spelling suggestions for a word
+   * @param {string} query - Word as typed
+   * @param {Object} options - { limit }
+   * @returns {Promise<{ query: string, suggestions: Array<Object> }>}
+   */
+  async suggest(query, { limit = SPELLING_DEFAULTS.LIMIT } = {}) {
+    return this.execute(async () => {
+      const word = normalizeKey(query);
+      const index = await this.getIndex();
+
+      return {
+        query: word,
+        suggestions: index.suggest(word, limit),
+      };
+    }, "suggest");
+  }
+
+  /**
+   * Make a newly saved word suggestible before the next rebuild
+   * @param {string} wordId - Word key
+   * @param {Array<string>} variants - Word variants
+   * @param {string} symbol - CEFR level
+   */
+  addWord(wordId, variants = [], symbol = "") {
+    const index = cacheManager.get(INDEX_CACHE_KEY);
+    if (index) index.add(wordId, variants, symbol);
+  }
+
+  /**
+   * Cached index, rebuilt from the words collection when it expires
+   */
+  async getIndex() {
+    const cached = cacheManager.get(INDEX_CACHE_KEY);
+    if (cached) return cached;
+
+    if (!building) {
+      building = this.buildIndex()
+        .then((index) => {
+          cacheManager.set(
+            INDEX_CACHE_KEY,
+            index,
+            SPELLING_DEFAULTS.INDEX_TTL_SECONDS
+          );
+          return index;
+        })
+        .finally(() => {
+          building = null;
+        });
+    }
+    return building;
+  }
+
+  async buildIndex() {
+    const startedAt = Date.now();
+    const index = new SpellingIndex();
+
+    const words = await this.repository.findVocabulary();
+    for (const word of words) {
+      index.add(word._id, word.variants || [], word.symbol || "");
+    }
+
+    this.log(
+      "info",
+      `Spelling index built: ${index.size} spellings in ${
+        Date.now() - startedAt
+      }ms`
+    );
+    return index;
+  }
+}
+
+export default SpellingService;
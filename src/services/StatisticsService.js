@@ -0,0 +1,350 @@
+import BaseService from "./BaseService.js";
+import { ReviewLogRepository } from "../repositories/ReviewLogRepository.js";
+import { FlashcardRepository } from "../repositories/FlashcardRepository.js";
+import { FlashcardGroupRepository } from "../repositories/FlashcardGroupRepository.js";
+import { FLASHCARD_STATUS, STATISTICS_DEFAULTS } from "../constants/index.js";
+import { NotFoundError, ValidationError } from "../errors/AppError.js";
+import {
+  getDefaultTimezone,
+  toDayKey,
+  addDays,
+  diffDays,
+  dayKeyBounds,
+} from "../utils/dates.js";
+
+/**
+ * StatisticsService
+ * Learning statistics computed from review logs and flashcards
+ * All day boundaries follow the requested timezone (server timezone by default)
+ */
+class StatisticsService extends BaseService {
+  constructor(
+    reviewLogRepository = null,
+    flashcardRepository = null,
+    flashcardGroupRepository = null,
+    dependencies = {}
+  ) {
+    super(reviewLogRepository || new ReviewLogRepository(), dependencies);
+    this.flashcardRepository = flashcardRepository || new FlashcardRepository();
+    this.flashcardGroupRepository =
+      flashcardGroupRepository || new FlashcardGroupRepository();
+  }
+
+  /**
+   * Get the user's flashcard groups, optionally narrowed to one group
+   * @param {string|ObjectId} userId - User ID
+   * @param {string|null} flashcardGroupId - Flashcard group ID
+   * @returns {Promise<Array>} Groups with _id and name
+   */
+  async getUserGroups(userId, flashcardGroupId = null) {
+    await this.flashcardGroupRepository.init();
+
+    const filter = {
+      user_id: this.flashcardGroupRepository.toObjectId(userId),
+    };
+    if (flashcardGroupId) {
+      filter._id = this.flashcardGroupRepository.toObjectId(flashcardGroupId);
+    }
+
+    const groups = await this.flashcardGroupRepository.find(filter, {
+      projection: { _id: 1, name: 1 },
+    });
+
+    if (flashcardGroupId && groups.length === 0) {
+      throw new NotFoundError("Flashcard group");
+    }
+
+    return groups;
+  }
+
+  /**
+   * Review log filter for a user (undone reviews are ignored)
+   */
+  buildLogMatch(userId, flashcardGroupId = null) {
+    const match = {
+      user_id: this.repository.toObjectId(userId),
+      undone_at: null,
+    };
+    if (flashcardGroupId) {
+      match.flashcard_group_id = this.repository.toObjectId(flashcardGroupId);
+    }
+    return match;
+  }
+
+  /**
+   * Daily review counts for a calendar heatmap
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { from, to, timezone, flashcard_group_id }
+   * @returns {Promise<Object>} { from, to, timezone, total_reviews, max_count, days }
+   */
+  async getHeatmap(userId, options = {}) {
+    return this.execute(async () => {
+      const timezone = options.timezone || getDefaultTimezone();
+      const to = options.to
+        ? toDayKey(new Date(options.to), "UTC")
+        : toDayKey(new Date(), timezone);
+      const from = options.from
+        ? toDayKey(new Date(options.from), "UTC")
+        : addDays(to, -(STATISTICS_DEFAULTS.HEATMAP_DAYS - 1));
+
+      const span = diffDays(from, to) + 1;
+      if (span < 1) {
+        throw new ValidationError("from must not be after to");
+      }
+      if (span > STATISTICS_DEFAULTS.MAX_HEATMAP_DAYS) {
+        throw new ValidationError(
+          `Heatmap range cannot exceed ${STATISTICS_DEFAULTS.MAX_HEATMAP_DAYS} days`
+        );
+      }
+
+      if (options.flashcard_group_id) {
+        await this.getUserGroups(userId, options.flashcard_group_id);
+      }
+
+      const { start, end } = dayKeyBounds(from, to);
+      const rows = await this.repository.countByDay(
+        {
+          ...this.buildLogMatch(userId, options.flashcard_group_id),
+          reviewed_at: { $gte: start, $lt: end },
+        },
+        timezone
+      );
+
+      const days = rows
+        .filter((row) => row._id >= from && row._id <= to)
+        .map((row) => ({ date: row._id, count: row.count }));
+
+      return {
+        from,
+        to,
+        timezone,
+        total_reviews: days.reduce((sum, d) => sum + d.count, 0),
+        max_count: days.reduce((max, d) => Math.max(max, d.count), 0),
+        days,
+      };
+    }, "getHeatmap");
+  }
+
+  /**
+   * Current and longest streak of consecutive study days
+   * The current streak stays alive until the end of today even if the user
+   * has not reviewed yet today
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { timezone, flashcard_group_id }
+   * @returns {Promise<Object>}
+   */
+  async getStreaks(userId, options = {}) {
+    return this.execute(async () => {
+      const timezone = options.timezone || getDefaultTimezone();
+
+      if (options.flashcard_group_id) {
+        await this.getUserGroups(userId, options.flashcard_group_id);
+      }
+
+      const rows = await this.repository.countByDay(
+        this.buildLogMatch(userId, options.flashcard_group_id),
+        timezone
+      );
+      const dayKeys = rows.map((row) => row._id);
+      const today = toDayKey(new Date(), timezone);
+
+      let longest = 0;
+      let run = 0;
+      for (let i = 0; i < dayKeys.length; i++) {
+        run = i > 0 && diffDays(dayKeys[i - 1], dayKeys[i]) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+      }
+
+      // `run` now holds the streak ending on the last study day
+      const lastDay = dayKeys[dayKeys.length - 1] || null;
+      const current = lastDay && diffDays(lastDay, today) <= 1 ? run : 0;
+
+      return {
+        timezone,
+        current_streak: current,
+        longest_streak: longest,
+        studied_today: lastDay === today,
+        last_study_date: lastDay,
+        total_study_days: dayKeys.length,
+      };
+    }, "getStreaks");
+  }
+
+  /**
+   * True retention per flashcard group: the share of reviews of already
+   * studied cards that were not answered "again"
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { days, flashcard_group_id }
+   * @returns {Promise<Object>}
+   */
+  async getRetention(userId, options = {}) {
+    return this.execute(async () => {
+      const days = options.days || STATISTICS_DEFAULTS.RETENTION_DAYS;
+      const groups = await this.getUserGroups(
+        userId,
+        options.flashcard_group_id
+      );
+
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const rows = await this.repository.countPassedByGroup({
+        ...this.buildLogMatch(userId, options.flashcard_group_id),
+        reviewed_at: { $gte: since },
+        // First reviews of new cards are learning, not recall
+        "previous_state.status": { $ne: FLASHCARD_STATUS.NEW },
+      });
+
+      const rowsByGroup = new Map(rows.map((r) => [r._id.toString(), r]));
+      const rate = (passed, total) =>
+        total > 0 ? Math.round((passed / total) * 10000) / 100 : null;
+
+      let total = 0;
+      let passed = 0;
+      const byGroup = groups.map((group) => {
+        const row = rowsByGroup.get(group._id.toString()) || {
+          total: 0,
+          passed: 0,
+        };
+        total += row.total;
+        passed += row.passed;
+        return {
+          flashcard_group_id: group._id.toString(),
+          name: group.name,
+          reviews: row.total,
+          passed: row.passed,
+          retention: rate(row.passed, row.total),
+        };
+      });
+
+      return {
+        days,
+        reviews: total,
+        passed,
+        retention: rate(passed, total),
+        groups: byGroup,
+      };
+    }, "getRetention");
+  }
+
+  /**
+   * Number of cards by FLASHCARD_STATUS, overall and per group
+   * Suspended cards are counted separately from their status
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { flashcard_group_id }
+   * @returns {Promise<Object>}
+   */
+  async getCardCounts(userId, options = {}) {
+    return this.execute(async () => {
+      const groups = await this.getUserGroups(
+        userId,
+        options.flashcard_group_id
+      );
+      const rows = await this.flashcardRepository.countByGroupAndStatus(
+        groups.map((g) => g._id)
+      );
+
+      const emptyCounts = () =>
+        Object.fromEntries(
+          [...Object.values(FLASHCARD_STATUS), "suspended", "archived"].map(
+            (status) => [status, 0]
+          )
+        );
+
+      const totals = emptyCounts();
+      const countsByGroup = new Map(
+        groups.map((g) => [g._id.toString(), emptyCounts()])
+      );
+
+      for (const row of rows) {
+        const { flashcard_group_id, status } = row._id;
+        const counts = countsByGroup.get(flashcard_group_id.toString());
+        counts[status] = (counts[status] || 0) + row.count;
+        totals[status] = (totals[status] || 0) + row.count;
+      }
+
+      const sum = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+      return {
+        total: sum(totals),
+        by_status: totals,
+        groups: groups.map((group) => {
+          const counts = countsByGroup.get(group._id.toString());
+          return {
+            flashcard_group_id: group._id.toString(),
+            name: group.name,
+            total: sum(counts),
+            by_status: counts,
+          };
+        }),
+      };
+    }, "getCardCounts");
+  }
+
+  /**
+   * Cards due per day for the coming days; overdue cards count as due today
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { days, timezone, flashcard_group_id }
+   * @returns {Promise<Object>}
+   */
+  async getForecast(userId, options = {}) {
+    return this.execute(async () => {
+      const days = options.days || STATISTICS_DEFAULTS.FORECAST_DAYS;
+      const timezone = options.timezone || getDefaultTimezone();
+      const groups = await this.getUserGroups(
+        userId,
+        options.flashcard_group_id
+      );
+
+      const now = new Date();
+      const today = toDayKey(now, timezone);
+      const lastDay = addDays(today, days - 1);
+      const { end } = dayKeyBounds(today, lastDay);
+
+      const rows = await this.flashcardRepository.countDueByDay(
+        groups.map((g) => g._id),
+        now,
+        end,
+        timezone
+      );
+      const countsByDay = new Map(rows.map((row) => [row._id, row.count]));
+
+      // Dense list so clients can chart it directly
+      const forecast = [];
+      for (let i = 0; i < days; i++) {
+        const date = addDays(today, i);
+        forecast.push({ date, count: countsByDay.get(date) || 0 });
+      }
+
+      return {
+        days,
+        timezone,
+        total: forecast.reduce((sum, d) => sum + d.count, 0),
+        due_today: forecast[0].count,
+        forecast,
+      };
+    }, "getForecast");
+  }
+
+  /**
+   * Everything a statistics dashboard needs in one call (except the heatmap)
+   * @param {string|ObjectId} userId - User ID
+   * @param {Object} options - { timezone, flashcard_group_id }
+   * @returns {Promise<Object>}
+   */
+  async getOverview(userId, options = {}) {
+    return this.execute(async () => {
+      const [streaks, cards, retention, forecast] = await Promise.all([
+        this.getStreaks(userId, options),
+        this.getCardCounts(userId, options),
+        this.getRetention(userId, options),
+        this.getForecast(userId, {
+          ...options,
+          days: STATISTICS_DEFAULTS.FORECAST_DAYS,
+        }),
+      ]);
+
+      return { streaks, cards, retention, forecast };
+    }, "getOverview");
+  }
+}
+
+export default StatisticsService;
@@ -1,21 +1,589 @@
 import { BaseService } from "./BaseService.js";
+import { TranslationMemoryRepository } from "../repositories/TranslationMemoryRepository.js";
+import { TranslationResponseStatsRepository } from "../repositories/TranslationResponseStatsRepository.js";
+import {
+  memoryKey,
+  normalizeContext,
+  estimateTokens,
+  apportionTokens,
+} from "../utils/translationMemory.js";
+import { createTranslationProvider } from "../utils/translationProviders.js";
+import {
+  findGlossaryMatches,
+  glossaryPrompt,
+  checkGlossary,
+} from "../utils/glossary.js";
+import { parseModelJson, parsePartialItems } from "../utils/jsonRepair.js";
+import {
+  isLegacyLanguage,
+  translationFields,
+} from "../utils/translationLanguages.js";
+import { normalizeKey } from "../utils/variants.js";
+import { toDayKey, addDays } from "../utils/dates.js";
+import { GlossaryService } from "./GlossaryService.js";
+import { translationResponseSchemas } from "../validators/index.js";
+import {
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_RESPONSE_DEFAULTS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+  TRANSLATION_LANGUAGE_NAMES,
+} from "../constants/index.js";
+
+/**
+ * Token counts of a call, what the translation memory saved and how the
+ * model answers had to be fixed
+ */
+const emptyUsage = () => ({
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  total_tokens: 0,
+  memory_hits: 0,
+  memory_misses: 0,
+  saved_tokens: 0,
+  // Answers that were not valid JSON as given / could not be parsed at all
+  repaired_responses: 0,
+  failed_responses: 0,
+  // Extra prompts for items left out, and what was wrong with the items
+  retries: 0,
+  invalid_items: 0,
+  unknown_ids: 0,
+  missing_items: 0,
+});
+
+const TOKEN_KEYS = ["prompt_tokens", "completion_tokens", "total_tokens"];
+
+// Array of the model answer holding each kind of item
+const RESPONSE_FIELDS = {
+  [TRANSLATION_MEMORY_KINDS.DEFINITION]: "definitions",
+  [TRANSLATION_MEMORY_KINDS.EXAMPLE]: "examples",
+};
+
+// Counters kept per day from the usage of a translateItems call
+const RESPONSE_STAT_KEYS = [
+  "requests",
+  "calls",
+  "items",
+  "repaired_responses",
+  "failed_responses",
+  "retried_requests",
+  "retries",
+  "invalid_items",
+  "unknown_ids",
+  "missing_items",
+];
+
+/**
+ * System prompt for definitions (Vietnamese keeps its original wording)
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+const definitionsSystemPrompt = (language) => {
+  if (isLegacyLanguage(language)) {
+    return `Bạn là dịch giả Anh–Việt chuyên nghiệp.
+Dịch tự nhiên theo ngữ cảnh. Nếu nghĩa thuộc IDIOMS, phải dịch theo nghĩa thành ngữ.
+Trả về JSON hợp lệ duy nhất, escape tất cả " \ \n \t và các ký tự đặc biệt trong chuỗi, không thêm markdown, không giải thích:
+{
+ "definitions": [{"_id": "...","definition_vi": "...","definition_vi_short": "..."}]
+}
+ _id: giữ nguyên từ dòng "• [id] ...";
+definition_vi: bản dịch tự nhiên;
+definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu phẩy);`;
+  }
+
+  const name = TRANSLATION_LANGUAGE_NAMES[language];
+  const fields = translationFields(language);
+  return `You are a professional English–${name} translator.
+Translate naturally for the context. Senses listed under IDIOMS must be translated with their idiomatic meaning.
+Return a single valid JSON object, escaping every " \\ \\n \\t and special character inside strings, with no markdown and no explanation:
+{
+ "definitions": [{"_id": "...","${fields.definition}": "...","${fields.definition_short}": "..."}]
+}
+ _id: copied unchanged from the line "• [id] ...";
+${fields.definition}: natural ${name} translation;
+${fields.definition_short}: 3–4 short meanings (words or phrases, comma-separated);`;
+};
+
+/**
+ * System prompt for examples (Vietnamese keeps its original wording)
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+const examplesSystemPrompt = (language) => {
+  if (isLegacyLanguage(language)) {
+    return `Bạn là dịch giả Anh–Việt chuyên nghiệp.
+
+Chỉ nhiệm vụ sau:
+- Dịch tự nhiên (không word-by-word) các câu ví dụ bắt đầu bằng "•".
+- Với IDIOMS EXAMPLES: dịch theo nghĩa thành ngữ.
+- Mỗi dòng "•" có dạng: • [id] text → output giữ nguyên "_id" và dịch phần text.
+- Không dịch / không trả về bất kỳ nội dung nào khác (word, definition, context…).
+- Không tự tạo ví dụ; nếu không có dòng "•" thì không trả output.
+- Trả về JSON hợp lệ duy nhất, escape tất cả " \ \n \t và các ký tự đặc biệt trong chuỗi, không markdown, không giải thích:
+{
+ "examples": [{"_id": "...", "vi": "..."}]
+}
+"vi": nghĩa tiếng Việt tự nhiên theo ngữ cảnh.`;
+  }
+
+  const name = TRANSLATION_LANGUAGE_NAMES[language];
+  const { example } = translationFields(language);
+  return `You are a professional English–${name} translator.
+
+Your only task:
+- Translate naturally (not word by word) the example sentences starting with "•".
+- For IDIOMS EXAMPLES: translate with the idiomatic meaning.
+- Each "•" line reads: • [id] text → keep "_id" unchanged and translate the text.
+- Do not translate or return anything else (word, definition, context…).
+- Do not invent examples; if there is no "•" line, return nothing.
+- Return a single valid JSON object, escaping every " \\ \\n \\t and special character inside strings, with no markdown and no explanation:
+{
+ "examples": [{"_id": "...", "${example}": "..."}]
+}
+"${example}": natural ${name} meaning in context.`;
+};
 
 /**
  * TranslateService
- * Handles translation using Google AI Studio (Gemini API)
+ * Handles translation through the configured provider (Gemini, an
+ * OpenAI-compatible API or the offline stub)
  * Matches TranslateControllerTemp.js logic
+ * Texts already translated in the same context are served from the
+ * translation memory; only the others are sent to the model
+ * Glossary terms found in the texts are given to the model, and
+ * translations that break them are flagged for review
+ * Model answers are repaired when they are not valid JSON and checked item
+ * by item; items left out or invalid are asked for again
+ * The target language comes with the word data (Vietnamese by default)
  */
 export class TranslateService extends BaseService {
-  constructor(dependencies = {}) {
+  constructor(translationMemoryRepository = null, dependencies = {}) {
     super(null, dependencies); // No repository needed
+    this.translationMemoryRepository =
+      translationMemoryRepository || new TranslationMemoryRepository();
+    this.provider = dependencies.translationProvider || null;
+    this.glossaryService =
+      dependencies.glossaryService || new GlossaryService();
+    this.responseStatsRepository =
+      dependencies.responseStatsRepository ||
+      new TranslationResponseStatsRepository();
+  }
+
+  /**
+   * Model backend selected by configuration (TRANSLATE_PROVIDER)
+   */
+  getProvider() {
+    if (!this.provider) this.provider = createTranslationProvider();
+    return this.provider;
+  }
+
+  /**
+   * Split items into memory hits and misses
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<{ _id, source, context }>} items
+   * @param {string} language - Target language
+   * @returns {Promise<Object>} { items, hits, misses, saved_tokens,
+   *   language }; items keep their order and hits carry the remembered
+   *   translation
+   */
+  async lookupMemory(kind, items, language) {
+    const keys = items.map((item) =>
+      memoryKey(kind, item.source, item.context, language)
+    );
+    const entries = await this.translationMemoryRepository.findByKeys(keys);
+
+    let saved_tokens = 0;
+    const keyed = items.map((item, i) => {
+      const entry = entries.get(keys[i]);
+      if (!entry) return { ...item, key: keys[i] };
+
+      saved_tokens += entry.tokens ?? estimateTokens(item.source);
+      return { ...item, key: keys[i], translation: entry.translation };
+    });
+    const hits = keyed.filter((item) => item.translation);
+    const misses = keyed.filter((item) => !item.translation);
+
+    await this.translationMemoryRepository.recordHits(
+      hits.map((item) => item.key)
+    );
+    return { items: keyed, hits, misses, saved_tokens, language };
+  }
+
+  /**
+   * Results in item order: remembered translations for hits, model output
+   * for misses (which is remembered for next time). Fills the memory
+   * counters of usage.
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Object} memory - From lookupMemory
+   * @param {Array<Object>} translated - Model output items ({ _id, ... })
+   * @param {Object} usage - Usage of the model call
+   * @returns {Promise<Array<Object>>}
+   */
+  async mergeWithMemory(kind, memory, translated, usage) {
+    const byId = new Map(
+      translated
+        .filter((item) => item && item._id)
+        .map((item) => [String(item._id), item])
+    );
+
+    const results = [];
+    const learned = [];
+    for (const item of memory.items) {
+      if (item.translation) {
+        results.push({ _id: String(item._id), ...item.translation });
+        continue;
+      }
+      const output = byId.get(String(item._id));
+      if (!output) continue;
+
+      const { _id, ...translation } = output;
+      results.push(output);
+      learned.push({ ...item, translation });
+    }
+
+    if (learned.length > 0) {
+      await this.rememberTranslations(kind, learned, usage, memory.language);
+    }
+
+    usage.memory_hits = memory.hits.length;
+    usage.memory_misses = memory.misses.length;
+    usage.saved_tokens = memory.saved_tokens;
+    return results;
+  }
+
+  /**
+   * Per-item callback of translateItems when results are streamed.
+   * Remembered translations are passed on first: they are final already.
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Object} memory - From lookupMemory
+   * @param {Function} onItem - (kind, item) receiving the results
+   * @returns {Function|null} null when nothing is streamed
+   */
+  streamingCallback(kind, memory, onItem) {
+    if (!onItem) return null;
+    for (const item of memory.hits) {
+      onItem(kind, { _id: String(item._id), ...item.translation });
+    }
+    return (item) => onItem(kind, item);
+  }
+
+  /**
+   * Mark results that break the glossary terms of their source and flag
+   * them for review
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {string} word - Word being translated
+   * @param {Object} memory - From lookupMemory (sources of the results)
+   * @param {Array<Object>} results - Output items; violating ones get
+   *   glossary_violations
+   * @param {Array<Object>} terms - Glossary terms
+   * @param {Function} textsOf - Translated texts of an output item
+   */
+  async flagGlossaryViolations(kind, word, memory, results, terms, textsOf) {
+    if (terms.length === 0) return;
+
+    const sources = new Map(
+      memory.items.map((item) => [String(item._id), item.source])
+    );
+    const flags = [];
+    for (const item of results) {
+      const source = sources.get(String(item._id));
+      const violations = checkGlossary(
+        findGlossaryMatches(terms, [source]),
+        textsOf(item)
+      );
+      if (violations.length === 0) continue;
+
+      const { _id, ...translation } = item;
+      item.glossary_violations = violations;
+      flags.push({
+        kind,
+        item_id: String(_id),
+        word: normalizeKey(word),
+        source,
+        translation,
+        violations,
+      });
+    }
+
+    await this.glossaryService.recordViolations(flags);
+  }
+
+  /**
+   * Send a prompt to the provider and parse its JSON answer
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {Object} request - { kind, language, items } of the prompt, for providers
+   *   that answer without a model (stub)
+   * @param {Function} onText - Streams the answer: called with each piece
+   *   of text as the model emits it (optional)
+   * @returns {Promise<Object>} { result, usage, repairs } where repairs
+   *   names the fixes the answer needed to parse (see parseModelJson)
+   */
+  async generate(
+    systemPrompt,
+    userPrompt,
+    { kind, language, items },
+    onText = null
+  ) {
+    const provider = this.getProvider();
+
+    // Log full prompt
+    const fullPrompt = `=== SYSTEM PROMPT ===\n${systemPrompt}\n\n=== USER PROMPT ===\n${userPrompt}`;
+    this.log("info", `Full prompt (${provider.name}):\n${fullPrompt}`);
+
+    const { content, usage: providerUsage } = await provider.complete(
+      {
+        systemPrompt,
+        userPrompt,
+        kind,
+        language,
+        items,
+      },
+      onText
+    );
+
+    this.log("info", `${provider.name} raw response:\n${content}`);
+
+    const usage = { ...emptyUsage(), ...providerUsage };
+
+    let parsed;
+    try {
+      parsed = parseModelJson(content);
+    } catch (e) {
+      this.log("error", `Failed to parse response: ${e.message}`);
+      this.log("error", `Raw response: ${content}`);
+      const error = new Error(
+        `Invalid JSON response from translation provider (${provider.name})`
+      );
+      error.status = 500;
+      error.raw = content;
+      throw error;
+    }
+
+    if (parsed.repairs.length > 0) {
+      this.log("warn", `Repaired response: ${parsed.repairs.join(", ")}`);
+    }
+    return { result: parsed.value || {}, usage, repairs: parsed.repairs };
+  }
+
+  /**
+   * Translate items with the model and check its answer item by item:
+   * invalid items and items left out are asked for again (only those),
+   * ids that were not asked for are dropped
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {string} language - Target language (names the answer fields)
+   * @param {string} systemPrompt
+   * @param {Function} promptFor - Items → user prompt asking for them
+   * @param {Array<Object>} items - Items to translate ({ _id, source })
+   * @param {Function} onItem - Called with each accepted item as soon as
+   *   the model has emitted it; the answer is then streamed (optional)
+   * @returns {Promise<Object>} { translated: [{ _id, ...translation }],
+   *   usage }; usage counts the repairs and retries that were needed
+   * @throws When no answer could be parsed
+   */
+  async translateItems(
+    kind,
+    language,
+    systemPrompt,
+    promptFor,
+    items,
+    onItem = null
+  ) {
+    const usage = emptyUsage();
+    if (items.length === 0) return { translated: [], usage };
+
+    const schema = translationResponseSchemas.item(kind, language);
+    const translated = new Map();
+    let pending = items;
+    let lastError = null;
+
+    for (
+      let attempt = 0;
+      attempt <= TRANSLATION_RESPONSE_DEFAULTS.MAX_RETRIES &&
+      pending.length > 0;
+      attempt++
+    ) {
+      if (attempt > 0) {
+        usage.retries++;
+        this.log("warn", `Asking again for ${pending.length} ${kind}(s)`);
+      }
+
+      const asked = new Set(pending.map((item) => String(item._id)));
+      const accept = (entry) => {
+        const { value, error } = schema.validate(entry, {
+          stripUnknown: true,
+        });
+        if (error) {
+          usage.invalid_items++;
+          return;
+        }
+
+        const id = String(value._id);
+        // Made up, or answered twice
+        if (!asked.has(id)) {
+          usage.unknown_ids++;
+          return;
+        }
+        asked.delete(id);
+        const item = { ...value, _id: id };
+        translated.set(id, item);
+        if (onItem) onItem(item);
+      };
+
+      // Streamed: items are checked as soon as they are complete
+      let partial = "";
+      let streamed = 0;
+      const onText =
+        onItem &&
+        ((text) => {
+          partial += text;
+          const entries = parsePartialItems(partial, RESPONSE_FIELDS[kind]);
+          for (; streamed < entries.length; streamed++) {
+            accept(entries[streamed]);
+          }
+        });
+
+      let answer = null;
+      try {
+        answer = await this.generate(
+          systemPrompt,
+          promptFor(pending),
+          { kind, language, items: pending },
+          onText
+        );
+      } catch (error) {
+        // Only unreadable answers are retried, not provider failures
+        if (error.raw === undefined) throw error;
+        usage.failed_responses++;
+        lastError = error;
+      }
+
+      if (answer) {
+        for (const key of TOKEN_KEYS) usage[key] += answer.usage[key] || 0;
+        if (answer.repairs.length > 0) usage.repaired_responses++;
+
+        const output = answer.result[RESPONSE_FIELDS[kind]];
+        (Array.isArray(output) ? output : []).slice(streamed).forEach(accept);
+      }
+
+      pending = pending.filter((item) => !translated.has(String(item._id)));
+    }
+
+    usage.missing_items = pending.length;
+    if (pending.length > 0) {
+      this.log("warn", `${pending.length} ${kind}(s) left untranslated`);
+    }
+    await this.recordResponseStats(items.length, usage);
+
+    if (translated.size === 0 && lastError) throw lastError;
+    return { translated: [...translated.values()], usage };
+  }
+
+  /**
+   * Add a translateItems call to the daily response statistics (failures
+   * to record are only logged)
+   * @param {number} items - Items asked for
+   * @param {Object} usage - Usage of the call
+   */
+  async recordResponseStats(items, usage) {
+    const provider = this.getProvider();
+    const counters = {
+      ...usage,
+      requests: 1,
+      calls: 1 + usage.retries,
+      items,
+      retried_requests: usage.retries > 0 ? 1 : 0,
+    };
+
+    try {
+      await this.responseStatsRepository.increment(
+        {
+          day: toDayKey(new Date()),
+          provider: provider.name,
+          model: provider.model || null,
+        },
+        Object.fromEntries(
+          RESPONSE_STAT_KEYS.map((key) => [key, counters[key]])
+        )
+      );
+    } catch (error) {
+      this.log("warn", `Could not record response stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * How often model answers needed repairs and retries
+   * @param {number} days - Days to cover, today included
+   * @returns {Promise<Object>} { from, to, totals, daily } where totals add
+   *   repair_rate (answers repaired / answers) and retry_rate (requests
+   *   retried / requests)
+   */
+  async getResponseStats(days = TRANSLATION_RESPONSE_DEFAULTS.STATS_DAYS) {
+    return this.execute(async () => {
+      const to = toDayKey(new Date());
+      const from = addDays(to, 1 - days);
+      const rows = await this.responseStatsRepository.findSince(from);
+
+      const totals = Object.fromEntries(
+        RESPONSE_STAT_KEYS.map((key) => [key, 0])
+      );
+      const daily = rows.map((row) => {
+        const entry = {
+          day: row.day,
+          provider: row.provider,
+          model: row.model,
+        };
+        for (const key of RESPONSE_STAT_KEYS) {
+          entry[key] = row[key] || 0;
+          totals[key] += entry[key];
+        }
+        return entry;
+      });
+
+      const rate = (count, total) =>
+        total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+      return {
+        from,
+        to,
+        totals: {
+          ...totals,
+          repair_rate: rate(totals.repaired_responses, totals.calls),
+          retry_rate: rate(totals.retried_requests, totals.requests),
+        },
+        daily,
+      };
+    }, "getResponseStats");
+  }
+
+  /**
+   * Remember the translations the model returned for missed items
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<Object>} translated - Missed items with their translation
+   * @param {Object} usage - Usage of the model call
+   */
+  async rememberTranslations(kind, translated, usage, language) {
+    const tokens = apportionTokens(usage.total_tokens, translated);
+    await this.translationMemoryRepository.upsertMany(
+      translated.map((item, i) => ({
+        key: item.key,
+        kind,
+        language,
+        source: item.source,
+        context: normalizeContext(item.context),
+        translation: item.translation,
+        tokens: tokens[i],
+      }))
+    );
   }
 
   /**
    * Translate only definitions (no examples)
    * @param {Object} wordData - Word object with senses, idioms, phrasal_verb_senses
+   *   and the target language
+   * @param {Object} options
+   * @param {Function} options.onItem - (kind, item) called with each
+   *   definition as soon as it is known, to stream results (optional)
    * @returns {Promise<Object>} { definitions: [{_id, definition_vi, definition_vi_short}], usage }
+   *   (<lang>_definition fields for another language)
    */
-  async translateDefinitionsOnly(wordData) {
+  async translateDefinitionsOnly(wordData, { onItem = null } = {}) {
     return this.execute(async () => {
       // Validate input
       if (!wordData || typeof wordData !== "object") {
@@ -30,6 +598,7 @@ export class TranslateService extends BaseService {
         senses = [],
         idioms = [],
         phrasal_verb_senses = [],
+        language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
       } = wordData;
 
       if (!word) {
@@ -38,164 +607,132 @@ export class TranslateService extends BaseService {
         throw error;
       }
 
-      // Get Google AI config
-      const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-      const MODEL = process.env.GOOGLE_MODEL;
-
-      if (!GOOGLE_API_KEY) {
-        const error = new Error("Missing GOOGLE_API_KEY in environment");
-        error.status = 500;
-        throw error;
-      }
-
-      // Lazy import Google AI SDK
-      let GoogleGenerativeAI;
-      try {
-        GoogleGenerativeAI = (await import("@google/generative-ai"))
-          .GoogleGenerativeAI;
-      } catch (e) {
-        const error = new Error("Google AI SDK not available");
-        error.status = 500;
-        throw error;
-      }
-
-      const client = new GoogleGenerativeAI(GOOGLE_API_KEY);
-      const model = client.getGenerativeModel(
-        { model: MODEL },
-        { apiVersion: "v1" }
-      );
-
       // Collect all definitions (no examples)
       const definitions = [];
+      const idiomDefinitions = [];
+      const context = { word, pos };
 
       // Helper to process senses
-      const processSenses = (sensesArray) => {
+      const processSenses = (sensesArray, list, idiom = "") => {
         sensesArray.forEach((sense) => {
           if (sense._id && sense.definition) {
-            definitions.push({
+            list.push({
               _id: sense._id,
               definition: sense.definition,
+              source: sense.definition,
+              context: { ...context, idiom },
             });
           }
         });
       };
 
       // Process all sense types
-      processSenses(senses);
+      processSenses(senses, definitions);
 
       // Process phrasal verbs
       phrasal_verb_senses.forEach((pv) => {
         if (pv.senses && Array.isArray(pv.senses)) {
-          processSenses(pv.senses);
+          processSenses(pv.senses, definitions);
         }
       });
 
-      // Build compact user prompt - only definitions
-      let userPrompt = `Context: ${word}${pos ? ` (${pos})` : ""}\n`;
+      idioms.forEach((idiom) => {
+        if (idiom.senses && Array.isArray(idiom.senses)) {
+          processSenses(idiom.senses, idiomDefinitions, idiom.word || "");
+        }
+      });
 
-      if (definitions.length > 0) {
-        userPrompt += `\nDEFINITIONS:\n`;
-        definitions.forEach((def, idx) => {
-          userPrompt += `• [${def._id}] ${def.definition}\n`;
-        });
-      }
+      // Only definitions the translation memory doesn't know go to the model
+      const memory = await this.lookupMemory(
+        TRANSLATION_MEMORY_KINDS.DEFINITION,
+        [...definitions, ...idiomDefinitions],
+        language
+      );
+      // Glossary renderings are Vietnamese
+      const terms = isLegacyLanguage(language)
+        ? await this.glossaryService.getTerms()
+        : [];
+
+      // Build compact user prompt - only the definitions asked for
+      const promptFor = (pending) => {
+        const asked = new Set(pending.map((item) => String(item._id)));
+        const isAsked = (item) => asked.has(String(item._id));
+
+        let userPrompt = `Context: ${word}${pos ? ` (${pos})` : ""}\n`;
+
+        const askedDefinitions = definitions.filter(isAsked);
+        if (askedDefinitions.length > 0) {
+          userPrompt += `\nDEFINITIONS:\n`;
+          askedDefinitions.forEach((def) => {
+            userPrompt += `• [${def._id}] ${def.definition}\n`;
+          });
+        }
 
-      if (idioms.length > 0) {
-        userPrompt += `\nIDIOMS:\n`;
-        idioms.forEach((idiom) => {
-          if (idiom.word) {
-            userPrompt += `- Context: ${idiom.word}:\n`;
-          }
+        if (idiomDefinitions.some(isAsked)) {
+          userPrompt += `\nIDIOMS:\n`;
+          idioms.forEach((idiom) => {
+            const askedSenses = (
+              Array.isArray(idiom.senses) ? idiom.senses : []
+            ).filter(
+              (sense) => sense._id && sense.definition && isAsked(sense)
+            );
+            if (askedSenses.length === 0) return;
+
+            if (idiom.word) {
+              userPrompt += `- Context: ${idiom.word}:\n`;
+            }
 
-          if (idiom.senses && Array.isArray(idiom.senses)) {
-            idiom.senses.forEach((sense) => {
-              if (sense._id && sense.definition) {
-                userPrompt += `• [${sense._id}] ${sense.definition}\n`;
-              }
+            askedSenses.forEach((sense) => {
+              userPrompt += `• [${sense._id}] ${sense.definition}\n`;
             });
-          }
-        });
-      }
-
-      // System prompt for definitions only
-      const systemPrompt = `Bạn là dịch giả Anh–Việt chuyên nghiệp.
-Dịch tự nhiên theo ngữ cảnh. Nếu nghĩa thuộc IDIOMS, phải dịch theo nghĩa thành ngữ.
-Trả về JSON hợp lệ duy nhất, escape tất cả " \ \n \t và các ký tự đặc biệt trong chuỗi, không thêm markdown, không giải thích:
-{
- "definitions": [{"_id": "...","definition_vi": "...","definition_vi_short": "..."}]
-}
- _id: giữ nguyên từ dòng "• [id] ...";
-definition_vi: bản dịch tự nhiên;
-definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu phẩy);`;
-
-      // Log full prompt
-      const fullPrompt = `=== SYSTEM PROMPT ===\n${systemPrompt}\n\n=== USER PROMPT ===\n${userPrompt}`;
-      this.log("info", `Full prompt:\n${fullPrompt}`);
-
-      // Call Google AI
-      const resp = await model.generateContent({
-        contents: [
-          {
-            role: "user",
-            parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }],
-          },
-        ],
-        generationConfig: {
-          maxOutputTokens: 20000,
-          temperature: 0.2,
-        },
-      });
-
-      // Extract text content safely
-      let content = "";
-      try {
-        const rawText = resp?.response?.text?.();
-        if (typeof rawText === "string") {
-          content = rawText.trim();
-        } else if (rawText && typeof rawText.trim === "function") {
-          content = rawText.trim();
-        } else {
-          content = String(rawText || "");
+          });
         }
-      } catch (e) {
-        content = String(resp?.response?.text || "");
-      }
 
-      this.log("info", `Google AI raw response:\n${content}`);
-
-      // Extract usage information
-      const usage = {
-        prompt_tokens: resp?.response?.usageMetadata?.promptTokenCount || 0,
-        completion_tokens:
-          resp?.response?.usageMetadata?.candidatesTokenCount || 0,
-        total_tokens: resp?.response?.usageMetadata?.totalTokenCount || 0,
+        // Renderings the glossary requires for the word and its definitions
+        userPrompt += glossaryPrompt(
+          findGlossaryMatches(terms, [
+            word,
+            ...pending.map((item) => item.source),
+          ])
+        );
+        return userPrompt;
       };
 
-      // Robust JSON parsing
-      let jsonText = content
-        .replace(/```json\s*/gi, "")
-        .replace(/```\s*/g, "")
-        .trim();
-      // Remove problematic non-printable/control characters
-      jsonText = jsonText.replace(/[\u0000-\u001F]+/g, "");
-
-      let result;
-      try {
-        result = JSON.parse(jsonText);
-      } catch (e) {
-        this.log("error", `Failed to parse response: ${e.message}`);
-        this.log("error", `Raw response: ${content}`);
-        const error = new Error("Invalid JSON response from Google AI");
-        error.status = 500;
-        error.raw = content;
-        throw error;
-      }
+      // System prompt for definitions only
+      const systemPrompt = definitionsSystemPrompt(language);
+
+      // Everything was remembered: no model call
+      const { translated, usage } = await this.translateItems(
+        TRANSLATION_MEMORY_KINDS.DEFINITION,
+        language,
+        systemPrompt,
+        promptFor,
+        memory.misses,
+        this.streamingCallback(
+          TRANSLATION_MEMORY_KINDS.DEFINITION,
+          memory,
+          onItem
+        )
+      );
 
-      const translatedDefinitions = result.definitions || [];
+      const translatedDefinitions = await this.mergeWithMemory(
+        TRANSLATION_MEMORY_KINDS.DEFINITION,
+        memory,
+        translated,
+        usage
+      );
+      await this.flagGlossaryViolations(
+        TRANSLATION_MEMORY_KINDS.DEFINITION,
+        word,
+        memory,
+        translatedDefinitions,
+        terms,
+        (item) => [item.definition_vi, item.definition_vi_short]
+      );
 
       this.log(
         "info",
-        `Token usage: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion = ${usage.total_tokens} total`
+        `Token usage: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion = ${usage.total_tokens} total (${usage.memory_hits} from memory, ~${usage.saved_tokens} saved)`
       );
 
       return {
@@ -208,9 +745,14 @@ definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu ph
   /**
    * Translate only examples (no definitions)
    * @param {Object} wordData - Word object with senses, idioms, phrasal_verb_senses
-   * @returns {Promise<Object>} { examples: [{_id, vi}], usage }
+   *   and the target language
+   * @param {Object} options
+   * @param {Function} options.onItem - (kind, item) called with each
+   *   example as soon as it is known, to stream results (optional)
+   * @returns {Promise<Object>} { examples: [{_id, vi}], usage } (<lang>_text for
+   *   another language)
    */
-  async translateExamplesOnly(wordData) {
+  async translateExamplesOnly(wordData, { onItem = null } = {}) {
     return this.execute(async () => {
       // Validate input
       if (!wordData || typeof wordData !== "object") {
@@ -225,6 +767,7 @@ definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu ph
         senses = [],
         idioms = [],
         phrasal_verb_senses = [],
+        language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
       } = wordData;
 
       if (!word) {
@@ -233,58 +776,33 @@ definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu ph
         throw error;
       }
 
-      // Get Google AI config
-      const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-      const MODEL = process.env.GOOGLE_MODEL;
-
-      if (!GOOGLE_API_KEY) {
-        const error = new Error("Missing GOOGLE_API_KEY in environment");
-        error.status = 500;
-        throw error;
-      }
-
-      // Lazy import Google AI SDK
-      let GoogleGenerativeAI;
-      try {
-        GoogleGenerativeAI = (await import("@google/generative-ai"))
-          .GoogleGenerativeAI;
-      } catch (e) {
-        const error = new Error("Google AI SDK not available");
-        error.status = 500;
-        throw error;
-      }
-
-      const client = new GoogleGenerativeAI(GOOGLE_API_KEY);
-      const model = client.getGenerativeModel(
-        { model: MODEL },
-        { apiVersion: "v1" }
-      );
-
       // Collect all examples grouped by definition (same as translateBulk)
       const definitionExamplesMap = new Map(); // Map<definition_id, {definition, examples[]}>
+      const idiomGroups = []; // [{ context, examples[] }]
+      const context = { word, pos };
+
+      // Helper to collect the examples of a sense
+      const senseExamples = (sense, idiom = "") =>
+        (Array.isArray(sense.examples) ? sense.examples : [])
+          .filter((ex) => ex._id && ex.en)
+          .map((ex) => ({
+            _id: ex._id,
+            text: ex.en,
+            source: ex.en,
+            context: { ...context, idiom },
+          }));
 
       // Helper to process senses
       const processSenses = (sensesArray) => {
         sensesArray.forEach((sense) => {
-          if (sense.examples && Array.isArray(sense.examples)) {
-            const senseExamples = [];
-            sense.examples.forEach((ex) => {
-              if (ex._id && ex.en) {
-                const exampleData = {
-                  _id: ex._id,
-                  text: ex.en,
-                };
-                senseExamples.push(exampleData);
-              }
-            });
+          const examples = senseExamples(sense);
 
-            // Group examples by definition
-            if (senseExamples.length > 0 && sense._id) {
-              definitionExamplesMap.set(sense._id, {
-                definition: sense.definition,
-                examples: senseExamples,
-              });
-            }
+          // Group examples by definition
+          if (examples.length > 0 && sense._id) {
+            definitionExamplesMap.set(sense._id, {
+              definition: sense.definition,
+              examples,
+            });
           }
         });
       };
@@ -299,134 +817,118 @@ definition_vi_short: 3–4 nghĩa ngắn (từ/cụm từ, cách nhau dấu ph
         }
       });
 
-      // Build compact user prompt - group examples by definition (same as translateBulk)
-      let userPrompt = `Word: ${word}${pos ? ` (${pos})` : ""}\n`;
-      if (definitionExamplesMap.size > 0) {
-        userPrompt += `\nEXAMPLES (grouped by definition):\n`;
-
-        let exampleIndex = 1;
-        definitionExamplesMap.forEach((data, defId) => {
-          userPrompt += `Context: ${data.definition}\n`;
-          data.examples.forEach((ex) => {
-            userPrompt += `• ${exampleIndex}. [${ex._id}] "${ex.text}"\n`;
-            exampleIndex++;
-          });
-        });
-      }
-
-      if (idioms.length > 0) {
-        userPrompt += `\nIDIOMS EXAMPLES(grouped by definition):\n`;
+      idioms.forEach((idiom) => {
+        let baseContext = "Context: ";
+        if (idiom.word) {
+          baseContext += `${idiom.word}: `;
+        }
 
-        idioms.forEach((idiom) => {
-          let baseContext = "Context: ";
-          if (idiom.word) {
-            baseContext += `${idiom.word}: `;
-          }
+        if (Array.isArray(idiom.senses)) {
+          idiom.senses.forEach((sense) => {
+            if (sense._id && sense.definition) {
+              idiomGroups.push({
+                context: baseContext + sense.definition,
+                examples: senseExamples(sense, idiom.word || ""),
+              });
+            }
+          });
+        }
+      });
 
-          if (Array.isArray(idiom.senses)) {
-            idiom.senses.forEach((sense) => {
-              let context = baseContext; // Reset context per sense
-              if (sense._id && sense.definition) {
-                context += sense.definition;
-                userPrompt += `${context}\n`;
-
-                if (Array.isArray(sense.examples)) {
-                  sense.examples.forEach((ex) => {
-                    if (ex._id && ex.en) {
-                      userPrompt += `• [${ex._id}] "${ex.en}"\n`;
-                    }
-                  });
-                }
-              }
+      // Only examples the translation memory doesn't know go to the model
+      const memory = await this.lookupMemory(
+        TRANSLATION_MEMORY_KINDS.EXAMPLE,
+        [
+          ...[...definitionExamplesMap.values()].flatMap((d) => d.examples),
+          ...idiomGroups.flatMap((g) => g.examples),
+        ],
+        language
+      );
+      // Glossary renderings are Vietnamese
+      const terms = isLegacyLanguage(language)
+        ? await this.glossaryService.getTerms()
+        : [];
+
+      // Build compact user prompt - group the examples asked for by
+      // definition (same as translateBulk)
+      const promptFor = (pending) => {
+        const asked = new Set(pending.map((item) => String(item._id)));
+        const askedOf = (examples) =>
+          examples.filter((ex) => asked.has(String(ex._id)));
+
+        let userPrompt = `Word: ${word}${pos ? ` (${pos})` : ""}\n`;
+        const askedDefinitions = [...definitionExamplesMap.values()]
+          .map((data) => ({ ...data, examples: askedOf(data.examples) }))
+          .filter((data) => data.examples.length > 0);
+        if (askedDefinitions.length > 0) {
+          userPrompt += `\nEXAMPLES (grouped by definition):\n`;
+
+          let exampleIndex = 1;
+          askedDefinitions.forEach((data) => {
+            userPrompt += `Context: ${data.definition}\n`;
+            data.examples.forEach((ex) => {
+              userPrompt += `• ${exampleIndex}. [${ex._id}] "${ex.text}"\n`;
+              exampleIndex++;
             });
-          }
-        });
-      }
-
-      // System prompt for examples only
-      const systemPrompt = `Bạn là dịch giả Anh–Việt chuyên nghiệp.
-
-Chỉ nhiệm vụ sau:
-- Dịch tự nhiên (không word-by-word) các câu ví dụ bắt đầu bằng "•".
-- Với IDIOMS EXAMPLES: dịch theo nghĩa thành ngữ.
-- Mỗi dòng "•" có dạng: • [id] text → output giữ nguyên "_id" và dịch phần text.
-- Không dịch / không trả về bất kỳ nội dung nào khác (word, definition, context…).
-- Không tự tạo ví dụ; nếu không có dòng "•" thì không trả output.
-- Trả về JSON hợp lệ duy nhất, escape tất cả " \ \n \t và các ký tự đặc biệt trong chuỗi, không markdown, không giải thích:
-{
- "examples": [{"_id": "...", "vi": "..."}]
-}
-"vi": nghĩa tiếng Việt tự nhiên theo ngữ cảnh.`;
+          });
+        }
 
-      // Log full prompt
-      const fullPrompt = `=== SYSTEM PROMPT ===\n${systemPrompt}\n\n=== USER PROMPT ===\n${userPrompt}`;
-      this.log("info", `Full prompt:\n${fullPrompt}`);
-
-      // Call Google AI
-      const resp = await model.generateContent({
-        contents: [
-          {
-            role: "user",
-            parts: [{ text: `${systemPrompt}\n${userPrompt}` }],
-          },
-        ],
-        generationConfig: {
-          maxOutputTokens: 20000,
-          temperature: 0.2,
-        },
-      });
+        const askedIdioms = idiomGroups
+          .map((group) => ({ ...group, examples: askedOf(group.examples) }))
+          .filter((group) => group.examples.length > 0);
+        if (askedIdioms.length > 0) {
+          userPrompt += `\nIDIOMS EXAMPLES(grouped by definition):\n`;
 
-      // Extract text content safely
-      let content = "";
-      try {
-        const rawText = resp?.response?.text?.();
-        if (typeof rawText === "string") {
-          content = rawText.trim();
-        } else if (rawText && typeof rawText.trim === "function") {
-          content = rawText.trim();
-        } else {
-          content = String(rawText || "");
+          askedIdioms.forEach((group) => {
+            userPrompt += `${group.context}\n`;
+            group.examples.forEach((ex) => {
+              userPrompt += `• [${ex._id}] "${ex.text}"\n`;
+            });
+          });
         }
-      } catch (e) {
-        content = String(resp?.response?.text || "");
-      }
 
-      this.log("info", `Google AI raw response:\n${content}`);
-
-      // Extract usage information
-      const usage = {
-        prompt_tokens: resp?.response?.usageMetadata?.promptTokenCount || 0,
-        completion_tokens:
-          resp?.response?.usageMetadata?.candidatesTokenCount || 0,
-        total_tokens: resp?.response?.usageMetadata?.totalTokenCount || 0,
+        // Renderings the glossary requires for the word and its examples
+        userPrompt += glossaryPrompt(
+          findGlossaryMatches(terms, [
+            word,
+            ...pending.map((item) => item.source),
+          ])
+        );
+        return userPrompt;
       };
 
-      // Robust JSON parsing
-      let jsonText = content
-        .replace(/```json\s*/gi, "")
-        .replace(/```\s*/g, "")
-        .trim();
-      // Remove problematic non-printable/control characters
-      jsonText = jsonText.replace(/[\u0000-\u001F]+/g, "");
-
-      let result;
-      try {
-        result = JSON.parse(jsonText);
-      } catch (e) {
-        this.log("error", `Failed to parse response: ${e.message}`);
-        this.log("error", `Raw response: ${content}`);
-        const error = new Error("Invalid JSON response from Google AI");
-        error.status = 500;
-        error.raw = content;
-        throw error;
-      }
+      // System prompt for examples only
+      const systemPrompt = examplesSystemPrompt(language);
+
+      // Everything was remembered: no model call
+      const { translated, usage } = await this.translateItems(
+        TRANSLATION_MEMORY_KINDS.EXAMPLE,
+        language,
+        systemPrompt,
+        promptFor,
+        memory.misses,
+        this.streamingCallback(TRANSLATION_MEMORY_KINDS.EXAMPLE, memory, onItem)
+      );
 
-      const translatedExamples = result.examples || [];
+      const translatedExamples = await this.mergeWithMemory(
+        TRANSLATION_MEMORY_KINDS.EXAMPLE,
+        memory,
+        translated,
+        usage
+      );
+      await this.flagGlossaryViolations(
+        TRANSLATION_MEMORY_KINDS.EXAMPLE,
+        word,
+        memory,
+        translatedExamples,
+        terms,
+        (item) => [item.vi]
+      );
 
       this.log("info", `Translated ${translatedExamples.length} examples`);
       this.log(
         "info",
-        `Token usage: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion = ${usage.total_tokens} total`
+        `Token usage: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion = ${usage.total_tokens} total (${usage.memory_hits} from memory, ~${usage.saved_tokens} saved)`
       );
 
       return {
@@ -439,9 +941,12 @@ Chỉ nhiệm vụ sau:
   /**
    * Translate definitions and examples in parallel (2 API calls simultaneously)
    * @param {Object} wordData - Word object with senses, idioms, phrasal_verb_senses
+   *   and the target language
+   * @param {Object} options - { onItem } to stream results (see
+   *   translateDefinitionsOnly)
    * @returns {Promise<Object>} { definitions, examples, usage }
    */
-  async translateParallel(wordData) {
+  async translateParallel(wordData, options = {}) {
     return this.execute(async () => {
       // Validate input
       if (!wordData || typeof wordData !== "object") {
@@ -462,19 +967,17 @@ Chỉ nhiệm vụ sau:
 
       // Call both APIs in parallel
       const [defResult, exResult] = await Promise.all([
-        this.translateDefinitionsOnly(wordData),
-        this.translateExamplesOnly(wordData),
+        this.translateDefinitionsOnly(wordData, options),
+        this.translateExamplesOnly(wordData, options),
       ]);
 
       // Combine usage stats
-      const combinedUsage = {
-        prompt_tokens:
-          defResult.usage.prompt_tokens + exResult.usage.prompt_tokens,
-        completion_tokens:
-          defResult.usage.completion_tokens + exResult.usage.completion_tokens,
-        total_tokens:
-          defResult.usage.total_tokens + exResult.usage.total_tokens,
-      };
+      const combinedUsage = Object.fromEntries(
+        Object.keys(emptyUsage()).map((key) => [
+          key,
+          (defResult.usage[key] || 0) + (exResult.usage[key] || 0),
+        ])
+      );
 
       return {
         definitions: defResult.definitions,
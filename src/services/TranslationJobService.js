@@ -0,0 +1,515 @@
+import { BaseService } from "./BaseService.js";
+import TranslateService from "./TranslateService.js";
+import WordService from "./WordService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { TranslationJobRepository } from "../repositories/TranslationJobRepository.js";
+import { TranslationJobDTO } from "../dtos/TranslationJobDTO.js";
+import { buildTranslationBatches } from "../utils/translationBatches.js";
+import { translationFields } from "../utils/translationLanguages.js";
+import { normalizeKey } from "../utils/variants.js";
+import env from "../config/env.js";
+import {
+  TRANSLATION_JOB_STATUS,
+  TRANSLATION_JOB_TARGETS,
+  TRANSLATION_JOB_DEFAULTS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../errors/AppError.js";
+
+const USAGE_KEYS = [
+  "prompt_tokens",
+  "completion_tokens",
+  "total_tokens",
+  "memory_hits",
+  "memory_misses",
+  "saved_tokens",
+];
+
+// Jobs whose runner is still going in this process (a paused job finishes
+// its current word before the runner stops)
+const runningJobs = new Set();
+
+/**
+ * Estimated cost of the tokens a job used, from the configured prices
+ */
+const costOf = (usage = {}) => {
+  const input =
+    ((usage.prompt_tokens || 0) * env.TRANSLATE_INPUT_PRICE_PER_MTOK) / 1e6;
+  const output =
+    ((usage.completion_tokens || 0) * env.TRANSLATE_OUTPUT_PRICE_PER_MTOK) /
+    1e6;
+  return {
+    input: Number(input.toFixed(6)),
+    output: Number(output.toFixed(6)),
+    total: Number((input + output).toFixed(6)),
+  };
+};
+
+/**
+ * TranslationJobService
+ * Admin-triggered background jobs that translate the senses and examples
+ * still missing a translation into a language (Vietnamese by default), in
+ * batches within token budgets.
+ * One job runs at a time, inside this process; a job can be paused and
+ * resumed from the word it stopped at.
+ */
+export class TranslationJobService extends BaseService {
+  constructor(
+    translationJobRepository = null,
+    wordRepository = null,
+    dependencies = {}
+  ) {
+    super(
+      translationJobRepository || new TranslationJobRepository(),
+      dependencies
+    );
+    this.wordRepository = wordRepository || new WordRepository();
+    this.translateService =
+      dependencies.translateService || new TranslateService();
+    this.wordService =
+      dependencies.wordService || new WordService(this.wordRepository);
+  }
+
+  /**
+   * Create a translation job and start it in the background
+   * @param {string|ObjectId} userId - Admin starting the job
+   * @param {Object} data - { targets, words, limit, max_tokens, batch_tokens,
+   *   language }
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(userId, data) {
+    return this.execute(async () => {
+      const {
+        targets = Object.values(TRANSLATION_JOB_TARGETS),
+        words,
+        limit = TRANSLATION_JOB_DEFAULTS.MAX_WORDS,
+        max_tokens = null,
+        batch_tokens = TRANSLATION_JOB_DEFAULTS.BATCH_TOKENS,
+        language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+      } = data;
+
+      await this.ensureNoActiveJob();
+
+      const filter = {};
+      if (Array.isArray(words)) {
+        filter.words = [...new Set(words.map(normalizeKey).filter(Boolean))];
+      }
+
+      const wordIds = await this.wordRepository.findTranslationCandidates(
+        { targets, words: filter.words, language },
+        limit
+      );
+      if (wordIds.length === 0) {
+        throw new ValidationError("No words are missing translations");
+      }
+
+      const provider = this.translateService.getProvider();
+      const job = await this.repository.create({
+        created_by: this.repository.toObjectId(userId),
+        targets,
+        language,
+        filter,
+        word_ids: wordIds,
+        max_tokens,
+        batch_tokens,
+        provider: provider.name,
+        model: provider.model || null,
+      });
+
+      this.log(
+        "info",
+        `Translation job created: ${job._id} (${targets.join(
+          ", "
+        )} → ${language}, ${wordIds.length} words)`
+      );
+
+      this.startInBackground(job._id);
+      return this.toDTO(job);
+    }, "createJob");
+  }
+
+  /**
+   * Run a queued job unless this process is already running it
+   * @param {ObjectId} jobId - Job ID
+   */
+  async runJob(jobId) {
+    const key = String(jobId);
+    if (runningJobs.has(key)) return;
+    runningJobs.add(key);
+    try {
+      await this.processJob(jobId);
+    } finally {
+      runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Process the words of a job from where it stopped until done, paused,
+   * cancelled or out of budget
+   * @param {ObjectId} jobId - Job ID
+   */
+  async processJob(jobId) {
+    const job = await this.repository.findById(jobId);
+    if (!job || job.status !== TRANSLATION_JOB_STATUS.QUEUED) return;
+
+    // A pause or cancel since the read wins
+    const started = await this.repository.updateOne(
+      { _id: jobId, status: TRANSLATION_JOB_STATUS.QUEUED },
+      {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.RUNNING,
+          started_at: job.started_at || new Date(),
+        },
+      }
+    );
+    if (started.matchedCount === 0) return;
+
+    let spent = job.usage?.total_tokens || 0;
+    const budgetLeft = () => job.max_tokens === null || spent < job.max_tokens;
+
+    try {
+      for (const wordId of job.word_ids.slice(job.processed)) {
+        const current = await this.repository.findOne(
+          { _id: jobId },
+          { status: 1 }
+        );
+        if (current?.status !== TRANSLATION_JOB_STATUS.RUNNING) {
+          this.log("info", `Translation job ${current?.status}: ${jobId}`);
+          return;
+        }
+
+        if (!budgetLeft()) {
+          await this.pauseForBudget(job);
+          return;
+        }
+
+        let progress;
+        try {
+          progress = await this.translateWord(job, wordId, (usage) => {
+            spent += usage.total_tokens;
+            return budgetLeft();
+          });
+        } catch (error) {
+          progress = { ...(error.progress || {}), error: error.message };
+        }
+
+        await this.repository.recordWord(jobId, {
+          ...progress,
+          word_id: wordId,
+        });
+
+        if (progress.done === false) {
+          await this.pauseForBudget(job);
+          return;
+        }
+      }
+
+      // A pause or cancel that arrived during the last word wins
+      await this.repository.updateOne(
+        { _id: jobId, status: TRANSLATION_JOB_STATUS.RUNNING },
+        {
+          $set: {
+            status: TRANSLATION_JOB_STATUS.COMPLETED,
+            finished_at: new Date(),
+          },
+        }
+      );
+      this.log("info", `Translation job completed: ${jobId}`);
+    } catch (error) {
+      await this.repository.updateById(jobId, {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.FAILED,
+          error: error.message,
+          finished_at: new Date(),
+        },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Translate what one word is missing, batch by batch, and save it
+   * @param {Object} job - Job document
+   * @param {string} wordId - Word key
+   * @param {Function} onUsage - Called with the usage of each batch; returns
+   *   false when the run is out of budget
+   * @returns {Promise<Object>} { definitions, examples, usage, done }
+   */
+  async translateWord(job, wordId, onUsage) {
+    const progress = {
+      definitions: 0,
+      examples: 0,
+      usage: { calls: 0, ...Object.fromEntries(USAGE_KEYS.map((k) => [k, 0])) },
+      done: true,
+    };
+
+    const wordDoc = await this.wordRepository.findByWord(wordId);
+    if (!wordDoc) {
+      const error = new Error("Word no longer exists");
+      error.progress = progress;
+      throw error;
+    }
+
+    try {
+      for (const page of wordDoc.data || []) {
+        for (const target of job.targets) {
+          const batches = buildTranslationBatches(
+            wordId,
+            page,
+            target,
+            job.batch_tokens || TRANSLATION_JOB_DEFAULTS.BATCH_TOKENS,
+            job.language || TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+          );
+
+          for (const { wordData } of batches) {
+            const usage = await this.translateBatch(target, wordData, progress);
+
+            if (usage.memory_misses > 0) progress.usage.calls += 1;
+            for (const key of USAGE_KEYS) {
+              progress.usage[key] += usage[key] || 0;
+            }
+            if (!onUsage(usage)) {
+              // Stopped half-way: the rest of the word is redone on resume
+              progress.done = false;
+              return progress;
+            }
+          }
+        }
+      }
+    } catch (error) {
+      error.progress = progress;
+      throw error;
+    }
+
+    return progress;
+  }
+
+  /**
+   * Translate one batch and save the translations
+   * @returns {Promise<Object>} Usage of the batch
+   */
+  async translateBatch(target, wordData, progress) {
+    const { language } = wordData;
+    const fields = translationFields(language);
+
+    if (target === TRANSLATION_JOB_TARGETS.DEFINITIONS) {
+      const { definitions, usage } =
+        await this.translateService.translateDefinitionsOnly(wordData);
+      const translated = definitions.filter((d) => d[fields.definition]);
+      if (translated.length > 0) {
+        await this.wordService.updateSenseDefinitions(translated, language);
+      }
+      progress.definitions += translated.length;
+      return usage;
+    }
+
+    const { examples, usage } =
+      await this.translateService.translateExamplesOnly(wordData);
+    const translated = examples.filter((ex) => ex[fields.example]);
+    if (translated.length > 0) {
+      await this.wordService.updateExampleViIfMissing(translated, language);
+    }
+    progress.examples += translated.length;
+    return usage;
+  }
+
+  async pauseForBudget(job) {
+    await this.repository.updateOne(
+      { _id: job._id, status: TRANSLATION_JOB_STATUS.RUNNING },
+      {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.PAUSED,
+          paused_reason: `Token budget of ${job.max_tokens} reached`,
+        },
+      }
+    );
+    this.log("info", `Translation job out of budget: ${job._id}`);
+  }
+
+  /**
+   * List translation jobs (newest first)
+   * @param {Object} options - { page, per_page }
+   */
+  async listJobs({ page = 1, per_page = 20 } = {}) {
+    return this.execute(async () => {
+      const result = await this.repository.paginate({}, page, per_page, {
+        sort: { createdAt: -1 },
+        projection: { word_ids: 0 },
+      });
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((job) => this.toDTO(job)),
+      };
+    }, "listJobs");
+  }
+
+  /**
+   * Get a translation job with its progress and cost summary
+   * @param {string|ObjectId} jobId - Job ID
+   */
+  async getJob(jobId) {
+    return this.execute(async () => {
+      const job = await this.findJob(jobId);
+      return this.toDTO(job);
+    }, "getJob");
+  }
+
+  /**
+   * Pause a queued or running job; the word being processed is finished
+   * @param {string|ObjectId} jobId - Job ID
+   */
+  async pauseJob(jobId) {
+    return this.execute(async () => {
+      const job = await this.findJob(jobId);
+      this.checkStatus(job, [
+        TRANSLATION_JOB_STATUS.QUEUED,
+        TRANSLATION_JOB_STATUS.RUNNING,
+      ]);
+
+      await this.repository.updateById(job._id, {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.PAUSED,
+          paused_reason: "Paused by an admin",
+        },
+      });
+      this.log("info", `Translation job pause requested: ${jobId}`);
+
+      return this.toDTO(await this.repository.findById(job._id));
+    }, "pauseJob");
+  }
+
+  /**
+   * Resume a paused job from the word it stopped at
+   * @param {string|ObjectId} jobId - Job ID
+   * @param {Object} data - { max_tokens } to change the run's budget
+   */
+  async resumeJob(jobId, { max_tokens } = {}) {
+    return this.execute(async () => {
+      const job = await this.findJob(jobId);
+      this.checkStatus(job, [TRANSLATION_JOB_STATUS.PAUSED]);
+      if (runningJobs.has(String(job._id))) {
+        throw new ConflictError(
+          "Translation job is still finishing its current word; retry shortly"
+        );
+      }
+      await this.ensureNoActiveJob();
+
+      const budget = max_tokens === undefined ? job.max_tokens : max_tokens;
+      if (budget !== null && (job.usage?.total_tokens || 0) >= budget) {
+        throw new ValidationError(
+          `The job already used ${job.usage.total_tokens} tokens; raise max_tokens to resume it`
+        );
+      }
+
+      // Conditional: another job started meanwhile makes it fail, and a
+      // concurrent resume or cancel of this job is not overwritten
+      const resumed = await this.repository.activate(
+        job._id,
+        TRANSLATION_JOB_STATUS.PAUSED,
+        {
+          status: TRANSLATION_JOB_STATUS.QUEUED,
+          paused_reason: null,
+          max_tokens: budget,
+        }
+      );
+      if (!resumed) {
+        throw new ConflictError("Translation job is no longer paused");
+      }
+      this.log("info", `Translation job resumed: ${jobId}`);
+
+      this.startInBackground(job._id);
+      return this.toDTO(await this.repository.findById(job._id));
+    }, "resumeJob");
+  }
+
+  /**
+   * Cancel a queued, running or paused job
+   * @param {string|ObjectId} jobId - Job ID
+   */
+  async cancelJob(jobId) {
+    return this.execute(async () => {
+      const job = await this.findJob(jobId);
+      this.checkStatus(job, [
+        TRANSLATION_JOB_STATUS.QUEUED,
+        TRANSLATION_JOB_STATUS.RUNNING,
+        TRANSLATION_JOB_STATUS.PAUSED,
+      ]);
+
+      await this.repository.updateById(job._id, {
+        $set: {
+          status: TRANSLATION_JOB_STATUS.CANCELLED,
+          finished_at: new Date(),
+        },
+      });
+      this.log("info", `Translation job cancel requested: ${jobId}`);
+
+      return this.toDTO(await this.repository.findById(job._id));
+    }, "cancelJob");
+  }
+
+  /**
+   * Jobs left queued/running by a previous process are paused, so they can
+   * be resumed and a new job can start
+   */
+  async pauseInterruptedJobs() {
+    return this.execute(async () => {
+      const count = await this.repository.pauseInterrupted(
+        "Interrupted by a server restart"
+      );
+      if (count > 0) {
+        this.log("warn", `Paused ${count} interrupted translation job(s)`);
+      }
+      return count;
+    }, "pauseInterruptedJobs");
+  }
+
+  async findJob(jobId) {
+    const job = await this.repository.findById(jobId);
+    if (!job) throw new NotFoundError("Translation job");
+    return job;
+  }
+
+  checkStatus(job, allowed) {
+    if (!allowed.includes(job.status)) {
+      throw new ConflictError(`Translation job is ${job.status}`);
+    }
+  }
+
+  // Fails early; the repository refuses a second active job when two
+  // requests pass this check together
+  async ensureNoActiveJob() {
+    const active = await this.repository.findActive();
+    if (active) {
+      throw new ConflictError(
+        `Translation job ${active._id} is still ${active.status}`
+      );
+    }
+  }
+
+  startInBackground(jobId) {
+    // Not awaited: the job reports its progress through its document
+    setImmediate(() => {
+      this.runJob(jobId).catch((error) =>
+        this.log("error", `Translation job ${jobId} crashed`, {
+          error: error.message,
+        })
+      );
+    });
+  }
+
+  toDTO(job) {
+    return new TranslationJobDTO({
+      ...job,
+      cost: costOf(job.usage),
+    }).transform();
+  }
+}
+
+export default TranslationJobService;
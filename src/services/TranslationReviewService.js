@@ -0,0 +1,329 @@
+import { BaseService } from "./BaseService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { TranslationMemoryRepository } from "../repositories/TranslationMemoryRepository.js";
+import { GlossaryService } from "./GlossaryService.js";
+import { TranslationReviewItemDTO } from "../dtos/TranslationReviewDTO.js";
+import { normalizeKey } from "../utils/variants.js";
+import {
+  isLegacyLanguage,
+  translationFields,
+  storagePaths,
+} from "../utils/translationLanguages.js";
+import {
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_REVIEW_STATUS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+  WORD_SYMBOLS,
+} from "../constants/index.js";
+import { NotFoundError, ValidationError } from "../errors/AppError.js";
+
+/**
+ * Translated fields of a kind in a language: the name in requests and the
+ * translation memory (field) and where it is stored (path). The first one
+ * identifies the translation in the translation memory.
+ */
+const translatedFields = (kind, language) => {
+  const fields = translationFields(language);
+  const paths = storagePaths(language);
+  return kind === TRANSLATION_MEMORY_KINDS.DEFINITION
+    ? [
+        { field: fields.definition, path: paths.definition },
+        { field: fields.definition_short, path: paths.definition_short },
+      ]
+    : [{ field: fields.example, path: paths.example }];
+};
+
+/**
+ * TranslationReviewService
+ * Human review of machine translations. Translated senses and examples
+ * carry a review state (machine, reviewed, rejected) per language; admins
+ * approve, edit or reject them. Rejected items lose their translation, so
+ * translation jobs pick them up again.
+ */
+export class TranslationReviewService extends BaseService {
+  constructor(
+    wordRepository = null,
+    translationMemoryRepository = null,
+    dependencies = {}
+  ) {
+    super(wordRepository || new WordRepository(), dependencies);
+    this.translationMemoryRepository =
+      translationMemoryRepository || new TranslationMemoryRepository();
+    this.glossaryService =
+      dependencies.glossaryService || new GlossaryService();
+  }
+
+  /**
+   * Translated senses and examples to review
+   * @param {Object} options - { word, symbol, status, kind, language, page,
+   *   per_page }
+   */
+  async listQueue({
+    word,
+    symbol,
+    status,
+    kind,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+    page = 1,
+    per_page = 50,
+  } = {}) {
+    return this.execute(async () => {
+      const filter = {};
+      if (word) filter._id = normalizeKey(word);
+
+      const levels = Object.values(WORD_SYMBOLS).filter((s) => s !== "other");
+      if (symbol === "other") filter.symbol = { $nin: levels };
+      else if (levels.includes(symbol)) filter.symbol = symbol;
+
+      const { docs, total } = await this.repository.findReviewQueue(filter, {
+        status,
+        kind,
+        language,
+        page,
+        per_page,
+      });
+
+      return {
+        total,
+        page,
+        per_page,
+        language,
+        data: docs.map((doc) =>
+          new TranslationReviewItemDTO({ ...doc, language }).transform()
+        ),
+      };
+    }, "listQueue");
+  }
+
+  /**
+   * Mark machine translations as checked
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<string>} ids - Sense or example IDs
+   * @param {string} language - Translations reviewed
+   * @returns {Promise<{ approved, not_found, skipped }>} skipped lists items
+   *   without a translation to approve
+   */
+  async approve(
+    userId,
+    kind,
+    ids,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
+    return this.execute(async () => {
+      const { found, not_found } = await this.findItems(kind, ids, language);
+      const approvable = found.filter(
+        (item) =>
+          item.status && item.status !== TRANSLATION_REVIEW_STATUS.REJECTED
+      );
+      const skipped = found
+        .filter((item) => !approvable.includes(item))
+        .map((item) => String(item._id));
+
+      const review = this.reviewedBy(
+        userId,
+        TRANSLATION_REVIEW_STATUS.REVIEWED
+      );
+      const { review: reviewPath } = storagePaths(language);
+      await this.repository.updateTranslationItems(
+        kind,
+        approvable.map((item) => ({
+          _id: item._id,
+          fields: { [reviewPath]: review },
+        }))
+      );
+      await this.resolveGlossaryViolations(userId, kind, approvable, language);
+
+      this.log(
+        "info",
+        `Approved ${approvable.length} ${kind} translation(s) (${language})`
+      );
+      return { approved: approvable.length, not_found, skipped };
+    }, "approve");
+  }
+
+  /**
+   * Replace a translation with an admin's own and mark it checked
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {string} id - Sense or example ID
+   * @param {Object} translation - Answer fields of the language
+   *   (translationFields): { definition_vi, definition_vi_short } or { vi }
+   *   for Vietnamese
+   * @param {string} language - Language of the translation
+   * @returns {Promise<Object>} The reviewed item
+   * @throws {NotFoundError} When no word has the item
+   */
+  async edit(
+    userId,
+    kind,
+    id,
+    translation,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
+    return this.execute(async () => {
+      const { found } = await this.findItems(kind, [id], language);
+      if (found.length === 0) throw new NotFoundError("Translation item");
+
+      const translated = translatedFields(kind, language);
+      const fields = {};
+      for (const { field, path } of translated) {
+        if (translation[field] !== undefined) {
+          fields[path] = translation[field];
+        }
+      }
+      if (Object.keys(fields).length === 0) {
+        throw new ValidationError(
+          `Provide ${translated.map(({ field }) => field).join(" or ")}`
+        );
+      }
+
+      const [item] = found;
+      await this.repository.updateTranslationItems(kind, [
+        {
+          _id: item._id,
+          fields: {
+            ...fields,
+            [storagePaths(language).review]: this.reviewedBy(
+              userId,
+              TRANSLATION_REVIEW_STATUS.REVIEWED
+            ),
+          },
+        },
+      ]);
+      await this.forgetMachineTranslations(kind, found, language);
+      await this.resolveGlossaryViolations(userId, kind, found, language);
+
+      const [updated] = await this.repository.findTranslationItems(
+        kind,
+        [item._id],
+        language
+      );
+      return new TranslationReviewItemDTO({
+        ...(updated || item),
+        language,
+      }).transform();
+    }, "edit");
+  }
+
+  /**
+   * Clear bad translations so they are translated again
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {Array<string>} ids - Sense or example IDs
+   * @param {string} note - Why they were rejected (optional)
+   * @param {string} language - Translations reviewed
+   * @returns {Promise<{ rejected, not_found, skipped }>} skipped lists items
+   *   without a translation to reject
+   */
+  async reject(
+    userId,
+    kind,
+    ids,
+    note,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
+    return this.execute(async () => {
+      const { found, not_found } = await this.findItems(kind, ids, language);
+      const rejectable = found.filter(
+        (item) =>
+          item.status && item.status !== TRANSLATION_REVIEW_STATUS.REJECTED
+      );
+      const skipped = found
+        .filter((item) => !rejectable.includes(item))
+        .map((item) => String(item._id));
+
+      const blank = Object.fromEntries(
+        translatedFields(kind, language).map(({ path }) => [path, ""])
+      );
+      await this.repository.updateTranslationItems(
+        kind,
+        rejectable.map((item) => ({
+          _id: item._id,
+          fields: {
+            ...blank,
+            [storagePaths(language).review]: {
+              ...this.reviewedBy(userId, TRANSLATION_REVIEW_STATUS.REJECTED),
+              rejected_translation: item.translation,
+              ...(note && { note }),
+            },
+          },
+        }))
+      );
+      await this.forgetMachineTranslations(kind, rejectable, language);
+      await this.resolveGlossaryViolations(userId, kind, rejectable, language);
+
+      this.log(
+        "info",
+        `Rejected ${rejectable.length} ${kind} translation(s) (${language})`
+      );
+      return { rejected: rejectable.length, not_found, skipped };
+    }, "reject");
+  }
+
+  /**
+   * Current state of items, split into found and unknown IDs
+   */
+  async findItems(kind, ids, language) {
+    const objectIds = ids.map((id) => this.repository.toObjectId(id));
+    const items = await this.repository.findTranslationItems(
+      kind,
+      objectIds,
+      language
+    );
+
+    // An item copied into several words is reviewed once
+    const byId = new Map();
+    for (const item of items) {
+      if (!byId.has(String(item._id))) byId.set(String(item._id), item);
+    }
+    return {
+      found: [...byId.values()],
+      not_found: ids.map(String).filter((id) => !byId.has(id)),
+    };
+  }
+
+  /**
+   * Drop unchecked translations of items from the translation memory, so
+   * the model output that was replaced is not served again
+   */
+  async forgetMachineTranslations(kind, items, language) {
+    // Field names differ by language, so only this language is dropped
+    const [{ field }] = translatedFields(kind, language);
+    const texts = items
+      .filter((item) => item.status === TRANSLATION_REVIEW_STATUS.MACHINE)
+      .map((item) => item.translation?.[field])
+      .filter(Boolean);
+    await this.translationMemoryRepository.forgetTranslations(
+      kind,
+      field,
+      texts
+    );
+  }
+
+  /**
+   * Close the glossary flags of reviewed items; the glossary only has
+   * Vietnamese renderings
+   */
+  async resolveGlossaryViolations(userId, kind, items, language) {
+    if (!isLegacyLanguage(language)) return;
+    await this.glossaryService.resolveItemViolations(
+      userId,
+      kind,
+      items.map((item) => item._id)
+    );
+  }
+
+  /**
+   * Review state set by an admin
+   */
+  reviewedBy(userId, status) {
+    return {
+      status,
+      reviewed_by: this.repository.toObjectId(userId),
+      reviewed_at: new Date(),
+    };
+  }
+}
+
+export default TranslationReviewService;
@@ -0,0 +1,313 @@
+import { BaseService } from "./BaseService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { WordRevisionRepository } from "../repositories/WordRevisionRepository.js";
+import { WordInflectionRepository } from "../repositories/WordInflectionRepository.js";
+import { WordRevisionDTO, EditableWordDTO } from "../dtos/WordRevisionDTO.js";
+import {
+  toPlain,
+  pickEditable,
+  applyChanges,
+  validateEditable,
+  restoreIds,
+  diffJson,
+} from "../utils/wordEdit.js";
+import {
+  normalizeKey,
+  buildTopSymbolFromPages,
+  buildPartsOfSpeechFromPages,
+} from "../utils/variants.js";
+import { buildInflectionEntries } from "../utils/inflections.js";
+import { WORD_REVISION_ACTIONS } from "../constants/index.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../errors/AppError.js";
+
+/**
+ * WordEditorService
+ * Admin edits of word entries. Every edit or rollback is stored as a
+ * revision with its author, JSON diff and a snapshot of the editable
+ * fields. Other writers to the pages (crawl, refresh, translations,
+ * reviews) move the word's revision on without storing one; the state
+ * they leave is snapshotted before the next edit, and rollbacks never
+ * undo their changes.
+ */
+export class WordEditorService extends BaseService {
+  constructor(
+    wordRevisionRepository = null,
+    wordRepository = null,
+    wordInflectionRepository = null,
+    dependencies = {}
+  ) {
+    super(wordRevisionRepository || new WordRevisionRepository(), dependencies);
+    this.wordRepository = wordRepository || new WordRepository();
+    this.wordInflectionRepository =
+      wordInflectionRepository || new WordInflectionRepository();
+  }
+
+  /**
+   * Editable fields of a word and its current revision
+   * @param {string} word - Word key
+   */
+  async getWord(word) {
+    return this.execute(async () => {
+      const wordDoc = await this.findWord(word);
+      return new EditableWordDTO(wordDoc).transform();
+    }, "getWord");
+  }
+
+  /**
+   * Apply changes to a word and store them as a new revision
+   * @param {string|ObjectId} userId - Admin editing the word
+   * @param {string} word - Word key
+   * @param {Object} data - { changes: [{ op, path, value }], comment, base_revision }
+   * @returns {Promise<Object>} { word, revision }
+   */
+  async editWord(userId, word, { changes, comment, base_revision }) {
+    return this.execute(async () => {
+      const wordDoc = await this.findWord(word);
+      const edited = applyChanges(pickEditable(wordDoc), changes);
+
+      // Derived fields follow the pages unless they were edited too
+      const touched = new Set(changes.map((c) => c.path.split(".")[0]));
+      if (touched.has("data") && Array.isArray(edited.data)) {
+        if (!touched.has("symbol")) {
+          edited.symbol = buildTopSymbolFromPages(edited.data);
+        }
+        if (!touched.has("parts_of_speech")) {
+          edited.parts_of_speech = buildPartsOfSpeechFromPages(edited.data);
+        }
+      }
+
+      return this.saveRevision(userId, wordDoc, edited, {
+        action: WORD_REVISION_ACTIONS.EDIT,
+        comment,
+        base_revision,
+      });
+    }, "editWord");
+  }
+
+  /**
+   * Restore the editable fields of a previous revision, as a new revision
+   * @param {string|ObjectId} userId - Admin rolling back
+   * @param {string} word - Word key
+   * @param {number} revision - Revision to restore
+   * @param {Object} data - { comment, base_revision }
+   * @returns {Promise<Object>} { word, revision }
+   */
+  async rollback(userId, word, revision, { comment, base_revision } = {}) {
+    return this.execute(async () => {
+      const wordDoc = await this.findWord(word);
+      const target = await this.repository.findRevision(wordDoc._id, revision);
+      if (!target) throw new NotFoundError("Revision");
+
+      // Only the editor's own revisions may be undone: restoring the
+      // snapshot over other writes would silently drop them
+      const current = wordDoc.revision || 0;
+      const undone = await this.repository.findRange(
+        wordDoc._id,
+        revision,
+        current
+      );
+      const editorOnly =
+        undone.length === current - revision &&
+        undone.every((r) =>
+          [WORD_REVISION_ACTIONS.EDIT, WORD_REVISION_ACTIONS.ROLLBACK].includes(
+            r.action
+          )
+        );
+      if (!editorOnly) {
+        throw new ConflictError(
+          `Word was changed outside the editor after revision ${revision}; edit it instead of rolling back`
+        );
+      }
+
+      // Fields missing from the snapshot are compared as null
+      const restored = { ...pickEditable({}), ...toPlain(target.snapshot) };
+      return this.saveRevision(userId, wordDoc, restored, {
+        action: WORD_REVISION_ACTIONS.ROLLBACK,
+        comment,
+        base_revision,
+        rolled_back_to: revision,
+      });
+    }, "rollback");
+  }
+
+  /**
+   * List the revisions of a word (newest first)
+   * @param {string} word - Word key
+   * @param {Object} options - { page, per_page }
+   */
+  async listRevisions(word, options = {}) {
+    return this.execute(async () => {
+      const wordDoc = await this.findWord(word);
+      const result = await this.repository.findByWord(wordDoc._id, options);
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((doc) => new WordRevisionDTO(doc).transform()),
+      };
+    }, "listRevisions");
+  }
+
+  /**
+   * One revision with its diff from the previous revision, or from
+   * compare_to when given
+   * @param {string} word - Word key
+   * @param {number} revision - Revision number
+   * @param {Object} options - { compare_to }
+   */
+  async getRevision(word, revision, { compare_to } = {}) {
+    return this.execute(async () => {
+      const wordDoc = await this.findWord(word);
+      const doc = await this.repository.findRevision(wordDoc._id, revision);
+      if (!doc) throw new NotFoundError("Revision");
+
+      if (compare_to === undefined) {
+        return new WordRevisionDTO(doc).transform();
+      }
+
+      const other = await this.repository.findRevision(wordDoc._id, compare_to);
+      if (!other) throw new NotFoundError("Revision");
+
+      const diff = diffJson(toPlain(other.snapshot), toPlain(doc.snapshot));
+      return {
+        ...new WordRevisionDTO(doc).transform(),
+        compare_to,
+        diff,
+        changes_count: diff.length,
+      };
+    }, "getRevision");
+  }
+
+  async findWord(word) {
+    const wordDoc = await this.wordRepository.findByWord(normalizeKey(word));
+    if (!wordDoc) throw new NotFoundError("Word");
+    return wordDoc;
+  }
+
+  /**
+   * Validate edited fields, store the revision, then update the word
+   * @param {Object} edited - Editable fields in JSON form
+   */
+  async saveRevision(
+    userId,
+    wordDoc,
+    edited,
+    { action, comment, base_revision, rolled_back_to }
+  ) {
+    const current = wordDoc.revision || 0;
+    if (base_revision !== undefined && base_revision !== current) {
+      throw new ConflictError(
+        `Word was changed since revision ${base_revision} (now ${current}); reload it and retry`
+      );
+    }
+
+    const errors = validateEditable(edited);
+    if (errors.length > 0) throw new ValidationError("Invalid word", errors);
+
+    const before = pickEditable(wordDoc);
+    const fields = { ...edited, data: restoreIds(edited.data) };
+    // Fields the word never had stay absent rather than null
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === null && !(key in wordDoc)) delete fields[key];
+    }
+
+    const diff = diffJson(before, pickEditable(fields));
+    if (diff.length === 0) {
+      throw new ValidationError("The changes leave the word unchanged");
+    }
+
+    await this.saveBaseline(wordDoc, current);
+
+    const revision = await this.repository.create({
+      word_id: wordDoc._id,
+      revision: current + 1,
+      action,
+      author_id: this.repository.toObjectId(userId),
+      comment: comment || null,
+      ...(rolled_back_to !== undefined && { rolled_back_to }),
+      diff,
+      changes_count: diff.length,
+      snapshot: fields,
+    });
+
+    const saved = await this.wordRepository.setFieldsAtRevision(
+      wordDoc._id,
+      fields,
+      current
+    );
+    if (!saved) {
+      await this.repository.deleteOne({ _id: revision._id });
+      throw new ConflictError(
+        `Word was changed while revision ${
+          current + 1
+        } was saved; reload it and retry`
+      );
+    }
+    if (diff.some((change) => change.path.startsWith("data"))) {
+      await this.wordInflectionRepository.replaceForWord(
+        wordDoc._id,
+        buildInflectionEntries(wordDoc._id, fields.data)
+      );
+    }
+
+    this.log(
+      "info",
+      `Word "${wordDoc._id}" ${action}: revision ${current + 1} (${
+        diff.length
+      } changes)`
+    );
+
+    const updated = await this.wordRepository.findByWord(wordDoc._id);
+    return {
+      word: new EditableWordDTO(updated).transform(),
+      revision: new WordRevisionDTO({
+        ...revision,
+        snapshot: null,
+      }).transform(),
+    };
+  }
+
+  /**
+   * Snapshot of the word before an edit when its current revision has
+   * none: the word as crawled before its first edit, or what other writers
+   * changed since the last stored revision
+   */
+  async saveBaseline(wordDoc, current) {
+    const existing = await this.repository.findRevision(wordDoc._id, current);
+    if (existing) return;
+
+    const snapshot = Object.fromEntries(
+      Object.entries(pickEditable(wordDoc))
+        .filter(([key]) => key in wordDoc)
+        .map(([key]) => [key, wordDoc[key]])
+    );
+    const latest = await this.repository.findLatest(wordDoc._id);
+    const diff = latest
+      ? diffJson(toPlain(latest.snapshot), toPlain(snapshot))
+      : [];
+    try {
+      await this.repository.create({
+        word_id: wordDoc._id,
+        revision: current,
+        action: latest
+          ? WORD_REVISION_ACTIONS.EXTERNAL
+          : WORD_REVISION_ACTIONS.ORIGINAL,
+        author_id: null,
+        comment: null,
+        diff,
+        changes_count: diff.length,
+        snapshot,
+      });
+    } catch (error) {
+      // Saved by a concurrent first edit
+      if (!(error instanceof ConflictError)) throw error;
+    }
+  }
+}
+
+export default WordEditorService;
@@ -0,0 +1,216 @@
+import { BaseService } from "./BaseService.js";
+import WordService from "./WordService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { WordFamilySuggestionRepository } from "../repositories/WordFamilySuggestionRepository.js";
+import { WordFamilySuggestionDTO } from "../dtos/WordFamilyDTO.js";
+import { WordLexicon, proposeRoot } from "../utils/morphology.js";
+import { ConflictError } from "../errors/AppError.js";
+import {
+  WORD_FAMILY_SUGGESTION_STATUS,
+  WORD_FAMILY_DEFAULTS,
+} from "../constants/index.js";
+
+/**
+ * WordFamilyService
+ * Root/child suggestions from the morphology analyser. Admins review them
+ * and accept them in bulk; accepting goes through WordService.assignRoot so
+ * families stay flat: a root never gets a root and a child never becomes a
+ * root.
+ */
+export class WordFamilyService extends BaseService {
+  constructor(
+    wordFamilySuggestionRepository = null,
+    wordRepository = null,
+    dependencies = {}
+  ) {
+    super(
+      wordFamilySuggestionRepository || new WordFamilySuggestionRepository(),
+      dependencies
+    );
+    this.wordRepository = wordRepository || new WordRepository();
+    this.wordService =
+      dependencies.wordService || new WordService(this.wordRepository);
+  }
+
+  /**
+   * Run the analyser over every word and store its suggestions
+   * @param {Object} options - { min_confidence }
+   * @returns {Promise<Object>} { analysed, proposed, created, removed }
+   */
+  async generateSuggestions({
+    min_confidence = WORD_FAMILY_DEFAULTS.MIN_CONFIDENCE,
+  } = {}) {
+    return this.execute(async () => {
+      const startedAt = new Date();
+      const words = await this.wordRepository.findFamilyInfo();
+      const lexicon = new WordLexicon(words);
+
+      const suggestions = [];
+      for (const word of words) {
+        // Children already have a family; roots with children can't get a root
+        if (word.root !== undefined) continue;
+
+        const proposal = proposeRoot(word._id, lexicon, {
+          minConfidence: min_confidence,
+        });
+        if (!proposal) continue;
+
+        let { root, steps } = proposal;
+        // The base already belongs to a family: join that family's root
+        const familyRoot = lexicon.words.get(root)?.root;
+        if (typeof familyRoot === "string") {
+          steps = [...steps, { from: root, to: familyRoot, rule: "family" }];
+          root = familyRoot;
+        }
+        if (root === word._id) continue;
+
+        suggestions.push({
+          word_id: word._id,
+          root_id: root,
+          confidence: proposal.confidence,
+          steps,
+        });
+      }
+
+      const created = await this.repository.upsertMany(suggestions);
+      const removed = await this.repository.deleteStalePending(startedAt);
+
+      this.log(
+        "info",
+        `Word family suggestions generated: ${suggestions.length} proposed, ${created} new, ${removed} stale removed`
+      );
+
+      return {
+        analysed: words.length,
+        proposed: suggestions.length,
+        created,
+        removed,
+      };
+    }, "generateSuggestions");
+  }
+
+  /**
+   * List suggestions, most confident first
+   * @param {Object} options - { status, min_confidence, q, page, per_page }
+   */
+  async listSuggestions(options = {}) {
+    return this.execute(async () => {
+      const result = await this.repository.findFiltered(options);
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((doc) =>
+          new WordFamilySuggestionDTO(doc).transform()
+        ),
+      };
+    }, "listSuggestions");
+  }
+
+  /**
+   * Accept suggestions in order; each one is checked against the current
+   * families, so one failing does not stop the others
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {Array<string>} ids - Suggestion IDs
+   * @returns {Promise<Object>} { accepted, failed, results }
+   */
+  async acceptSuggestions(userId, ids) {
+    return this.execute(async () => {
+      const results = [];
+
+      for (const id of ids) {
+        const suggestion = await this.repository.findById(id);
+        if (!suggestion) {
+          results.push({ _id: id, status: "failed", error: "Not found" });
+          continue;
+        }
+
+        const { word_id, root_id } = suggestion;
+        try {
+          await this.checkAssignable(suggestion);
+          await this.wordService.assignRoot(word_id, root_id);
+          await this.repository.markReviewed(
+            suggestion._id,
+            WORD_FAMILY_SUGGESTION_STATUS.ACCEPTED,
+            { reviewed_by: this.repository.toObjectId(userId), error: null }
+          );
+          results.push({ _id: id, word_id, root_id, status: "accepted" });
+        } catch (error) {
+          results.push({
+            _id: id,
+            word_id,
+            root_id,
+            status: "failed",
+            error: error.message,
+          });
+        }
+      }
+
+      const accepted = results.filter((r) => r.status === "accepted").length;
+      this.log(
+        "info",
+        `Word family suggestions accepted: ${accepted}/${ids.length}`
+      );
+
+      return { accepted, failed: ids.length - accepted, results };
+    }, "acceptSuggestions");
+  }
+
+  /**
+   * Reject pending suggestions; the analyser won't propose them again
+   * @param {string|ObjectId} userId - Reviewing admin
+   * @param {Array<string>} ids - Suggestion IDs
+   * @returns {Promise<{ rejected: number }>}
+   */
+  async rejectSuggestions(userId, ids) {
+    return this.execute(async () => {
+      const result = await this.repository.updateMany(
+        {
+          _id: { $in: ids.map((id) => this.repository.toObjectId(id)) },
+          status: WORD_FAMILY_SUGGESTION_STATUS.PENDING,
+        },
+        {
+          $set: {
+            status: WORD_FAMILY_SUGGESTION_STATUS.REJECTED,
+            reviewed_by: this.repository.toObjectId(userId),
+            reviewed_at: new Date(),
+          },
+        }
+      );
+      return { rejected: result.modifiedCount || 0 };
+    }, "rejectSuggestions");
+  }
+
+  /**
+   * Throw when a suggestion no longer fits the current families
+   * (assignRoot refuses roots with children; this also keeps children from
+   * becoming roots, which assignRoot would do silently)
+   */
+  async checkAssignable({ status, word_id, root_id }) {
+    if (status !== WORD_FAMILY_SUGGESTION_STATUS.PENDING) {
+      throw new ConflictError(`Suggestion is already ${status}`);
+    }
+
+    const word = await this.wordRepository.findByWord(word_id);
+    if (!word) throw new ConflictError(`Word "${word_id}" no longer exists`);
+    if (word.root === null) {
+      throw new ConflictError(`"${word_id}" is a root word that has children`);
+    }
+    if (typeof word.root === "string") {
+      throw new ConflictError(
+        `"${word_id}" already belongs to the family of "${word.root}"`
+      );
+    }
+
+    const root = await this.wordRepository.findByWord(root_id);
+    if (!root) throw new ConflictError(`Word "${root_id}" no longer exists`);
+    if (typeof root.root === "string") {
+      throw new ConflictError(
+        `"${root_id}" belongs to the family of "${root.root}" and can't be a root`
+      );
+    }
+  }
+}
+
+export default WordFamilyService;
@@ -0,0 +1,173 @@
+import { BaseService } from "./BaseService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { buildWordGraph } from "../utils/wordGraph.js";
+import cacheManager from "../utils/cache.js";
+import { NotFoundError } from "../errors/AppError.js";
+import {
+  WORD_RELATION_TYPES,
+  WORD_GRAPH_DEFAULTS,
+} from "../constants/index.js";
+
+const GRAPH_CACHE_KEY = "word-graph";
+
+// Shared by every instance so concurrent requests build the graph once
+let building = null;
+
+/**
+ * Relation types of a "synonym,opposite" query value (all when empty)
+ */
+const parseTypes = (types) => {
+  if (!types) return Object.values(WORD_RELATION_TYPES);
+  const list = Array.isArray(types) ? types : String(types).split(",");
+  return [...new Set(list.map((t) => t.trim()).filter(Boolean))];
+};
+
+/**
+ * WordGraphService
+ * Synonym / opposite / see-also graph over the whole words collection.
+ * The graph is kept in memory and rebuilt when its cache entry expires, so
+ * newly crawled words show up within INDEX_TTL_SECONDS.
+ */
+export class WordGraphService extends BaseService {
+  constructor(wordRepository = null, dependencies = {}) {
+    super(wordRepository || new WordRepository(), dependencies);
+  }
+
+  /**
+   * Words related to a word
+   * @param {string} word - Word key or variant
+   * @param {Object} options - { types, limit }
+   * @returns {Promise<Object>} { word, resolved, neighbours }
+   */
+  async getNeighbours(
+    word,
+    { types, limit = WORD_GRAPH_DEFAULTS.NEIGHBOUR_LIMIT } = {}
+  ) {
+    return this.execute(async () => {
+      const graph = await this.getGraph();
+      const node = this.findNode(graph, word);
+
+      return {
+        word: node.id,
+        resolved: node.resolved,
+        neighbours: graph.neighbours(node.id, {
+          types: parseTypes(types),
+          limit,
+        }),
+      };
+    }, "getNeighbours");
+  }
+
+  /**
+   * Shortest chain of relations between two words
+   * @param {string} from - Word key or variant
+   * @param {string} to - Word key or variant
+   * @param {Object} options - { types, max_depth }
+   * @returns {Promise<Object>} { from, to, found, length, words, steps }
+   */
+  async findPath(
+    from,
+    to,
+    { types, max_depth = WORD_GRAPH_DEFAULTS.MAX_PATH_DEPTH } = {}
+  ) {
+    return this.execute(async () => {
+      const graph = await this.getGraph();
+      const source = this.findNode(graph, from);
+      const target = this.findNode(graph, to);
+
+      const path = graph.shortestPath(source.id, target.id, {
+        types: parseTypes(types),
+        maxDepth: max_depth,
+      });
+
+      return {
+        from: source.id,
+        to: target.id,
+        found: Boolean(path),
+        length: path ? path.steps.length : null,
+        words: path ? path.words : [],
+        steps: path ? path.steps : [],
+      };
+    }, "findPath");
+  }
+
+  /**
+   * Neighbourhood of a word as { nodes, edges } for visualisation
+   * @param {string} word - Word key or variant
+   * @param {Object} options - { types, depth, max_nodes }
+   * @returns {Promise<Object>} { center, nodes, edges, truncated }
+   */
+  async getSubgraph(
+    word,
+    {
+      types,
+      depth = WORD_GRAPH_DEFAULTS.SUBGRAPH_DEPTH,
+      max_nodes = WORD_GRAPH_DEFAULTS.SUBGRAPH_MAX_NODES,
+    } = {}
+  ) {
+    return this.execute(async () => {
+      const graph = await this.getGraph();
+      const node = this.findNode(graph, word);
+
+      return {
+        center: node.id,
+        ...graph.subgraph(node.id, {
+          types: parseTypes(types),
+          depth,
+          maxNodes: max_nodes,
+        }),
+      };
+    }, "getSubgraph");
+  }
+
+  /**
+   * Graph node of a word as typed; link texts that match no stored word
+   * are nodes too
+   */
+  findNode(graph, word) {
+    const node = graph.nodes.get(graph.resolve(word));
+    if (!node) throw new NotFoundError("Word");
+    return node;
+  }
+
+  /**
+   * Cached graph, rebuilt from the words collection when it expires
+   */
+  async getGraph() {
+    const cached = cacheManager.get(GRAPH_CACHE_KEY);
+    if (cached) return cached;
+
+    if (!building) {
+      building = this.buildGraph()
+        .then((graph) => {
+          cacheManager.set(
+            GRAPH_CACHE_KEY,
+            graph,
+            WORD_GRAPH_DEFAULTS.INDEX_TTL_SECONDS
+          );
+          return graph;
+        })
+        .finally(() => {
+          building = null;
+        });
+    }
+    return building;
+  }
+
+  async buildGraph() {
+    const startedAt = Date.now();
+    const words = await this.repository.findRelations();
+    const graph = buildWordGraph(words);
+
+    const { nodes, edges } = graph.size;
+    this.log(
+      "info",
+      `Word graph built: ${nodes} nodes, ${edges} edges in ${
+        Date.now() - startedAt
+      }ms`
+    );
+    return graph;
+  }
+}
+
+export default WordGraphService;
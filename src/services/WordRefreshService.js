@@ -0,0 +1,388 @@
+import { BaseService } from "./BaseService.js";
+import { WordRepository } from "../repositories/WordRepository.js";
+import { WordPageRepository } from "../repositories/WordPageRepository.js";
+import { WordInflectionRepository } from "../repositories/WordInflectionRepository.js";
+import { WordRefreshJobRepository } from "../repositories/WordRefreshJobRepository.js";
+import { WordRefreshResultRepository } from "../repositories/WordRefreshResultRepository.js";
+import {
+  WordRefreshJobDTO,
+  WordRefreshResultDTO,
+} from "../dtos/WordRefreshDTO.js";
+import crawlQueue from "../utils/crawlQueue.js";
+import { parseOxfordPage } from "../utils/oxfordParser.js";
+import { mergeWordPages } from "../utils/wordMerge.js";
+import {
+  normalizeKey,
+  buildTopSymbolFromPages,
+  buildPartsOfSpeechFromPages,
+} from "../utils/variants.js";
+import { buildInflectionEntries } from "../utils/inflections.js";
+import {
+  OXFORD_PARSER_VERSION,
+  WORD_REFRESH_MODES,
+  WORD_REFRESH_JOB_STATUS,
+  WORD_REFRESH_RESULT_STATUS,
+  WORD_REFRESH_DEFAULTS,
+} from "../constants/index.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../errors/AppError.js";
+
+/**
+ * WordRefreshService
+ * Admin-triggered background jobs that re-crawl or re-parse dictionary
+ * entries, keeping sense/example ids and translations, with a per-word diff
+ * report. One job runs at a time, inside this process.
+ */
+export class WordRefreshService extends BaseService {
+  constructor(
+    wordRefreshJobRepository = null,
+    wordRefreshResultRepository = null,
+    wordRepository = null,
+    wordPageRepository = null,
+    wordInflectionRepository = null,
+    dependencies = {}
+  ) {
+    super(
+      wordRefreshJobRepository || new WordRefreshJobRepository(),
+      dependencies
+    );
+    this.resultRepository =
+      wordRefreshResultRepository || new WordRefreshResultRepository();
+    this.wordRepository = wordRepository || new WordRepository();
+    this.wordPageRepository = wordPageRepository || new WordPageRepository();
+    this.wordInflectionRepository =
+      wordInflectionRepository || new WordInflectionRepository();
+    this.crawlQueue = dependencies.crawlQueue || crawlQueue;
+  }
+
+  /**
+   * Create a refresh job and start it in the background
+   * @param {string|ObjectId} userId - Admin starting the job
+   * @param {Object} data - { mode, older_than_days, parser_version_below, words, limit }
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(userId, data) {
+    return this.execute(async () => {
+      const {
+        mode,
+        older_than_days,
+        parser_version_below,
+        words,
+        limit = WORD_REFRESH_DEFAULTS.MAX_WORDS,
+      } = data;
+
+      // Fails early; the repository refuses a second active job when two
+      // requests pass this check together
+      const active = await this.repository.findActive();
+      if (active) {
+        throw new ConflictError(
+          `Word refresh job ${active._id} is still ${active.status}`
+        );
+      }
+
+      const filter = {};
+      if (older_than_days !== undefined) {
+        filter.older_than_days = older_than_days;
+      }
+      if (parser_version_below !== undefined) {
+        filter.parser_version_below = parser_version_below;
+      }
+      if (Array.isArray(words)) {
+        filter.words = [...new Set(words.map(normalizeKey).filter(Boolean))];
+      }
+
+      const wordIds = await this.wordRepository.findRefreshCandidates(
+        filter,
+        limit
+      );
+      if (wordIds.length === 0) {
+        throw new ValidationError("No words match the refresh filter");
+      }
+
+      const job = await this.repository.create({
+        created_by: this.repository.toObjectId(userId),
+        mode,
+        filter,
+        word_ids: wordIds,
+      });
+
+      this.log(
+        "info",
+        `Word refresh job created: ${job._id} (${mode}, ${wordIds.length} words)`
+      );
+
+      // Not awaited: the job reports its progress through its document
+      setImmediate(() => {
+        this.runJob(job._id).catch((error) =>
+          this.log("error", `Word refresh job ${job._id} crashed`, {
+            error: error.message,
+          })
+        );
+      });
+
+      return new WordRefreshJobDTO(job).transform();
+    }, "createJob");
+  }
+
+  /**
+   * Process the words of a job one by one until done or cancelled
+   * @param {ObjectId} jobId - Job ID
+   */
+  async runJob(jobId) {
+    const job = await this.repository.findById(jobId);
+    if (!job || job.status !== WORD_REFRESH_JOB_STATUS.QUEUED) return;
+
+    await this.repository.updateById(jobId, {
+      $set: {
+        status: WORD_REFRESH_JOB_STATUS.RUNNING,
+        started_at: new Date(),
+      },
+    });
+
+    try {
+      for (const wordId of job.word_ids) {
+        const current = await this.repository.findOne(
+          { _id: jobId },
+          { status: 1 }
+        );
+        if (current?.status === WORD_REFRESH_JOB_STATUS.CANCELLED) {
+          this.log("info", `Word refresh job cancelled: ${jobId}`);
+          return;
+        }
+
+        let result;
+        try {
+          result = await this.refreshWord(job.mode, wordId);
+        } catch (error) {
+          result = {
+            status: WORD_REFRESH_RESULT_STATUS.FAILED,
+            error: error.message,
+          };
+        }
+
+        await this.resultRepository.insertOne({
+          job_id: jobId,
+          word_id: wordId,
+          status: result.status,
+          diff: result.diff || null,
+          error: result.error || null,
+          createdAt: new Date(),
+        });
+        await this.repository.incrementProgress(jobId, result.status);
+      }
+
+      // A cancel that arrived during the last word wins
+      await this.repository.updateOne(
+        { _id: jobId, status: WORD_REFRESH_JOB_STATUS.RUNNING },
+        {
+          $set: {
+            status: WORD_REFRESH_JOB_STATUS.COMPLETED,
+            finished_at: new Date(),
+          },
+        }
+      );
+      this.log("info", `Word refresh job completed: ${jobId}`);
+    } catch (error) {
+      await this.repository.updateById(jobId, {
+        $set: {
+          status: WORD_REFRESH_JOB_STATUS.FAILED,
+          error: error.message,
+          finished_at: new Date(),
+        },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh one word
+   * @param {string} mode - One of WORD_REFRESH_MODES
+   * @param {string} wordId - Word key
+   * @returns {Promise<{ status: string, diff?: Object, error?: string }>}
+   */
+  async refreshWord(mode, wordId) {
+    const wordDoc = await this.wordRepository.findByWord(wordId);
+    if (!wordDoc) {
+      return {
+        status: WORD_REFRESH_RESULT_STATUS.NOT_FOUND,
+        error: "Word no longer exists",
+      };
+    }
+
+    let entries;
+    const fields = { parser_version: OXFORD_PARSER_VERSION };
+
+    if (mode === WORD_REFRESH_MODES.RECRAWL) {
+      // Shares the rate limit and retries of lookups
+      const rawPages = await this.crawlQueue.crawlPages(wordId, 5);
+      if (rawPages.length === 0) {
+        return {
+          status: WORD_REFRESH_RESULT_STATUS.NOT_FOUND,
+          error: "Oxford returned no entry; existing data kept",
+        };
+      }
+      await this.wordPageRepository.replaceForWord(wordId, rawPages);
+      entries = rawPages.map((page) => page.entry);
+      fields.crawled_at = new Date();
+    } else {
+      const storedPages = await this.wordPageRepository.findByWordId(wordId);
+      if (storedPages.length === 0) {
+        return {
+          status: WORD_REFRESH_RESULT_STATUS.SKIPPED,
+          error: "No stored HTML for this word; use recrawl",
+        };
+      }
+      entries = storedPages
+        .map((page) => parseOxfordPage(page.html).entry)
+        .filter(Boolean);
+      // Never wipe a word because the parser stopped recognising its pages
+      if (entries.length === 0) {
+        return {
+          status: WORD_REFRESH_RESULT_STATUS.FAILED,
+          error: "Parser found no entry in the stored HTML; existing data kept",
+        };
+      }
+    }
+
+    const { pages, diff, changed } = mergeWordPages(
+      wordDoc.data || [],
+      entries
+    );
+
+    if (!changed) {
+      await this.wordRepository.setFields(wordId, fields);
+      return { status: WORD_REFRESH_RESULT_STATUS.UNCHANGED, diff };
+    }
+
+    // Old spellings stay valid lookups
+    const variants = [
+      ...new Set([
+        ...(wordDoc.variants || []),
+        ...pages.map((page) => page.word).filter(Boolean),
+      ]),
+    ];
+
+    await this.wordRepository.upsert(wordId, {
+      data: pages,
+      variants,
+      symbol: buildTopSymbolFromPages(pages),
+      parts_of_speech: buildPartsOfSpeechFromPages(pages),
+      ...fields,
+    });
+    await this.wordInflectionRepository.replaceForWord(
+      wordId,
+      buildInflectionEntries(wordId, pages)
+    );
+
+    return { status: WORD_REFRESH_RESULT_STATUS.UPDATED, diff };
+  }
+
+  /**
+   * List refresh jobs (newest first)
+   * @param {Object} options - { page, per_page }
+   */
+  async listJobs({ page = 1, per_page = 20 } = {}) {
+    return this.execute(async () => {
+      const result = await this.repository.paginate({}, page, per_page, {
+        sort: { createdAt: -1 },
+        projection: { word_ids: 0 },
+      });
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((job) => new WordRefreshJobDTO(job).transform()),
+      };
+    }, "listJobs");
+  }
+
+  /**
+   * Get a refresh job
+   * @param {string|ObjectId} jobId - Job ID
+   */
+  async getJob(jobId) {
+    return this.execute(async () => {
+      const job = await this.repository.findById(jobId);
+      if (!job) throw new NotFoundError("Word refresh job");
+
+      return new WordRefreshJobDTO(job).transform();
+    }, "getJob");
+  }
+
+  /**
+   * Per-word results of a refresh job, with their diff reports
+   * @param {string|ObjectId} jobId - Job ID
+   * @param {Object} options - { status, page, per_page }
+   */
+  async getJobResults(jobId, options = {}) {
+    return this.execute(async () => {
+      const job = await this.repository.findById(jobId);
+      if (!job) throw new NotFoundError("Word refresh job");
+
+      const result = await this.resultRepository.findByJobId(job._id, options);
+
+      return {
+        total: result.total,
+        page: result.page,
+        per_page: result.perPage,
+        data: result.docs.map((doc) =>
+          new WordRefreshResultDTO(doc).transform()
+        ),
+      };
+    }, "getJobResults");
+  }
+
+  /**
+   * Cancel a queued or running job; the word being processed is finished
+   * @param {string|ObjectId} jobId - Job ID
+   */
+  async cancelJob(jobId) {
+    return this.execute(async () => {
+      const job = await this.repository.findById(jobId);
+      if (!job) throw new NotFoundError("Word refresh job");
+
+      if (
+        ![
+          WORD_REFRESH_JOB_STATUS.QUEUED,
+          WORD_REFRESH_JOB_STATUS.RUNNING,
+        ].includes(job.status)
+      ) {
+        throw new ConflictError(`Word refresh job is already ${job.status}`);
+      }
+
+      await this.repository.updateById(job._id, {
+        $set: {
+          status: WORD_REFRESH_JOB_STATUS.CANCELLED,
+          finished_at: new Date(),
+        },
+      });
+
+      this.log("info", `Word refresh job cancel requested: ${jobId}`);
+
+      const updated = await this.repository.findById(job._id);
+      return new WordRefreshJobDTO(updated).transform();
+    }, "cancelJob");
+  }
+
+  /**
+   * Jobs left queued/running by a previous process can't resume; mark them
+   * failed so a new job can start
+   */
+  async failInterruptedJobs() {
+    return this.execute(async () => {
+      const count = await this.repository.failInterrupted(
+        "Interrupted by a server restart"
+      );
+      if (count > 0) {
+        this.log("warn", `Marked ${count} interrupted word refresh job(s)`);
+      }
+      return count;
+    }, "failInterruptedJobs");
+  }
+}
+
+export default WordRefreshService;
@@ -1,18 +1,55 @@
 import { ObjectId } from "mongodb";
 import { BaseService } from "./BaseService.js";
 import { WordRepository } from "../repositories/WordRepository.js";
-import { crawlWordDirect } from "../utils/crawl.js";
+import { WordPageRepository } from "../repositories/WordPageRepository.js";
+import { WordInflectionRepository } from "../repositories/WordInflectionRepository.js";
+import { SpellingService } from "./SpellingService.js";
+import { buildWordPage } from "../utils/crawl.js";
+import crawlQueue from "../utils/crawlQueue.js";
 import {
   normalizeKey,
   buildTopSymbolFromPages,
   buildPartsOfSpeechFromPages,
 } from "../utils/variants.js";
+import {
+  candidateLemmas,
+  buildInflectionEntries,
+  listedInflectionTypes,
+  isInflectionOnly,
+} from "../utils/inflections.js";
+import { searchTerms, matchSenses } from "../utils/textSearch.js";
+import { machineReview } from "../utils/translationReview.js";
+import {
+  translationFields,
+  storagePaths,
+} from "../utils/translationLanguages.js";
 import { WordLookupDTO, PartsOfSpeechDTO } from "../dtos/WordDTO.js";
-import { COLLECTIONS } from "../constants/index.js";
+import { NotFoundError } from "../errors/AppError.js";
+import {
+  COLLECTIONS,
+  OXFORD_PARSER_VERSION,
+  CRAWL_QUEUE_DEFAULTS,
+  INFLECTION_MATCH_SOURCES,
+  WORD_SYMBOLS,
+  HTTP_STATUS,
+  TRANSLATION_REVIEW_STATUS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
 
 class WordService extends BaseService {
-  constructor(wordRepository = null, dependencies = {}) {
+  constructor(
+    wordRepository = null,
+    wordPageRepository = null,
+    wordInflectionRepository = null,
+    dependencies = {}
+  ) {
     super(wordRepository || new WordRepository(), dependencies);
+    this.wordPageRepository = wordPageRepository || new WordPageRepository();
+    this.wordInflectionRepository =
+      wordInflectionRepository || new WordInflectionRepository();
+    this.crawlQueue = dependencies.crawlQueue || crawlQueue;
+    this.spellingService =
+      dependencies.spellingService || new SpellingService(this.repository);
   }
 
   // Get all distinct parts_of_speech arrays from DB and return formatted list
@@ -69,73 +106,261 @@ class WordService extends BaseService {
     }, "getDistinctPartsOfSpeech");
   }
 
-  // Get word by exact match with caching
-  async getWord(word) {
+  /**
+   * Get word by exact match, crawling Oxford on a cache miss
+   * An inflected form ("went", "studies") resolves to its stored lemma
+   * before anything is crawled; the result then carries `inflection`
+   * Crawls go through the shared crawl queue; when one does not finish
+   * within the wait time a pending marker is returned instead
+   * Pending markers and 404 errors carry spelling suggestions (error.data)
+   * @param {string} word - Word to look up
+   * @param {Object} options
+   * @param {boolean} options.wait - Wait for a queued crawl (up to
+   *   CRAWL_QUEUE_DEFAULTS.LOOKUP_WAIT_MS); false answers right away
+   * @param {string} options.language - Translations to serve next to the
+   *   Vietnamese fields
+   * @returns {Promise<Object>} Lookup result, or { pending: true, word,
+   *   status, position, queued_at, suggestions } while the crawl is
+   *   queued or running
+   */
+  async getWord(
+    word,
+    { wait = true, language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE } = {}
+  ) {
     return this.execute(async () => {
       const normalizedWord = normalizeKey(word);
 
       // Try to get from database first
       const dbResult = await this.repository.findByWord(normalizedWord);
 
+      // Pages like "went" only point to their lemma: prefer the lemma
+      if (dbResult && !isInflectionOnly(dbResult)) {
+        return this.toLookupResult(normalizedWord, dbResult, null, language);
+      }
+
+      const resolved = await this.resolveInflection(normalizedWord);
+      if (resolved) {
+        return this.toLookupResult(
+          resolved.inflection.lemma,
+          resolved.wordDoc,
+          resolved.inflection,
+          language
+        );
+      }
+
       if (dbResult) {
-        const result = {
+        return this.toLookupResult(normalizedWord, dbResult, null, language);
+      }
+
+      // Concurrent lookups of the same missing word share one crawl
+      const job = this.crawlQueue.enqueue(normalizedWord, () =>
+        this.crawlAndSave(normalizedWord)
+      );
+      const finished = await this.crawlQueue.wait(
+        job,
+        wait ? CRAWL_QUEUE_DEFAULTS.LOOKUP_WAIT_MS : 0
+      );
+
+      if (!finished) {
+        const { suggestions } = await this.spellingService.suggest(
+          normalizedWord
+        );
+        return {
+          pending: true,
           word: normalizedWord,
-          quantity: Array.isArray(dbResult.data) ? dbResult.data.length : 0,
-          data: dbResult.data || [],
-          variants: dbResult.variants || [],
-          symbol: dbResult.symbol || "",
-          parts_of_speech: dbResult.parts_of_speech || [],
-          source: "database",
+          status: job.status,
+          position: this.crawlQueue.position(job),
+          queued_at: job.queued_at.toISOString(),
+          suggestions,
         };
-        return new WordLookupDTO(result).transform();
       }
+      if (job.error?.statusCode === HTTP_STATUS.NOT_FOUND) {
+        // Oxford has no page for the form: a stored lemma guessed by the
+        // suffix rules is the best answer left
+        const guessed = await this.resolveInflection(normalizedWord, {
+          guess: true,
+        });
+        if (guessed) {
+          return this.toLookupResult(
+            guessed.inflection.lemma,
+            guessed.wordDoc,
+            guessed.inflection,
+            language
+          );
+        }
 
-      // If not found in database, try crawling
-      this.log("info", `Crawling word: ${normalizedWord}`);
-      const crawledPages = await crawlWordDirect(normalizedWord, 5);
-
-      if (!crawledPages || crawledPages.length === 0) {
-        const err = new Error("Word not found");
-        err.status = 404;
-        throw err;
+        const { suggestions } = await this.spellingService.suggest(
+          normalizedWord
+        );
+        const error = new NotFoundError("Word");
+        error.data = { word: normalizedWord, suggestions };
+        throw error;
       }
-      const finalVariants = crawledPages
-        .map((item) => item.word)
-        .filter(Boolean);
-
-      // canonical key: first crawled page's found word normalized
-      const canonicalKey = finalVariants[0]
-        ? normalizeKey(finalVariants[0])
-        : normalizedWord;
-
-      // Compute top-level symbol from page-level symbols collected during crawl
-      const topSymbol = buildTopSymbolFromPages(crawledPages);
-
-      // Build parts_of_speech array from crawledPages
-      const partsOfSpeech = buildPartsOfSpeechFromPages(crawledPages);
-
-      // Save to database for future use
-      await this.repository.upsert(canonicalKey, {
-        data: crawledPages,
-        variants: finalVariants,
-        symbol: topSymbol,
-        parts_of_speech: partsOfSpeech,
-      });
+      if (job.error) throw job.error;
+
+      // A freshly crawled form page ("went") points to its lemma like a
+      // stored one does
+      if (isInflectionOnly(job.result)) {
+        const crawled = await this.resolveInflection(job.result.word);
+        if (crawled) {
+          return this.toLookupResult(
+            crawled.inflection.lemma,
+            crawled.wordDoc,
+            crawled.inflection,
+            language
+          );
+        }
+      }
+      // Freshly crawled: nothing is translated yet
+      return { ...job.result, language };
+    }, "getWord");
+  }
 
-      this.log("info", `Word crawled and saved: ${canonicalKey}`);
+  /**
+   * Lookup result of a stored word
+   * @param {string} word - Key reported as the looked-up word
+   * @param {Object} wordDoc - Word document
+   * @param {Object} inflection - How an inflected form was resolved, if any
+   * @param {string} language - Translations to serve
+   */
+  toLookupResult(
+    word,
+    wordDoc,
+    inflection = null,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
+    const result = {
+      word,
+      quantity: Array.isArray(wordDoc.data) ? wordDoc.data.length : 0,
+      data: wordDoc.data || [],
+      variants: wordDoc.variants || [],
+      symbol: wordDoc.symbol || "",
+      parts_of_speech: wordDoc.parts_of_speech || [],
+      source: "database",
+      inflection,
+      language,
+    };
+    return new WordLookupDTO(result).transform();
+  }
 
-      const result = {
-        word: canonicalKey,
-        quantity: crawledPages.length,
-        data: crawledPages,
-        variants: finalVariants,
-        symbol: topSymbol,
-        parts_of_speech: partsOfSpeech,
-        source: "crawled",
+  /**
+   * Resolve an inflected form to a stored lemma
+   * The inflection index (built from crawled pages) is tried first, then the
+   * suffix rules, which only ever match entries already stored. A rule
+   * match counts only when the lemma's pages list the form: "seed" is not
+   * "see" + "-ed", so a bare match is a guess
+   * @param {string} form - Normalized form
+   * @param {Object} options
+   * @param {boolean} options.guess - Accept a bare rule match, once the
+   *   form itself is known to have no page
+   * @returns {Promise<{ wordDoc: Object, inflection: Object }|null>}
+   *   inflection: { form, lemma, types, source, rule }
+   */
+  async resolveInflection(form, { guess = false } = {}) {
+    const entries = await this.wordInflectionRepository.findByForm(form);
+    const lemmas = [...new Set(entries.map((entry) => entry.lemma))];
+
+    for (const lemma of lemmas) {
+      const wordDoc = await this.repository.findByWord(lemma);
+      if (!wordDoc) continue;
+
+      const matched = entries.filter((entry) => entry.lemma === lemma);
+      return {
+        wordDoc,
+        inflection: {
+          form,
+          lemma,
+          types: [...new Set(matched.map((entry) => entry.type))],
+          source: matched.some((entry) => entry.pointer)
+            ? INFLECTION_MATCH_SOURCES.POINTER
+            : INFLECTION_MATCH_SOURCES.INDEX,
+        },
       };
+    }
+
+    const candidates = candidateLemmas(form);
+    const existing = await this.repository.findExistingKeys(
+      candidates.map((candidate) => candidate.lemma)
+    );
+    let guessed = null;
+    for (const { lemma, rule } of candidates) {
+      if (!existing.includes(lemma)) continue;
+      const wordDoc = await this.repository.findByWord(lemma);
+      if (!wordDoc) continue;
+
+      const types = listedInflectionTypes(wordDoc, form);
+      const resolved = {
+        wordDoc,
+        inflection: {
+          form,
+          lemma,
+          types,
+          source: INFLECTION_MATCH_SOURCES.RULE,
+          rule,
+        },
+      };
+      if (types.length > 0) return resolved;
+      guessed = guessed || resolved;
+    }
+    return guess ? guessed : null;
+  }
 
-      return new WordLookupDTO(result).transform();
-    }, "getWord");
+  /**
+   * Crawl a word from Oxford and save it with its raw pages
+   * @param {string} normalizedWord - Normalized word key
+   * @returns {Promise<Object>} Lookup result
+   */
+  async crawlAndSave(normalizedWord) {
+    this.log("info", `Crawling word: ${normalizedWord}`);
+    const rawPages = await this.crawlQueue.crawlPages(normalizedWord, 5);
+    const crawledPages = rawPages.map((page) => buildWordPage(page.entry));
+
+    if (!crawledPages || crawledPages.length === 0) {
+      throw new NotFoundError("Word");
+    }
+    const finalVariants = crawledPages.map((item) => item.word).filter(Boolean);
+
+    // canonical key: first crawled page's found word normalized
+    const canonicalKey = finalVariants[0]
+      ? normalizeKey(finalVariants[0])
+      : normalizedWord;
+
+    // Compute top-level symbol from page-level symbols collected during crawl
+    const topSymbol = buildTopSymbolFromPages(crawledPages);
+
+    // Build parts_of_speech array from crawledPages
+    const partsOfSpeech = buildPartsOfSpeechFromPages(crawledPages);
+
+    // Save to database for future use
+    await this.repository.upsert(canonicalKey, {
+      data: crawledPages,
+      variants: finalVariants,
+      symbol: topSymbol,
+      parts_of_speech: partsOfSpeech,
+      parser_version: OXFORD_PARSER_VERSION,
+      crawled_at: new Date(),
+    });
+    // Keep the HTML so the entry can be re-parsed without crawling again
+    await this.wordPageRepository.replaceForWord(canonicalKey, rawPages);
+    await this.wordInflectionRepository.replaceForWord(
+      canonicalKey,
+      buildInflectionEntries(canonicalKey, crawledPages)
+    );
+    this.spellingService.addWord(canonicalKey, finalVariants, topSymbol);
+
+    this.log("info", `Word crawled and saved: ${canonicalKey}`);
+
+    const result = {
+      word: canonicalKey,
+      quantity: crawledPages.length,
+      data: crawledPages,
+      variants: finalVariants,
+      symbol: topSymbol,
+      parts_of_speech: partsOfSpeech,
+      source: "crawled",
+    };
+
+    return new WordLookupDTO(result).transform();
   }
 
   // Search words by prefix including idioms
@@ -166,34 +391,154 @@ class WordService extends BaseService {
         );
 
         // Transform the result to match the expected format
-        const formattedWords = result.words.map((word) => ({
+        let formattedWords = result.words.map((word) => ({
           _id: word,
           word: word,
           isIdiom: false,
         }));
+        let total = result.total;
+
+        // An inflected query ("went") puts its lemma first on page 1
+        const form = normalizeKey(searchPrefix);
+        const exact = page === 1 && (await this.repository.findByWord(form));
+        if (page === 1 && (!exact || isInflectionOnly(exact))) {
+          const resolved = await this.resolveInflection(form);
+          if (resolved) {
+            const { lemma } = resolved.inflection;
+            const listed = formattedWords.some((item) => item._id === lemma);
+            formattedWords = [
+              {
+                _id: lemma,
+                word: lemma,
+                isIdiom: false,
+                inflection: resolved.inflection,
+              },
+              ...formattedWords.filter((item) => item._id !== lemma),
+            ];
+            if (!listed) total += 1;
+          }
+        }
 
         return {
           prefix: searchPrefix,
-          total: result.total,
+          total,
           words: formattedWords,
         };
       }
     }, "searchByPrefix");
   }
 
-  // Update example vi nếu đang rỗng
-  async updateExampleViIfMissing(updates) {
+  /**
+   * Rebuild the inflection index from the inflections stored on the pages
+   * of every word. Safe to run more than once: the entries of each word are
+   * replaced. Pages saved by a parser that did not read inflections have
+   * none to index; those words are counted as unparsed and need a recrawl
+   * refresh job first (see WordRefreshService).
+   * @returns {Promise<{ scanned: number, entries: number, unparsed: number }>}
+   */
+  async rebuildInflectionIndex() {
+    return this.execute(async () => {
+      await this.repository.init();
+
+      const cursor = this.repository.collection.find(
+        {},
+        { projection: { "data.inflections": 1, "data.inflection_of": 1 } }
+      );
+
+      let scanned = 0;
+      let entries = 0;
+      let unparsed = 0;
+      for await (const wordDoc of cursor) {
+        scanned++;
+        if (!(wordDoc.data || []).some((page) => page?.inflections)) {
+          unparsed++;
+          continue;
+        }
+        const built = buildInflectionEntries(wordDoc._id, wordDoc.data);
+        await this.wordInflectionRepository.replaceForWord(wordDoc._id, built);
+        entries += built.length;
+      }
+
+      const indexed = scanned - unparsed;
+      this.log(
+        "info",
+        `Indexed ${entries} inflections of ${indexed} words; ${unparsed} words have pages without inflections`
+      );
+
+      return { scanned, entries, unparsed };
+    }, "rebuildInflectionIndex");
+  }
+
+  /**
+   * Full-text search over definitions, examples and their Vietnamese
+   * translations ("reverse dictionary": find a word from its meaning)
+   * @param {Object} params - { q, symbol, parts_of_speech, page, per_page }
+   * @returns {Promise<Object>} { total, page, per_page, data } where each
+   *   word lists the senses that matched, with highlighted snippets
+   */
+  async fullTextSearch({
+    q,
+    symbol = "",
+    parts_of_speech = "",
+    page = 1,
+    per_page = 20,
+  }) {
+    return this.execute(async () => {
+      const filter = {};
+
+      if (parts_of_speech) {
+        try {
+          const parsed = JSON.parse(parts_of_speech);
+          if (Array.isArray(parsed) && parsed.length > 0) {
+            filter.parts_of_speech = { $in: parsed };
+          }
+        } catch {}
+      }
+
+      const levels = Object.values(WORD_SYMBOLS).filter((s) => s !== "other");
+      if (symbol === "other") filter.symbol = { $nin: levels };
+      else if (levels.includes(symbol)) filter.symbol = symbol;
+
+      const { docs, total } = await this.repository.fullTextSearch(q, {
+        filter,
+        page,
+        per_page,
+      });
+
+      const terms = searchTerms(q);
+      const data = docs.map((doc) => ({
+        _id: doc._id,
+        symbol: doc.symbol || null,
+        parts_of_speech: doc.parts_of_speech || [],
+        score: doc.score,
+        matches: matchSenses(doc, terms),
+      }));
+
+      return { total, page, per_page, data };
+    }, "fullTextSearch");
+  }
+
+  // Update example vi nếu đang rỗng (or the translation into another
+  // language: updates then carry { _id, <lang>_text })
+  async updateExampleViIfMissing(
+    updates,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
     return this.execute(async () => {
       if (!Array.isArray(updates) || updates.length === 0)
         return { updated: 0, skipped: 0 };
 
-      this.log("info", `Updating ${updates.length} example vi`);
-      return await this.repository.updateExampleViIfMissing(updates);
+      this.log("info", `Updating ${updates.length} example ${language}`);
+      return await this.repository.updateExampleViIfMissing(updates, language);
     }, "updateExampleViIfMissing");
   }
 
-  // Update sense-level translations for given sense ids
-  async updateSenseDefinitions(updates) {
+  // Update sense-level translations for given sense ids; updates carry the
+  // fields of the language (definition_vi, definition_vi_short for vi)
+  async updateSenseDefinitions(
+    updates,
+    language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+  ) {
     return this.execute(async () => {
       const list = Array.isArray(updates) ? updates : [updates];
       if (list.length === 0) return { updated: 0, skipped: 0 };
@@ -204,8 +549,16 @@ class WordService extends BaseService {
 
       const operations = [];
       let skipped = 0;
-
-      for (const { _id, definition_vi, definition_vi_short } of list) {
+      // New machine output waits for review again; reviewed translations
+      // are kept
+      const review = machineReview();
+      const fields = translationFields(language);
+      const paths = storagePaths(language);
+      const notReviewed = { $ne: TRANSLATION_REVIEW_STATUS.REVIEWED };
+      const unreviewed = { [`s.${paths.review}.status`]: notReviewed };
+
+      for (const update of list) {
+        const { _id } = update;
         if (!_id || !ObjectId.isValid(_id)) {
           skipped++;
           continue;
@@ -214,37 +567,51 @@ class WordService extends BaseService {
         const senseId =
           _id instanceof ObjectId ? _id : new ObjectId(String(_id));
 
+        // Translation fields of the sense under a section's path
+        const setAt = (sensePath) => ({
+          [`${sensePath}.${paths.definition}`]: update[fields.definition],
+          [`${sensePath}.${paths.definition_short}`]:
+            update[fields.definition_short],
+          [`${sensePath}.${paths.review}`]: review,
+        });
+
+        // Only words where the sense changes move to a new revision
+        const withSense = (field) => ({
+          [field]: {
+            $elemMatch: {
+              _id: senseId,
+              [`${paths.review}.status`]: notReviewed,
+            },
+          },
+        });
+
         // Main senses
         operations.push({
           updateMany: {
-            filter: { "data.senses._id": senseId },
+            filter: withSense("data.senses"),
             update: {
-              $set: {
-                "data.$[d].senses.$[s].definition_vi": definition_vi,
-                "data.$[d].senses.$[s].definition_vi_short":
-                  definition_vi_short,
-              },
+              $set: setAt("data.$[d].senses.$[s]"),
+              $inc: { revision: 1 },
             },
-            arrayFilters: [{ "d.senses._id": senseId }, { "s._id": senseId }],
+            arrayFilters: [
+              { "d.senses._id": senseId },
+              { "s._id": senseId, ...unreviewed },
+            ],
           },
         });
 
         // Idiom senses
         operations.push({
           updateMany: {
-            filter: { "data.idioms.senses._id": senseId },
+            filter: withSense("data.idioms.senses"),
             update: {
-              $set: {
-                "data.$[d].idioms.$[i].senses.$[s].definition_vi":
-                  definition_vi,
-                "data.$[d].idioms.$[i].senses.$[s].definition_vi_short":
-                  definition_vi_short,
-              },
+              $set: setAt("data.$[d].idioms.$[i].senses.$[s]"),
+              $inc: { revision: 1 },
             },
             arrayFilters: [
               { "d.idioms.senses._id": senseId },
               { "i.senses._id": senseId },
-              { "s._id": senseId },
+              { "s._id": senseId, ...unreviewed },
             ],
           },
         });
@@ -252,19 +619,15 @@ class WordService extends BaseService {
         // Phrasal verb senses
         operations.push({
           updateMany: {
-            filter: { "data.phrasal_verb_senses.senses._id": senseId },
+            filter: withSense("data.phrasal_verb_senses.senses"),
             update: {
-              $set: {
-                "data.$[d].phrasal_verb_senses.$[p].senses.$[s].definition_vi":
-                  definition_vi,
-                "data.$[d].phrasal_verb_senses.$[p].senses.$[s].definition_vi_short":
-                  definition_vi_short,
-              },
+              $set: setAt("data.$[d].phrasal_verb_senses.$[p].senses.$[s]"),
+              $inc: { revision: 1 },
             },
             arrayFilters: [
               { "d.phrasal_verb_senses.senses._id": senseId },
               { "p.senses._id": senseId },
-              { "s._id": senseId },
+              { "s._id": senseId, ...unreviewed },
             ],
           },
         });
@@ -0,0 +1,247 @@
+/**
+ * Anki Package Utilities
+ * Builds .apkg files (a zip holding a legacy "collection.anki2" SQLite database)
+ * with one basic Front/Back note type and one deck
+ */
+
+import crypto from "crypto";
+import initSqlJs from "sql.js";
+import JSZip from "jszip";
+
+let sqlPromise = null;
+const getSql = () => {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+};
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 20px;
+  text-align: center;
+  color: black;
+  background-color: white;
+}`;
+
+/**
+ * Stable positive integer id derived from a string (used for deck/model ids
+ * so re-exports of the same group update the same deck in Anki)
+ */
+const stableId = (seed) =>
+  parseInt(
+    crypto.createHash("sha1").update(String(seed)).digest("hex").slice(0, 12),
+    16
+  );
+
+/**
+ * Stable note guid so re-imports update notes instead of duplicating them
+ */
+const noteGuid = (seed) =>
+  crypto.createHash("sha1").update(String(seed)).digest("base64").slice(0, 10);
+
+const stripHtml = (s) =>
+  String(s || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Anki duplicate check: first 8 hex digits of sha1(sort field)
+const checksum = (s) =>
+  parseInt(crypto.createHash("sha1").update(s).digest("hex").slice(0, 8), 16);
+
+const buildModel = (modelId, deckId, now) => ({
+  id: modelId,
+  name: "Oxford Dictionary Basic",
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [
+    {
+      name: "Card 1",
+      ord: 0,
+      qfmt: "{{Front}}",
+      afmt: "{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}",
+      did: null,
+      bqfmt: "",
+      bafmt: "",
+    },
+  ],
+  flds: ["Front", "Back"].map((name, ord) => ({
+    name,
+    ord,
+    sticky: false,
+    rtl: false,
+    font: "Arial",
+    size: 20,
+    media: [],
+  })),
+  css: CARD_CSS,
+  latexPre:
+    "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+  latexPost: "\\end{document}",
+  tags: [],
+  vers: [],
+  req: [[0, "any", [0]]],
+});
+
+const buildDeck = (id, name, description, now) => ({
+  id,
+  name,
+  desc: description || "",
+  mod: now,
+  usn: -1,
+  collapsed: false,
+  newToday: [0, 0],
+  revToday: [0, 0],
+  lrnToday: [0, 0],
+  timeToday: [0, 0],
+  dyn: 0,
+  conf: 1,
+  extendNew: 10,
+  extendRev: 50,
+});
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: "Default",
+    replayq: true,
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: {
+      perDay: 200,
+      ease4: 1.3,
+      fuzz: 0.05,
+      ivlFct: 1,
+      maxIvl: 36500,
+      minSpace: 1,
+    },
+    timer: 0,
+    maxTaken: 60,
+    usn: 0,
+    new: {
+      delays: [1, 10],
+      ints: [1, 4, 7],
+      initialFactor: 2500,
+      order: 1,
+      perDay: 20,
+      separate: true,
+    },
+    mod: 0,
+    autoplay: true,
+    dyn: false,
+  },
+};
+
+/**
+ * Build an Anki package
+ * Cards are exported as new cards; scheduling starts fresh in Anki
+ * @param {Object} deck
+ * @param {string} deck.id - Seed for stable deck/model ids (e.g. group id)
+ * @param {string} deck.name - Deck name
+ * @param {string} deck.description - Deck description
+ * @param {Array<{ key: string, front: string, back: string, tags: Array<string> }>} deck.notes
+ * @returns {Promise<Buffer>} .apkg file content
+ */
+export const buildApkg = async ({ id, name, description = "", notes = [] }) => {
+  const SQL = await getSql();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SCHEMA);
+
+    const nowMs = Date.now();
+    const now = Math.floor(nowMs / 1000);
+    const deckId = stableId(`deck:${id}`);
+    const modelId = stableId(`model:${id}`);
+
+    db.run(
+      "INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')",
+      [
+        now,
+        nowMs,
+        nowMs,
+        JSON.stringify({
+          nextPos: notes.length + 1,
+          estTimes: true,
+          activeDecks: [1],
+          sortType: "noteFld",
+          timeLim: 0,
+          sortBackwards: false,
+          addToCur: true,
+          curDeck: deckId,
+          newBury: true,
+          newSpread: 0,
+          dueCounts: true,
+          curModel: String(modelId),
+          collapseTime: 1200,
+        }),
+        JSON.stringify({ [modelId]: buildModel(modelId, deckId, now) }),
+        JSON.stringify({
+          1: buildDeck(1, "Default", "", now),
+          [deckId]: buildDeck(deckId, name, description, now),
+        }),
+        JSON.stringify(DECK_CONFIG),
+      ]
+    );
+
+    const insertNote = db.prepare(
+      "INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')"
+    );
+    const insertCard = db.prepare(
+      "INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')"
+    );
+
+    notes.forEach((note, index) => {
+      // Ids are millisecond timestamps in Anki; keep them unique per note
+      const noteId = nowMs + index;
+      const sortField = stripHtml(note.front);
+      const tags = (note.tags || []).map((t) => t.replace(/\s+/g, "_"));
+
+      insertNote.run([
+        noteId,
+        noteGuid(`${id}:${note.key}`),
+        modelId,
+        now,
+        tags.length ? ` ${tags.join(" ")} ` : "",
+        `${note.front}\x1f${note.back}`,
+        sortField,
+        checksum(sortField),
+      ]);
+      insertCard.run([noteId, noteId, deckId, now, index + 1]);
+    });
+
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file("collection.anki2", Buffer.from(db.export()));
+    zip.file("media", "{}");
+
+    return await zip.generateAsync({
+      type: "nodebuffer",
+      compression: "DEFLATE",
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export default {
+  buildApkg,
+};
@@ -0,0 +1,261 @@
+/**
+ * Crawl Queue
+ * In-process queue in front of every request to Oxford:
+ * - crawls of the same key run once; later callers share the running crawl
+ * - all upstream requests share one global rate limit
+ * - requests failing with 429, 5xx or a network error are retried with
+ *   exponential backoff (Retry-After is honoured)
+ * - finished crawls are remembered for a while, so pollers can read the
+ *   outcome and a missing word is not crawled again on every lookup
+ */
+
+import { crawlWordPages, fetchOxfordPage } from "./crawl.js";
+import { CRAWL_QUEUE_DEFAULTS, CRAWL_JOB_STATUS } from "../constants/index.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 429, 5xx and requests that got no response at all (timeouts, resets)
+ */
+const isRetryable = (error) => {
+  const status = error?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(error?.isAxiosError);
+};
+
+/**
+ * Retry-After header in ms (seconds or HTTP date), null when absent
+ */
+const readRetryAfter = (error) => {
+  const header = error?.response?.headers?.["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+export class CrawlQueue {
+  /**
+   * @param {Object} options - Overrides of CRAWL_QUEUE_DEFAULTS (camelCase)
+   */
+  constructor(options = {}) {
+    this.minRequestIntervalMs =
+      options.minRequestIntervalMs ??
+      CRAWL_QUEUE_DEFAULTS.MIN_REQUEST_INTERVAL_MS;
+    this.concurrency = options.concurrency ?? CRAWL_QUEUE_DEFAULTS.CONCURRENCY;
+    this.maxRetries = options.maxRetries ?? CRAWL_QUEUE_DEFAULTS.MAX_RETRIES;
+    this.backoffBaseMs =
+      options.backoffBaseMs ?? CRAWL_QUEUE_DEFAULTS.BACKOFF_BASE_MS;
+    this.backoffMaxMs =
+      options.backoffMaxMs ?? CRAWL_QUEUE_DEFAULTS.BACKOFF_MAX_MS;
+    this.resultTtlMs =
+      options.resultTtlMs ?? CRAWL_QUEUE_DEFAULTS.RESULT_TTL_MS;
+    this.logger = options.logger || console;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.nextRequestAt = 0;
+  }
+
+  /**
+   * Queue a crawl, or return the queued/running/recently finished crawl of
+   * the same key
+   * @param {string} key - Normalized word key
+   * @param {Function} task - async () => result
+   * @returns {Object} Job { key, status, promise, result, error, ... }
+   */
+  enqueue(key, task) {
+    const existing = this.getJob(key);
+    if (existing) return existing;
+
+    const job = {
+      key,
+      task,
+      status: CRAWL_JOB_STATUS.QUEUED,
+      result: undefined,
+      error: null,
+      queued_at: new Date(),
+      started_at: null,
+      finished_at: null,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that stop waiting (202 responses) must not leave an unhandled rejection
+    job.promise.catch(() => {});
+
+    this.jobs.set(key, job);
+    this.pending.push(job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Job of a key, null when unknown or expired
+   */
+  getJob(key) {
+    const job = this.jobs.get(key);
+    if (!job) return null;
+
+    if (this.isExpired(job)) {
+      this.jobs.delete(key);
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * 1-based position of a queued job, 0 once it started
+   */
+  position(job) {
+    return this.pending.indexOf(job) + 1;
+  }
+
+  isSettled(job) {
+    return (
+      job.status === CRAWL_JOB_STATUS.DONE ||
+      job.status === CRAWL_JOB_STATUS.FAILED
+    );
+  }
+
+  /**
+   * Wait for a job to finish, at most timeoutMs
+   * @returns {Promise<boolean>} Whether the job finished
+   */
+  async wait(job, timeoutMs) {
+    if (this.isSettled(job)) return true;
+    if (!timeoutMs) return false;
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        job.promise.then(
+          () => true,
+          () => true
+        ),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run one upstream request under the global rate limit, retrying on 429,
+   * 5xx and network errors
+   * @param {Function} fn - async () => response
+   */
+  async request(fn) {
+    for (let attempt = 0; ; attempt += 1) {
+      await this.throttle();
+      try {
+        return await fn();
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.maxRetries) throw error;
+
+        const delay = this.backoffDelay(error, attempt);
+        // A 429 is about us, not this page: every request waits
+        if (error.response?.status === 429) {
+          this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + delay);
+        }
+
+        this.logger.warn(
+          `Oxford request failed (${
+            error.response?.status || error.code || error.message
+          }), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch and parse the pages of a word through the rate limit
+   * @see crawlWordPages
+   */
+  crawlPages(word, maxSuffix = 5) {
+    return crawlWordPages(word, maxSuffix, {
+      fetchPage: (url) => this.request(() => fetchOxfordPage(url)),
+    });
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run(job) {
+    this.running += 1;
+    job.status = CRAWL_JOB_STATUS.RUNNING;
+    job.started_at = new Date();
+
+    try {
+      job.result = await job.task();
+      job.status = CRAWL_JOB_STATUS.DONE;
+      job.resolve(job.result);
+    } catch (error) {
+      job.error = error;
+      job.status = CRAWL_JOB_STATUS.FAILED;
+      job.reject(error);
+    } finally {
+      job.finished_at = new Date();
+      this.running -= 1;
+      this.prune();
+      this.drain();
+    }
+  }
+
+  /**
+   * Wait for the next request slot and book the one after it
+   */
+  async throttle() {
+    const now = Date.now();
+    const at = Math.max(now, this.nextRequestAt);
+    this.nextRequestAt = at + this.minRequestIntervalMs;
+    if (at > now) await sleep(at - now);
+  }
+
+  backoffDelay(error, attempt) {
+    const retryAfter = readRetryAfter(error);
+    if (retryAfter !== null) return Math.min(retryAfter, this.backoffMaxMs);
+
+    const exponential = this.backoffBaseMs * 2 ** attempt;
+    // Up to 20% jitter so retries of parallel crawls spread out
+    const jitter = exponential * 0.2 * Math.random();
+    return Math.round(Math.min(exponential + jitter, this.backoffMaxMs));
+  }
+
+  isExpired(job) {
+    return (
+      job.finished_at !== null &&
+      Date.now() - job.finished_at.getTime() > this.resultTtlMs
+    );
+  }
+
+  /**
+   * Forget finished jobs past their TTL
+   */
+  prune() {
+    for (const [key, job] of this.jobs) {
+      if (this.isExpired(job)) this.jobs.delete(key);
+    }
+  }
+}
+
+// One queue per process, so every crawl shares the same rate limit
+const crawlQueue = new CrawlQueue();
+
+export default crawlQueue;
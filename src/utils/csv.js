@@ -0,0 +1,94 @@
+/**
+ * Delimited Text Utilities
+ * Minimal RFC 4180 reader/writer for CSV and TSV decks
+ */
+
+/**
+ * Guess the delimiter of a deck from its first data line
+ * @param {string} text - File content
+ * @returns {string} "\t" or ","
+ */
+export const detectDelimiter = (text = "") => {
+  const firstLine =
+    String(text)
+      .split(/\r?\n/)
+      .find((line) => line.trim() && !line.startsWith("#")) || "";
+  return firstLine.includes("\t") ? "\t" : ",";
+};
+
+/**
+ * Parse delimited text into rows of fields
+ * Quoted fields may contain delimiters, escaped quotes ("") and newlines
+ * @param {string} text - File content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+export const parseDelimited = (text = "", delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const escapeField = (value, delimiter) => {
+  const s = value === null || value === undefined ? "" : String(value);
+  return s.includes(delimiter) || /["\r\n]/.test(s)
+    ? `"${s.replace(/"/g, '""')}"`
+    : s;
+};
+
+/**
+ * Serialize rows of fields as delimited text
+ * @param {Array<Array<string>>} rows
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+export const toDelimited = (rows = [], delimiter = ",") =>
+  rows
+    .map((row) => row.map((v) => escapeField(v, delimiter)).join(delimiter))
+    .join("\r\n") + "\r\n";
+
+export default {
+  detectDelimiter,
+  parseDelimited,
+  toDelimited,
+};
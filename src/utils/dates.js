@@ -0,0 +1,85 @@
+/**
+ * Date Utilities
+ * Calendar-day helpers that respect an IANA timezone
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Timezone of the server process (used when the client sends none)
+ * @returns {string}
+ */
+export const getDefaultTimezone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+/**
+ * Check whether a string is a timezone known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Ho_Chi_Minh"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Format a date as a "YYYY-MM-DD" day key in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+export const toDayKey = (date, timezone = getDefaultTimezone()) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Shift a day key by a number of days
+ * @param {string} dayKey - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export const addDays = (dayKey, days) =>
+  new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Number of days from one day key to another
+ * @param {string} fromKey - "YYYY-MM-DD"
+ * @param {string} toKey - "YYYY-MM-DD"
+ * @returns {number}
+ */
+export const diffDays = (fromKey, toKey) =>
+  Math.round(
+    (Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) /
+      DAY_MS
+  );
+
+/**
+ * Loose UTC bounds that cover whole days in any timezone (±14h)
+ * Results must still be bucketed with day keys
+ * @param {string} fromKey - First day, inclusive
+ * @param {string} toKey - Last day, inclusive
+ * @returns {{ start: Date, end: Date }}
+ */
+export const dayKeyBounds = (fromKey, toKey) => ({
+  start: new Date(Date.parse(`${fromKey}T00:00:00Z`) - 14 * 60 * 60 * 1000),
+  end: new Date(Date.parse(`${toKey}T00:00:00Z`) + 38 * 60 * 60 * 1000),
+});
+
+export default {
+  getDefaultTimezone,
+  isValidTimezone,
+  toDayKey,
+  addDays,
+  diffDays,
+  dayKeyBounds,
+};
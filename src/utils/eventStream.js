@@ -0,0 +1,47 @@
+/**
+ * Event Stream Utilities
+ * Server-Sent Events over an Express response: `event: <name>` lines with
+ * JSON data, and a heartbeat comment while the stream is quiet
+ */
+
+import { EVENT_STREAM_DEFAULTS } from "../constants/index.js";
+
+/**
+ * Switch a response to text/event-stream
+ * no-transform keeps the compression middleware from buffering events
+ * @param {Object} res - Express response
+ * @returns {{ send: Function, close: Function }} send(event, data) writes
+ *   one event; both do nothing once the client has gone
+ */
+export const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(": ping\n\n");
+  }, EVENT_STREAM_DEFAULTS.HEARTBEAT_MS);
+  heartbeat.unref?.();
+  res.on("close", () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      if (!isOpen()) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (isOpen()) res.end();
+    },
+  };
+};
+
+export default {
+  openEventStream,
+};
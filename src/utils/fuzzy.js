@@ -0,0 +1,101 @@
+/**
+ * Fuzzy Matching Utilities
+ * String distance helpers used to grade typed answers
+ */
+
+/**
+ * Normalize a typed answer: lowercase, strip accents, curly quotes and
+ * punctuation, collapse whitespace
+ * @param {string} s - Raw input
+ * @returns {string}
+ */
+export const normalizeAnswer = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[^a-zA-Z0-9'\s-]+/g, "")
+    .replace(/[-\s]+/g, " ")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Levenshtein edit distance (insert, delete, substitute)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for an answer of the given length
+ * Short words must be exact, otherwise "cat" would accept "car"
+ * @param {number} length
+ * @returns {number}
+ */
+export const allowedTypos = (length) => {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+};
+
+/**
+ * Grade a typed answer against the accepted answers
+ * @param {string} input - What the learner typed
+ * @param {Array<string>} accepted - Accepted answers (first one is canonical)
+ * @returns {{ correct: boolean, exact: boolean, distance: number, matched: string|null }}
+ */
+export const gradeTypedAnswer = (input, accepted = []) => {
+  const given = normalizeAnswer(input);
+  let best = { distance: Infinity, matched: null, target: "" };
+
+  for (const answer of accepted) {
+    const target = normalizeAnswer(answer);
+    if (!target) continue;
+    const distance = levenshtein(given, target);
+    if (distance < best.distance) {
+      best = { distance, matched: answer, target };
+    }
+  }
+
+  if (!given || best.matched === null) {
+    return {
+      correct: false,
+      exact: false,
+      distance: best.distance,
+      matched: null,
+    };
+  }
+
+  const exact = best.distance === 0;
+  const correct = exact || best.distance <= allowedTypos(best.target.length);
+
+  return {
+    correct,
+    exact,
+    distance: best.distance,
+    matched: correct ? best.matched : null,
+  };
+};
+
+export default {
+  normalizeAnswer,
+  levenshtein,
+  allowedTypos,
+  gradeTypedAnswer,
+};
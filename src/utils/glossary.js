@@ -0,0 +1,108 @@
+/**
+ * Glossary Utilities
+ * Find the glossary terms used in English source texts, tell the model how
+ * to render them, and check its translations against them
+ */
+
+import { GLOSSARY_VIOLATION_TYPES } from "../constants/index.js";
+
+/**
+ * Text as compared by the glossary: NFC, lowercase, single spaces
+ */
+export const normalizeTerm = (text) =>
+  String(text || "")
+    .normalize("NFC")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// No letter or digit may touch a match (Unicode aware, for Vietnamese)
+const BEFORE = "(?<![\\p{L}\\p{N}])";
+const AFTER = "(?![\\p{L}\\p{N}])";
+
+// English terms also match their plural and -ed/-ing forms
+const sourcePattern = (term) =>
+  new RegExp(`${BEFORE}${escapeRegex(term)}(?:s|es|d|ed|ing)?${AFTER}`, "iu");
+
+// Vietnamese renderings match as whole words only
+const targetPattern = (text) =>
+  new RegExp(`${BEFORE}${escapeRegex(text)}${AFTER}`, "iu");
+
+/**
+ * Glossary entries whose term occurs in any of the texts
+ * @param {Array<{ term, preferred, forbidden }>} entries - Glossary terms
+ * @param {Array<string>} texts - English source texts
+ * @returns {Array<Object>} Matching entries, longest term first
+ */
+export const findGlossaryMatches = (entries, texts) => {
+  const sources = texts.map(normalizeTerm).filter(Boolean);
+  if (entries.length === 0 || sources.length === 0) return [];
+
+  return entries
+    .filter((entry) => {
+      const pattern = sourcePattern(normalizeTerm(entry.term));
+      return sources.some((text) => pattern.test(text));
+    })
+    .sort((a, b) => b.term.length - a.term.length);
+};
+
+/**
+ * Prompt section with the renderings the model must use
+ * @param {Array<Object>} matches - From findGlossaryMatches
+ * @returns {string} "" when nothing matched
+ */
+export const glossaryPrompt = (matches) => {
+  if (matches.length === 0) return "";
+
+  let section = `\nGLOSSARY (bắt buộc dùng đúng bản dịch, không dùng các bản dịch bị cấm):\n`;
+  for (const { term, preferred, forbidden = [] } of matches) {
+    section += `- ${term} → ${preferred}`;
+    if (forbidden.length > 0) section += ` (cấm: ${forbidden.join(", ")})`;
+    section += `\n`;
+  }
+  return section;
+};
+
+/**
+ * How a translation breaks the glossary terms of its source
+ * @param {Array<Object>} matches - Entries matching the source text
+ * @param {Array<string>} translations - Translated texts of the item
+ * @returns {Array<{ term, type, expected?, found? }>} [] when it complies
+ */
+export const checkGlossary = (matches, translations) => {
+  const texts = translations.map(normalizeTerm).filter(Boolean);
+  if (texts.length === 0) return [];
+
+  const violations = [];
+  for (const { term, preferred, forbidden = [] } of matches) {
+    for (const alternative of forbidden) {
+      const pattern = targetPattern(normalizeTerm(alternative));
+      if (texts.some((text) => pattern.test(text))) {
+        violations.push({
+          term,
+          type: GLOSSARY_VIOLATION_TYPES.FORBIDDEN,
+          found: alternative,
+        });
+      }
+    }
+
+    const pattern = targetPattern(normalizeTerm(preferred));
+    if (!texts.some((text) => pattern.test(text))) {
+      violations.push({
+        term,
+        type: GLOSSARY_VIOLATION_TYPES.MISSING_PREFERRED,
+        expected: preferred,
+      });
+    }
+  }
+  return violations;
+};
+
+export default {
+  normalizeTerm,
+  findGlossaryMatches,
+  glossaryPrompt,
+  checkGlossary,
+};
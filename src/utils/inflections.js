@@ -0,0 +1,150 @@
+/**
+ * Inflection Utilities
+ * Index entries built from crawled pages, and suffix rules used as a
+ * fallback to guess the lemma of an inflected form ("studies" → "study")
+ */
+
+import { normalizeKey } from "./variants.js";
+
+/**
+ * Suffix rules, most specific first. Each rule turns a form into one
+ * candidate lemma; candidates are only used when that entry exists
+ */
+const SUFFIX_RULES = [
+  { suffix: "ies", replace: "y", rule: "-ies → -y" },
+  { suffix: "ied", replace: "y", rule: "-ied → -y" },
+  { suffix: "iest", replace: "y", rule: "-iest → -y" },
+  { suffix: "ier", replace: "y", rule: "-ier → -y" },
+  { suffix: "ves", replace: "f", rule: "-ves → -f" },
+  { suffix: "ves", replace: "fe", rule: "-ves → -fe" },
+  { suffix: "men", replace: "man", rule: "-men → -man" },
+  { suffix: "ches", replace: "ch", rule: "-ches → -ch" },
+  { suffix: "shes", replace: "sh", rule: "-shes → -sh" },
+  { suffix: "sses", replace: "ss", rule: "-sses → -ss" },
+  { suffix: "xes", replace: "x", rule: "-xes → -x" },
+  { suffix: "zes", replace: "z", rule: "-zes → -z" },
+  { suffix: "oes", replace: "o", rule: "-oes → -o", shortStem: true },
+  { suffix: "s", replace: "", rule: "-s", unless: /(ss|us|is)$/ },
+  { suffix: "ing", replace: "", rule: "-ing", doubled: true },
+  { suffix: "ing", replace: "e", rule: "-ing → -e" },
+  { suffix: "ing", replace: "", rule: "-ing" },
+  { suffix: "ed", replace: "", rule: "-ed", doubled: true },
+  { suffix: "ed", replace: "e", rule: "-ed → -e" },
+  { suffix: "ed", replace: "", rule: "-ed" },
+  { suffix: "est", replace: "", rule: "-est", doubled: true },
+  { suffix: "est", replace: "e", rule: "-est → -e" },
+  { suffix: "est", replace: "", rule: "-est" },
+  { suffix: "er", replace: "", rule: "-er", doubled: true },
+  { suffix: "er", replace: "e", rule: "-er → -e" },
+  { suffix: "er", replace: "", rule: "-er" },
+];
+
+// Shortest stem a rule may leave ("bed" is not "b" + "-ed", "sing" is not
+// "se" + "-ing"); shortStem rules allow one letter ("goes" → "go")
+const MIN_STEM_LENGTH = 2;
+
+/**
+ * Candidate lemmas of a form, in rule order
+ * @param {string} form - Normalized form
+ * @returns {Array<{ lemma: string, rule: string }>}
+ */
+export const candidateLemmas = (form) => {
+  const word = normalizeKey(form);
+  // Multi-word expressions are not inflected as a whole
+  if (!word || word.includes(" ")) return [];
+
+  const candidates = [];
+  for (const rule of SUFFIX_RULES) {
+    const { suffix, replace, doubled, unless, shortStem } = rule;
+    if (!word.endsWith(suffix) || (unless && unless.test(word))) continue;
+
+    let stem = word.slice(0, -suffix.length);
+    if (doubled) {
+      // "stopped" → "stop", "bigger" → "big"
+      const last = stem.slice(-1);
+      if (
+        stem.length < 3 ||
+        last !== stem.slice(-2, -1) ||
+        /[aeiou]/.test(last)
+      )
+        continue;
+      stem = stem.slice(0, -1);
+    }
+
+    if (stem.length < (shortStem ? 1 : MIN_STEM_LENGTH)) continue;
+
+    const lemma = stem + replace;
+    if (lemma !== word && !candidates.some((c) => c.lemma === lemma)) {
+      candidates.push({ lemma, rule: rule.rule });
+    }
+  }
+  return candidates;
+};
+
+/**
+ * Index entries for a word document
+ * - forms listed on its pages point to the word itself
+ * - pages that are themselves an inflected form ("went": past tense of go)
+ *   point from the word to those lemmas
+ * @param {string} wordId - Word key (source of the entries)
+ * @param {Array<Object>} pages - words.data
+ * @returns {Array<{ form: string, lemma: string, type: string, pointer: boolean }>}
+ */
+export const buildInflectionEntries = (wordId, pages = []) => {
+  const entries = [];
+  const add = (form, lemma, type, pointer) => {
+    const f = normalizeKey(form);
+    const l = normalizeKey(lemma);
+    if (!f || !l || f === l) return;
+    if (
+      !entries.some((e) => e.form === f && e.lemma === l && e.type === type)
+    ) {
+      entries.push({ form: f, lemma: l, type, pointer });
+    }
+  };
+
+  for (const page of pages) {
+    for (const { form, type } of page?.inflections || []) {
+      add(form, wordId, type, false);
+    }
+    for (const { lemma, type } of page?.inflection_of || []) {
+      add(wordId, lemma, type, true);
+    }
+  }
+  return entries;
+};
+
+/**
+ * Inflection types under which a word document's pages list a form
+ * ("mice" on the "mouse" page: ["plural"])
+ * @param {Object} wordDoc - Word document
+ * @param {string} form - Normalized form
+ * @returns {Array<string>} Empty when no page lists the form
+ */
+export const listedInflectionTypes = (wordDoc, form) => [
+  ...new Set(
+    (wordDoc?.data || [])
+      .flatMap((page) => page?.inflections || [])
+      .filter((inflection) => normalizeKey(inflection.form) === form)
+      .map((inflection) => inflection.type)
+  ),
+];
+
+/**
+ * Whether a word document only points to other entries (every page is an
+ * inflected form, like the "went" page)
+ */
+export const isInflectionOnly = (wordDoc) => {
+  const pages = wordDoc?.data || [];
+  return (
+    pages.length > 0 &&
+    pages.every((page) => (page?.inflection_of || []).length > 0)
+  );
+};
+
+export default {
+  candidateLemmas,
+  buildInflectionEntries,
+  listedInflectionTypes,
+  isInflectionOnly,
+};
@@ -0,0 +1,183 @@
+/**
+ * JSON Repair Utilities
+ * Parse the JSON a model answered with, fixing the usual ways it goes
+ * wrong: markdown fences or prose around it, raw control characters and
+ * unescaped quotes in strings, trailing commas, and an answer cut off by the
+ * output token limit.
+ */
+
+// Names of the fixes reported by parseModelJson
+export const JSON_REPAIRS = {
+  FENCES: "fences",
+  ESCAPES: "escapes",
+  TRAILING_COMMAS: "trailing_commas",
+  TRUNCATED: "truncated",
+};
+
+const VALID_ESCAPES = new Set(['"', "\\", "/", "b", "f", "n", "r", "t", "u"]);
+const CONTROL_ESCAPES = { "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+const CLOSERS = { "{": "}", "[": "]" };
+
+// Characters that may start a JSON value or a key
+const VALUE_START = /["{[\-\d}\]tfn]/;
+
+const nextNonSpace = (text, from) => {
+  for (let i = from; i < text.length; i++) {
+    if (!/\s/.test(text[i])) return i;
+  }
+  return -1;
+};
+
+/**
+ * Whether the quote at index i ends the string it is in. A quote followed
+ * by anything but a separator is taken as part of the text.
+ */
+const closesString = (text, i) => {
+  const next = nextNonSpace(text, i + 1);
+  if (next === -1) return true;
+  if (text[next] === ":" || text[next] === "}" || text[next] === "]") {
+    return true;
+  }
+  if (text[next] !== ",") return false;
+
+  const after = nextNonSpace(text, next + 1);
+  return after === -1 || VALUE_START.test(text[after]);
+};
+
+/**
+ * Remove markdown fences and whatever precedes the JSON
+ */
+const stripWrapping = (content) => {
+  const text = String(content || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/```(?:json)?/gi, "");
+  const start = text.search(/[{[]/);
+  return start === -1 ? text.trim() : text.slice(start);
+};
+
+/**
+ * Rewrite model output as valid JSON where possible
+ * @param {string} text - Output without fences
+ * @returns {{ json: string, repairs: Set<string> }}
+ */
+const repairText = (text) => {
+  const repairs = new Set();
+  const stack = [];
+  let out = "";
+  let inString = false;
+  // Last point where the text can be cut and closed without keeping half
+  // an element: right after an array opened or one of its elements closed
+  let safe = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inString) {
+      if (c === "\\") {
+        if (VALID_ESCAPES.has(text[i + 1])) {
+          out += c + text[i + 1];
+          i++;
+        } else if (i + 1 < text.length) {
+          out += "\\\\";
+          repairs.add(JSON_REPAIRS.ESCAPES);
+        }
+      } else if (c === '"') {
+        if (closesString(text, i)) {
+          inString = false;
+          out += c;
+        } else {
+          out += '\\"';
+          repairs.add(JSON_REPAIRS.ESCAPES);
+        }
+      } else if (c < " ") {
+        out +=
+          CONTROL_ESCAPES[c] ||
+          `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`;
+        repairs.add(JSON_REPAIRS.ESCAPES);
+      } else {
+        out += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inString = true;
+      out += c;
+    } else if (c === "{" || c === "[") {
+      stack.push(c);
+      out += c;
+      if (c === "[") safe = { length: out.length, stack: [...stack] };
+    } else if (c === "}" || c === "]") {
+      const trimmed = out.replace(/,\s*$/, "");
+      if (trimmed !== out) repairs.add(JSON_REPAIRS.TRAILING_COMMAS);
+      out = trimmed + c;
+      stack.pop();
+      // The value is complete: ignore anything after it
+      if (stack.length === 0) return { json: out, repairs };
+      if (stack[stack.length - 1] === "[") {
+        safe = { length: out.length, stack: [...stack] };
+      }
+    } else if (c >= " " || c === "\n" || c === "\r" || c === "\t") {
+      out += c;
+    }
+  }
+
+  if (!inString && stack.length === 0) return { json: out, repairs };
+
+  // Cut off: keep the complete elements and close what is still open
+  repairs.add(JSON_REPAIRS.TRUNCATED);
+  if (!safe) return { json: out, repairs };
+  const closing = safe.stack
+    .reverse()
+    .map((open) => CLOSERS[open])
+    .join("");
+  return { json: out.slice(0, safe.length) + closing, repairs };
+};
+
+/**
+ * Parse a model answer as JSON, repairing it when it is not valid as is
+ * @param {string} content - Raw model output
+ * @returns {{ value: any, repairs: Array<string> }} repairs is empty when
+ *   the output parsed without changes
+ * @throws {SyntaxError} When the output cannot be repaired
+ */
+export const parseModelJson = (content) => {
+  try {
+    return { value: JSON.parse(content), repairs: [] };
+  } catch {}
+
+  const text = stripWrapping(content);
+  const repairs = new Set(
+    text.trim() === String(content || "").trim() ? [] : [JSON_REPAIRS.FENCES]
+  );
+
+  try {
+    return { value: JSON.parse(text), repairs: [...repairs] };
+  } catch {}
+
+  const repaired = repairText(text);
+  const value = JSON.parse(repaired.json);
+  return { value, repairs: [...repairs, ...repaired.repairs] };
+};
+
+/**
+ * Complete elements of an array in a model answer that is still being
+ * streamed; the element cut off by the end of the text is left out
+ * @param {string} partial - Answer received so far
+ * @param {string} field - Key of the array ("definitions", "examples")
+ * @returns {Array} [] until the first element is complete
+ */
+export const parsePartialItems = (partial, field) => {
+  try {
+    const { value } = parseModelJson(partial);
+    return Array.isArray(value?.[field]) ? value[field] : [];
+  } catch {
+    return [];
+  }
+};
+
+export default {
+  JSON_REPAIRS,
+  parseModelJson,
+  parsePartialItems,
+};
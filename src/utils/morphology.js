@@ -0,0 +1,522 @@
+/**
+ * Morphology Utilities
+ * Propose the root of a derived word ("carelessness" → "care") from suffix
+ * and prefix rules. A rule only proposes a base that is a stored word (its
+ * key or one of its crawled variants), and the parts of speech of both words
+ * raise or lower the confidence of the rule.
+ */
+
+import { normalizeKey } from "./variants.js";
+import { WORD_FAMILY_DEFAULTS } from "../constants/index.js";
+
+const ADJ = "adjective";
+const ADV = "adverb";
+const NOUN = "noun";
+const VERB = "verb";
+
+/**
+ * Suffix rules: derived = stem + suffix, base = stem + replace
+ * pos: part of speech of the derived word, rootPos: of the base
+ * doubled: the stem doubles its last consonant ("sunny" → "sun")
+ */
+const SUFFIX_RULES = [
+  {
+    suffix: "iness",
+    replace: "y",
+    confidence: 0.9,
+    pos: [NOUN],
+    rootPos: [ADJ],
+  },
+  { suffix: "ness", replace: "", confidence: 0.9, pos: [NOUN], rootPos: [ADJ] },
+  { suffix: "ily", replace: "y", confidence: 0.85, pos: [ADV], rootPos: [ADJ] },
+  { suffix: "ally", replace: "", confidence: 0.8, pos: [ADV], rootPos: [ADJ] },
+  { suffix: "ly", replace: "le", confidence: 0.8, pos: [ADV], rootPos: [ADJ] },
+  { suffix: "ly", replace: "", confidence: 0.85, pos: [ADV], rootPos: [ADJ] },
+  { suffix: "ly", replace: "", confidence: 0.5, pos: [ADJ], rootPos: [NOUN] },
+  {
+    suffix: "iful",
+    replace: "y",
+    confidence: 0.8,
+    pos: [ADJ],
+    rootPos: [NOUN],
+  },
+  {
+    suffix: "ful",
+    replace: "",
+    confidence: 0.85,
+    pos: [ADJ, NOUN],
+    rootPos: [NOUN, VERB],
+  },
+  {
+    suffix: "iless",
+    replace: "y",
+    confidence: 0.8,
+    pos: [ADJ],
+    rootPos: [NOUN],
+  },
+  {
+    suffix: "less",
+    replace: "",
+    confidence: 0.85,
+    pos: [ADJ],
+    rootPos: [NOUN, VERB],
+  },
+  {
+    suffix: "ment",
+    replace: "",
+    confidence: 0.8,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ment",
+    replace: "e",
+    confidence: 0.7,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ability",
+    replace: "able",
+    confidence: 0.85,
+    pos: [NOUN],
+    rootPos: [ADJ],
+  },
+  {
+    suffix: "ibility",
+    replace: "ible",
+    confidence: 0.85,
+    pos: [NOUN],
+    rootPos: [ADJ],
+  },
+  {
+    suffix: "iable",
+    replace: "y",
+    confidence: 0.75,
+    pos: [ADJ],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "able",
+    replace: "",
+    confidence: 0.75,
+    pos: [ADJ],
+    rootPos: [VERB, NOUN],
+  },
+  {
+    suffix: "able",
+    replace: "e",
+    confidence: 0.75,
+    pos: [ADJ],
+    rootPos: [VERB, NOUN],
+  },
+  { suffix: "ible", replace: "", confidence: 0.6, pos: [ADJ], rootPos: [VERB] },
+  {
+    suffix: "ible",
+    replace: "e",
+    confidence: 0.6,
+    pos: [ADJ],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ility",
+    replace: "le",
+    confidence: 0.7,
+    pos: [NOUN],
+    rootPos: [ADJ],
+  },
+  { suffix: "ity", replace: "", confidence: 0.65, pos: [NOUN], rootPos: [ADJ] },
+  {
+    suffix: "ity",
+    replace: "e",
+    confidence: 0.65,
+    pos: [NOUN],
+    rootPos: [ADJ],
+  },
+  {
+    suffix: "ization",
+    replace: "ize",
+    confidence: 0.85,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ication",
+    replace: "y",
+    confidence: 0.75,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ation",
+    replace: "",
+    confidence: 0.75,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ation",
+    replace: "e",
+    confidence: 0.7,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ion",
+    replace: "e",
+    confidence: 0.7,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  { suffix: "ion", replace: "", confidence: 0.7, pos: [NOUN], rootPos: [VERB] },
+  {
+    suffix: "ance",
+    replace: "",
+    confidence: 0.6,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ance",
+    replace: "e",
+    confidence: 0.6,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ence",
+    replace: "",
+    confidence: 0.6,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ship",
+    replace: "",
+    confidence: 0.85,
+    pos: [NOUN],
+    rootPos: [NOUN],
+  },
+  {
+    suffix: "hood",
+    replace: "",
+    confidence: 0.85,
+    pos: [NOUN],
+    rootPos: [NOUN],
+  },
+  {
+    suffix: "dom",
+    replace: "",
+    confidence: 0.75,
+    pos: [NOUN],
+    rootPos: [NOUN, ADJ],
+  },
+  {
+    suffix: "ize",
+    replace: "",
+    confidence: 0.7,
+    pos: [VERB],
+    rootPos: [NOUN, ADJ],
+  },
+  {
+    suffix: "ise",
+    replace: "",
+    confidence: 0.65,
+    pos: [VERB],
+    rootPos: [NOUN, ADJ],
+  },
+  {
+    suffix: "ical",
+    replace: "y",
+    confidence: 0.6,
+    pos: [ADJ],
+    rootPos: [NOUN],
+  },
+  { suffix: "ic", replace: "y", confidence: 0.55, pos: [ADJ], rootPos: [NOUN] },
+  { suffix: "al", replace: "", confidence: 0.6, pos: [ADJ], rootPos: [NOUN] },
+  {
+    suffix: "ious",
+    replace: "y",
+    confidence: 0.6,
+    pos: [ADJ],
+    rootPos: [NOUN],
+  },
+  { suffix: "ous", replace: "", confidence: 0.65, pos: [ADJ], rootPos: [NOUN] },
+  { suffix: "ous", replace: "e", confidence: 0.6, pos: [ADJ], rootPos: [NOUN] },
+  { suffix: "ive", replace: "", confidence: 0.6, pos: [ADJ], rootPos: [VERB] },
+  { suffix: "ive", replace: "e", confidence: 0.6, pos: [ADJ], rootPos: [VERB] },
+  { suffix: "ist", replace: "", confidence: 0.6, pos: [NOUN], rootPos: [NOUN] },
+  {
+    suffix: "ism",
+    replace: "",
+    confidence: 0.6,
+    pos: [NOUN],
+    rootPos: [NOUN, ADJ],
+  },
+  { suffix: "en", replace: "", confidence: 0.6, pos: [VERB], rootPos: [ADJ] },
+  {
+    suffix: "ier",
+    replace: "y",
+    confidence: 0.55,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "er",
+    replace: "",
+    confidence: 0.55,
+    pos: [NOUN],
+    rootPos: [VERB],
+    doubled: true,
+  },
+  { suffix: "er", replace: "", confidence: 0.55, pos: [NOUN], rootPos: [VERB] },
+  {
+    suffix: "er",
+    replace: "e",
+    confidence: 0.55,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  { suffix: "or", replace: "", confidence: 0.55, pos: [NOUN], rootPos: [VERB] },
+  {
+    suffix: "or",
+    replace: "e",
+    confidence: 0.55,
+    pos: [NOUN],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ing",
+    replace: "",
+    confidence: 0.5,
+    pos: [NOUN, ADJ],
+    rootPos: [VERB],
+    doubled: true,
+  },
+  {
+    suffix: "ing",
+    replace: "",
+    confidence: 0.5,
+    pos: [NOUN, ADJ],
+    rootPos: [VERB],
+  },
+  {
+    suffix: "ing",
+    replace: "e",
+    confidence: 0.5,
+    pos: [NOUN, ADJ],
+    rootPos: [VERB],
+  },
+  { suffix: "ed", replace: "", confidence: 0.5, pos: [ADJ], rootPos: [VERB] },
+  { suffix: "ed", replace: "e", confidence: 0.5, pos: [ADJ], rootPos: [VERB] },
+  {
+    suffix: "y",
+    replace: "",
+    confidence: 0.5,
+    pos: [ADJ],
+    rootPos: [NOUN],
+    doubled: true,
+  },
+  { suffix: "y", replace: "", confidence: 0.5, pos: [ADJ], rootPos: [NOUN] },
+  { suffix: "y", replace: "e", confidence: 0.45, pos: [ADJ], rootPos: [NOUN] },
+];
+
+/**
+ * Prefix rules: derived = prefix + base, same part of speech
+ * before: letters the base must start with ("im" + "possible")
+ */
+const PREFIX_RULES = [
+  { prefix: "un", confidence: 0.9 },
+  { prefix: "non", confidence: 0.85 },
+  { prefix: "dis", confidence: 0.8 },
+  { prefix: "mis", confidence: 0.8 },
+  { prefix: "semi", confidence: 0.8 },
+  { prefix: "anti", confidence: 0.75 },
+  { prefix: "over", confidence: 0.7 },
+  { prefix: "under", confidence: 0.7 },
+  { prefix: "inter", confidence: 0.6 },
+  { prefix: "super", confidence: 0.6 },
+  { prefix: "out", confidence: 0.6 },
+  { prefix: "pre", confidence: 0.6 },
+  { prefix: "sub", confidence: 0.55 },
+  { prefix: "re", confidence: 0.55 },
+  { prefix: "im", confidence: 0.55, before: /^[mpb]/ },
+  { prefix: "il", confidence: 0.55, before: /^l/ },
+  { prefix: "ir", confidence: 0.55, before: /^r/ },
+  { prefix: "in", confidence: 0.55 },
+];
+
+// Shortest base a rule may propose ("rely" is not "re" + "ly")
+const MIN_BASE_LENGTH = 3;
+
+// Confidence changes when the parts of speech are known
+const POS_MATCH_BONUS = 0.05;
+const ROOT_POS_MISMATCH_PENALTY = 0.25;
+const POS_MISMATCH_PENALTY = 0.15;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const overlaps = (a = [], b = []) => a.some((x) => b.includes(x));
+
+/**
+ * Stored words keyed by their normalized spellings
+ */
+export class WordLexicon {
+  /**
+   * @param {Array<Object>} words - { _id, variants, parts_of_speech, root }
+   */
+  constructor(words = []) {
+    this.words = new Map();
+    this.keys = new Map();
+
+    for (const word of words) {
+      this.words.set(word._id, word);
+      this.keys.set(word._id, word._id);
+    }
+    // A word's own key wins over another word's variant
+    for (const word of words) {
+      for (const variant of word.variants || []) {
+        const key = normalizeKey(variant);
+        if (key && !this.keys.has(key)) this.keys.set(key, word._id);
+      }
+    }
+  }
+
+  /**
+   * Stored word spelled this way, or null
+   */
+  find(spelling) {
+    const id = this.keys.get(spelling);
+    return id ? this.words.get(id) : null;
+  }
+}
+
+/**
+ * Adjust a rule's confidence with the parts of speech of both words
+ */
+const scoreRule = (rule, word, base) => {
+  let confidence = rule.confidence;
+  const wordPos = word?.parts_of_speech || [];
+  const basePos = base?.parts_of_speech || [];
+  // Prefixes keep the part of speech of the base
+  const pos = rule.prefix ? basePos : rule.pos;
+  const rootPos = rule.prefix ? wordPos : rule.rootPos;
+
+  if (wordPos.length > 0 && pos?.length > 0) {
+    confidence += overlaps(wordPos, pos)
+      ? POS_MATCH_BONUS
+      : -POS_MISMATCH_PENALTY;
+  }
+  if (basePos.length > 0 && rootPos?.length > 0) {
+    confidence += overlaps(basePos, rootPos)
+      ? POS_MATCH_BONUS
+      : -ROOT_POS_MISMATCH_PENALTY;
+  }
+  return round(Math.min(0.99, Math.max(0, confidence)));
+};
+
+/**
+ * Stored bases a word may be derived from, one derivation step away
+ * @param {string} wordId - Word key
+ * @param {WordLexicon} lexicon
+ * @returns {Array<{ base: string, rule: string, confidence: number }>}
+ *   Best first, one entry per base
+ */
+export const derivationBases = (wordId, lexicon) => {
+  const word = lexicon.words.get(wordId) || null;
+  const spelling = normalizeKey(wordId);
+  // Multi-word expressions are not derived as a whole
+  if (!spelling || spelling.includes(" ")) return [];
+
+  const found = new Map();
+  const consider = (candidate, rule, label) => {
+    if (candidate.length < MIN_BASE_LENGTH || candidate === spelling) return;
+    const base = lexicon.find(candidate);
+    if (!base || base._id === wordId) return;
+
+    const confidence = scoreRule(rule, word, base);
+    const existing = found.get(base._id);
+    if (!existing || existing.confidence < confidence) {
+      found.set(base._id, { base: base._id, rule: label, confidence });
+    }
+  };
+
+  for (const rule of SUFFIX_RULES) {
+    if (!spelling.endsWith(rule.suffix)) continue;
+    let stem = spelling.slice(0, -rule.suffix.length);
+    if (rule.doubled) {
+      const last = stem.slice(-1);
+      if (last !== stem.slice(-2, -1) || /[aeiou]/.test(last)) continue;
+      stem = stem.slice(0, -1);
+    }
+    const label = rule.replace
+      ? `-${rule.suffix} → -${rule.replace}`
+      : `-${rule.suffix}`;
+    consider(stem + rule.replace, rule, label);
+  }
+
+  for (const rule of PREFIX_RULES) {
+    if (!spelling.startsWith(rule.prefix)) continue;
+    const base = spelling.slice(rule.prefix.length);
+    if (rule.before && !rule.before.test(base)) continue;
+    consider(base, rule, `${rule.prefix}-`);
+  }
+
+  return [...found.values()].sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Root proposed for a word: the base it derives from, followed down while
+ * the chain stays above minConfidence ("unhappiness" → "unhappy" → "happy")
+ * @param {string} wordId - Word key
+ * @param {WordLexicon} lexicon
+ * @param {Object} options - { minConfidence, maxChain }
+ * @returns {Object|null} { root, confidence, steps: [{ from, to, rule, confidence }] }
+ */
+export const proposeRoot = (
+  wordId,
+  lexicon,
+  {
+    minConfidence = WORD_FAMILY_DEFAULTS.MIN_CONFIDENCE,
+    maxChain = WORD_FAMILY_DEFAULTS.MAX_CHAIN,
+  } = {}
+) => {
+  const walk = (current, confidence, steps, visited) => {
+    let best = steps.length > 0 ? { root: current, confidence, steps } : null;
+    if (steps.length >= maxChain) return best;
+
+    for (const { base, rule, confidence: c } of derivationBases(
+      current,
+      lexicon
+    )) {
+      const chained = round(confidence * c);
+      if (chained < minConfidence || visited.has(base)) continue;
+
+      const result = walk(
+        base,
+        chained,
+        [...steps, { from: current, to: base, rule, confidence: c }],
+        new Set([...visited, base])
+      );
+      // Deeper roots win: families are flat, so the root is the plainest word
+      if (
+        result &&
+        (!best ||
+          result.steps.length > best.steps.length ||
+          (result.steps.length === best.steps.length &&
+            result.confidence > best.confidence))
+      ) {
+        best = result;
+      }
+    }
+    return best;
+  };
+
+  return walk(wordId, 1, [], new Set([wordId]));
+};
+
+export default {
+  WordLexicon,
+  derivationBases,
+  proposeRoot,
+};
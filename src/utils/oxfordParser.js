@@ -0,0 +1,424 @@
+/**
+ * Oxford Page Parser
+ * Turns one Oxford Learner's Dictionaries entry page into a page document.
+ * Pure: no network, no ids, no translations — see crawl.js for those.
+ * Bump OXFORD_PARSER_VERSION whenever the output for the same HTML changes
+ * and add or update the fixtures in scripts/fixtures/oxford.
+ */
+
+import { load } from "cheerio";
+import { OXFORD_PARSER_VERSION, INFLECTION_TYPES } from "../constants/index.js";
+
+const outsideVariants = ($) => (_, el) =>
+  $(el).closest(".variants").length === 0;
+
+/**
+ * { text, html } of a variants block, {} when there is none
+ */
+const readVariants = ($v, trim = false) => {
+  if (!$v || !$v.length) return {};
+  return trim
+    ? { text: $v.text().trim(), html: $v.html().trim() }
+    : { text: $v.text(), html: $v.html() };
+};
+
+/**
+ * CEFR level from a symbols block (<span class="ox3ksym_a1">) → "a1"
+ */
+const readSymbol = ($symbols) =>
+  $symbols.first().attr("class")?.split("_")[1] || "";
+
+/**
+ * Fields shown at the top of a sense (inside or right after .sensetop)
+ */
+const readSenseTop = ($, $el) => {
+  const top = (selector) =>
+    $el.find(`.sensetop > ${selector}, .sensetop ~ ${selector}`);
+
+  return {
+    symbol: readSymbol(top("div.symbols span")),
+    labels: top("span.labels").filter(outsideVariants($)).first().text() || "",
+    dis_g: top("span.dis-g").first().text() || "",
+    variants: readVariants(top("div.variants").first()),
+    grammar: top("span.grammar").first().text() || "",
+    cf: top("span.cf").first().text() || "",
+  };
+};
+
+/**
+ * Link texts of the xrefs of a sense, keyed by their prefix
+ * ("synonym", "opposite", "see also", "past tense of", ...)
+ */
+const readXrefs = ($, $el) => {
+  const xrefs = [];
+  $el.find("span.xrefs").each((_, xr) => {
+    const $xr = $(xr);
+    xrefs.push({
+      type: $xr.find("span.prefix").first().text(),
+      targets: $xr
+        .find("a")
+        .map((_, a) => $(a).text())
+        .get(),
+    });
+  });
+
+  const byType = (type) =>
+    xrefs.filter((x) => x.type === type).flatMap((x) => x.targets);
+
+  return {
+    synonyms: byType("synonym"),
+    opposites: byType("opposite"),
+    see_alsos: byType("see also"),
+    past_tense_of: xrefs
+      .filter((x) => x.type.startsWith("past tense"))
+      .flatMap((x) => x.targets),
+  };
+};
+
+/**
+ * Examples of a sense; "Extra Examples" (.collapse) are skipped
+ * @param {boolean} detailed - Keep cf/labels (main senses only)
+ */
+const readExamples = ($, $el, detailed) => {
+  const examples = [];
+  $el
+    .find("ul.examples li")
+    .filter(
+      (_, li) =>
+        $(li).closest(".collapse").length === 0 &&
+        (!detailed || $(li).closest(".idioms").length === 0)
+    )
+    .each((_, li) => {
+      const $li = $(li);
+      const en = $li.find("span.x").first().text() || "";
+      if (!detailed) {
+        if (en) examples.push({ en, vi: "" });
+        return;
+      }
+      const cf = $li.find("span.cf").first().text() || "";
+      const labels =
+        $li.find("span.labels").filter(outsideVariants($)).first().text() || "";
+      if (cf || labels || en) examples.push({ cf, labels, en, vi: "" });
+    });
+  return examples;
+};
+
+/**
+ * Senses of the entry itself (not idioms or phrasal verbs)
+ * A sense without a definition that only points to its base verb becomes
+ * a "Past tense, past participle of ..." sense
+ */
+const parseMainSenses = ($) => {
+  const senses = [];
+
+  $("li.sense")
+    .filter(
+      (_, el) =>
+        $(el).closest(".idioms").length === 0 &&
+        $(el).closest(".collapse").length === 0 &&
+        $(el).closest(".pv-g").length === 0
+    )
+    .each((_, el) => {
+      const $el = $(el);
+      const definition = $el.find("span.def").first().text();
+      const xrefs = readXrefs($, $el);
+
+      if (!definition && xrefs.past_tense_of.length > 0) {
+        senses.push({
+          symbol: "",
+          labels: "",
+          dis_g: "",
+          variants: {},
+          grammar: "",
+          cf: "",
+          definition: `Past tense, past participle of ${xrefs.past_tense_of
+            .map((w) => `"${w}"`)
+            .join(", ")}`,
+          synonyms: [],
+          opposites: [],
+          see_alsos: [],
+          examples: [],
+        });
+        return;
+      }
+
+      senses.push({
+        ...readSenseTop($, $el),
+        definition,
+        synonyms: xrefs.synonyms,
+        opposites: xrefs.opposites,
+        see_alsos: xrefs.see_alsos,
+        examples: readExamples($, $el, true),
+      });
+    });
+
+  return senses;
+};
+
+/**
+ * Senses of an idiom or phrasal verb block; senses without a definition
+ * are skipped
+ */
+const parseBlockSenses = ($, $block, { withPastTense = false } = {}) => {
+  const senses = [];
+
+  $block.find("li.sense").each((_, el) => {
+    const $el = $(el);
+    const definition = $el.find("span.def").first().text();
+    if (!definition) return;
+
+    const xrefs = readXrefs($, $el);
+    senses.push({
+      ...readSenseTop($, $el),
+      definition,
+      synonyms: xrefs.synonyms,
+      opposites: xrefs.opposites,
+      see_alsos: xrefs.see_alsos,
+      ...(withPastTense ? { past_tense_of: [] } : {}),
+      examples: readExamples($, $el, false),
+    });
+  });
+
+  return senses;
+};
+
+/**
+ * Phrasal verbs written out on the page (span.pv-g)
+ * Note: removes the variants blocks of span.pv from the document
+ */
+const parsePhrasalVerbSenses = ($) => {
+  const items = [];
+
+  $("span.pv-g").each((_, el) => {
+    const $pvg = $(el);
+    const $pv = $pvg.find("span.pv").first();
+
+    // Keep the variants, then drop them so they are not part of the text
+    const variants = readVariants($pv.find("div.variants").first(), true);
+    $pv.find("div.variants").remove();
+
+    // "give something<span class="pvarr">away</span>" → "give something ↔ away"
+    const word =
+      $pv.find(".pvarr").length > 0
+        ? $pv
+            .html()
+            .replace(/<span class="pvarr">([^<]*)<\/span>/g, " ↔ $1")
+            .replace(/<[^>]+>/g, "")
+            .trim()
+        : $pv.text().trim();
+
+    items.push({
+      word,
+      labels:
+        $pvg
+          .find(".webtop span.labels")
+          .filter(outsideVariants($))
+          .first()
+          .text()
+          .trim() || "",
+      variants,
+      senses: parseBlockSenses($, $pvg, { withPastTense: true }),
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Idioms listed in the idioms section
+ */
+const parseIdioms = ($) => {
+  const items = [];
+
+  $("div.idioms span.idm-g").each((_, el) => {
+    const $idm = $(el);
+    items.push({
+      word: $idm.find("span.idm").first().text() || "",
+      labels:
+        $idm
+          .find(".webtop span.labels")
+          .filter(outsideVariants($))
+          .first()
+          .text() || "",
+      variants: readVariants($idm.find(".webtop div.variants").first()),
+      senses: parseBlockSenses($, $idm),
+    });
+  });
+
+  return items;
+};
+
+// <td class="verb_form" form="..."> in the verb forms table
+const VERB_FORM_TYPES = {
+  thirdps: INFLECTION_TYPES.THIRD_PERSON,
+  past: INFLECTION_TYPES.PAST,
+  pastpart: INFLECTION_TYPES.PAST_PARTICIPLE,
+  prespart: INFLECTION_TYPES.PRESENT_PARTICIPLE,
+};
+
+/**
+ * Inflection type named by a label or an xref prefix
+ * ("plural", "past tense of", "past participle of", ...), null otherwise
+ */
+const inflectionTypesOf = (label) => {
+  const text = String(label || "")
+    .toLowerCase()
+    .replace(/\s+of$/, "")
+    .trim();
+  const types = [];
+  if (text.includes("plural")) types.push(INFLECTION_TYPES.PLURAL);
+  if (text.includes("past tense") || text === "past simple") {
+    types.push(INFLECTION_TYPES.PAST);
+  }
+  if (text.includes("past participle")) {
+    types.push(INFLECTION_TYPES.PAST_PARTICIPLE);
+  }
+  if (text.includes("present participle") || text.includes("-ing form")) {
+    types.push(INFLECTION_TYPES.PRESENT_PARTICIPLE);
+  }
+  if (text.includes("comparative")) types.push(INFLECTION_TYPES.COMPARATIVE);
+  if (text.includes("superlative")) types.push(INFLECTION_TYPES.SUPERLATIVE);
+  return types;
+};
+
+const splitForms = (text) =>
+  String(text || "")
+    .split(/[\/,]/)
+    .map((form) => form.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+/**
+ * Inflected forms of the headword: the verb forms table and the
+ * "(plural mice)" / "(comparative better, superlative best)" note
+ * Negative forms (form="neg") and the base form are skipped
+ */
+const readInflections = ($, $headword, pos) => {
+  const inflections = [];
+  const add = (form, type) => {
+    if (!inflections.some((i) => i.form === form && i.type === type)) {
+      inflections.push({ form, type });
+    }
+  };
+
+  $(".verb_forms_table [form]").each((_, el) => {
+    const type = VERB_FORM_TYPES[$(el).attr("form")];
+    if (!type) return;
+    const $cell = $(el).clone();
+    $cell.find(".vf_prefix, .phonetics, .sound").remove();
+    splitForms($cell.text()).forEach((form) => add(form, type));
+  });
+
+  $headword
+    .siblings("span.inflections")
+    .first()
+    .find("span.inflected_form")
+    .each((index, el) => {
+      const $form = $(el);
+      let types = inflectionTypesOf($form.prevAll(".wrap").first().text());
+      // "(better, best)": unlabelled forms of adjectives and adverbs
+      if (types.length === 0 && /^(adjective|adverb)$/.test(pos)) {
+        types = [
+          index === 0
+            ? INFLECTION_TYPES.COMPARATIVE
+            : INFLECTION_TYPES.SUPERLATIVE,
+        ];
+      }
+      splitForms($form.text()).forEach((form) =>
+        types.forEach((type) => add(form, type))
+      );
+    });
+
+  return inflections;
+};
+
+/**
+ * Lemmas a page is an inflected form of, from its "past tense of go",
+ * "plural of mouse"... cross references
+ */
+const readInflectionOf = ($) => {
+  const lemmas = [];
+
+  $("li.sense span.xrefs")
+    .filter(
+      (_, el) =>
+        $(el).closest(".idioms").length === 0 &&
+        $(el).closest(".pv-g").length === 0
+    )
+    .each((_, xr) => {
+      const $xr = $(xr);
+      const prefix = $xr.find("span.prefix").first().text();
+      if (!/\bof$/.test(prefix.trim())) return;
+      const types = inflectionTypesOf(prefix);
+      if (types.length === 0) return;
+
+      $xr.find("a").each((_, a) => {
+        const lemma = $(a).text().trim();
+        types.forEach((type) => {
+          if (!lemmas.some((l) => l.lemma === lemma && l.type === type)) {
+            lemmas.push({ lemma, type });
+          }
+        });
+      });
+    });
+
+  return lemmas;
+};
+
+/**
+ * Parse an Oxford entry page
+ * @param {string} html - Page HTML
+ * @returns {{ parser_version: number, entry: Object|null }} entry is null
+ *   when the page has no headword (search or error page)
+ */
+export const parseOxfordPage = (html) => {
+  const $ = load(html || "");
+  const $headword = $("h1.headword").first();
+  const word = $headword.text() || null;
+
+  if (!word) {
+    return { parser_version: OXFORD_PARSER_VERSION, entry: null };
+  }
+
+  const pos = $("span.pos").first().text() || "";
+  const entry = {
+    word,
+    pos,
+    symbol: readSymbol(
+      $("div.symbols")
+        .filter((_, el) => $(el).siblings("h1.headword").length > 0)
+        .first()
+        .find("span")
+    ),
+    phonetic: $("div.phons_br div.sound").first().attr("data-src-mp3") || "",
+    phonetic_text: $("div.phons_br span.phon").first().text() || "",
+    phonetic_am:
+      $("div.phons_n_am div.sound").first().attr("data-src-mp3") || "",
+    phonetic_am_text: $("div.phons_n_am span.phon").first().text() || "",
+    variants: readVariants($headword.siblings("div.variants").first()),
+    grammar: $headword.siblings("span.grammar").first().text() || "",
+    labels:
+      $headword
+        .siblings("span.labels")
+        .filter(outsideVariants($))
+        .first()
+        .text() || "",
+    inflections: readInflections($, $headword, pos),
+    inflection_of: readInflectionOf($),
+    senses: parseMainSenses($),
+    // Order matters: this removes phrasal verb variants from the document
+    phrasal_verb_senses: parsePhrasalVerbSenses($),
+    idioms: parseIdioms($),
+    phrasal_verbs: $(".phrasal_verb_links ul.pvrefs li")
+      .map((_, li) => {
+        const $a = $(li).find("a").first();
+        return $a.length ? $a.text() : null;
+      })
+      .get(),
+  };
+
+  return { parser_version: OXFORD_PARSER_VERSION, entry };
+};
+
+export default {
+  parseOxfordPage,
+};
@@ -0,0 +1,140 @@
+/**
+ * Quiz Utilities
+ * Pure helpers that turn word documents into quiz material
+ */
+
+export const CLOZE_BLANK = "_____";
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items
+ * @returns {Array}
+ */
+export const shuffle = (items = []) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Pick a random element
+ * @param {Array} items
+ * @returns {*}
+ */
+export const pickRandom = (items = []) =>
+  items.length ? items[Math.floor(Math.random() * items.length)] : null;
+
+/**
+ * Collect the main senses of a word (idioms and phrasal verbs are skipped)
+ * @param {Object} wordDoc - Document from the words collection
+ * @returns {Array} [{ _id, headword, pos, symbol, definition, definition_vi, definition_vi_short, examples }]
+ */
+export const collectSenses = (wordDoc) => {
+  const pages = Array.isArray(wordDoc?.data) ? wordDoc.data : [];
+  const senses = [];
+
+  for (const page of pages) {
+    for (const sense of page?.senses || []) {
+      if (!sense?.definition) continue;
+      senses.push({
+        _id: sense._id,
+        headword: page.word || wordDoc._id,
+        pos: page.pos || "",
+        symbol: sense.symbol || page.symbol || "",
+        definition: sense.definition,
+        definition_vi: sense.definition_vi || "",
+        definition_vi_short: sense.definition_vi_short || "",
+        examples: (sense.examples || []).filter((ex) => ex?.en),
+      });
+    }
+  }
+
+  return senses;
+};
+
+/**
+ * All spellings a word may appear under (headwords, key and variants)
+ * @param {Object} wordDoc - Document from the words collection
+ * @returns {Array<string>} Longest first
+ */
+export const getWordForms = (wordDoc) => {
+  const forms = new Set();
+  if (wordDoc?._id) forms.add(String(wordDoc._id));
+  for (const page of wordDoc?.data || []) {
+    if (page?.word) forms.add(String(page.word).toLowerCase());
+  }
+  for (const variant of wordDoc?.variants || []) {
+    if (typeof variant === "string" && variant) {
+      forms.add(variant.toLowerCase());
+    }
+  }
+  return [...forms].sort((a, b) => b.length - a.length);
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a pattern matching a form and its regular inflections
+ * (abandon → abandons/abandoned/abandoning, make → making, study → studies)
+ */
+const buildInflectionPattern = (form) => {
+  const base = escapeRegex(form).replace(/\s+/g, "\\s+");
+  const alternatives = [`${base}(?:s|es|ed|d|ing|er|est)?`];
+
+  if (/[^aeiou]e$/i.test(form)) {
+    alternatives.push(`${escapeRegex(form.slice(0, -1))}(?:ing|ed|er|est)`);
+  }
+  if (/[^aeiou]y$/i.test(form)) {
+    alternatives.push(`${escapeRegex(form.slice(0, -1))}(?:ies|ied|ier|iest)`);
+  }
+  if (/[^aeiou][aeiou][bdgklmnprt]$/i.test(form)) {
+    const last = escapeRegex(form.slice(-1));
+    alternatives.push(`${base}${last}(?:ed|ing|er|est)`);
+  }
+
+  return alternatives.join("|");
+};
+
+/**
+ * Replace the first occurrence of the word in a sentence with a blank
+ * @param {string} sentence - Example sentence
+ * @param {Array<string>} forms - Word forms, see getWordForms
+ * @returns {{ text: string, answer: string }|null} null if the word is not found
+ */
+export const blankHeadword = (sentence, forms = []) => {
+  if (!sentence) return null;
+
+  for (const form of forms) {
+    if (!form) continue;
+    const regex = new RegExp(
+      `(^|[^A-Za-z])(${buildInflectionPattern(form)})(?![A-Za-z])`,
+      "i"
+    );
+    const match = regex.exec(sentence);
+    if (!match) continue;
+
+    const start = match.index + match[1].length;
+    const answer = match[2];
+    return {
+      text:
+        sentence.slice(0, start) +
+        CLOZE_BLANK +
+        sentence.slice(start + answer.length),
+      answer,
+    };
+  }
+
+  return null;
+};
+
+export default {
+  CLOZE_BLANK,
+  shuffle,
+  pickRandom,
+  collectSenses,
+  getWordForms,
+  blankHeadword,
+};
@@ -0,0 +1,414 @@
+/**
+ * Spaced Repetition Schedulers
+ * Pluggable schedulers for flashcard reviews (SM-2 and FSRS)
+ *
+ * Design Pattern: Strategy Pattern
+ * Each flashcard group selects a scheduler; every scheduler takes the card
+ * progress plus a graded answer and returns the next progress state.
+ */
+
+import {
+  FLASHCARD_STATUS,
+  REVIEW_RATINGS,
+  SCHEDULER_TYPES,
+  SCHEDULER_DEFAULTS,
+} from "../constants/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legacy fixed interval ladder used before graded reviews existed
+const LEGACY_INTERVALS = [1, 2, 4, 7, 15, 30];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/**
+ * Due date at 00:00:00 local time, `days` days after `from`
+ */
+const startOfDayAfter = (from, days) => {
+  const next = new Date(from);
+  next.setDate(next.getDate() + days);
+  next.setHours(0, 0, 0, 0);
+  return next;
+};
+
+/**
+ * Whole days elapsed between two dates (never negative)
+ */
+const daysBetween = (from, to) => {
+  if (!from || !to) return 0;
+  const diff = new Date(to).getTime() - new Date(from).getTime();
+  return Math.max(0, Math.round(diff / DAY_MS));
+};
+
+/**
+ * Empty progress object for a brand new card
+ */
+export const createInitialProgress = () => ({
+  times_shown: 0,
+  times_correct: 0,
+  accuracy: 0,
+  first_reviewed_at: null,
+  last_reviewed_at: null,
+  next_review_at: null,
+  reps: 0,
+  lapses: 0,
+  interval: 0,
+  ease_factor: SCHEDULER_DEFAULTS.STARTING_EASE,
+  stability: null,
+  difficulty: null,
+  last_rating: null,
+});
+
+/**
+ * Upgrade a legacy `progress` object (binary remember/forget) to the graded
+ * scheduler state. Counters and dates are kept as-is; scheduler fields are
+ * derived from them. Already migrated progress is returned unchanged.
+ * @param {Object} progress - Stored progress
+ * @returns {Object} Progress with scheduler fields
+ */
+export const migrateProgress = (progress) => {
+  if (!progress || typeof progress !== "object") {
+    return createInitialProgress();
+  }
+
+  if (progress.reps !== undefined && progress.lapses !== undefined) {
+    return { ...createInitialProgress(), ...progress };
+  }
+
+  const timesShown = progress.times_shown || 0;
+  const timesCorrect = progress.times_correct || 0;
+
+  // Legacy times_correct was the streak since the last "forget"
+  let interval = daysBetween(
+    progress.last_reviewed_at,
+    progress.next_review_at
+  );
+  if (!interval && timesCorrect > 0) {
+    interval =
+      LEGACY_INTERVALS[Math.min(timesCorrect - 1, LEGACY_INTERVALS.length - 1)];
+  }
+
+  return {
+    ...createInitialProgress(),
+    ...progress,
+    times_shown: timesShown,
+    times_correct: timesCorrect,
+    accuracy: progress.accuracy || 0,
+    reps: timesCorrect,
+    // Legacy data only tells us whether the card was ever forgotten
+    lapses: timesShown > timesCorrect ? 1 : 0,
+    interval,
+    stability: interval > 0 ? interval : null,
+  };
+};
+
+/**
+ * Base scheduler
+ * Subclasses implement `schedule(progress, rating, elapsedDays)`
+ */
+export class BaseScheduler {
+  constructor(params = {}) {
+    if (new.target === BaseScheduler) {
+      throw new Error(
+        "BaseScheduler is an abstract class and cannot be instantiated directly"
+      );
+    }
+
+    this.params = params;
+    this.maximumInterval =
+      params.maximum_interval || SCHEDULER_DEFAULTS.MAXIMUM_INTERVAL_DAYS;
+  }
+
+  /**
+   * Compute scheduler-specific fields (interval, ease, stability, ...)
+   * Override in child classes
+   */
+  schedule(progress, rating, elapsedDays) {
+    throw new Error("schedule() must be implemented by child class");
+  }
+
+  /**
+   * Review a card
+   * @param {Object} progress - Current progress (legacy or migrated)
+   * @param {string} rating - One of REVIEW_RATINGS
+   * @param {Date} now - Review time
+   * @returns {{progress: Object, status: string}}
+   */
+  review(progress, rating, now = new Date()) {
+    if (!Object.values(REVIEW_RATINGS).includes(rating)) {
+      throw new Error(
+        `Rating must be one of: ${Object.values(REVIEW_RATINGS).join(", ")}`
+      );
+    }
+
+    const current = migrateProgress(progress);
+    const elapsedDays = daysBetween(current.last_reviewed_at, now);
+    const isLapse = rating === REVIEW_RATINGS.AGAIN;
+
+    const scheduled = this.schedule(current, rating, elapsedDays);
+    const interval = clamp(
+      Math.round(scheduled.interval),
+      1,
+      this.maximumInterval
+    );
+
+    const next = {
+      ...current,
+      ...scheduled,
+      interval,
+      times_shown: current.times_shown + 1,
+      times_correct: current.times_correct + (isLapse ? 0 : 1),
+      reps: isLapse ? 0 : current.reps + 1,
+      lapses: current.lapses + (isLapse ? 1 : 0),
+      last_rating: rating,
+      first_reviewed_at: current.first_reviewed_at || now,
+      last_reviewed_at: now,
+      next_review_at: startOfDayAfter(now, interval),
+    };
+
+    // Schedulers without a memory model (SM-2) keep stability in step with
+    // the interval so a group can switch to FSRS without resetting its cards
+    if (scheduled.stability === undefined) {
+      next.stability = interval;
+    }
+    next.accuracy = round2((next.times_correct / next.times_shown) * 100);
+
+    return { progress: next, status: this.statusFor(next, isLapse) };
+  }
+
+  /**
+   * Derive FLASHCARD_STATUS from the new progress
+   */
+  statusFor(progress, isLapse) {
+    if (
+      !isLapse &&
+      progress.interval >= SCHEDULER_DEFAULTS.MASTERED_INTERVAL_DAYS
+    ) {
+      return FLASHCARD_STATUS.MASTERED;
+    }
+    return FLASHCARD_STATUS.LEARNING;
+  }
+}
+
+/**
+ * SM-2 scheduler (SuperMemo 2 with Anki-style hard/easy modifiers)
+ */
+export class SM2Scheduler extends BaseScheduler {
+  // SM-2 quality (0-5) for each graded answer
+  static QUALITY = {
+    [REVIEW_RATINGS.AGAIN]: 0,
+    [REVIEW_RATINGS.HARD]: 3,
+    [REVIEW_RATINGS.GOOD]: 4,
+    [REVIEW_RATINGS.EASY]: 5,
+  };
+
+  constructor(params = {}) {
+    super(params);
+    this.minimumEase = params.minimum_ease || SCHEDULER_DEFAULTS.MINIMUM_EASE;
+    this.easyBonus = params.easy_bonus || 1.3;
+    this.hardFactor = params.hard_factor || 1.2;
+  }
+
+  schedule(progress, rating) {
+    const q = SM2Scheduler.QUALITY[rating];
+    const ease = progress.ease_factor || SCHEDULER_DEFAULTS.STARTING_EASE;
+    const previous = progress.interval || 0;
+
+    if (rating === REVIEW_RATINGS.AGAIN) {
+      return {
+        interval: 1,
+        ease_factor: round2(Math.max(this.minimumEase, ease - 0.2)),
+      };
+    }
+
+    const nextEase = round2(
+      Math.max(
+        this.minimumEase,
+        ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+      )
+    );
+
+    let interval;
+    if (progress.reps === 0) {
+      interval = 1;
+    } else if (progress.reps === 1) {
+      interval = 6;
+    } else {
+      interval = previous * nextEase;
+    }
+
+    if (rating === REVIEW_RATINGS.HARD) {
+      interval = Math.max(previous + 1, previous * this.hardFactor, 1);
+    } else if (rating === REVIEW_RATINGS.EASY) {
+      interval *= this.easyBonus;
+    }
+
+    return { interval, ease_factor: nextEase };
+  }
+}
+
+/**
+ * FSRS scheduler (Free Spaced Repetition Scheduler, v4.5 formulas)
+ */
+export class FSRSScheduler extends BaseScheduler {
+  static DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+  ];
+
+  static DECAY = -0.5;
+
+  static FACTOR = 19 / 81;
+
+  static GRADE = {
+    [REVIEW_RATINGS.AGAIN]: 1,
+    [REVIEW_RATINGS.HARD]: 2,
+    [REVIEW_RATINGS.GOOD]: 3,
+    [REVIEW_RATINGS.EASY]: 4,
+  };
+
+  constructor(params = {}) {
+    super(params);
+    this.w =
+      Array.isArray(params.weights) &&
+      params.weights.length === FSRSScheduler.DEFAULT_WEIGHTS.length
+        ? params.weights
+        : FSRSScheduler.DEFAULT_WEIGHTS;
+    this.requestRetention =
+      params.request_retention || SCHEDULER_DEFAULTS.REQUEST_RETENTION;
+  }
+
+  retrievability(elapsedDays, stability) {
+    return Math.pow(
+      1 + (FSRSScheduler.FACTOR * elapsedDays) / stability,
+      FSRSScheduler.DECAY
+    );
+  }
+
+  nextInterval(stability) {
+    return (
+      (stability / FSRSScheduler.FACTOR) *
+      (Math.pow(this.requestRetention, 1 / FSRSScheduler.DECAY) - 1)
+    );
+  }
+
+  initStability(grade) {
+    return Math.max(this.w[grade - 1], 0.1);
+  }
+
+  initDifficulty(grade) {
+    return clamp(this.w[4] - (grade - 3) * this.w[5], 1, 10);
+  }
+
+  nextDifficulty(difficulty, grade) {
+    const next = difficulty - this.w[6] * (grade - 3);
+    // Mean reversion towards the initial difficulty of a "good" answer
+    return clamp(
+      this.w[7] * this.initDifficulty(3) + (1 - this.w[7]) * next,
+      1,
+      10
+    );
+  }
+
+  nextRecallStability(difficulty, stability, r, rating) {
+    const hardPenalty = rating === REVIEW_RATINGS.HARD ? this.w[15] : 1;
+    const easyBonus = rating === REVIEW_RATINGS.EASY ? this.w[16] : 1;
+    return (
+      stability *
+      (1 +
+        Math.exp(this.w[8]) *
+          (11 - difficulty) *
+          Math.pow(stability, -this.w[9]) *
+          (Math.exp((1 - r) * this.w[10]) - 1) *
+          hardPenalty *
+          easyBonus)
+    );
+  }
+
+  nextForgetStability(difficulty, stability, r) {
+    return (
+      this.w[11] *
+      Math.pow(difficulty, -this.w[12]) *
+      (Math.pow(stability + 1, this.w[13]) - 1) *
+      Math.exp((1 - r) * this.w[14])
+    );
+  }
+
+  schedule(progress, rating, elapsedDays) {
+    const grade = FSRSScheduler.GRADE[rating];
+
+    // First review: no memory state yet
+    if (!progress.stability) {
+      const stability = this.initStability(grade);
+      return {
+        interval: this.nextInterval(stability),
+        stability: round2(stability),
+        difficulty: round2(this.initDifficulty(grade)),
+      };
+    }
+
+    // Migrated SM-2/legacy cards carry stability but no difficulty
+    const previousDifficulty = progress.difficulty || this.initDifficulty(3);
+    const r = this.retrievability(elapsedDays, progress.stability);
+    const stability =
+      rating === REVIEW_RATINGS.AGAIN
+        ? Math.min(
+            this.nextForgetStability(previousDifficulty, progress.stability, r),
+            progress.stability
+          )
+        : this.nextRecallStability(
+            previousDifficulty,
+            progress.stability,
+            r,
+            rating
+          );
+    const difficulty = this.nextDifficulty(previousDifficulty, grade);
+
+    return {
+      interval: this.nextInterval(stability),
+      stability: round2(stability),
+      difficulty: round2(difficulty),
+    };
+  }
+}
+
+const SCHEDULERS = {
+  [SCHEDULER_TYPES.SM2]: SM2Scheduler,
+  [SCHEDULER_TYPES.FSRS]: FSRSScheduler,
+};
+
+/**
+ * Create the scheduler configured for a flashcard group
+ * @param {string} type - One of SCHEDULER_TYPES (defaults to SM-2)
+ * @param {Object} params - Scheduler parameters stored on the group
+ * @returns {BaseScheduler}
+ */
+export const getScheduler = (type, params = {}) => {
+  const SchedulerClass =
+    SCHEDULERS[type] || SCHEDULERS[SCHEDULER_DEFAULTS.TYPE];
+  return new SchedulerClass(params || {});
+};
+
+/**
+ * Whether a lapse count should flag a card as a leech
+ * Fires at the threshold and again every half threshold after it, so a card
+ * that keeps failing after being unsuspended is caught again
+ * @param {number} lapses - Lapse count after the review
+ * @param {number} threshold - Lapses before a card is a leech
+ * @returns {boolean}
+ */
+export const isLeechLapse = (lapses, threshold) => {
+  if (!threshold || lapses < threshold) return false;
+  return (lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+};
+
+export default {
+  getScheduler,
+  isLeechLapse,
+  migrateProgress,
+  createInitialProgress,
+  SM2Scheduler,
+  FSRSScheduler,
+};
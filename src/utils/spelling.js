@@ -0,0 +1,229 @@
+/**
+ * Spelling Utilities
+ * "Did you mean" suggestions over the dictionary keys:
+ * - edit distance where typos on neighbouring keys, doubled letters and
+ *   swapped letters cost less than other edits
+ * - Double Metaphone keys, so words that sound alike are suggested even when
+ *   they are spelled far apart ("fonetik" → "phonetic")
+ */
+
+import { doubleMetaphone } from "double-metaphone";
+import { SPELLING_DEFAULTS } from "../constants/index.js";
+
+const KEYBOARD_ROWS = ["qwertyuiop", "asdfghjkl", "zxcvbnm"];
+
+// Keys touching each key on a QWERTY keyboard (rows are staggered)
+const ADJACENT_KEYS = (() => {
+  const position = {};
+  KEYBOARD_ROWS.forEach((row, r) =>
+    [...row].forEach((key, c) => (position[key] = [r, c]))
+  );
+
+  const adjacent = {};
+  for (const [key, [r, c]] of Object.entries(position)) {
+    adjacent[key] = new Set(
+      [
+        [r, c - 1],
+        [r, c + 1],
+        [r - 1, c],
+        [r - 1, c + 1],
+        [r + 1, c - 1],
+        [r + 1, c],
+      ]
+        .map(([row, col]) => KEYBOARD_ROWS[row]?.[col])
+        .filter(Boolean)
+    );
+  }
+  return adjacent;
+})();
+
+const COST = {
+  EDIT: 1,
+  ADJACENT_KEY: 0.5,
+  DOUBLED_LETTER: 0.5,
+  TRANSPOSITION: 0.75,
+};
+
+const substitutionCost = (a, b) => {
+  if (a === b) return 0;
+  return ADJACENT_KEYS[a]?.has(b) ? COST.ADJACENT_KEY : COST.EDIT;
+};
+
+/**
+ * Insert/delete cost of s[i]: cheaper when it doubles a neighbouring letter
+ * ("occured" / "occurred")
+ */
+const indelCost = (s, i) =>
+  s[i] === s[i - 1] || s[i] === s[i + 1] ? COST.DOUBLED_LETTER : COST.EDIT;
+
+/**
+ * Keyboard-weighted edit distance (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Stop early and return Infinity above this distance
+ * @returns {number}
+ */
+export const typoDistance = (a, b, max = Infinity) => {
+  if (a === b) return 0;
+
+  const rows = [[0]];
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = rows[0][j - 1] + indelCost(b, j - 1);
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [rows[i - 1][0] + indelCost(a, i - 1)];
+    let rowMin = row[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      let cost = Math.min(
+        rows[i - 1][j] + indelCost(a, i - 1),
+        row[j - 1] + indelCost(b, j - 1),
+        rows[i - 1][j - 1] + substitutionCost(a[i - 1], b[j - 1])
+      );
+      if (
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1] &&
+        a[i - 1] !== a[i - 2]
+      ) {
+        cost = Math.min(cost, rows[i - 2][j - 2] + COST.TRANSPOSITION);
+      }
+      row[j] = cost;
+      rowMin = Math.min(rowMin, cost);
+    }
+
+    if (rowMin > max) return Infinity;
+    rows.push(row);
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Double Metaphone keys of a word (spaces and hyphens ignored)
+ * @returns {Array<string>} Distinct non-empty keys
+ */
+export const phoneticKeys = (word) => {
+  const letters = String(word || "").replace(/[^a-zA-Z]/g, "");
+  if (!letters) return [];
+  return [...new Set(doubleMetaphone(letters))].filter(Boolean);
+};
+
+/**
+ * Largest distance still worth suggesting for a query of this length
+ */
+const maxDistanceFor = (length) => (length <= 4 ? 1 : length <= 8 ? 2 : 3);
+
+// Oxford 3000/5000 levels: more common words win ties
+const SYMBOL_RANK = { a1: 0, a2: 1, b1: 2, b2: 3, c1: 4 };
+
+/**
+ * In-memory index of the dictionary keys and their variants
+ */
+export class SpellingIndex {
+  constructor() {
+    this.byLength = new Map();
+    this.byPhonetic = new Map();
+    this.seen = new Set();
+    this.size = 0;
+  }
+
+  /**
+   * Add an entry and its variants
+   * @param {string} entry - Word key (_id)
+   * @param {Array<string>} variants - Other spellings leading to the entry
+   * @param {string} symbol - CEFR level, used to break ties
+   */
+  add(entry, variants = [], symbol = "") {
+    for (const spelling of [entry, ...variants]) {
+      const word = String(spelling || "")
+        .toLowerCase()
+        .trim();
+      if (!word || this.seen.has(word)) continue;
+      this.seen.add(word);
+
+      const item = { word, entry, symbol, keys: phoneticKeys(word) };
+      if (!this.byLength.has(word.length)) this.byLength.set(word.length, []);
+      this.byLength.get(word.length).push(item);
+      for (const key of item.keys) {
+        if (!this.byPhonetic.has(key)) this.byPhonetic.set(key, []);
+        this.byPhonetic.get(key).push(item);
+      }
+      this.size += 1;
+    }
+  }
+
+  /**
+   * Ranked suggestions for a (misspelled) query
+   * @param {string} query - Normalized query
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array<{ word, entry, distance, phonetic, score }>}
+   */
+  suggest(query, limit = SPELLING_DEFAULTS.LIMIT) {
+    const word = String(query || "")
+      .toLowerCase()
+      .trim();
+    if (!word) return [];
+
+    const maxDistance = maxDistanceFor(word.length);
+    const queryKeys = new Set(phoneticKeys(word));
+    const found = new Map();
+
+    const consider = (item, phonetic) => {
+      if (item.word === word || found.has(item.word)) return;
+      // Sound-alikes may be spelled further apart ("nite" → "night")
+      const limitDistance = phonetic
+        ? maxDistance + SPELLING_DEFAULTS.PHONETIC_EXTRA_DISTANCE
+        : maxDistance;
+      const distance = typoDistance(word, item.word, limitDistance);
+      if (distance > limitDistance) return;
+
+      found.set(item.word, {
+        word: item.word,
+        entry: item.entry,
+        symbol: item.symbol,
+        distance,
+        phonetic,
+        score: distance - (phonetic ? SPELLING_DEFAULTS.PHONETIC_BONUS : 0),
+      });
+    };
+
+    for (const key of queryKeys) {
+      for (const item of this.byPhonetic.get(key) || []) consider(item, true);
+    }
+    for (
+      let length = word.length - maxDistance;
+      length <= word.length + maxDistance;
+      length++
+    ) {
+      for (const item of this.byLength.get(length) || []) {
+        consider(
+          item,
+          item.keys.some((key) => queryKeys.has(key))
+        );
+      }
+    }
+
+    const rank = (s) =>
+      SYMBOL_RANK[s.symbol] ?? Object.keys(SYMBOL_RANK).length;
+    return [...found.values()]
+      .sort(
+        (a, b) =>
+          a.score - b.score ||
+          rank(a) - rank(b) ||
+          Math.abs(a.word.length - word.length) -
+            Math.abs(b.word.length - word.length) ||
+          a.word.localeCompare(b.word)
+      )
+      .slice(0, limit)
+      .map(({ symbol, ...suggestion }) => suggestion);
+  }
+}
+
+export default {
+  typoDistance,
+  phoneticKeys,
+  SpellingIndex,
+};
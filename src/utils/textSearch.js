@@ -0,0 +1,213 @@
+/**
+ * Text Search Utilities
+ * Find which senses of a word matched a full-text query and build
+ * highlighted snippets. Matching mirrors the words text index: whole
+ * tokens, case and diacritic insensitive ("nha" matches "nhà"), no stemming
+ */
+
+import { FULL_TEXT_SEARCH_DEFAULTS } from "../constants/index.js";
+
+const isWordChar = (ch) => Boolean(ch) && /[\p{L}\p{N}]/u.test(ch);
+
+/**
+ * Lowercase and strip diacritics, keeping a map from each folded character
+ * back to its index in the original text
+ * @returns {{ folded: string, map: Array<number> }}
+ */
+const foldWithMap = (text) => {
+  let folded = "";
+  const map = [];
+  const chars = [...String(text || "")];
+  let offset = 0;
+
+  for (const ch of chars) {
+    const base = ch
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[\u0111\u0110]/g, "d")
+      .toLowerCase();
+    for (const b of base) {
+      folded += b;
+      map.push(offset);
+    }
+    offset += ch.length;
+  }
+  map.push(offset);
+  return { folded, map };
+};
+
+export const foldText = (text) => foldWithMap(text).folded;
+
+/**
+ * Terms of a $text query: quoted phrases and single words, without
+ * negated ("-word") terms
+ * @param {string} query - Raw query
+ * @returns {Array<string>} Folded terms
+ */
+export const searchTerms = (query) => {
+  const terms = [];
+  const rest = String(query || "").replace(/-?"([^"]+)"/g, (match, phrase) => {
+    if (!match.startsWith("-")) terms.push(foldText(phrase).trim());
+    return " ";
+  });
+
+  for (const token of rest.split(/\s+/)) {
+    if (!token || token.startsWith("-")) continue;
+    terms.push(
+      ...foldText(token)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+    );
+  }
+  return [...new Set(terms.filter(Boolean))];
+};
+
+/**
+ * Ranges of whole-token matches of the terms in a text
+ * @returns {{ ranges: Array<[number, number]>, matched: Set<string> }}
+ *   ranges are [start, end) in the original text, sorted and merged
+ */
+export const findMatches = (text, terms) => {
+  const { folded, map } = foldWithMap(text);
+  const raw = [];
+  const matched = new Set();
+
+  for (const term of terms) {
+    let from = 0;
+    while (from <= folded.length - term.length) {
+      const at = folded.indexOf(term, from);
+      if (at < 0) break;
+      const end = at + term.length;
+      if (!isWordChar(folded[at - 1]) && !isWordChar(folded[end])) {
+        raw.push([map[at], map[end]]);
+        matched.add(term);
+      }
+      from = at + 1;
+    }
+  }
+
+  raw.sort((a, b) => a[0] - b[0]);
+  const ranges = [];
+  for (const range of raw) {
+    const last = ranges[ranges.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else ranges.push([...range]);
+  }
+  return { ranges, matched };
+};
+
+/**
+ * Cut a text around its first match
+ * @returns {{ text: string, highlights: Array<[number, number]> }}
+ */
+export const buildSnippet = (
+  text,
+  ranges,
+  radius = FULL_TEXT_SEARCH_DEFAULTS.SNIPPET_RADIUS
+) => {
+  const source = String(text || "");
+  if (source.length <= radius * 2 || ranges.length === 0) {
+    return { text: source, highlights: ranges };
+  }
+
+  let start = Math.max(0, ranges[0][0] - radius);
+  let end = Math.min(source.length, ranges[0][1] + radius);
+  // Do not cut words in half
+  while (start > 0 && isWordChar(source[start - 1])) start -= 1;
+  while (end < source.length && isWordChar(source[end])) end += 1;
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < source.length ? "…" : "";
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + shift, e + shift]),
+  };
+};
+
+/**
+ * [field, text] pairs of a sense covered by the words text index
+ */
+const senseFields = (sense) => [
+  ["definition", sense.definition],
+  ["definition_vi", sense.definition_vi],
+  ...(sense.examples || []).flatMap((ex, i) => [
+    [`examples.${i}.en`, ex?.en],
+    [`examples.${i}.vi`, ex?.vi],
+  ]),
+];
+
+const fieldWeight = (field) =>
+  FULL_TEXT_SEARCH_DEFAULTS.WEIGHTS[
+    field.replace(/^examples\.\d+\./, "examples.")
+  ] || 1;
+
+/**
+ * Senses of a word document that match the query terms, best first
+ * @param {Object} wordDoc - Word document
+ * @param {Array<string>} terms - From searchTerms
+ * @param {number} limit - Maximum number of senses
+ * @returns {Array<Object>} { section, pos, title, sense_id, definition,
+ *   score, highlights: [{ field, text, highlights }] }
+ */
+export const matchSenses = (
+  wordDoc,
+  terms,
+  limit = FULL_TEXT_SEARCH_DEFAULTS.MAX_MATCHES_PER_WORD
+) => {
+  if (terms.length === 0) return [];
+  const results = [];
+
+  const scoreSense = (sense, base) => {
+    let score = 0;
+    const highlights = [];
+
+    for (const [field, value] of senseFields(sense)) {
+      if (!value) continue;
+      const { ranges, matched } = findMatches(value, terms);
+      if (ranges.length === 0) continue;
+      score += matched.size * fieldWeight(field);
+      highlights.push({ field, ...buildSnippet(value, ranges) });
+    }
+
+    if (score > 0) {
+      results.push({
+        ...base,
+        sense_id: sense._id,
+        definition: sense.definition,
+        score,
+        highlights,
+      });
+    }
+  };
+
+  for (const page of wordDoc?.data || []) {
+    const pos = page.pos || "";
+    for (const sense of page.senses || []) {
+      scoreSense(sense, { section: "sense", pos, title: page.word });
+    }
+    for (const idiom of page.idioms || []) {
+      for (const sense of idiom.senses || []) {
+        scoreSense(sense, { section: "idiom", pos, title: idiom.word });
+      }
+    }
+    for (const pv of page.phrasal_verb_senses || []) {
+      for (const sense of pv.senses || []) {
+        scoreSense(sense, { section: "phrasal_verb", pos, title: pv.word });
+      }
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+export default {
+  foldText,
+  searchTerms,
+  findMatches,
+  buildSnippet,
+  matchSenses,
+};
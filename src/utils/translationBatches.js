@@ -0,0 +1,148 @@
+/**
+ * Translation Batch Utilities
+ * Pick the senses and examples of a word page that still lack a translation
+ * into a language, and split them into requests for TranslateService that
+ * stay within a token budget
+ */
+
+import { estimateTokens } from "./translationMemory.js";
+import {
+  senseTranslation,
+  exampleTranslation,
+} from "./translationLanguages.js";
+import { TRANSLATION_JOB_TARGETS } from "../constants/index.js";
+
+const isBlank = (value) => value == null || String(value).trim() === "";
+
+/**
+ * The part of a sense that still needs translating for a target, or null
+ */
+const pendingSense = (sense, target, language) => {
+  if (!sense?._id || isBlank(sense.definition)) return null;
+
+  if (target === TRANSLATION_JOB_TARGETS.DEFINITIONS) {
+    return senseTranslation(sense, language)
+      ? null
+      : { _id: sense._id, definition: sense.definition };
+  }
+
+  const examples = (Array.isArray(sense.examples) ? sense.examples : [])
+    .filter(
+      (ex) => ex?._id && !isBlank(ex.en) && !exampleTranslation(ex, language)
+    )
+    .map((ex) => ({ _id: ex._id, en: ex.en }));
+  return examples.length > 0
+    ? { _id: sense._id, definition: sense.definition, examples }
+    : null;
+};
+
+const senseTokens = (sense) =>
+  estimateTokens(
+    [sense.definition, ...(sense.examples || []).map((ex) => ex.en)].join(" ")
+  );
+
+/**
+ * Units of work of a page: one pending sense with the block (idiom or
+ * phrasal verb) it belongs to
+ */
+const pendingUnits = (page, target, language) => {
+  const units = [];
+  const add = (senses, section, block = null) => {
+    for (const sense of Array.isArray(senses) ? senses : []) {
+      const pending = pendingSense(sense, target, language);
+      if (pending) units.push({ section, block, sense: pending });
+    }
+  };
+
+  add(page.senses, "senses");
+  for (const pv of page.phrasal_verb_senses || []) {
+    add(pv.senses, "phrasal_verb_senses", pv);
+  }
+  for (const idiom of page.idioms || []) {
+    add(idiom.senses, "idioms", idiom);
+  }
+  return units;
+};
+
+/**
+ * Word data (the body of /api/translate/*) for a list of units
+ */
+const toWordData = (word, pos, language, units) => {
+  const data = {
+    word,
+    pos,
+    language,
+    senses: [],
+    idioms: [],
+    phrasal_verb_senses: [],
+  };
+  const blocks = new Map();
+
+  for (const { section, block, sense } of units) {
+    if (section === "senses") {
+      data.senses.push(sense);
+      continue;
+    }
+    if (!blocks.has(block)) {
+      const copy = { word: block.word, senses: [] };
+      blocks.set(block, copy);
+      data[section].push(copy);
+    }
+    blocks.get(block).senses.push(sense);
+  }
+  return data;
+};
+
+/**
+ * Requests that translate what a word page is missing for a target, each
+ * carrying at most maxTokens (estimated) of source text; a sense larger
+ * than that goes alone
+ * @param {string} word - Word key (used when the page has no headword)
+ * @param {Object} page - Word page (buildWordPage shape)
+ * @param {string} target - One of TRANSLATION_JOB_TARGETS
+ * @param {number} maxTokens - Budget of one request
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ * @returns {Array<{ wordData: Object, items: number, tokens: number }>}
+ */
+export const buildTranslationBatches = (
+  word,
+  page,
+  target,
+  maxTokens,
+  language
+) => {
+  const batches = [];
+  let units = [];
+  let tokens = 0;
+  let items = 0;
+
+  const flush = () => {
+    if (units.length === 0) return;
+    batches.push({
+      wordData: toWordData(page.word || word, page.pos || "", language, units),
+      items,
+      tokens,
+    });
+    units = [];
+    tokens = 0;
+    items = 0;
+  };
+
+  for (const unit of pendingUnits(page, target, language)) {
+    const cost = senseTokens(unit.sense);
+    if (units.length > 0 && tokens + cost > maxTokens) flush();
+
+    units.push(unit);
+    tokens += cost;
+    items +=
+      target === TRANSLATION_JOB_TARGETS.DEFINITIONS
+        ? 1
+        : unit.sense.examples.length;
+  }
+  flush();
+  return batches;
+};
+
+export default {
+  buildTranslationBatches,
+};
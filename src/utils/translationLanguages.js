@@ -0,0 +1,137 @@
+/**
+ * Translation Language Utilities
+ * Where each target language is stored and how its fields are named.
+ * Vietnamese keeps the original fields (definition_vi, definition_vi_short,
+ * example vi, review); any other language is stored in the `translations`
+ * map of the sense ({ definition, definition_short, review }) or example
+ * ({ text, review }).
+ */
+
+import {
+  TRANSLATION_LANGUAGES,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+
+const CODES = Object.values(TRANSLATION_LANGUAGES);
+
+/**
+ * Whether a language is stored in the original *_vi fields
+ */
+export const isLegacyLanguage = (language) =>
+  language === TRANSLATION_LANGUAGES.VI;
+
+/**
+ * Field names of a language in /api/translate bodies and model answers:
+ * definition_vi, definition_vi_short, vi for Vietnamese; other languages
+ * start with their code (id_definition, id_definition_short, id_text), so
+ * no name reads like an identifier next to _id
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+export const translationFields = (language) =>
+  isLegacyLanguage(language)
+    ? {
+        definition: "definition_vi",
+        definition_short: "definition_vi_short",
+        example: "vi",
+      }
+    : {
+        definition: `${language}_definition`,
+        definition_short: `${language}_definition_short`,
+        example: `${language}_text`,
+      };
+
+/**
+ * Stored paths of a language, relative to a sense (definition,
+ * definition_short, review) or an example (example, review)
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+export const storagePaths = (language) =>
+  isLegacyLanguage(language)
+    ? {
+        definition: "definition_vi",
+        definition_short: "definition_vi_short",
+        example: "vi",
+        review: "review",
+      }
+    : {
+        definition: `translations.${language}.definition`,
+        definition_short: `translations.${language}.definition_short`,
+        example: `translations.${language}.text`,
+        review: `translations.${language}.review`,
+      };
+
+const valueAt = (item, path) =>
+  path.split(".").reduce((value, key) => value?.[key], item);
+
+const hasText = (value) => typeof value === "string" && value.trim() !== "";
+
+/**
+ * Stored review state of a sense or example in a language
+ * @returns {Object|null} { status, reviewed_by, reviewed_at, ... }
+ */
+export const reviewOf = (item, language) =>
+  valueAt(item, storagePaths(language).review) || null;
+
+/**
+ * Translation of a sense into a language
+ * @returns {Object|null} { definition, definition_short, review } or null
+ *   when there is none
+ */
+export const senseTranslation = (sense, language) => {
+  const paths = storagePaths(language);
+  const definition = valueAt(sense, paths.definition);
+  if (!hasText(definition)) return null;
+  return {
+    definition,
+    definition_short: valueAt(sense, paths.definition_short) || "",
+    review: valueAt(sense, paths.review) || null,
+  };
+};
+
+/**
+ * Translation of an example into a language
+ * @returns {Object|null} { text, review } or null when there is none
+ */
+export const exampleTranslation = (example, language) => {
+  const paths = storagePaths(language);
+  const text = valueAt(example, paths.example);
+  if (!hasText(text)) return null;
+  return { text, review: valueAt(example, paths.review) || null };
+};
+
+/**
+ * Language to serve: the requested one when supported, else the first
+ * supported language of an Accept-Language header, else the default
+ * @param {string} requested - e.g. "fr" (already validated)
+ * @param {string} acceptLanguage - e.g. "fr-CA,fr;q=0.9,en;q=0.8"
+ * @returns {string} One of TRANSLATION_LANGUAGES
+ */
+export const pickLanguage = (requested, acceptLanguage) => {
+  if (CODES.includes(requested)) return requested;
+
+  const ranked = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return {
+        code: tag.trim().toLowerCase().split("-")[0],
+        q: q ? Number(q[1]) : 1,
+        index,
+      };
+    })
+    .filter((entry) => entry.q > 0 && CODES.includes(entry.code))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return ranked[0]?.code || TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE;
+};
+
+export default {
+  isLegacyLanguage,
+  translationFields,
+  storagePaths,
+  reviewOf,
+  senseTranslation,
+  exampleTranslation,
+  pickLanguage,
+};
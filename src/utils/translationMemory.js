@@ -0,0 +1,95 @@
+/**
+ * Translation Memory Utilities
+ * Keys of the translation memory: a source text is reused only when its
+ * normalized form and its context (word, pos, idiom) are the same
+ */
+
+import crypto from "crypto";
+import {
+  TRANSLATION_MEMORY_DEFAULTS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+
+/**
+ * Source text as compared by the memory: whitespace collapsed, curly
+ * quotes straightened, case ignored
+ */
+export const normalizeSource = (text) =>
+  String(text || "")
+    .normalize("NFC")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Context fields that take part in the key, normalized
+ * @param {Object} context - { word, pos, idiom }
+ */
+export const normalizeContext = (context = {}) =>
+  Object.fromEntries(
+    TRANSLATION_MEMORY_DEFAULTS.CONTEXT_FIELDS.map((field) => [
+      field,
+      normalizeSource(context[field]),
+    ])
+  );
+
+/**
+ * Memory key of a source text in a context
+ * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+ * @param {string} source - Source text
+ * @param {Object} context - { word, pos, idiom }
+ * @param {string} language - Target language; Vietnamese keys carry no
+ *   language so entries stored before other languages stay valid
+ * @returns {string} sha1 hex
+ */
+export const memoryKey = (
+  kind,
+  source,
+  context = {},
+  language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+) => {
+  const parts = [
+    kind,
+    normalizeSource(source),
+    ...Object.values(normalizeContext(context)),
+  ];
+  if (language !== TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE) parts.push(language);
+  return crypto.createHash("sha1").update(parts.join("\u0000")).digest("hex");
+};
+
+export const estimateTokens = (text) =>
+  Math.ceil(
+    String(text || "").length / TRANSLATION_MEMORY_DEFAULTS.CHARS_PER_TOKEN
+  );
+
+/**
+ * Share the tokens of one model call among the items it translated, in
+ * proportion to the length of their source and translation; that is what
+ * a later memory hit saves
+ * @param {number} totalTokens - usage.total_tokens of the call
+ * @param {Array<{ source: string, translation: Object }>} items
+ * @returns {Array<number>} Tokens per item
+ */
+export const apportionTokens = (totalTokens, items) => {
+  const weights = items.map(
+    ({ source, translation }) =>
+      String(source || "").length + JSON.stringify(translation || {}).length
+  );
+  const sum = weights.reduce((a, b) => a + b, 0);
+  if (!sum || !totalTokens) {
+    return items.map(({ source, translation }) =>
+      estimateTokens(`${source}${JSON.stringify(translation || {})}`)
+    );
+  }
+  return weights.map((w) => Math.round((totalTokens * w) / sum));
+};
+
+export default {
+  normalizeSource,
+  normalizeContext,
+  memoryKey,
+  estimateTokens,
+  apportionTokens,
+};
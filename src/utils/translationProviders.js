@@ -0,0 +1,321 @@
+/**
+ * Translation Providers
+ * Backends that send a translation prompt to a model and return its raw
+ * text answer with token usage. TranslateService builds the prompts and
+ * parses the JSON answer the same way for every provider.
+ *
+ * Interface: complete({ systemPrompt, userPrompt, kind, language, items }, onText)
+ *   → Promise<{ content: string, usage: { prompt_tokens, completion_tokens, total_tokens } }>
+ *   onText (optional) asks for a streamed answer: it is called with each
+ *   piece of text as the model emits it, before the promise resolves
+ */
+
+import axios from "axios";
+import env from "../config/env.js";
+import { estimateTokens } from "./translationMemory.js";
+import { translationFields } from "./translationLanguages.js";
+import {
+  TRANSLATION_PROVIDERS,
+  TRANSLATION_PROVIDER_DEFAULTS,
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+
+const providerError = (message, status = 500) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Google AI Studio (Gemini API)
+ */
+export class GeminiProvider {
+  constructor({ apiKey, model, temperature, maxOutputTokens }) {
+    this.name = TRANSLATION_PROVIDERS.GEMINI;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+    this.client = null;
+  }
+
+  async getModel() {
+    if (!this.apiKey) {
+      throw providerError("Missing GOOGLE_API_KEY in environment");
+    }
+
+    if (!this.client) {
+      // Lazy import Google AI SDK
+      let GoogleGenerativeAI;
+      try {
+        GoogleGenerativeAI = (await import("@google/generative-ai"))
+          .GoogleGenerativeAI;
+      } catch (e) {
+        throw providerError("Google AI SDK not available");
+      }
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+
+    return this.client.getGenerativeModel(
+      { model: this.model },
+      { apiVersion: "v1" }
+    );
+  }
+
+  async complete({ systemPrompt, userPrompt }, onText = null) {
+    const model = await this.getModel();
+
+    const request = {
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }],
+        },
+      ],
+      generationConfig: {
+        maxOutputTokens: this.maxOutputTokens,
+        temperature: this.temperature,
+      },
+    };
+
+    let resp;
+    if (onText) {
+      const result = await model.generateContentStream(request);
+      for await (const chunk of result.stream) {
+        const text = chunk.text?.();
+        if (text) onText(text);
+      }
+      resp = { response: await result.response };
+    } else {
+      resp = await model.generateContent(request);
+    }
+
+    // Extract text content safely
+    let content = "";
+    try {
+      const rawText = resp?.response?.text?.();
+      if (typeof rawText === "string") {
+        content = rawText.trim();
+      } else if (rawText && typeof rawText.trim === "function") {
+        content = rawText.trim();
+      } else {
+        content = String(rawText || "");
+      }
+    } catch (e) {
+      content = String(resp?.response?.text || "");
+    }
+
+    const metadata = resp?.response?.usageMetadata || {};
+    return {
+      content,
+      usage: {
+        prompt_tokens: metadata.promptTokenCount || 0,
+        completion_tokens: metadata.candidatesTokenCount || 0,
+        total_tokens: metadata.totalTokenCount || 0,
+      },
+    };
+  }
+}
+
+/**
+ * Any API that implements OpenAI's POST /chat/completions
+ */
+export class OpenAICompatibleProvider {
+  constructor({ apiKey, baseUrl, model, temperature, maxOutputTokens }) {
+    this.name = TRANSLATION_PROVIDERS.OPENAI;
+    this.apiKey = apiKey;
+    this.baseUrl = String(baseUrl || "").replace(/\/+$/, "");
+    this.model = model;
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+  }
+
+  async complete({ systemPrompt, userPrompt }, onText = null) {
+    if (!this.model) {
+      throw providerError("Missing OPENAI_MODEL in environment");
+    }
+
+    const body = {
+      model: this.model,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxOutputTokens,
+    };
+    const options = {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: TRANSLATION_PROVIDER_DEFAULTS.TIMEOUT_MS,
+    };
+
+    let data;
+    try {
+      data = onText
+        ? await this.streamCompletion(body, options, onText)
+        : (await axios.post(`${this.baseUrl}/chat/completions`, body, options))
+            .data;
+    } catch (e) {
+      const detail = e.response?.data?.error?.message || e.message;
+      throw providerError(
+        `Translation provider request failed: ${detail}`,
+        502
+      );
+    }
+
+    const content = String(data?.choices?.[0]?.message?.content || "").trim();
+    return {
+      content,
+      usage: {
+        prompt_tokens: data?.usage?.prompt_tokens || 0,
+        completion_tokens: data?.usage?.completion_tokens || 0,
+        total_tokens: data?.usage?.total_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * Chat completion with stream: true, read event by event
+   * @returns {Promise<Object>} The answer in the shape of a non-streamed
+   *   response ({ choices: [{ message: { content } }], usage })
+   */
+  async streamCompletion(body, options, onText) {
+    const { data: stream } = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      { ...body, stream: true, stream_options: { include_usage: true } },
+      { ...options, responseType: "stream" }
+    );
+    stream.setEncoding("utf8");
+
+    let content = "";
+    let usage = null;
+    let buffer = "";
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === "[DONE]") continue;
+
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch {
+          continue;
+        }
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onText(text);
+        }
+        if (event.usage) usage = event.usage;
+      }
+    }
+
+    return { choices: [{ message: { content } }], usage };
+  }
+}
+
+// Size of the pieces a streamed stub answer is emitted in
+const STUB_CHUNK_CHARS = 64;
+
+/**
+ * Offline provider for tests and local development: answers every item
+ * with a marked copy of its source, the same way on every call
+ */
+export class StubProvider {
+  constructor() {
+    this.name = TRANSLATION_PROVIDERS.STUB;
+  }
+
+  async complete(
+    {
+      systemPrompt,
+      userPrompt,
+      kind,
+      language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE,
+      items = [],
+    },
+    onText = null
+  ) {
+    const fields = translationFields(language);
+    const translate = (text) => `[${language}] ${text}`;
+    const result =
+      kind === TRANSLATION_MEMORY_KINDS.EXAMPLE
+        ? {
+            examples: items.map((item) => ({
+              _id: String(item._id),
+              [fields.example]: translate(item.source),
+            })),
+          }
+        : {
+            definitions: items.map((item) => ({
+              _id: String(item._id),
+              [fields.definition]: translate(item.source),
+              [fields.definition_short]: translate(
+                item.source.split(/\s+/).slice(0, 3).join(" ")
+              ),
+            })),
+          };
+
+    const content = JSON.stringify(result);
+    if (onText) {
+      for (let i = 0; i < content.length; i += STUB_CHUNK_CHARS) {
+        onText(content.slice(i, i + STUB_CHUNK_CHARS));
+      }
+    }
+    const prompt_tokens = estimateTokens(`${systemPrompt}\n\n${userPrompt}`);
+    const completion_tokens = estimateTokens(content);
+    return {
+      content,
+      usage: {
+        prompt_tokens,
+        completion_tokens,
+        total_tokens: prompt_tokens + completion_tokens,
+      },
+    };
+  }
+}
+
+/**
+ * Provider selected by configuration
+ * @param {Object} config - Defaults to the environment config (env.js)
+ * @returns {GeminiProvider|OpenAICompatibleProvider|StubProvider}
+ */
+export const createTranslationProvider = (config = env) => {
+  const name = String(config.TRANSLATE_PROVIDER || "").toLowerCase();
+  const params = {
+    temperature: config.TRANSLATE_TEMPERATURE,
+    maxOutputTokens: config.TRANSLATE_MAX_OUTPUT_TOKENS,
+  };
+
+  switch (name) {
+    case TRANSLATION_PROVIDERS.GEMINI:
+      return new GeminiProvider({
+        ...params,
+        apiKey: config.GOOGLE_API_KEY,
+        model: config.TRANSLATE_MODEL || config.GOOGLE_MODEL,
+      });
+    case TRANSLATION_PROVIDERS.OPENAI:
+      return new OpenAICompatibleProvider({
+        ...params,
+        apiKey: config.OPENAI_API_KEY,
+        baseUrl: config.OPENAI_BASE_URL,
+        model: config.TRANSLATE_MODEL || config.OPENAI_MODEL,
+      });
+    case TRANSLATION_PROVIDERS.STUB:
+      return new StubProvider();
+    default:
+      throw providerError(
+        `Unknown TRANSLATE_PROVIDER "${
+          config.TRANSLATE_PROVIDER
+        }" (expected ${Object.values(TRANSLATION_PROVIDERS).join(", ")})`
+      );
+  }
+};
+
+export default createTranslationProvider;
@@ -0,0 +1,142 @@
+/**
+ * Translation Review Utilities
+ * Review state of translated senses (definition_vi) and examples (vi):
+ * { status, reviewed_by, reviewed_at } under `review`. Translations written
+ * before reviews existed have no state and count as machine output.
+ * Other languages keep their own review next to their translation.
+ */
+
+import {
+  TRANSLATION_REVIEW_STATUS,
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_LANGUAGE_DEFAULTS,
+} from "../constants/index.js";
+import {
+  reviewOf,
+  senseTranslation,
+  exampleTranslation,
+} from "./translationLanguages.js";
+
+/**
+ * Review state stored with machine output
+ */
+export const machineReview = () => ({
+  status: TRANSLATION_REVIEW_STATUS.MACHINE,
+  reviewed_by: null,
+  reviewed_at: null,
+});
+
+/**
+ * Review status of a translated item, or null when it has no translation
+ * and was never reviewed
+ * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+ * @param {Object} item - Sense or example
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+export const reviewStatusOf = (
+  kind,
+  item,
+  language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+) => {
+  const review = item && reviewOf(item, language);
+  if (review?.status) return review.status;
+  const translation =
+    kind === TRANSLATION_MEMORY_KINDS.DEFINITION
+      ? senseTranslation(item || {}, language)
+      : exampleTranslation(item || {}, language);
+  return translation ? TRANSLATION_REVIEW_STATUS.MACHINE : null;
+};
+
+// What learners see: whether and when a person checked the translation
+const publicReview = (kind, item) => {
+  const status = reviewStatusOf(kind, item);
+  if (!status) {
+    const { review, ...rest } = item;
+    return rest;
+  }
+  return {
+    ...item,
+    review: { status, reviewed_at: item.review?.reviewed_at || null },
+  };
+};
+
+// The item with its translation in the requested language in place of
+// the stored map
+const withTranslation = (kind, item, language) => {
+  const { translations, ...rest } = publicReview(kind, item);
+  const translation =
+    kind === TRANSLATION_MEMORY_KINDS.DEFINITION
+      ? senseTranslation(item, language)
+      : exampleTranslation(item, language);
+  if (!translation) return rest;
+  return {
+    ...rest,
+    translation: {
+      ...translation,
+      review: {
+        status: reviewStatusOf(kind, item, language),
+        reviewed_at: translation.review?.reviewed_at || null,
+      },
+    },
+  };
+};
+
+const publicExample = (ex, language) =>
+  ex && typeof ex === "object"
+    ? withTranslation(TRANSLATION_MEMORY_KINDS.EXAMPLE, ex, language)
+    : ex;
+
+const publicSense = (sense, language) =>
+  sense && typeof sense === "object"
+    ? {
+        ...withTranslation(
+          TRANSLATION_MEMORY_KINDS.DEFINITION,
+          sense,
+          language
+        ),
+        ...(Array.isArray(sense.examples) && {
+          examples: sense.examples.map((ex) => publicExample(ex, language)),
+        }),
+      }
+    : sense;
+
+const publicBlock = (block, language) =>
+  block && Array.isArray(block.senses)
+    ? {
+        ...block,
+        senses: block.senses.map((sense) => publicSense(sense, language)),
+      }
+    : block;
+
+/**
+ * Word pages for lookups: every translation carries its review status
+ * (reviewer ids are left out). Senses and examples also get `translation`
+ * in the requested language ({ definition, definition_short, review } or
+ * { text, review }); the Vietnamese fields are kept as they are.
+ * @param {Array<Object>} pages - Word pages
+ * @param {string} language - One of TRANSLATION_LANGUAGES
+ */
+export const publicPages = (
+  pages,
+  language = TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+) =>
+  (pages || []).map((page) => ({
+    ...page,
+    ...(Array.isArray(page.senses) && {
+      senses: page.senses.map((sense) => publicSense(sense, language)),
+    }),
+    ...(Array.isArray(page.idioms) && {
+      idioms: page.idioms.map((block) => publicBlock(block, language)),
+    }),
+    ...(Array.isArray(page.phrasal_verb_senses) && {
+      phrasal_verb_senses: page.phrasal_verb_senses.map((block) =>
+        publicBlock(block, language)
+      ),
+    }),
+  }));
+
+export default {
+  machineReview,
+  reviewStatusOf,
+  publicPages,
+};
@@ -0,0 +1,291 @@
+/**
+ * Word Edit Utilities
+ * Apply admin edits to the editable fields of a word and describe them as a
+ * JSON diff. Edits address values by dot paths with array indexes
+ * ("data.0.senses.2.definition_vi").
+ */
+
+import { isDeepStrictEqual } from "util";
+import { ObjectId } from "mongodb";
+import {
+  WORD_EDITABLE_FIELDS,
+  WORD_EDIT_RESERVED_KEYS,
+} from "../constants/index.js";
+import { ValidationError } from "../errors/AppError.js";
+
+/**
+ * JSON form of a value (ObjectIds become hex strings)
+ */
+export const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Editable fields of a word document, in JSON form
+ */
+export const pickEditable = (wordDoc) =>
+  toPlain(
+    Object.fromEntries(
+      WORD_EDITABLE_FIELDS.map((field) => [field, wordDoc?.[field] ?? null])
+    )
+  );
+
+const parsePath = (path) =>
+  String(path)
+    .split(".")
+    .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment));
+
+/**
+ * Apply a list of changes to editable fields
+ * @param {Object} fields - From pickEditable (not modified)
+ * @param {Array<{ op: string, path: string, value?: any }>} changes
+ *   op "set": replace an array item or set an object key
+ *   op "insert": insert into an array (index = length appends)
+ *   op "remove": remove an array item or an object key
+ * @returns {Object} Edited copy
+ * @throws {ValidationError} When a path does not fit the document
+ */
+export const applyChanges = (fields, changes) => {
+  const result = toPlain(fields);
+  const errors = [];
+
+  changes.forEach(({ op, path, value }, i) => {
+    const fail = (message) =>
+      errors.push({ field: `changes[${i}].path`, message });
+
+    const segments = parsePath(path);
+    if (segments.some((segment) => WORD_EDIT_RESERVED_KEYS.includes(segment))) {
+      return fail(`"${path}" uses a reserved key`);
+    }
+    if (!WORD_EDITABLE_FIELDS.includes(segments[0])) {
+      return fail(`"${segments[0]}" is not an editable field`);
+    }
+    if (segments[segments.length - 1] === "_id") {
+      return fail("Ids can't be edited");
+    }
+    if (segments.length === 1 && op !== "set") {
+      return fail(`Only "set" applies to a whole field`);
+    }
+
+    // Own properties only: nothing is reached through a prototype
+    let parent = result;
+    for (const segment of segments.slice(0, -1)) {
+      parent =
+        parent !== null &&
+        typeof parent === "object" &&
+        Object.hasOwn(parent, segment)
+          ? parent[segment]
+          : undefined;
+      if (parent === null || typeof parent !== "object") {
+        return fail(`"${path}" does not exist`);
+      }
+    }
+
+    const key = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+      if (typeof key !== "number") {
+        return fail(`"${path}" must end with an array index`);
+      }
+      const max = op === "insert" ? parent.length : parent.length - 1;
+      if (key > max) return fail(`Index ${key} is out of range in "${path}"`);
+
+      if (op === "set") parent[key] = toPlain(value);
+      else if (op === "insert") parent.splice(key, 0, toPlain(value));
+      else parent.splice(key, 1);
+    } else {
+      if (op === "insert") return fail(`"${path}" is not in an array`);
+      if (op === "remove") {
+        if (!Object.hasOwn(parent, key)) {
+          return fail(`"${path}" does not exist`);
+        }
+        delete parent[key];
+      } else {
+        parent[key] = toPlain(value);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid word changes", errors);
+  }
+  return result;
+};
+
+/**
+ * Problems with the shape of edited fields
+ * @returns {Array<{ field: string, message: string }>}
+ */
+export const validateEditable = (fields) => {
+  const errors = [];
+  const isStringList = (value) =>
+    Array.isArray(value) && value.every((v) => typeof v === "string");
+
+  if (!Array.isArray(fields.data) || !fields.data.every(isObject)) {
+    errors.push({ field: "data", message: "data must be a list of pages" });
+  } else {
+    fields.data.forEach((page, i) => {
+      for (const list of ["senses", "idioms", "phrasal_verb_senses"]) {
+        if (page[list] !== undefined && !Array.isArray(page[list])) {
+          errors.push({
+            field: `data.${i}.${list}`,
+            message: `${list} must be a list`,
+          });
+        }
+      }
+    });
+  }
+  if (fields.variants !== null && !isStringList(fields.variants)) {
+    errors.push({ field: "variants", message: "variants must be strings" });
+  }
+  if (
+    fields.parts_of_speech !== null &&
+    !isStringList(fields.parts_of_speech)
+  ) {
+    errors.push({
+      field: "parts_of_speech",
+      message: "parts_of_speech must be strings",
+    });
+  }
+  if (fields.symbol !== null && typeof fields.symbol !== "string") {
+    errors.push({ field: "symbol", message: "symbol must be a string" });
+  }
+  return errors;
+};
+
+const toObjectId = (id) => {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(String(id ?? "")) && String(id).length === 24
+    ? new ObjectId(String(id))
+    : new ObjectId();
+};
+
+const withId = (item) =>
+  isObject(item) ? { ...item, _id: toObjectId(item._id) } : item;
+
+const mapList = (list, fn) => (Array.isArray(list) ? list.map(fn) : list);
+
+// Map the lists of an item that has them (no undefined keys are added)
+const mapLists = (item, fns) => {
+  const result = withId(item);
+  for (const [key, fn] of Object.entries(fns)) {
+    if (key in item) result[key] = mapList(item[key], fn);
+  }
+  return result;
+};
+
+const normalizeSense = (sense) =>
+  isObject(sense) ? mapLists(sense, { examples: withId }) : sense;
+
+const normalizeBlock = (block) =>
+  isObject(block) ? mapLists(block, { senses: normalizeSense }) : block;
+
+/**
+ * Pages with ObjectIds back in place: ids kept from JSON strings, new
+ * pages, idioms, phrasal verbs, senses and examples get a fresh id (the
+ * shape of buildWordPage)
+ */
+export const restoreIds = (pages) =>
+  mapList(pages, (page) =>
+    isObject(page)
+      ? mapLists(page, {
+          senses: normalizeSense,
+          idioms: normalizeBlock,
+          phrasal_verb_senses: normalizeBlock,
+        })
+      : page
+  );
+
+const join = (path, key) => (path === "" ? String(key) : `${path}.${key}`);
+
+/**
+ * Arrays whose items all carry an _id and keep their relative order are
+ * compared item by item by id, so inserting one sense is one "add"
+ */
+const diffById = (before, after, path) => {
+  const ids = (list) =>
+    list.every((item) => isObject(item) && item._id)
+      ? list.map((item) => String(item._id))
+      : null;
+  const beforeIds = ids(before);
+  const afterIds = ids(after);
+  if (!beforeIds || !afterIds) return null;
+
+  const common = beforeIds.filter((id) => afterIds.includes(id));
+  const commonAfter = afterIds.filter((id) => beforeIds.includes(id));
+  if (!isDeepStrictEqual(common, commonAfter)) return null;
+
+  const changes = [];
+  beforeIds.forEach((id, i) => {
+    if (!afterIds.includes(id)) {
+      changes.push({ op: "remove", path: join(path, i), before: before[i] });
+    }
+  });
+  afterIds.forEach((id, i) => {
+    const j = beforeIds.indexOf(id);
+    if (j < 0) {
+      changes.push({ op: "add", path: join(path, i), after: after[i] });
+    } else {
+      changes.push(...diffJson(before[j], after[i], join(path, i)));
+    }
+  });
+  return changes;
+};
+
+/**
+ * Changes between two JSON values
+ * Paths of "remove" use indexes of the old array, others of the new one
+ * @returns {Array<{ op: "add"|"remove"|"replace", path, before?, after? }>}
+ */
+export const diffJson = (before, after, path = "") => {
+  if (isDeepStrictEqual(before, after)) return [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const byId = diffById(before, after, path);
+    if (byId) return byId;
+
+    const changes = [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i >= before.length) {
+        changes.push({ op: "add", path: join(path, i), after: after[i] });
+      } else if (i >= after.length) {
+        changes.push({ op: "remove", path: join(path, i), before: before[i] });
+      } else {
+        changes.push(...diffJson(before[i], after[i], join(path, i)));
+      }
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    for (const key of new Set([
+      ...Object.keys(before),
+      ...Object.keys(after),
+    ])) {
+      if (!Object.hasOwn(after, key)) {
+        changes.push({
+          op: "remove",
+          path: join(path, key),
+          before: before[key],
+        });
+      } else if (!Object.hasOwn(before, key)) {
+        changes.push({ op: "add", path: join(path, key), after: after[key] });
+      } else {
+        changes.push(...diffJson(before[key], after[key], join(path, key)));
+      }
+    }
+    return changes;
+  }
+
+  return [{ op: "replace", path, before, after }];
+};
+
+export default {
+  toPlain,
+  pickEditable,
+  applyChanges,
+  validateEditable,
+  restoreIds,
+  diffJson,
+};
@@ -0,0 +1,311 @@
+/**
+ * Word Graph
+ * Relationship graph between words built from the synonyms, opposites and
+ * see-alsos of their senses. Link texts are resolved to word ids through the
+ * word keys and variants; texts that match no stored word stay as
+ * unresolved nodes.
+ */
+
+import { normalizeKey } from "./variants.js";
+import { WORD_RELATION_TYPES } from "../constants/index.js";
+
+// Sense fields holding each relation
+const RELATION_FIELDS = {
+  [WORD_RELATION_TYPES.SYNONYM]: "synonyms",
+  [WORD_RELATION_TYPES.OPPOSITE]: "opposites",
+  [WORD_RELATION_TYPES.SEE_ALSO]: "see_alsos",
+};
+
+const ALL_TYPES = Object.values(WORD_RELATION_TYPES);
+
+/**
+ * Senses of a word document with where they come from
+ * @returns {Array<{ sense: Object, context: Object }>}
+ */
+const collectSenses = (pages = []) => {
+  const senses = [];
+  for (const page of pages) {
+    const pos = page?.pos || "";
+    for (const sense of page?.senses || []) {
+      senses.push({ sense, context: { section: "sense", pos } });
+    }
+    for (const idiom of page?.idioms || []) {
+      for (const sense of idiom.senses || []) {
+        senses.push({
+          sense,
+          context: { section: "idiom", pos, title: idiom.word },
+        });
+      }
+    }
+    for (const pv of page?.phrasal_verb_senses || []) {
+      for (const sense of pv.senses || []) {
+        senses.push({
+          sense,
+          context: { section: "phrasal_verb", pos, title: pv.word },
+        });
+      }
+    }
+  }
+  return senses;
+};
+
+export class WordGraph {
+  constructor() {
+    // id -> { id, resolved, symbol }
+    this.nodes = new Map();
+    // Normalized spelling -> word id
+    this.keys = new Map();
+    // "source|target|type" -> { source, target, type, senses }
+    this.edges = new Map();
+    // id -> Set of edge keys touching the node
+    this.adjacency = new Map();
+  }
+
+  get size() {
+    return { nodes: this.nodes.size, edges: this.edges.size };
+  }
+
+  /**
+   * Register a stored word and its variants (before adding relations)
+   * @param {string} id - Word key (_id)
+   * @param {Array<string>} variants - Other spellings of the word
+   * @param {string} symbol - CEFR level
+   */
+  addWord(id, variants = [], symbol = "") {
+    this.nodes.set(id, { id, resolved: true, symbol: symbol || null });
+    this.keys.set(id, id);
+    for (const variant of variants) {
+      const key = normalizeKey(variant);
+      // A word's own key wins over another word's variant
+      if (key && !this.keys.has(key)) this.keys.set(key, id);
+    }
+  }
+
+  /**
+   * Word id of a link text, or its normalized text when no word matches
+   */
+  resolve(text) {
+    const key = normalizeKey(text);
+    return this.keys.get(key) || key;
+  }
+
+  /**
+   * Add the relations found in the senses of a stored word
+   * @param {string} id - Word key
+   * @param {Array<Object>} pages - words.data
+   */
+  addRelations(id, pages = []) {
+    for (const { sense, context } of collectSenses(pages)) {
+      for (const [type, field] of Object.entries(RELATION_FIELDS)) {
+        for (const text of sense[field] || []) {
+          const target = this.resolve(text);
+          if (!target || target === id) continue;
+
+          if (!this.nodes.has(target)) {
+            this.nodes.set(target, {
+              id: target,
+              resolved: false,
+              symbol: null,
+            });
+          }
+
+          const key = `${id}|${target}|${type}`;
+          if (!this.edges.has(key)) {
+            this.edges.set(key, { source: id, target, type, senses: [] });
+            this.link(id, key);
+            this.link(target, key);
+          }
+          this.edges.get(key).senses.push({
+            ...context,
+            sense_id: sense._id ?? null,
+            definition: sense.definition || "",
+          });
+        }
+      }
+    }
+  }
+
+  link(id, edgeKey) {
+    if (!this.adjacency.has(id)) this.adjacency.set(id, new Set());
+    this.adjacency.get(id).add(edgeKey);
+  }
+
+  /**
+   * Edges touching a node, in both directions, limited to some types
+   * @returns {Array<{ edge: Object, other: string, direction: string }>}
+   */
+  edgesOf(id, types = ALL_TYPES) {
+    const result = [];
+    for (const key of this.adjacency.get(id) || []) {
+      const edge = this.edges.get(key);
+      if (!types.includes(edge.type)) continue;
+      const outgoing = edge.source === id;
+      result.push({
+        edge,
+        other: outgoing ? edge.target : edge.source,
+        direction: outgoing ? "out" : "in",
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Words related to a word, one entry per (word, relation type)
+   * direction is "out" when this word lists the other one, "in" when the
+   * other word lists this one, "both" when they list each other
+   * @param {string} id - Word id
+   * @param {Object} options - { types, limit }
+   */
+  neighbours(id, { types = ALL_TYPES, limit = Infinity } = {}) {
+    const byKey = new Map();
+
+    for (const { edge, other, direction } of this.edgesOf(id, types)) {
+      const key = `${other}|${edge.type}`;
+      const existing = byKey.get(key);
+      if (existing) {
+        if (existing.direction !== direction) existing.direction = "both";
+        existing.senses.push(...edge.senses);
+        continue;
+      }
+      byKey.set(key, {
+        word: other,
+        resolved: this.nodes.get(other).resolved,
+        symbol: this.nodes.get(other).symbol,
+        type: edge.type,
+        direction,
+        senses: [...edge.senses],
+      });
+    }
+
+    return [...byKey.values()]
+      .sort(
+        (a, b) =>
+          ALL_TYPES.indexOf(a.type) - ALL_TYPES.indexOf(b.type) ||
+          Number(b.resolved) - Number(a.resolved) ||
+          a.word.localeCompare(b.word)
+      )
+      .slice(0, limit);
+  }
+
+  /**
+   * Shortest path between two words, following relations in either
+   * direction (breadth-first)
+   * @param {string} from - Word id
+   * @param {string} to - Word id
+   * @param {Object} options - { types, maxDepth }
+   * @returns {Object|null} { words, steps: [{ source, target, type, direction }] }
+   */
+  shortestPath(from, to, { types = ALL_TYPES, maxDepth = Infinity } = {}) {
+    if (!this.nodes.has(from) || !this.nodes.has(to)) return null;
+    if (from === to) return { words: [from], steps: [] };
+
+    // id -> { previous, edge, direction }
+    const visited = new Map([[from, null]]);
+    let frontier = [from];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const { edge, other, direction } of this.edgesOf(id, types)) {
+          if (visited.has(other)) continue;
+          visited.set(other, { previous: id, edge, direction });
+          if (other === to) return this.buildPath(visited, to);
+          next.push(other);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  }
+
+  buildPath(visited, to) {
+    const words = [to];
+    const steps = [];
+    for (let step = visited.get(to); step; step = visited.get(step.previous)) {
+      words.unshift(step.previous);
+      steps.unshift({
+        source: step.edge.source,
+        target: step.edge.target,
+        type: step.edge.type,
+        direction: step.direction,
+      });
+    }
+    return { words, steps };
+  }
+
+  /**
+   * Nodes within some hops of a word and the edges between them, in a
+   * node/edge format ready for graph visualisation
+   * @param {string} id - Center word id
+   * @param {Object} options - { types, depth, maxNodes }
+   * @returns {{ nodes: Array<Object>, edges: Array<Object>, truncated: boolean }}
+   */
+  subgraph(id, { types = ALL_TYPES, depth = 1, maxNodes = Infinity } = {}) {
+    const depths = new Map([[id, 0]]);
+    let frontier = [id];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const { other } of this.edgesOf(current, types)) {
+          if (depths.has(other)) continue;
+          if (depths.size >= maxNodes) {
+            truncated = true;
+            break;
+          }
+          depths.set(other, level);
+          next.push(other);
+        }
+      }
+      frontier = next;
+    }
+
+    const edges = [];
+    for (const node of depths.keys()) {
+      for (const { edge, direction } of this.edgesOf(node, types)) {
+        // Each edge once, from its source side
+        if (direction !== "out" || !depths.has(edge.target)) continue;
+        edges.push({
+          id: `${edge.source}|${edge.target}|${edge.type}`,
+          source: edge.source,
+          target: edge.target,
+          type: edge.type,
+          weight: edge.senses.length,
+        });
+      }
+    }
+
+    const nodes = [...depths].map(([nodeId, level]) => ({
+      id: nodeId,
+      label: nodeId,
+      resolved: this.nodes.get(nodeId).resolved,
+      symbol: this.nodes.get(nodeId).symbol,
+      depth: level,
+    }));
+
+    return { nodes, edges, truncated };
+  }
+}
+
+/**
+ * Build the graph of a set of word documents
+ * @param {Array<Object>} words - { _id, variants, symbol, data }
+ * @returns {WordGraph}
+ */
+export const buildWordGraph = (words = []) => {
+  const graph = new WordGraph();
+  // All words first, so link texts resolve to words stored later in the list
+  for (const word of words) {
+    graph.addWord(word._id, word.variants || [], word.symbol || "");
+  }
+  for (const word of words) {
+    graph.addRelations(word._id, word.data || []);
+  }
+  return graph;
+};
+
+export default {
+  WordGraph,
+  buildWordGraph,
+};
@@ -0,0 +1,396 @@
+/**
+ * Word Merge Utilities
+ * Merge freshly parsed Oxford pages into the pages stored in words.data,
+ * keeping the ids and translations of senses and examples that survived,
+ * and describe what changed
+ */
+
+import { isDeepStrictEqual } from "util";
+import { buildWordPage } from "./crawl.js";
+import {
+  senseTranslation,
+  exampleTranslation,
+} from "./translationLanguages.js";
+import {
+  WORD_REFRESH_DEFAULTS,
+  TRANSLATION_LANGUAGES,
+} from "../constants/index.js";
+
+// Page fields compared in the diff (senses, idioms... are compared item by item)
+const PAGE_FIELDS = [
+  "word",
+  "pos",
+  "symbol",
+  "phonetic",
+  "phonetic_text",
+  "phonetic_am",
+  "phonetic_am_text",
+  "variants",
+  "grammar",
+  "labels",
+  "inflections",
+  "inflection_of",
+  "phrasal_verbs",
+];
+
+const normalizeText = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Dice similarity of the word sets of two texts (0-1)
+ */
+export const textSimilarity = (a, b) => {
+  const wordsA = new Set(normalizeText(a).split(" ").filter(Boolean));
+  const wordsB = new Set(normalizeText(b).split(" ").filter(Boolean));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const w of wordsA) if (wordsB.has(w)) shared += 1;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Pair new items with old ones: equal keys first, then the most similar
+ * remaining pairs above the threshold
+ * @returns {Array<number|null>} Old index for each new item
+ */
+export const matchItems = (
+  oldItems,
+  newItems,
+  getKey,
+  threshold = WORD_REFRESH_DEFAULTS.MATCH_THRESHOLD
+) => {
+  const matches = newItems.map(() => null);
+  const usedOld = new Set();
+
+  newItems.forEach((item, newIndex) => {
+    const key = normalizeText(getKey(item));
+    const oldIndex = oldItems.findIndex(
+      (old, i) => !usedOld.has(i) && normalizeText(getKey(old)) === key
+    );
+    if (oldIndex >= 0) {
+      matches[newIndex] = oldIndex;
+      usedOld.add(oldIndex);
+    }
+  });
+
+  if (threshold >= 1) return matches;
+
+  const candidates = [];
+  newItems.forEach((item, newIndex) => {
+    if (matches[newIndex] !== null) return;
+    oldItems.forEach((old, oldIndex) => {
+      if (usedOld.has(oldIndex)) return;
+      const score = textSimilarity(getKey(old), getKey(item));
+      if (score >= threshold) candidates.push({ newIndex, oldIndex, score });
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { newIndex, oldIndex } of candidates) {
+    if (matches[newIndex] !== null || usedOld.has(oldIndex)) continue;
+    matches[newIndex] = oldIndex;
+    usedOld.add(oldIndex);
+  }
+
+  return matches;
+};
+
+const comparable = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+// Whether a sense definition or an example is translated, in any language
+const isSenseTranslated = (sense) =>
+  Object.values(TRANSLATION_LANGUAGES).some(
+    (language) => senseTranslation(sense, language) !== null
+  );
+const isExampleTranslated = (example) =>
+  Object.values(TRANSLATION_LANGUAGES).some(
+    (language) => exampleTranslation(example, language) !== null
+  );
+
+// Whether a sense or one of its examples is translated
+const hasTranslation = (sense) =>
+  isSenseTranslated(sense) || (sense?.examples || []).some(isExampleTranslated);
+
+// Translated sense definitions and examples of a sense
+const countTranslated = (sense) =>
+  (isSenseTranslated(sense) ? 1 : 0) +
+  (sense?.examples || []).filter(isExampleTranslated).length;
+
+// Fields owned by the stored item even when the parser outputs them empty
+// (examples come out of the parser with vi: "")
+const TRANSLATION_KEYS = [
+  "vi",
+  "definition_vi",
+  "definition_vi_short",
+  "translations",
+  "review",
+];
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+/**
+ * Keep the id of an old item, its translations and every field the parser
+ * does not produce (anything added after the crawl)
+ */
+const carryOver = (oldItem, parsedItem, builtItem, skip = []) => {
+  const carried = Object.fromEntries(
+    Object.entries(oldItem).filter(
+      ([key]) =>
+        !skip.includes(key) &&
+        (!(key in parsedItem) ||
+          (TRANSLATION_KEYS.includes(key) && isBlank(parsedItem[key])))
+    )
+  );
+  return { ...builtItem, ...carried, _id: oldItem._id || builtItem._id };
+};
+
+const createDiff = () => ({
+  pages: { added: [], removed: [] },
+  fields: [],
+  senses: { added: [], removed: [], changed: [] },
+  idioms: { added: [], removed: [] },
+  phrasal_verbs: { added: [], removed: [] },
+  examples: { added: 0, removed: 0 },
+  // Translated sense definitions and examples kept or lost by the merge
+  translations_kept: 0,
+  translations_dropped: 0,
+});
+
+const mergeExamples = (oldExamples, parsedExamples, builtExamples, diff) => {
+  const matches = matchItems(oldExamples, parsedExamples, (ex) => ex.en);
+  const used = new Set(matches.filter((m) => m !== null));
+
+  diff.examples.added += matches.filter((m) => m === null).length;
+  diff.examples.removed += oldExamples.length - used.size;
+  diff.translations_dropped += oldExamples.filter(
+    (old, i) => !used.has(i) && isExampleTranslated(old)
+  ).length;
+
+  return builtExamples.map((built, i) => {
+    if (matches[i] === null) return built;
+
+    const old = oldExamples[matches[i]];
+    const merged = carryOver(old, parsedExamples[i], built);
+    if (isExampleTranslated(old)) {
+      if (isExampleTranslated(merged)) diff.translations_kept += 1;
+      else diff.translations_dropped += 1;
+    }
+    return merged;
+  });
+};
+
+/**
+ * Merge one list of senses (main senses, or the senses of one idiom /
+ * phrasal verb)
+ */
+const mergeSenses = (oldSenses, parsedSenses, builtSenses, section, diff) => {
+  const matches = matchItems(oldSenses, parsedSenses, (s) => s.definition);
+  const used = new Set(matches.filter((m) => m !== null));
+
+  oldSenses.forEach((old, i) => {
+    if (used.has(i)) return;
+    diff.senses.removed.push({
+      section,
+      _id: old._id,
+      definition: old.definition,
+      had_translation: hasTranslation(old),
+    });
+    diff.translations_dropped += countTranslated(old);
+  });
+
+  return builtSenses.map((built, i) => {
+    const parsed = parsedSenses[i];
+    if (matches[i] === null) {
+      diff.senses.added.push({ section, definition: parsed.definition });
+      return built;
+    }
+
+    const old = oldSenses[matches[i]];
+    const merged = carryOver(old, parsed, built, ["examples"]);
+    merged.examples = mergeExamples(
+      old.examples || [],
+      parsed.examples || [],
+      built.examples,
+      diff
+    );
+
+    const changedFields = Object.keys(parsed).filter((key) =>
+      key === "examples"
+        ? !isDeepStrictEqual(
+            (old.examples || []).map((ex) => ex.en),
+            parsed.examples.map((ex) => ex.en)
+          )
+        : !isDeepStrictEqual(comparable(old[key]), comparable(parsed[key]))
+    );
+    if (changedFields.length > 0) {
+      diff.senses.changed.push({
+        section,
+        _id: merged._id,
+        fields: changedFields,
+        from: old.definition,
+        to: parsed.definition,
+      });
+    }
+    if (isSenseTranslated(old)) {
+      if (isSenseTranslated(merged)) diff.translations_kept += 1;
+      else diff.translations_dropped += 1;
+    }
+
+    return merged;
+  });
+};
+
+/**
+ * Merge idioms or phrasal verbs, matched by their exact text
+ */
+const mergeBlocks = (
+  oldBlocks,
+  parsedBlocks,
+  builtBlocks,
+  label,
+  blockDiff,
+  diff
+) => {
+  const matches = matchItems(oldBlocks, parsedBlocks, (b) => b.word, 1);
+  const used = new Set(matches.filter((m) => m !== null));
+
+  oldBlocks.forEach((old, i) => {
+    if (used.has(i)) return;
+    blockDiff.removed.push(old.word);
+    // Their senses go with them
+    mergeSenses(old.senses || [], [], [], `${label}: ${old.word}`, diff);
+  });
+
+  return builtBlocks.map((built, i) => {
+    const parsed = parsedBlocks[i];
+    const section = `${label}: ${parsed.word}`;
+    if (matches[i] === null) {
+      blockDiff.added.push(parsed.word);
+      parsed.senses.forEach((s) =>
+        diff.senses.added.push({ section, definition: s.definition })
+      );
+      return built;
+    }
+
+    const old = oldBlocks[matches[i]];
+    const merged = carryOver(old, parsed, built, ["senses"]);
+    merged.senses = mergeSenses(
+      old.senses || [],
+      parsed.senses,
+      built.senses,
+      section,
+      diff
+    );
+    return merged;
+  });
+};
+
+const pageKey = (page) => `${page.word || ""} (${page.pos || ""})`;
+
+/**
+ * Merge parsed entries into the stored pages of a word
+ * Pages are paired by headword and part of speech, then by position
+ * @param {Array<Object>} oldPages - words.data
+ * @param {Array<Object>} entries - Entries returned by parseOxfordPage
+ * @returns {{ pages: Array<Object>, diff: Object, changed: boolean }}
+ */
+export const mergeWordPages = (oldPages = [], entries = []) => {
+  const diff = createDiff();
+
+  const pageMatches = matchItems(oldPages, entries, pageKey, 1);
+  const usedPages = new Set(pageMatches.filter((m) => m !== null));
+  // Pages that changed their headword or part of speech pair up in order
+  const leftovers = oldPages.map((_, i) => i).filter((i) => !usedPages.has(i));
+  pageMatches.forEach((m, i) => {
+    if (m === null && leftovers.length > 0) {
+      pageMatches[i] = leftovers.shift();
+      usedPages.add(pageMatches[i]);
+    }
+  });
+
+  oldPages.forEach((old, i) => {
+    if (usedPages.has(i)) return;
+    diff.pages.removed.push(pageKey(old));
+    mergeSenses(old.senses || [], [], [], pageKey(old), diff);
+  });
+
+  const pages = entries.map((entry, i) => {
+    const built = buildWordPage(entry);
+    if (pageMatches[i] === null) {
+      diff.pages.added.push(pageKey(entry));
+      entry.senses.forEach((s) =>
+        diff.senses.added.push({
+          section: pageKey(entry),
+          definition: s.definition,
+        })
+      );
+      return built;
+    }
+
+    const old = oldPages[pageMatches[i]];
+    const section = pageKey(entry);
+
+    for (const field of PAGE_FIELDS) {
+      if (
+        !isDeepStrictEqual(comparable(old[field]), comparable(entry[field]))
+      ) {
+        diff.fields.push({
+          page: section,
+          field,
+          from: old[field] ?? null,
+          to: entry[field],
+        });
+      }
+    }
+
+    const merged = carryOver(old, entry, built, [
+      "senses",
+      "idioms",
+      "phrasal_verb_senses",
+    ]);
+    merged.senses = mergeSenses(
+      old.senses || [],
+      entry.senses,
+      built.senses,
+      section,
+      diff
+    );
+    merged.idioms = mergeBlocks(
+      old.idioms || [],
+      entry.idioms,
+      built.idioms,
+      `${section} idiom`,
+      diff.idioms,
+      diff
+    );
+    merged.phrasal_verb_senses = mergeBlocks(
+      old.phrasal_verb_senses || [],
+      entry.phrasal_verb_senses,
+      built.phrasal_verb_senses,
+      `${section} phrasal verb`,
+      diff.phrasal_verbs,
+      diff
+    );
+    return merged;
+  });
+
+  // Anything the diff does not itemize (idiom labels, order...) still counts
+  const changed = !isDeepStrictEqual(comparable(pages), comparable(oldPages));
+
+  return { pages, diff, changed };
+};
+
+export default {
+  textSimilarity,
+  matchItems,
+  mergeWordPages,
+};
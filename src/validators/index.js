@@ -11,8 +11,43 @@ import {
   FLASHCARD_STATUS,
   WORD_SYMBOLS,
   FLASHCARD_GROUP_SOURCE_TYPES,
+  REVIEW_RATINGS,
+  LEGACY_REVIEW_ACTIONS,
+  SCHEDULER_TYPES,
+  LEECH_ACTIONS,
+  SYNC_MODES,
+  SYNC_REMOVAL_ACTIONS,
+  REVIEW_QUEUE_ORDERS,
+  REVIEW_QUEUE_DEFAULTS,
+  STATISTICS_DEFAULTS,
+  QUIZ_MODES,
+  QUIZ_DEFAULTS,
+  DECK_FORMATS,
+  DECK_DEFAULTS,
+  WORD_REFRESH_MODES,
+  WORD_REFRESH_RESULT_STATUS,
+  WORD_REFRESH_DEFAULTS,
+  SPELLING_DEFAULTS,
+  WORD_RELATION_TYPES,
+  WORD_GRAPH_DEFAULTS,
+  WORD_FAMILY_SUGGESTION_STATUS,
+  WORD_FAMILY_DEFAULTS,
+  WORD_EDIT_DEFAULTS,
+  WORD_EDIT_RESERVED_KEYS,
+  TRANSLATION_JOB_TARGETS,
+  TRANSLATION_JOB_DEFAULTS,
+  GLOSSARY_VIOLATION_STATUS,
+  GLOSSARY_DEFAULTS,
+  TRANSLATION_MEMORY_KINDS,
+  TRANSLATION_REVIEW_STATUS,
+  TRANSLATION_REVIEW_DEFAULTS,
+  TRANSLATION_RESPONSE_DEFAULTS,
+  TRANSLATION_LANGUAGES,
+  TRANSLATION_LANGUAGE_DEFAULTS,
   ERROR_CODES,
 } from "../constants/index.js";
+import { isValidTimezone } from "../utils/dates.js";
+import { translationFields } from "../utils/translationLanguages.js";
 
 // ============================================
 // Common Schemas
@@ -31,6 +66,11 @@ export const commonSchemas = {
   search: Joi.object({
     q: Joi.string().trim().allow(""),
   }),
+  // Target language of translations
+  language: Joi.string()
+    .trim()
+    .lowercase()
+    .valid(...Object.values(TRANSLATION_LANGUAGES)),
 };
 
 // ============================================
@@ -172,6 +212,18 @@ export const categorySchemas = {
 // Flashcard Validation Schemas
 // ============================================
 
+// Scheduler parameters stored per flashcard group (SM-2 and FSRS)
+const schedulerParamsSchema = Joi.object({
+  maximum_interval: Joi.number().integer().min(1).max(36500).optional(),
+  // SM-2
+  minimum_ease: Joi.number().min(1).max(5).optional(),
+  easy_bonus: Joi.number().min(1).max(5).optional(),
+  hard_factor: Joi.number().min(1).max(5).optional(),
+  // FSRS
+  request_retention: Joi.number().min(0.7).max(0.99).optional(),
+  weights: Joi.array().items(Joi.number()).length(17).optional(),
+});
+
 export const flashcardSchemas = {
   createGroup: Joi.object({
     name: Joi.string().trim().min(1).max(200).required(),
@@ -179,11 +231,53 @@ export const flashcardSchemas = {
     source_type: Joi.string()
       .valid(...Object.values(FLASHCARD_GROUP_SOURCE_TYPES))
       .optional(),
+    scheduler: Joi.string()
+      .valid(...Object.values(SCHEDULER_TYPES))
+      .optional(),
+    scheduler_params: schedulerParamsSchema.optional(),
+    leech_threshold: Joi.number().integer().min(1).max(100).optional(),
+    leech_action: Joi.string()
+      .valid(...Object.values(LEECH_ACTIONS))
+      .optional(),
+    auto_sync: Joi.boolean().optional(),
+    sync_mode: Joi.string()
+      .valid(SYNC_MODES.ADD_ONLY, SYNC_MODES.MIRROR)
+      .optional(),
+    sync_removal_action: Joi.string()
+      .valid(...Object.values(SYNC_REMOVAL_ACTIONS))
+      .optional(),
   }),
 
   updateGroup: Joi.object({
     name: Joi.string().trim().min(1).max(200).optional(),
     description: Joi.string().trim().max(1000).optional().allow(""),
+    scheduler: Joi.string()
+      .valid(...Object.values(SCHEDULER_TYPES))
+      .optional(),
+    scheduler_params: schedulerParamsSchema.optional(),
+    leech_threshold: Joi.number().integer().min(1).max(100).optional(),
+    leech_action: Joi.string()
+      .valid(...Object.values(LEECH_ACTIONS))
+      .optional(),
+    auto_sync: Joi.boolean().optional(),
+    sync_mode: Joi.string()
+      .valid(SYNC_MODES.ADD_ONLY, SYNC_MODES.MIRROR)
+      .optional(),
+    sync_removal_action: Joi.string()
+      .valid(...Object.values(SYNC_REMOVAL_ACTIONS))
+      .optional(),
+  }),
+
+  // Preview is a one-off run; its settings are not saved
+  syncGroupWord: Joi.object({
+    group_word_id: commonSchemas.objectId.required(),
+    mode: Joi.string()
+      .valid(...Object.values(SYNC_MODES))
+      .optional(),
+    removal_action: Joi.string()
+      .valid(...Object.values(SYNC_REMOVAL_ACTIONS))
+      .optional(),
+    auto_sync: Joi.boolean().optional(),
   }),
 
   addFlashcard: Joi.object({
@@ -202,8 +296,157 @@ export const flashcardSchemas = {
       .required(),
   }),
 
+  reviewQueue: Joi.object({
+    flashcard_group_id: commonSchemas.objectId.optional(),
+    new_limit: Joi.number()
+      .integer()
+      .min(0)
+      .max(REVIEW_QUEUE_DEFAULTS.MAX_CARDS_PER_DAY)
+      .default(REVIEW_QUEUE_DEFAULTS.NEW_CARDS_PER_DAY),
+    review_limit: Joi.number()
+      .integer()
+      .min(0)
+      .max(REVIEW_QUEUE_DEFAULTS.MAX_CARDS_PER_DAY)
+      .default(REVIEW_QUEUE_DEFAULTS.REVIEWS_PER_DAY),
+    order: Joi.string()
+      .valid(...Object.values(REVIEW_QUEUE_ORDERS))
+      .default(REVIEW_QUEUE_ORDERS.OVERDUE),
+  }),
+
+  // `action` (remember/forget) is still accepted for older clients
   review: Joi.object({
-    action: Joi.string().valid("remember", "forget").required(),
+    rating: Joi.string()
+      .valid(...Object.values(REVIEW_RATINGS))
+      .optional(),
+    action: Joi.string()
+      .valid(...Object.keys(LEGACY_REVIEW_ACTIONS))
+      .optional(),
+    response_time_ms: Joi.number().integer().min(0).optional(),
+    client_reviewed_at: Joi.date().iso().optional(),
+  }).xor("rating", "action"),
+
+  undoReview: Joi.object({
+    flashcard_id: commonSchemas.objectId.optional(),
+  }),
+
+  exportGroup: Joi.object({
+    format: Joi.string()
+      .valid(...Object.values(DECK_FORMATS))
+      .default(DECK_FORMATS.APKG),
+    front_template: Joi.string()
+      .max(DECK_DEFAULTS.MAX_TEMPLATE_LENGTH)
+      .default(DECK_DEFAULTS.FRONT_TEMPLATE),
+    back_template: Joi.string()
+      .max(DECK_DEFAULTS.MAX_TEMPLATE_LENGTH)
+      .default(DECK_DEFAULTS.BACK_TEMPLATE),
+  }),
+
+  importDeck: Joi.object({
+    content: Joi.string().min(1).required(),
+    format: Joi.string().valid(DECK_FORMATS.CSV, DECK_FORMATS.TSV).optional(),
+    word_column: Joi.number().integer().min(0).default(0),
+    has_header: Joi.boolean().optional(),
+    flashcard_group_id: commonSchemas.objectId,
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().trim().max(1000).optional().allow(""),
+  }).xor("flashcard_group_id", "name"),
+
+  leechList: Joi.object({
+    suspended: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+
+  leechAction: Joi.object({
+    // Omit to apply to every leech of the group
+    flashcard_ids: Joi.array().items(commonSchemas.objectId).min(1).optional(),
+  }),
+
+  reviewHistory: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+};
+
+// ============================================
+// Statistics Validation Schemas
+// ============================================
+
+const timezoneSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) =>
+    isValidTimezone(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({ "any.invalid": "Invalid timezone" });
+
+const statisticsBase = {
+  flashcard_group_id: commonSchemas.objectId.optional(),
+  timezone: timezoneSchema.optional(),
+};
+
+export const statisticsSchemas = {
+  overview: Joi.object(statisticsBase),
+
+  heatmap: Joi.object({
+    ...statisticsBase,
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+  }),
+
+  retention: Joi.object({
+    ...statisticsBase,
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(STATISTICS_DEFAULTS.MAX_HEATMAP_DAYS)
+      .default(STATISTICS_DEFAULTS.RETENTION_DAYS),
+  }),
+
+  forecast: Joi.object({
+    ...statisticsBase,
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(STATISTICS_DEFAULTS.MAX_FORECAST_DAYS)
+      .default(STATISTICS_DEFAULTS.FORECAST_DAYS),
+  }),
+};
+
+// ============================================
+// Quiz Validation Schemas
+// ============================================
+
+export const quizSchemas = {
+  create: Joi.object({
+    flashcard_group_id: commonSchemas.objectId,
+    category_id: commonSchemas.objectId,
+    mode: Joi.string()
+      .valid(...Object.values(QUIZ_MODES))
+      .default(QUIZ_MODES.MIXED),
+    count: Joi.number()
+      .integer()
+      .min(1)
+      .max(QUIZ_DEFAULTS.MAX_QUESTION_COUNT)
+      .default(QUIZ_DEFAULTS.QUESTION_COUNT),
+    choices: Joi.number()
+      .integer()
+      .min(QUIZ_DEFAULTS.MIN_CHOICE_COUNT)
+      .max(QUIZ_DEFAULTS.MAX_CHOICE_COUNT)
+      .default(QUIZ_DEFAULTS.CHOICE_COUNT),
+  }).xor("flashcard_group_id", "category_id"),
+
+  quizIdParam: Joi.object({
+    id: commonSchemas.objectId.required(),
+  }),
+
+  questionParams: Joi.object({
+    id: commonSchemas.objectId.required(),
+    question_id: commonSchemas.objectId.required(),
+  }),
+
+  answer: Joi.object({
+    answer: Joi.string().trim().allow("").max(200).required(),
+    response_time_ms: Joi.number().integer().min(0).optional(),
   }),
 };
 
@@ -214,6 +457,19 @@ export const flashcardSchemas = {
 export const wordSchemas = {
   lookup: Joi.object({
     word: Joi.string().trim().min(1).required(),
+    // false: answer 202 right away instead of waiting for a crawl
+    wait: Joi.boolean().default(true),
+    // Translations to serve; without it the Accept-Language header decides
+    lang: commonSchemas.language.optional(),
+  }),
+
+  suggest: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(SPELLING_DEFAULTS.MAX_LIMIT)
+      .default(SPELLING_DEFAULTS.LIMIT),
   }),
 
   search: Joi.object({
@@ -223,6 +479,16 @@ export const wordSchemas = {
     type: Joi.string().valid("word", "idiom").default("word"),
   }),
 
+  fullTextSearch: Joi.object({
+    q: Joi.string().trim().min(1).max(200).required(),
+    symbol: Joi.string()
+      .valid(...Object.values(WORD_SYMBOLS))
+      .optional(),
+    parts_of_speech: Joi.string().optional(), // JSON string
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
   listWordsForSearch: Joi.object({
     q: Joi.string().trim().allow("").default(""),
     page: Joi.number().integer().min(1).default(1),
@@ -300,6 +566,405 @@ export const wordSchemas = {
   }),
 };
 
+// ============================================
+// Word Refresh Validation Schemas
+// ============================================
+
+export const wordRefreshSchemas = {
+  createJob: Joi.object({
+    mode: Joi.string()
+      .valid(...Object.values(WORD_REFRESH_MODES))
+      .required(),
+    older_than_days: Joi.number().integer().min(0).optional(),
+    parser_version_below: Joi.number().integer().min(1).optional(),
+    words: Joi.array()
+      .items(Joi.string().trim().min(1))
+      .min(1)
+      .max(WORD_REFRESH_DEFAULTS.MAX_WORDS)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(WORD_REFRESH_DEFAULTS.MAX_WORDS)
+      .default(WORD_REFRESH_DEFAULTS.MAX_WORDS),
+  }).or("older_than_days", "parser_version_below", "words"),
+
+  jobIdParam: Joi.object({
+    id: commonSchemas.objectId.required(),
+  }),
+
+  listJobs: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  results: Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(WORD_REFRESH_RESULT_STATUS))
+      .optional(),
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+};
+
+// ============================================
+// Word Graph Validation Schemas
+// ============================================
+
+// Comma-separated relation types: "synonym,opposite"
+const relationTypes = Joi.string().pattern(
+  new RegExp(
+    `^(${Object.values(WORD_RELATION_TYPES).join("|")})(,(${Object.values(
+      WORD_RELATION_TYPES
+    ).join("|")}))*$`
+  )
+);
+
+export const wordGraphSchemas = {
+  wordParam: Joi.object({
+    word: Joi.string().trim().min(1).max(100).required(),
+  }),
+
+  neighbours: Joi.object({
+    types: relationTypes.optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000)
+      .default(WORD_GRAPH_DEFAULTS.NEIGHBOUR_LIMIT),
+  }),
+
+  path: Joi.object({
+    from: Joi.string().trim().min(1).max(100).required(),
+    to: Joi.string().trim().min(1).max(100).required(),
+    types: relationTypes.optional(),
+    max_depth: Joi.number()
+      .integer()
+      .min(1)
+      .max(WORD_GRAPH_DEFAULTS.MAX_PATH_DEPTH)
+      .default(WORD_GRAPH_DEFAULTS.MAX_PATH_DEPTH),
+  }),
+
+  subgraph: Joi.object({
+    types: relationTypes.optional(),
+    depth: Joi.number()
+      .integer()
+      .min(1)
+      .max(WORD_GRAPH_DEFAULTS.SUBGRAPH_MAX_DEPTH)
+      .default(WORD_GRAPH_DEFAULTS.SUBGRAPH_DEPTH),
+    max_nodes: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000)
+      .default(WORD_GRAPH_DEFAULTS.SUBGRAPH_MAX_NODES),
+  }),
+};
+
+// ============================================
+// Word Family Validation Schemas
+// ============================================
+
+export const wordFamilySchemas = {
+  generate: Joi.object({
+    min_confidence: Joi.number()
+      .min(0)
+      .max(1)
+      .default(WORD_FAMILY_DEFAULTS.MIN_CONFIDENCE),
+  }),
+
+  list: Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(WORD_FAMILY_SUGGESTION_STATUS))
+      .default(WORD_FAMILY_SUGGESTION_STATUS.PENDING),
+    min_confidence: Joi.number().min(0).max(1).optional(),
+    q: Joi.string().trim().lowercase().min(1).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+
+  review: Joi.object({
+    ids: Joi.array()
+      .items(commonSchemas.objectId)
+      .min(1)
+      .max(WORD_FAMILY_DEFAULTS.MAX_BULK)
+      .unique()
+      .required(),
+  }),
+};
+
+// ============================================
+// Word Editor Validation Schemas
+// ============================================
+
+export const wordEditorSchemas = {
+  wordParam: Joi.object({
+    word: Joi.string().trim().min(1).max(100).required(),
+  }),
+
+  revisionParams: Joi.object({
+    word: Joi.string().trim().min(1).max(100).required(),
+    revision: Joi.number().integer().min(0).required(),
+  }),
+
+  edit: Joi.object({
+    changes: Joi.array()
+      .items(
+        Joi.object({
+          op: Joi.string().valid("set", "insert", "remove").required(),
+          path: Joi.string()
+            .trim()
+            .pattern(/^[A-Za-z_][\w]*(\.[\w]+)*$/)
+            .custom((value, helpers) =>
+              value
+                .split(".")
+                .some((segment) => WORD_EDIT_RESERVED_KEYS.includes(segment))
+                ? helpers.error("any.invalid")
+                : value
+            )
+            .messages({ "any.invalid": "Path uses a reserved key" })
+            .required(),
+          value: Joi.any().when("op", {
+            is: "remove",
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+          }),
+        })
+      )
+      .min(1)
+      .max(WORD_EDIT_DEFAULTS.MAX_CHANGES)
+      .required(),
+    comment: Joi.string().trim().max(500).allow("").optional(),
+    // Revision the changes were made on; rejected when the word moved on
+    base_revision: Joi.number().integer().min(0).optional(),
+  }),
+
+  listRevisions: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  getRevision: Joi.object({
+    compare_to: Joi.number().integer().min(0).optional(),
+  }),
+
+  rollback: Joi.object({
+    comment: Joi.string().trim().max(500).allow("").optional(),
+    base_revision: Joi.number().integer().min(0).optional(),
+  }),
+};
+
+// ============================================
+// Translation Job Validation Schemas
+// ============================================
+
+// Token budget of a run; null removes it
+const maxTokens = Joi.number().integer().min(1).allow(null);
+
+export const translationJobSchemas = {
+  createJob: Joi.object({
+    targets: Joi.array()
+      .items(Joi.string().valid(...Object.values(TRANSLATION_JOB_TARGETS)))
+      .min(1)
+      .unique()
+      .default(Object.values(TRANSLATION_JOB_TARGETS)),
+    words: Joi.array()
+      .items(Joi.string().trim().min(1))
+      .min(1)
+      .max(TRANSLATION_JOB_DEFAULTS.MAX_WORDS)
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(TRANSLATION_JOB_DEFAULTS.MAX_WORDS)
+      .default(TRANSLATION_JOB_DEFAULTS.MAX_WORDS),
+    max_tokens: maxTokens.default(null),
+    batch_tokens: Joi.number()
+      .integer()
+      .min(100)
+      .max(50000)
+      .default(TRANSLATION_JOB_DEFAULTS.BATCH_TOKENS),
+    language: commonSchemas.language.default(
+      TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+    ),
+  }),
+
+  jobIdParam: Joi.object({
+    id: commonSchemas.objectId.required(),
+  }),
+
+  listJobs: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  resumeJob: Joi.object({
+    max_tokens: maxTokens.optional(),
+  }),
+};
+
+// ============================================
+// Glossary Validation Schemas
+// ============================================
+
+const glossaryRendering = Joi.string().trim().min(1).max(200);
+
+export const glossarySchemas = {
+  createTerm: Joi.object({
+    term: Joi.string().trim().min(1).max(100).required(),
+    preferred: glossaryRendering.required(),
+    forbidden: Joi.array()
+      .items(glossaryRendering)
+      .max(GLOSSARY_DEFAULTS.MAX_FORBIDDEN)
+      .default([]),
+    note: Joi.string().trim().max(500).allow("").optional(),
+  }),
+
+  updateTerm: Joi.object({
+    term: Joi.string().trim().min(1).max(100).optional(),
+    preferred: glossaryRendering.optional(),
+    forbidden: Joi.array()
+      .items(glossaryRendering)
+      .max(GLOSSARY_DEFAULTS.MAX_FORBIDDEN)
+      .optional(),
+    note: Joi.string().trim().max(500).allow("").optional(),
+  }).min(1),
+
+  termIdParam: Joi.object({
+    id: commonSchemas.objectId.required(),
+  }),
+
+  listTerms: Joi.object({
+    q: Joi.string().trim().max(100).allow("").optional(),
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(200).default(50),
+  }),
+
+  listViolations: Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(GLOSSARY_VIOLATION_STATUS))
+      .default(GLOSSARY_VIOLATION_STATUS.OPEN),
+    word: Joi.string().trim().max(100).optional(),
+    term: Joi.string().trim().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(200).default(50),
+  }),
+
+  resolveViolations: Joi.object({
+    ids: Joi.array()
+      .items(commonSchemas.objectId)
+      .min(1)
+      .max(GLOSSARY_DEFAULTS.MAX_BULK)
+      .unique()
+      .required(),
+  }),
+};
+
+const reviewKind = Joi.string().valid(
+  ...Object.values(TRANSLATION_MEMORY_KINDS)
+);
+const reviewedText = Joi.string().trim().min(1).max(2000);
+const reviewLanguage = commonSchemas.language.default(
+  TRANSLATION_LANGUAGE_DEFAULTS.LANGUAGE
+);
+const reviewAnswerFields = Object.values(TRANSLATION_LANGUAGES).map(
+  translationFields
+);
+
+export const translationReviewSchemas = {
+  listQueue: Joi.object({
+    word: Joi.string().trim().max(100).optional(),
+    symbol: Joi.string()
+      .valid(...Object.values(WORD_SYMBOLS))
+      .optional(),
+    status: Joi.string()
+      .valid(...Object.values(TRANSLATION_REVIEW_STATUS))
+      .default(TRANSLATION_REVIEW_STATUS.MACHINE),
+    kind: reviewKind.optional(),
+    language: reviewLanguage,
+    page: Joi.number().integer().min(1).default(1),
+    per_page: Joi.number().integer().min(1).max(200).default(50),
+  }),
+
+  approve: Joi.object({
+    kind: reviewKind.required(),
+    ids: Joi.array()
+      .items(commonSchemas.objectId)
+      .min(1)
+      .max(TRANSLATION_REVIEW_DEFAULTS.MAX_BULK)
+      .unique()
+      .required(),
+    language: reviewLanguage,
+  }),
+
+  reject: Joi.object({
+    kind: reviewKind.required(),
+    ids: Joi.array()
+      .items(commonSchemas.objectId)
+      .min(1)
+      .max(TRANSLATION_REVIEW_DEFAULTS.MAX_BULK)
+      .unique()
+      .required(),
+    note: Joi.string().trim().max(500).optional(),
+    language: reviewLanguage,
+  }),
+
+  itemParams: Joi.object({
+    kind: reviewKind.required(),
+    id: commonSchemas.objectId.required(),
+  }),
+
+  // Fields allowed depend on the kind in the URL and the language; the
+  // service ignores the others (definition_vi, definition_vi_short, vi for
+  // Vietnamese, see translationFields)
+  edit: Joi.object({
+    language: reviewLanguage,
+    ...Object.fromEntries(
+      reviewAnswerFields.flatMap((fields) => [
+        [fields.definition, reviewedText.optional()],
+        [fields.definition_short, reviewedText.allow("").optional()],
+        [fields.example, reviewedText.optional()],
+      ])
+    ),
+  }).or(...reviewAnswerFields.flatMap((fields) => Object.values(fields))),
+};
+
+// Items of model answers: invalid ones are translated again
+const modelId = Joi.alternatives().try(
+  Joi.string().trim().min(1),
+  Joi.number()
+);
+const modelText = Joi.string().trim().min(1);
+
+export const translationResponseSchemas = {
+  /**
+   * Schema of one answered item, with the fields of the language
+   * (definition_vi, definition_vi_short / vi for Vietnamese)
+   * @param {string} kind - One of TRANSLATION_MEMORY_KINDS
+   * @param {string} language - One of TRANSLATION_LANGUAGES
+   */
+  item: (kind, language) => {
+    const fields = translationFields(language);
+    return kind === TRANSLATION_MEMORY_KINDS.DEFINITION
+      ? Joi.object({
+          _id: modelId.required(),
+          [fields.definition]: modelText.required(),
+          [fields.definition_short]: Joi.string().trim().allow("").default(""),
+        })
+      : Joi.object({
+          _id: modelId.required(),
+          [fields.example]: modelText.required(),
+        });
+  },
+
+  stats: Joi.object({
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(TRANSLATION_RESPONSE_DEFAULTS.MAX_STATS_DAYS)
+      .default(TRANSLATION_RESPONSE_DEFAULTS.STATS_DAYS),
+  }),
+};
+
 // ============================================
 // Validation Middleware Factory
 // ============================================
@@ -412,7 +1077,17 @@ export default {
   groupWordSchemas,
   categorySchemas,
   flashcardSchemas,
+  statisticsSchemas,
+  quizSchemas,
   wordSchemas,
+  wordRefreshSchemas,
+  wordGraphSchemas,
+  wordFamilySchemas,
+  wordEditorSchemas,
+  translationJobSchemas,
+  glossarySchemas,
+  translationReviewSchemas,
+  translationResponseSchemas,
   validateBody,
   validateQuery,
   validateParams,